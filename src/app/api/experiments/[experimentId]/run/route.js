@@ -0,0 +1,78 @@
+/**
+ * POST /api/experiments/[experimentId]/run
+ * Run an experiment headlessly (no SimWorld) and stream progress.
+ *
+ * The run keeps going if the client disconnects; responses are checkpointed
+ * to Firestore, so it can be watched from the runs list or resumed if the
+ * server stops.
+ *
+ * Request body (JSON, optional):
+ *   - resumeRunId: string - continue this run instead of starting a new one
+ *   - replayRunId: string - start a new run replaying this complete run from the LLM cache
+ *   - decisionConcurrency: number - concurrent LLM decisions
+ *   - budgetUsd: number | null - cost cap (default: the resumed run's cap)
+ *
+ * Response: newline-delimited JSON events
+ *   - { type: "run", runId, totalTasks }
+ *   - { type: "progress", progress } - ExperimentRunner progress snapshot
+ *   - { type: "complete", runId, completed, usage, failedCount, missingCount?, budgetExceeded?, cacheMisses? }
+ *   - { type: "error", error }
+ */
+
+import { runExperimentHeadless } from "@/lib/experiment/runHeadless";
+
+export const dynamic = "force-dynamic";
+
+export async function POST(request, { params }) {
+  const { experimentId } = await params;
+  const body = await request.json().catch(() => ({}));
+  const decisionConcurrency = Number.parseInt(body.decisionConcurrency, 10);
+  const budgetUsd = Number(body.budgetUsd);
+
+  const encoder = new TextEncoder();
+  let closed = false;
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const send = (event) => {
+        if (closed) return;
+        try {
+          controller.enqueue(encoder.encode(`${JSON.stringify(event)}\n`));
+        } catch {
+          closed = true;
+        }
+      };
+
+      runExperimentHeadless({
+        experimentId,
+        resumeRunId: body.resumeRunId || null,
+        replayRunId: body.replayRunId || null,
+        ...(decisionConcurrency > 0 ? { decisionConcurrency } : {}),
+        ...(body.budgetUsd !== undefined
+          ? { budgetUsd: budgetUsd > 0 ? budgetUsd : null }
+          : {}),
+        onEvent: send,
+      })
+        .catch((error) => {
+          console.error("Headless run error:", error);
+          send({ type: "error", error: error.message || "Run failed" });
+        })
+        .finally(() => {
+          if (closed) return;
+          closed = true;
+          controller.close();
+        });
+    },
+    cancel() {
+      // Client went away; the run continues and keeps checkpointing
+      closed = true;
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "application/x-ndjson",
+      "Cache-Control": "no-cache",
+    },
+  });
+}
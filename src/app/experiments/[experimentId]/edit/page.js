@@ -11,7 +11,9 @@ import {
   Input,
   message,
   Result,
+  Segmented,
   Spin,
+  Typography,
 } from "antd";
 import {
   ArrowLeftOutlined,
@@ -20,16 +22,39 @@ import {
   CheckCircleOutlined,
 } from "@ant-design/icons";
 import Link from "next/link";
+import {
+  createDefaultPricingPlan,
+  createDefaultTaskPlan,
+} from "@/models/firestore";
 import {
   FeatureSchemaBuilder,
   AlternativesInput,
   AlternativesTable,
+  DesignGenerator,
   AgentConfigBuilder,
+  TaskPlanPanel,
+  PricingPlanPanel,
+  KanoPlanPanel,
 } from "@/components/experiment";
 import {
   generateSegmentsFromConfig,
   calculateTotalAgents,
 } from "@/lib/agents/presets";
+import { getKanoFeatures } from "@/lib/domain/kano";
+import { getPriceLadder, getQuestionsPerAgent } from "@/lib/domain/pricing";
+import {
+  getStudyType,
+  isChoiceStudy,
+  isPricingStudy,
+  STUDY_TYPE_DESCRIPTIONS,
+  STUDY_TYPE_LABELS,
+  StudyType,
+} from "@/lib/domain/studyType";
+import {
+  calculateTotalTasks,
+  DEFAULT_CHOICE_FORMAT,
+} from "@/lib/domain/taskgen";
+import { DEFAULT_DECISION_CONCURRENCY, estimateRun } from "@/lib/experiment";
 import {
   getExperiment,
   getAlternatives,
@@ -39,6 +64,7 @@ import {
 } from "@/lib/firebase/db";
 
 const { TextArea } = Input;
+const { Text } = Typography;
 
 /**
  * Edit Experiment Page - edit an existing experiment
@@ -76,6 +102,10 @@ export default function EditExperimentPage() {
           description: exp.description || "",
           featureSchema: exp.featureSchema || { features: [] },
           agentConfig: exp.agentConfig || {},
+          taskPlan: exp.taskPlan || createDefaultTaskPlan(),
+          choiceFormat: exp.choiceFormat || DEFAULT_CHOICE_FORMAT,
+          studyType: getStudyType(exp),
+          pricingPlan: exp.pricingPlan || createDefaultPricingPlan(),
           ownerUid: exp.ownerUid,
         });
         setAlternatives(alts);
@@ -90,14 +120,19 @@ export default function EditExperimentPage() {
     load();
   }, [experimentId, router]);
 
-  // Step definitions
+  // Step definitions (pricing studies have a product instead of features
+  // and alternatives; Kano questionnaires have features but no alternatives)
+  const choice = isChoiceStudy(draft);
+  const pricing = isPricingStudy(draft);
+  const kano = getStudyType(draft) === StudyType.KANO;
   const steps = [
-    { title: "Basics", content: "Name & description" },
-    { title: "Features", content: "Define schema" },
-    { title: "Alternatives", content: "Add options" },
-    { title: "Agents", content: "Configure agents" },
-    { title: "Review", content: "Save changes" },
-  ];
+    { key: "basics", title: "Basics", content: "Name & study type" },
+    !pricing && { key: "features", title: "Features", content: "Define schema" },
+    choice && { key: "alternatives", title: "Alternatives", content: "Add options" },
+    { key: "agents", title: "Agents", content: "Configure agents" },
+    pricing && { key: "pricing", title: "Product & Prices", content: "Describe product" },
+    { key: "review", title: "Review", content: "Save changes" },
+  ].filter(Boolean);
 
   // Update draft helper
   const updateDraft = (updates) => {
@@ -125,6 +160,10 @@ export default function EditExperimentPage() {
         description: draft.description,
         featureSchema: draft.featureSchema,
         agentConfig,
+        taskPlan: draft.taskPlan,
+        choiceFormat: draft.choiceFormat,
+        studyType: draft.studyType,
+        pricingPlan: draft.pricingPlan,
         agentPlan: {
           segments,
           totalAgents,
@@ -188,8 +227,8 @@ export default function EditExperimentPage() {
       );
     }
 
-    switch (currentStep) {
-      case 0: // Basics
+    switch (steps[currentStep]?.key) {
+      case "basics":
         return (
           <Card title="Experiment Basics">
             <Form layout="vertical">
@@ -209,11 +248,25 @@ export default function EditExperimentPage() {
                   rows={4}
                 />
               </Form.Item>
+              <Form.Item label="Study Type">
+                <Segmented
+                  value={getStudyType(draft)}
+                  onChange={(studyType) => updateDraft({ studyType })}
+                  options={Object.values(StudyType).map((value) => ({
+                    value,
+                    label: STUDY_TYPE_LABELS[value],
+                  }))}
+                />
+                <br />
+                <Text type="secondary" style={{ fontSize: 12 }}>
+                  {STUDY_TYPE_DESCRIPTIONS[getStudyType(draft)]}
+                </Text>
+              </Form.Item>
             </Form>
           </Card>
         );
 
-      case 1: // Features
+      case "features":
         return (
           <FeatureSchemaBuilder
             features={draft.featureSchema?.features || []}
@@ -228,7 +281,7 @@ export default function EditExperimentPage() {
           />
         );
 
-      case 2: // Alternatives
+      case "alternatives":
         return (
           <Space orientation="vertical" size="large" style={{ width: "100%" }}>
             <AlternativesInput
@@ -239,6 +292,12 @@ export default function EditExperimentPage() {
                 setAlternatives((prev) => [...prev, ...parsed]);
               }}
             />
+            <DesignGenerator
+              features={draft.featureSchema?.features || []}
+              onGenerated={(generated) =>
+                setAlternatives((prev) => [...prev, ...generated])
+              }
+            />
             <AlternativesTable
               alternatives={alternatives}
               features={draft.featureSchema?.features || []}
@@ -247,15 +306,74 @@ export default function EditExperimentPage() {
           </Space>
         );
 
-      case 3: // Agents
+      case "agents":
         return (
-          <AgentConfigBuilder
-            config={draft.agentConfig || {}}
-            onChange={(agentConfig) => updateDraft({ agentConfig })}
+          <Space orientation="vertical" size="large" style={{ width: "100%" }}>
+            <AgentConfigBuilder
+              config={draft.agentConfig || {}}
+              onChange={(agentConfig) => updateDraft({ agentConfig })}
+            />
+            {kano && (
+              <KanoPlanPanel
+                features={draft.featureSchema?.features || []}
+                totalAgents={calculateTotalAgents(draft.agentConfig || {})}
+                estimate={estimateRun({
+                  experiment: {
+                    ...draft,
+                    agentPlan: {
+                      segments: generateSegmentsFromConfig(draft.agentConfig || {}),
+                    },
+                  },
+                  alternatives: [],
+                  decisionConcurrency: DEFAULT_DECISION_CONCURRENCY,
+                })}
+              />
+            )}
+            {choice && (
+              <TaskPlanPanel
+                taskPlan={draft.taskPlan}
+                choiceFormat={draft.choiceFormat}
+                totalAgents={calculateTotalAgents(draft.agentConfig || {})}
+                estimate={estimateRun({
+                  experiment: {
+                    ...draft,
+                    agentPlan: {
+                      segments: generateSegmentsFromConfig(draft.agentConfig || {}),
+                    },
+                  },
+                  alternatives,
+                  decisionConcurrency: DEFAULT_DECISION_CONCURRENCY,
+                })}
+                onChange={(taskPlan) => updateDraft({ taskPlan })}
+                onChoiceFormatChange={(choiceFormat) =>
+                  updateDraft({ choiceFormat })
+                }
+              />
+            )}
+          </Space>
+        );
+
+      case "pricing":
+        return (
+          <PricingPlanPanel
+            studyType={getStudyType(draft)}
+            pricingPlan={draft.pricingPlan}
+            totalAgents={calculateTotalAgents(draft.agentConfig || {})}
+            estimate={estimateRun({
+              experiment: {
+                ...draft,
+                agentPlan: {
+                  segments: generateSegmentsFromConfig(draft.agentConfig || {}),
+                },
+              },
+              alternatives: [],
+              decisionConcurrency: DEFAULT_DECISION_CONCURRENCY,
+            })}
+            onChange={(pricingPlan) => updateDraft({ pricingPlan })}
           />
         );
 
-      case 4: // Review
+      case "review":
         const reviewAgentConfig = draft.agentConfig || {};
         const reviewTotalAgents = calculateTotalAgents(reviewAgentConfig);
         const reviewNumCombinations =
@@ -274,16 +392,69 @@ export default function EditExperimentPage() {
                     <strong>Name:</strong> {draft.name || "Untitled"}
                   </span>
                   <span>
-                    <strong>Features:</strong>{" "}
-                    {draft.featureSchema?.features?.length || 0}
-                  </span>
-                  <span>
-                    <strong>Alternatives:</strong> {alternatives.length}
+                    <strong>Study type:</strong>{" "}
+                    {STUDY_TYPE_LABELS[getStudyType(draft)]}
                   </span>
+                  {pricing ? (
+                    <>
+                      <span>
+                        <strong>Product:</strong>{" "}
+                        {draft.pricingPlan?.product?.name || "Unnamed"}
+                      </span>
+                      {getStudyType(draft) === StudyType.GABOR_GRANGER && (
+                        <span>
+                          <strong>Price ladder:</strong>{" "}
+                          {getPriceLadder(draft.pricingPlan).join(", ") || "None"}{" "}
+                          {draft.pricingPlan?.currency}
+                        </span>
+                      )}
+                    </>
+                  ) : kano ? (
+                    <span>
+                      <strong>Features asked about:</strong>{" "}
+                      {getKanoFeatures(draft.featureSchema?.features).length} of{" "}
+                      {draft.featureSchema?.features?.length || 0}
+                    </span>
+                  ) : (
+                    <>
+                      <span>
+                        <strong>Features:</strong>{" "}
+                        {draft.featureSchema?.features?.length || 0}
+                      </span>
+                      <span>
+                        <strong>Alternatives:</strong> {alternatives.length}
+                      </span>
+                    </>
+                  )}
                   <span>
                     <strong>Agents:</strong> {reviewTotalAgents} across{" "}
                     {reviewNumCombinations} segments
                   </span>
+                  {pricing ? (
+                    <span>
+                      <strong>Pricing questions:</strong>{" "}
+                      {getQuestionsPerAgent(
+                        getStudyType(draft),
+                        draft.pricingPlan,
+                      ) * reviewTotalAgents}
+                    </span>
+                  ) : kano ? (
+                    <span>
+                      <strong>Kano questions:</strong>{" "}
+                      {getKanoFeatures(draft.featureSchema?.features).length *
+                        reviewTotalAgents}
+                    </span>
+                  ) : (
+                    <span>
+                      <strong>Choice tasks:</strong>{" "}
+                      {calculateTotalTasks(
+                        alternatives.length,
+                        reviewTotalAgents,
+                        draft.taskPlan,
+                      )}{" "}
+                      ({draft.choiceFormat} format)
+                    </span>
+                  )}
                 </Space>
               }
               extra={
@@ -15,6 +15,8 @@ import {
   List,
   Row,
   Col,
+  Tooltip,
+  Descriptions,
   message,
 } from "antd";
 import {
@@ -23,8 +25,25 @@ import {
   DeleteOutlined,
   BarChartOutlined,
   ArrowLeftOutlined,
+  ThunderboltOutlined,
+  HistoryOutlined,
 } from "@ant-design/icons";
 import Link from "next/link";
+import { RunEstimatePanel } from "@/components/experiment";
+import { formatUsd, HeadlessRunModal } from "@/components/runner";
+import { getKanoFeatures } from "@/lib/domain/kano";
+import {
+  DEFAULT_CURRENCY,
+  getPriceLadder,
+  getQuestionsPerAgent,
+} from "@/lib/domain/pricing";
+import {
+  getStudyType,
+  isChoiceStudy,
+  isPricingStudy,
+  STUDY_TYPE_LABELS,
+  StudyType,
+} from "@/lib/domain/studyType";
 import {
   getExperiment,
   getAlternatives,
@@ -47,6 +66,8 @@ export default function ExperimentDetailPage() {
   const [alternatives, setAlternatives] = useState([]);
   const [runs, setRuns] = useState([]);
   const [loading, setLoading] = useState(true);
+  // { resumeRunId, replayRunId } while the headless run modal is open
+  const [headlessRun, setHeadlessRun] = useState(null);
 
   // Load experiment data
   useEffect(() => {
@@ -70,6 +91,16 @@ export default function ExperimentDetailPage() {
     load();
   }, [experimentId]);
 
+  // Refresh the runs list when the headless run modal closes
+  const handleHeadlessClose = async () => {
+    setHeadlessRun(null);
+    try {
+      setRuns(await getRuns(experimentId));
+    } catch (error) {
+      console.error("Error loading runs:", error);
+    }
+  };
+
   // Handle delete
   const handleDelete = async () => {
     try {
@@ -121,6 +152,17 @@ export default function ExperimentDetailPage() {
     );
   }
 
+  // Questionnaires (pricing and Kano studies) run headlessly; pricing
+  // studies ask about one product, Kano studies about each feature
+  const headless = !isChoiceStudy(experiment);
+  const pricing = isPricingStudy(experiment);
+  const studyType = getStudyType(experiment);
+  const kanoFeatures = getKanoFeatures(experiment.featureSchema?.features);
+  const questionsPerAgent =
+    studyType === StudyType.KANO
+      ? kanoFeatures.length
+      : getQuestionsPerAgent(studyType, experiment.pricingPlan);
+
   // Feature columns for alternatives table
   const featureColumns = (experiment.featureSchema?.features || []).map((f) => ({
     title: f.label || f.key,
@@ -153,10 +195,17 @@ export default function ExperimentDetailPage() {
       title: "Status",
       dataIndex: "status",
       key: "status",
-      render: (status) => (
-        <Tag color={status === "complete" ? "green" : status === "running" ? "blue" : "default"}>
-          {status}
-        </Tag>
+      render: (status, record) => (
+        <Space size={4}>
+          <Tag color={status === "complete" ? "green" : status === "running" ? "blue" : status === "paused" ? "orange" : "default"}>
+            {status}
+          </Tag>
+          {record.replayOf && (
+            <Tooltip title={`Replay of ${record.replayOf}${record.cacheMisses ? `; ${record.cacheMisses} decisions had no cached response` : ""}`}>
+              <Tag>replay</Tag>
+            </Tooltip>
+          )}
+        </Space>
       ),
     },
     {
@@ -165,15 +214,54 @@ export default function ExperimentDetailPage() {
       render: (_, record) =>
         `${record.progress?.completedTasks || 0} / ${record.progress?.totalTasks || 0}`,
     },
+    {
+      title: "Cost",
+      key: "cost",
+      render: (_, record) =>
+        record.usage
+          ? `${formatUsd(record.usage.total.costUsd)}${record.budgetUsd ? ` / ${formatUsd(record.budgetUsd)}` : ""}`
+          : "-",
+    },
     {
       title: "Actions",
       key: "actions",
       render: (_, record) => (
-        <Link href={`/experiments/${experimentId}/results/${record.id}`}>
-          <Button icon={<BarChartOutlined />} size="small">
-            Results
-          </Button>
-        </Link>
+        <Space>
+          <Link href={`/experiments/${experimentId}/results/${record.id}`}>
+            <Button icon={<BarChartOutlined />} size="small">
+              Results
+            </Button>
+          </Link>
+          {(record.status === "running" || record.status === "paused") && (
+            <>
+              {!record.replayOf && !headless && (
+                <Link href={`/experiments/${experimentId}/run?resume=${record.id}`}>
+                  <Button icon={<PlayCircleOutlined />} size="small">
+                    Resume
+                  </Button>
+                </Link>
+              )}
+              <Button
+                icon={<ThunderboltOutlined />}
+                size="small"
+                onClick={() => setHeadlessRun({ resumeRunId: record.id })}
+              >
+                Resume headless
+              </Button>
+            </>
+          )}
+          {record.status === "complete" && (
+            <Tooltip title="Re-run this run's tasks from the LLM response cache">
+              <Button
+                icon={<HistoryOutlined />}
+                size="small"
+                onClick={() => setHeadlessRun({ replayRunId: record.id })}
+              >
+                Replay
+              </Button>
+            </Tooltip>
+          )}
+        </Space>
       ),
     },
   ];
@@ -183,47 +271,109 @@ export default function ExperimentDetailPage() {
       key: "overview",
       label: "Overview",
       children: (
-        <Row gutter={24}>
-          <Col span={8}>
-            <Card>
-              <Statistic
-                title="Alternatives"
-                value={alternatives.length}
-              />
-            </Card>
-          </Col>
-          <Col span={8}>
-            <Card>
-              <Statistic
-                title="Total Agents"
-                value={experiment.agentPlan?.totalAgents || 0}
-              />
-            </Card>
-          </Col>
-          <Col span={8}>
-            <Card>
-              <Statistic
-                title="Segments"
-                value={experiment.agentPlan?.segments?.length || 0}
-              />
-            </Card>
-          </Col>
-        </Row>
-      ),
-    },
-    {
-      key: "alternatives",
-      label: `Alternatives (${alternatives.length})`,
-      children: (
-        <Table
-          dataSource={alternatives}
-          columns={alternativeColumns}
-          rowKey="id"
-          pagination={false}
-          size="small"
-        />
+        <Space orientation="vertical" size="large" style={{ width: "100%" }}>
+          <Row gutter={24}>
+            <Col span={8}>
+              <Card>
+                {headless ? (
+                  <Statistic
+                    title="Questions per Agent"
+                    value={questionsPerAgent}
+                  />
+                ) : (
+                  <Statistic
+                    title="Alternatives"
+                    value={alternatives.length}
+                  />
+                )}
+              </Card>
+            </Col>
+            <Col span={8}>
+              <Card>
+                <Statistic
+                  title="Total Agents"
+                  value={experiment.agentPlan?.totalAgents || 0}
+                />
+              </Card>
+            </Col>
+            <Col span={8}>
+              <Card>
+                <Statistic
+                  title="Segments"
+                  value={experiment.agentPlan?.segments?.length || 0}
+                />
+              </Card>
+            </Col>
+          </Row>
+          <RunEstimatePanel
+            experiment={experiment}
+            alternatives={alternatives}
+            runs={runs}
+          />
+        </Space>
       ),
     },
+    pricing
+      ? {
+          key: "product",
+          label: "Product",
+          children: (
+            <Descriptions column={1} bordered size="small">
+              <Descriptions.Item label="Name">
+                {experiment.pricingPlan?.product?.name || "-"}
+              </Descriptions.Item>
+              <Descriptions.Item label="Description">
+                {experiment.pricingPlan?.product?.description || "-"}
+              </Descriptions.Item>
+              <Descriptions.Item label="Currency">
+                {experiment.pricingPlan?.currency || DEFAULT_CURRENCY}
+              </Descriptions.Item>
+              <Descriptions.Item label="Market Price">
+                {experiment.pricingPlan?.referencePrice ?? "-"}
+              </Descriptions.Item>
+              {studyType === StudyType.GABOR_GRANGER && (
+                <Descriptions.Item label="Price Ladder">
+                  {getPriceLadder(experiment.pricingPlan).join(", ") || "-"}
+                </Descriptions.Item>
+              )}
+            </Descriptions>
+          ),
+        }
+      : studyType === StudyType.KANO
+        ? {
+            key: "kano-features",
+            label: `Kano Features (${kanoFeatures.length})`,
+            children: (
+              <List
+                dataSource={kanoFeatures}
+                renderItem={(feature) => (
+                  <List.Item>
+                    <List.Item.Meta
+                      title={feature.label || feature.key}
+                      description={
+                        feature.type === "categorical"
+                          ? `Categorical • ${(feature.categories || []).join(", ")}`
+                          : "Binary"
+                      }
+                    />
+                  </List.Item>
+                )}
+              />
+            ),
+          }
+        : {
+            key: "alternatives",
+            label: `Alternatives (${alternatives.length})`,
+            children: (
+              <Table
+                dataSource={alternatives}
+                columns={alternativeColumns}
+                rowKey="id"
+                pagination={false}
+                size="small"
+              />
+            ),
+          },
     {
       key: "segments",
       label: `Segments (${experiment.agentPlan?.segments?.length || 0})`,
@@ -254,11 +404,21 @@ export default function ExperimentDetailPage() {
           locale={{
             emptyText: (
               <Empty description="No runs yet">
-                <Link href={`/experiments/${experimentId}/run`}>
-                  <Button type="primary" icon={<PlayCircleOutlined />}>
+                {headless ? (
+                  <Button
+                    type="primary"
+                    icon={<ThunderboltOutlined />}
+                    onClick={() => setHeadlessRun({ resumeRunId: null })}
+                  >
                     Start First Run
                   </Button>
-                </Link>
+                ) : (
+                  <Link href={`/experiments/${experimentId}/run`}>
+                    <Button type="primary" icon={<PlayCircleOutlined />}>
+                      Start First Run
+                    </Button>
+                  </Link>
+                )}
               </Empty>
             ),
           }}
@@ -293,6 +453,11 @@ export default function ExperimentDetailPage() {
             >
               {experiment.status}
             </Tag>
+            {headless && (
+              <Tag color="purple" style={{ fontSize: 12, padding: '2px 10px' }}>
+                {STUDY_TYPE_LABELS[studyType]}
+              </Tag>
+            )}
           </div>
           {experiment.description && (
             <p className="page-header-subtitle" style={{ marginTop: 8, maxWidth: 600 }}>
@@ -313,19 +478,43 @@ export default function ExperimentDetailPage() {
               Edit
             </Button>
           </Link>
-          <Link href={`/experiments/${experimentId}/run`}>
-            <Button 
-              type="primary" 
-              icon={<PlayCircleOutlined />}
-              style={{ 
+          {headless ? (
+            <Button
+              type="primary"
+              icon={<ThunderboltOutlined />}
+              onClick={() => setHeadlessRun({ resumeRunId: null })}
+              style={{
                 borderRadius: 8,
                 background: 'linear-gradient(135deg, #3b82f6 0%, #8b5cf6 100%)',
                 border: 'none',
               }}
             >
-              Run Experiment
+              Run Study
             </Button>
-          </Link>
+          ) : (
+            <>
+              <Button
+                icon={<ThunderboltOutlined />}
+                onClick={() => setHeadlessRun({ resumeRunId: null })}
+                style={{ borderRadius: 8 }}
+              >
+                Run Headless
+              </Button>
+              <Link href={`/experiments/${experimentId}/run`}>
+                <Button 
+                  type="primary" 
+                  icon={<PlayCircleOutlined />}
+                  style={{ 
+                    borderRadius: 8,
+                    background: 'linear-gradient(135deg, #3b82f6 0%, #8b5cf6 100%)',
+                    border: 'none',
+                  }}
+                >
+                  Run Experiment
+                </Button>
+              </Link>
+            </>
+          )}
           <Button 
             danger 
             icon={<DeleteOutlined />} 
@@ -353,8 +542,17 @@ export default function ExperimentDetailPage() {
         </Col>
         <Col span={8}>
           <div className="stat-card">
-            <div className="stat-card-value">{experiment.featureSchema?.features?.length || 0}</div>
-            <div className="stat-card-label">Features</div>
+            {headless ? (
+              <>
+                <div className="stat-card-value">{questionsPerAgent}</div>
+                <div className="stat-card-label">Questions per Agent</div>
+              </>
+            ) : (
+              <>
+                <div className="stat-card-value">{experiment.featureSchema?.features?.length || 0}</div>
+                <div className="stat-card-label">Features</div>
+              </>
+            )}
           </div>
         </Col>
       </Row>
@@ -363,6 +561,14 @@ export default function ExperimentDetailPage() {
       <Card style={{ borderRadius: 16, border: '1px solid #e2e8f0' }}>
         <Tabs items={tabItems} />
       </Card>
+
+      <HeadlessRunModal
+        open={!!headlessRun}
+        experimentId={experimentId}
+        resumeRunId={headlessRun?.resumeRunId ?? null}
+        replayRunId={headlessRun?.replayRunId ?? null}
+        onClose={handleHeadlessClose}
+      />
     </div>
   );
 }
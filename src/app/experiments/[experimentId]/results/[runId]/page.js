@@ -3,6 +3,7 @@
 import { useEffect, useState, useCallback } from "react";
 import { useParams } from "next/navigation";
 import {
+  Alert,
   Card,
   Spin,
   Empty,
@@ -13,6 +14,7 @@ import {
   Col,
   message,
   Divider,
+  Tabs,
 } from "antd";
 import {
   ArrowLeftOutlined,
@@ -27,7 +29,17 @@ import {
   ChoiceDriversPanel,
   WTPPanel,
   ConfidencePanel,
+  ValidationPanel,
+  LatentClassPanel,
+  MarketSimulatorPanel,
+  PriceSweepPanel,
   SegmentBreakdown,
+  DataQualityPanel,
+  MaxDiffPanel,
+  PurchaseIntentPanel,
+  VanWestendorpPanel,
+  GaborGrangerPanel,
+  KanoPanel,
 } from "@/components/results";
 import {
   getExperiment,
@@ -35,9 +47,25 @@ import {
   getRun,
   getResponses,
   getResultsSummary,
+  getTasks,
   saveResultsSummary,
+  updateResponse,
+  updateRun,
 } from "@/lib/firebase/db";
 import { computeResults } from "@/lib/domain/aggregate";
+import { computeKanoResults } from "@/lib/domain/kano";
+import { computePricingResults, DEFAULT_CURRENCY } from "@/lib/domain/pricing";
+import {
+  getStudyType,
+  isChoiceStudy,
+  isPricingStudy,
+  STUDY_TYPE_LABELS,
+  StudyType,
+} from "@/lib/domain/studyType";
+import {
+  migrateLegacyResponses,
+  needsResponseMigration,
+} from "@/lib/domain/responses";
 
 const { Text } = Typography;
 
@@ -54,22 +82,67 @@ export default function ResultsPage() {
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(true);
   const [computing, setComputing] = useState(false);
+  const [view, setView] = useState("analysis");
+  const [excludeFallbacks, setExcludeFallbacks] = useState(false);
 
   // Compute and save results
   const computeAndSaveResults = useCallback(
-    async (exp, alts) => {
+    async (
+      exp,
+      alts,
+      runData,
+      { excludeFallbacks = false, advancedModels = false } = {},
+    ) => {
       setComputing(true);
       try {
-        const responses = await getResponses(experimentId, runId);
+        const [storedResponses, tasks] = await Promise.all([
+          getResponses(experimentId, runId),
+          getTasks(experimentId, runId),
+        ]);
+        const segments = exp.agentPlan?.segments || [];
+
+        // One-off migration: older runs stored responses without segmentId,
+        // modelTag, traits and shownAlternatives
+        let responses = storedResponses;
+        if (needsResponseMigration(storedResponses)) {
+          const migration = migrateLegacyResponses(storedResponses, {
+            segments: runData?.configSnapshot?.agentPlan?.segments || segments,
+            tasks,
+          });
+          responses = migration.responses;
+          await Promise.all(
+            migration.updates.map((u) =>
+              updateResponse(experimentId, runId, u.id, u.data),
+            ),
+          );
+        }
 
-        const computed = computeResults({
-          responses,
-          alternatives: alts,
-          features: exp.featureSchema?.features || [],
-          segments: exp.agentPlan?.segments || [],
-        });
+        // Questionnaires (pricing and Kano studies) are analysed as the run
+        // was configured, and always leave fallback answers out
+        const studyConfig = runData?.configSnapshot || exp;
+        const computed = isPricingStudy(studyConfig)
+          ? computePricingResults({
+              studyType: getStudyType(studyConfig),
+              responses,
+              segments,
+            })
+          : getStudyType(studyConfig) === StudyType.KANO
+            ? computeKanoResults({ responses, segments })
+            : computeResults({
+                responses,
+                tasks,
+                alternatives: alts,
+                features: exp.featureSchema?.features || [],
+                segments,
+                excludeFallbacks,
+                advancedModels,
+                seed: runId,
+              });
 
         setResults(computed);
+        setExcludeFallbacks(
+          Boolean(computed.decisionQuality?.fallbacksExcluded),
+        );
 
         // Cache results
         await saveResultsSummary(experimentId, runId, computed);
@@ -100,8 +173,11 @@ export default function ResultsPage() {
 
         if (cachedResults) {
           setResults(cachedResults);
+          setExcludeFallbacks(
+            Boolean(cachedResults.decisionQuality?.fallbacksExcluded),
+          );
         } else if (runData?.status === "complete") {
-          await computeAndSaveResults(exp, alts);
+          await computeAndSaveResults(exp, alts, runData);
         }
       } catch (error) {
         console.error("Error loading results:", error);
@@ -113,13 +189,54 @@ export default function ResultsPage() {
     load();
   }, [experimentId, runId, computeAndSaveResults]);
 
+  // Questionnaires have no alternatives to wait for
+  const canCompute =
+    experiment &&
+    run &&
+    (alternatives.length > 0 ||
+      !isChoiceStudy(run.configSnapshot || experiment));
+
+  // HB and latent classes are slow, so they are fitted on request; once
+  // requested, recomputes keep them (summaries saved before the flag
+  // existed always had them)
+  const advancedModels = Boolean(results) && results.advancedModels !== false;
+
   // Handle recompute
   const handleRecompute = () => {
-    if (experiment && alternatives.length > 0 && run) {
-      computeAndSaveResults(experiment, alternatives);
+    if (canCompute) {
+      computeAndSaveResults(experiment, alternatives, run, {
+        excludeFallbacks,
+        advancedModels,
+      });
     }
   };
 
+  // Recompute with or without fallback "NONE" responses
+  const handleExcludeFallbacksChange = (exclude) => {
+    if (canCompute) {
+      computeAndSaveResults(experiment, alternatives, run, {
+        excludeFallbacks: exclude,
+        advancedModels,
+      });
+    }
+  };
+
+  // Fit hierarchical Bayes and latent classes
+  const handleEstimateAdvancedModels = () => {
+    if (canCompute) {
+      computeAndSaveResults(experiment, alternatives, run, {
+        excludeFallbacks,
+        advancedModels: true,
+      });
+    }
+  };
+
+  // Persist market simulator scenarios on the run
+  const handleSaveScenarios = async (simulatorScenarios) => {
+    await updateRun(experimentId, runId, { simulatorScenarios });
+    setRun((prev) => ({ ...prev, simulatorScenarios }));
+  };
+
   // Handle export
   const handleExport = () => {
     if (!results) return;
@@ -170,6 +287,10 @@ export default function ResultsPage() {
 
   const features = experiment.featureSchema?.features || [];
   const segments = experiment.agentPlan?.segments || [];
+  const studyConfig = run.configSnapshot || experiment;
+  const pricing = isPricingStudy(studyConfig);
+  const questionnaire = !isChoiceStudy(studyConfig);
+  const currency = studyConfig.pricingPlan?.currency || DEFAULT_CURRENCY;
 
   return (
     <div className="page-container">
@@ -266,7 +387,11 @@ export default function ResultsPage() {
             <Text
               style={{ display: "block", marginTop: 16, color: "#64748b" }}
             >
-              Computing conjoint analysis...
+              {pricing
+                ? "Computing pricing analysis..."
+                : questionnaire
+                  ? "Computing Kano classification..."
+                  : "Computing conjoint analysis..."}
             </Text>
           </div>
         </Card>
@@ -288,16 +413,13 @@ export default function ResultsPage() {
             )}
           </Empty>
         </Card>
-      ) : (
+      ) : questionnaire ? (
         <>
           {/* ── Summary stats ──────────────────────────────── */}
           <Row gutter={16} style={{ marginBottom: 24 }}>
-            <Col span={6}>
+            <Col span={8}>
               <div className="stat-card">
-                <div
-                  className="stat-card-value"
-                  style={{ color: "#3b82f6" }}
-                >
+                <div className="stat-card-value" style={{ color: "#3b82f6" }}>
                   {results.responseStats?.totalResponses ??
                     run.progress?.completedTasks ??
                     0}
@@ -305,110 +427,292 @@ export default function ResultsPage() {
                 <div className="stat-card-label">Total Responses</div>
               </div>
             </Col>
-            <Col span={6}>
-              <div className="stat-card">
-                <div
-                  className="stat-card-value"
-                  style={{ color: "#8b5cf6" }}
-                >
-                  {alternatives.length}
-                </div>
-                <div className="stat-card-label">Alternatives</div>
-              </div>
-            </Col>
-            <Col span={6}>
+            <Col span={8}>
               <div className="stat-card">
-                <div
-                  className="stat-card-value"
-                  style={{ color: "#10b981" }}
-                >
+                <div className="stat-card-value" style={{ color: "#10b981" }}>
                   {segments.length}
                 </div>
                 <div className="stat-card-label">Segments</div>
               </div>
             </Col>
-            <Col span={6}>
+            <Col span={8}>
               <div className="stat-card">
-                <div
-                  className="stat-card-value"
-                  style={{ color: "#f59e0b" }}
-                >
-                  {features.length}
+                <div className="stat-card-value" style={{ color: "#8b5cf6" }}>
+                  {STUDY_TYPE_LABELS[getStudyType(studyConfig)]}
+                </div>
+                <div className="stat-card-label">
+                  {(pricing && studyConfig.pricingPlan?.product?.name) ||
+                    "Study Type"}
                 </div>
-                <div className="stat-card-label">Features</div>
               </div>
             </Col>
           </Row>
 
-          {/* ── Section 1: Choice Shares + Confidence ──────── */}
-          <SectionTitle title="Choice Shares & Confidence" />
-          <Row gutter={24} style={{ marginBottom: 24 }}>
-            <Col span={12}>
-              <SharesChartPanel
-                shares={results.shares}
-                alternatives={alternatives}
+          {/* ── Data quality ───────────────────────────────── */}
+          {results.decisionQuality && (
+            <div style={{ marginBottom: 24 }}>
+              <DataQualityPanel
+                quality={results.decisionQuality}
                 segments={segments}
+                excludeFallbacks={true}
+                loading={computing}
               />
-            </Col>
-            <Col span={12}>
-              <ConfidencePanel
-                confidence={results.confidence}
-                shares={results.shares}
+            </div>
+          )}
+
+          {results.studyType === StudyType.VAN_WESTENDORP && (
+            <VanWestendorpPanel
+              vanWestendorp={results.vanWestendorp}
+              segments={segments}
+              currency={currency}
+            />
+          )}
+          {results.studyType === StudyType.GABOR_GRANGER && (
+            <GaborGrangerPanel
+              gaborGranger={results.gaborGranger}
+              segments={segments}
+              currency={currency}
+            />
+          )}
+          {results.studyType === StudyType.KANO && (
+            <KanoPanel
+              kano={results.kano}
+              features={studyConfig.featureSchema?.features || features}
+              segments={segments}
+            />
+          )}
+        </>
+      ) : (
+        <>
+          <Tabs
+            activeKey={view}
+            onChange={setView}
+            items={[
+              { key: "analysis", label: "Analysis" },
+              { key: "simulator", label: "Market Simulator" },
+            ]}
+          />
+
+          {view === "simulator" ? (
+            <Space orientation="vertical" size="large" style={{ width: "100%" }}>
+              <MarketSimulatorPanel
+                results={results}
                 alternatives={alternatives}
-                responseStats={results.responseStats}
+                features={features}
+                segments={segments}
+                scenarios={run.simulatorScenarios || []}
+                onSaveScenarios={handleSaveScenarios}
               />
-            </Col>
-          </Row>
-
-          {/* ── Section 2: Conjoint Estimation ──────────────── */}
-          <SectionTitle title="Conjoint Estimation (Part-Worth Utilities)" />
-          <Row gutter={24} style={{ marginBottom: 24 }}>
-            <Col span={results.wtp ? 14 : 24}>
-              <PartWorthPanel
-                partWorths={results.partWorths}
+              <PriceSweepPanel
+                results={results}
+                alternatives={alternatives}
                 features={features}
                 segments={segments}
               />
-            </Col>
-            {results.wtp && (
-              <Col span={10}>
-                <WTPPanel wtp={results.wtp} features={features} />
-              </Col>
-            )}
-          </Row>
+            </Space>
+          ) : (
+            <>
+              {/* ── Summary stats ──────────────────────────────── */}
+              <Row gutter={16} style={{ marginBottom: 24 }}>
+                <Col span={6}>
+                  <div className="stat-card">
+                    <div
+                      className="stat-card-value"
+                      style={{ color: "#3b82f6" }}
+                    >
+                      {results.responseStats?.totalResponses ??
+                        run.progress?.completedTasks ??
+                        0}
+                    </div>
+                    <div className="stat-card-label">Total Responses</div>
+                  </div>
+                </Col>
+                <Col span={6}>
+                  <div className="stat-card">
+                    <div
+                      className="stat-card-value"
+                      style={{ color: "#8b5cf6" }}
+                    >
+                      {alternatives.length}
+                    </div>
+                    <div className="stat-card-label">Alternatives</div>
+                  </div>
+                </Col>
+                <Col span={6}>
+                  <div className="stat-card">
+                    <div
+                      className="stat-card-value"
+                      style={{ color: "#10b981" }}
+                    >
+                      {segments.length}
+                    </div>
+                    <div className="stat-card-label">Segments</div>
+                  </div>
+                </Col>
+                <Col span={6}>
+                  <div className="stat-card">
+                    <div
+                      className="stat-card-value"
+                      style={{ color: "#f59e0b" }}
+                    >
+                      {features.length}
+                    </div>
+                    <div className="stat-card-label">Features</div>
+                  </div>
+                </Col>
+              </Row>
 
-          {/* ── Section 3: Choice Drivers ───────────────────── */}
-          <SectionTitle title="Choice Drivers Analysis" />
-          <div style={{ marginBottom: 24 }}>
-            <ChoiceDriversPanel
-              choiceDrivers={results.choiceDrivers}
-              alternatives={alternatives}
-              features={features}
-            />
-          </div>
+              {/* ── Data quality ───────────────────────────────── */}
+              {results.decisionQuality && (
+                <div style={{ marginBottom: 24 }}>
+                  <DataQualityPanel
+                    quality={results.decisionQuality}
+                    segments={segments}
+                    excludeFallbacks={excludeFallbacks}
+                    onExcludeFallbacksChange={handleExcludeFallbacksChange}
+                    loading={computing}
+                  />
+                </div>
+              )}
 
-          {/* ── Section 4: Feature Importance ───────────────── */}
-          <SectionTitle title="Feature Importance (Reason Codes)" />
-          <div style={{ marginBottom: 24 }}>
-            <FeatureImportancePanel
-              importance={results.featureImportance}
-              features={features}
-            />
-          </div>
+              {/* ── Section 1: Choice Shares + Confidence ──────── */}
+              <SectionTitle title="Choice Shares & Confidence" />
+              <Row gutter={24} style={{ marginBottom: 24 }}>
+                <Col span={12}>
+                  <SharesChartPanel
+                    shares={results.shares}
+                    alternatives={alternatives}
+                    segments={segments}
+                  />
+                </Col>
+                <Col span={12}>
+                  <ConfidencePanel
+                    confidence={results.confidence}
+                    shares={results.shares}
+                    alternatives={alternatives}
+                    responseStats={results.responseStats}
+                  />
+                </Col>
+              </Row>
 
-          {/* ── Section 5: Segment Breakdown ────────────────── */}
-          <SectionTitle title="Segment Breakdown" />
-          <div style={{ marginBottom: 24 }}>
-            <SegmentBreakdown
-              segments={segments}
-              sharesBySegment={results.shares?.bySegment || {}}
-              importanceBySegment={
-                results.featureImportance?.bySegment || {}
-              }
-              alternatives={alternatives}
-              features={features}
-            />
-          </div>
+              {results.purchaseIntent && (
+                <>
+                  <SectionTitle title="Purchase Intent (Dual Response)" />
+                  <div style={{ marginBottom: 24 }}>
+                    <PurchaseIntentPanel
+                      purchaseIntent={results.purchaseIntent}
+                      alternatives={alternatives}
+                      segments={segments}
+                    />
+                  </div>
+                </>
+              )}
+
+              {results.maxDiff && (
+                <>
+                  <SectionTitle title="MaxDiff (Best-Worst Scaling)" />
+                  <div style={{ marginBottom: 24 }}>
+                    <MaxDiffPanel
+                      maxDiff={results.maxDiff}
+                      alternatives={alternatives}
+                      segments={segments}
+                    />
+                  </div>
+                </>
+              )}
+
+              {/* ── Section 2: Conjoint Estimation ──────────────── */}
+              <SectionTitle title="Conjoint Estimation (Part-Worth Utilities)" />
+              {!advancedModels && (
+                <Alert
+                  type="info"
+                  showIcon
+                  title="Hierarchical Bayes and latent classes are not estimated"
+                  description="Agent-level part-worths, credible intervals and discovered segments can take a while for large runs, so they are fitted on request."
+                  action={
+                    <Button
+                      onClick={handleEstimateAdvancedModels}
+                      loading={computing}
+                      style={{ borderRadius: 8 }}
+                    >
+                      Estimate
+                    </Button>
+                  }
+                  style={{ marginBottom: 16, borderRadius: 10 }}
+                />
+              )}
+              <Row gutter={24} style={{ marginBottom: 24 }}>
+                <Col span={results.wtp ? 14 : 24}>
+                  <PartWorthPanel
+                    partWorths={results.partWorths}
+                    hierarchical={results.hierarchical}
+                    features={features}
+                    segments={segments}
+                  />
+                </Col>
+                {results.wtp && (
+                  <Col span={10}>
+                    <WTPPanel wtp={results.wtp} features={features} />
+                  </Col>
+                )}
+              </Row>
+
+              {results.validation && (
+                <>
+                  <SectionTitle title="Validation (Holdouts & Repeats)" />
+                  <div style={{ marginBottom: 24 }}>
+                    <ValidationPanel
+                      validation={results.validation}
+                      segments={segments}
+                    />
+                  </div>
+                </>
+              )}
+
+              {/* ── Section 3: Choice Drivers ───────────────────── */}
+              <SectionTitle title="Choice Drivers Analysis" />
+              <div style={{ marginBottom: 24 }}>
+                <ChoiceDriversPanel
+                  choiceDrivers={results.choiceDrivers}
+                  alternatives={alternatives}
+                  features={features}
+                />
+              </div>
+
+              {/* ── Section 4: Feature Importance ───────────────── */}
+              <SectionTitle title="Feature Importance (Reason Codes)" />
+              <div style={{ marginBottom: 24 }}>
+                <FeatureImportancePanel
+                  importance={results.featureImportance}
+                  features={features}
+                />
+              </div>
+
+              {/* ── Section 5: Latent Classes ──────────────────── */}
+              <SectionTitle title="Discovered Segments (Latent Classes)" />
+              <div style={{ marginBottom: 24 }}>
+                <LatentClassPanel
+                  latentClasses={results.latentClasses}
+                  estimated={advancedModels}
+                  features={features}
+                />
+              </div>
+
+              {/* ── Section 6: Segment Breakdown ────────────────── */}
+              <SectionTitle title="Segment Breakdown" />
+              <div style={{ marginBottom: 24 }}>
+                <SegmentBreakdown
+                  segments={segments}
+                  sharesBySegment={results.shares?.bySegment || {}}
+                  importanceBySegment={
+                    results.featureImportance?.bySegment || {}
+                  }
+                  alternatives={alternatives}
+                  features={features}
+                />
+              </div>
+            </>
+          )}
         </>
       )}
     </div>
@@ -1,12 +1,54 @@
 "use server";
 
+import { KanoAnswer } from "@/lib/domain/kano";
 import {
+  checkPriceThresholds,
+  getReferencePrice,
+  PRICE_THRESHOLD_KEYS,
+  PURCHASE_LIKELIHOOD_MAX,
+  PURCHASE_LIKELIHOOD_MIN,
+} from "@/lib/domain/pricing";
+import { DecisionStatus } from "@/lib/domain/quality";
+import {
+  NONE_UTILITY_THRESHOLD,
+  simulateChoice,
+  simulateKanoAnswers,
+  simulatePriceThresholds,
+  simulatePurchaseLikelihood,
+} from "@/lib/domain/simulate";
+import { DEFAULT_ALLOCATION_UNITS, ResponseFormat } from "@/lib/domain/taskgen";
+import {
+  buildCommitMessages,
+  buildDecisionMessages,
+  buildDecisionSchema,
+  buildEvaluationSchema,
+  buildPurchaseCheckMessages,
+  buildPurchaseCheckSchema,
+  buildRepairMessage,
+  FEATURE_SCORE_MAX,
+  FEATURE_SCORE_MIN,
+} from "@/lib/experiment/decisionPrompt";
+import {
+  buildKanoMessages,
+  buildKanoRepairMessage,
+  buildKanoSchema,
+} from "@/lib/experiment/kanoPrompt";
+import {
+  buildPricingMessages,
+  buildPricingRepairMessage,
+  buildPricingSchema,
+} from "@/lib/experiment/pricingPrompt";
+import {
+  CUSTOM_MODEL_PREFIX,
+  ErrorType,
+  estimateCost,
   fetchImageFromUrls,
   invoke_llm,
   MODEL_TO_PROVIDER,
   Models,
   searchProductForSprite,
 } from "@/lib/llm";
+import { createSeededRandom } from "@/lib/simworld/services/seededRandom";
 import { postprocessSpriteSheet } from "@/lib/sprites/process";
 import { SPRITE_PROMPT } from "@/lib/sprites/prompt";
 
@@ -36,12 +78,16 @@ const MODEL_REMAP = Object.freeze({
   "gemini-2.0-flash-001": "gemini-2.5-flash",
 });
 
+/** Model tag served by the offline stub decision provider */
+const STUB_MODEL_TAG = "stub";
+
 /**
  * Map a segment modelTag (e.g. "google/gemini-2.5-flash") to a Models constant.
- * Falls back to Gemini 2.5 Flash (direct) for unknown or "stub" tags.
+ * Falls back to Gemini 2.5 Flash (direct) for unknown or missing tags.
+ * The "stub" tag never reaches here — see getStubDecision.
  */
 function resolveModel(modelTag) {
-  if (!modelTag || modelTag === "stub") {
+  if (!modelTag) {
     return Models.GEMINI_2_5_FLASH;
   }
 
@@ -52,6 +98,11 @@ function resolveModel(modelTag) {
     modelTag = remapped;
   }
 
+  // Custom OpenAI-compatible endpoint models pass through unchanged
+  if (modelTag.startsWith(CUSTOM_MODEL_PREFIX)) {
+    return modelTag;
+  }
+
   // Check if the tag is a known model ID (exists in MODEL_TO_PROVIDER)
   if (MODEL_TO_PROVIDER[modelTag]) {
     return modelTag;
@@ -70,143 +121,6 @@ function resolveModel(modelTag) {
   return Models.GEMINI_2_5_FLASH;
 }
 
-// ---------------------------------------------------------------------------
-// Prompt builder — modular sections
-// ---------------------------------------------------------------------------
-
-function buildExperimentContext(experiment) {
-  const lines = [];
-  lines.push("## Experiment Context");
-  lines.push(`**Name:** ${experiment.name || "Unnamed Experiment"}`);
-  if (experiment.description) {
-    lines.push(`**Description:** ${experiment.description}`);
-  }
-  return lines.join("\n");
-}
-
-function buildFeatureSchemaSection(features) {
-  if (!features || features.length === 0) return "";
-
-  const lines = ["## Feature Definitions"];
-  for (const f of features) {
-    let detail = `- **${f.label || f.key}** (${f.type})`;
-    if (f.type === "continuous" && f.unit) {
-      detail += ` — range: ${f.min ?? "?"} to ${f.max ?? "?"} ${f.unit}`;
-    } else if (f.type === "categorical" && f.categories?.length) {
-      detail += ` — options: ${f.categories.join(", ")}`;
-    } else if (f.type === "binary") {
-      detail += " — Yes / No";
-    }
-    lines.push(detail);
-  }
-  return lines.join("\n");
-}
-
-function buildAlternativesSection(alternatives, features) {
-  const lines = ["## Available Options"];
-  lines.push(
-    "Below are ALL the options you can choose from. Each option has an ID, a name, and feature values.\n",
-  );
-
-  for (const alt of alternatives) {
-    lines.push(`### ${alt.name} (ID: ${alt.id})`);
-    if (features && features.length > 0) {
-      for (const f of features) {
-        const value = alt.features?.[f.key];
-        if (value !== undefined && value !== null) {
-          const label = f.label || f.key;
-          let display = String(value);
-          if (f.type === "continuous" && f.unit) {
-            display = `${value} ${f.unit}`;
-          } else if (f.type === "binary") {
-            display = value ? "Yes" : "No";
-          }
-          lines.push(`- ${label}: ${display}`);
-        }
-      }
-    }
-    lines.push("");
-  }
-  return lines.join("\n");
-}
-
-function buildPersonaSection(agent) {
-  const traits = agent.traits || {};
-  const lines = ["## Your Persona"];
-  lines.push("You are a synthetic consumer with the following profile:\n");
-
-  if (agent.label) {
-    lines.push(`- **Segment:** ${agent.label}`);
-  }
-  if (traits.personality) {
-    lines.push(`- **Personality type:** ${traits.personality}`);
-  }
-  if (traits.location) {
-    lines.push(`- **Location:** ${traits.location}`);
-  }
-  if (traits.priceSensitivity !== undefined) {
-    const ps = traits.priceSensitivity;
-    const desc =
-      ps >= 0.8
-        ? "very price-sensitive (budget is a top priority)"
-        : ps >= 0.6
-          ? "moderately price-sensitive"
-          : ps >= 0.4
-            ? "somewhat price-aware but willing to pay more for value"
-            : "not very price-sensitive (willing to pay premium)";
-    lines.push(`- **Price sensitivity:** ${ps} — ${desc}`);
-  }
-  if (traits.riskTolerance !== undefined) {
-    const rt = traits.riskTolerance;
-    const desc =
-      rt >= 0.7
-        ? "high risk tolerance (open to trying new or unconventional options)"
-        : rt >= 0.4
-          ? "moderate risk tolerance"
-          : "low risk tolerance (prefers safe, proven options)";
-    lines.push(`- **Risk tolerance:** ${rt} — ${desc}`);
-  }
-  if (traits.consistency !== undefined) {
-    const c = traits.consistency;
-    const desc =
-      c >= 0.8
-        ? "very consistent decision-maker (sticks to logical criteria)"
-        : c >= 0.5
-          ? "moderately consistent"
-          : "spontaneous and easily swayed by different factors";
-    lines.push(`- **Consistency:** ${c} — ${desc}`);
-  }
-
-  lines.push("");
-  lines.push(
-    "Stay in character. Let your personality, location, and trait values guide your decision naturally. Do not simply pick the cheapest or most expensive — weigh features according to who you are.",
-  );
-
-  return lines.join("\n");
-}
-
-function buildInstructionsSection(alternativeIds) {
-  const idList = [...alternativeIds, "NONE"].map((id) => `"${id}"`).join(", ");
-
-  return `## Decision Instructions
-
-Evaluate each option based on your persona. Think about which features matter most to someone like you, then choose the ONE best option, or choose NONE if nothing is good enough.
-
-Respond with ONLY a valid JSON object (no markdown fences, no commentary outside the JSON):
-
-{
-  "chosenAlternativeId": "<one of: ${idList}>",
-  "reason": "<1–2 sentence explanation of WHY you chose this, in first person>",
-  "confidence": <number between 0.0 and 1.0>,
-  "reasonCodes": ["<feature_key_1>", "<feature_key_2>"]
-}
-
-- **chosenAlternativeId**: must be one of the provided IDs exactly, or "NONE".
-- **reason**: brief, in-character explanation.
-- **confidence**: how sure you are (0.0 = random guess, 1.0 = absolutely certain).
-- **reasonCodes**: the 1–3 feature keys that most influenced your decision.`;
-}
-
 // ---------------------------------------------------------------------------
 // Main server action
 // ---------------------------------------------------------------------------
@@ -223,6 +137,9 @@ function extractJsonObject(text) {
   }
 }
 
+/** Follow-up turns allowed to fix an unparsable or invalid decision reply */
+const MAX_DECISION_REPAIRS = 2;
+
 function normalizeChoice(rawChoice, alternatives, alternativeIds) {
   const normalized = String(rawChoice || "")
     .trim()
@@ -253,6 +170,290 @@ function normalizeChoice(rawChoice, alternatives, alternativeIds) {
   return null;
 }
 
+/**
+ * Check a best-worst reply: two different shown items, never "NONE"
+ */
+function validateBestWorstReply(parsed, alternatives, alternativeIds) {
+  const bestRaw = parsed?.bestAlternativeId ?? parsed?.best;
+  const worstRaw = parsed?.worstAlternativeId ?? parsed?.worst;
+  const best = normalizeChoice(bestRaw, alternatives, alternativeIds);
+  const worst = normalizeChoice(worstRaw, alternatives, alternativeIds);
+  let problem = null;
+  if (!best || best === "NONE") {
+    problem = `best "${bestRaw ?? ""}" is not one of the option IDs`;
+  } else if (!worst || worst === "NONE") {
+    problem = `worst "${worstRaw ?? ""}" is not one of the option IDs`;
+  } else if (best === worst) {
+    problem = "best and worst must be different options";
+  }
+  if (problem) {
+    return { kind: "choice", problem, parsed, chosenRaw: bestRaw };
+  }
+  return { parsed, choice: best, worst };
+}
+
+/**
+ * Check a ranking reply: every shown item exactly once; the top-ranked item
+ * is the choice
+ */
+function validateRankingReply(parsed, alternatives, alternativeIds) {
+  const raw = parsed?.ranking;
+  if (!Array.isArray(raw)) {
+    return {
+      kind: "choice",
+      problem: "ranking must be a list of option IDs",
+      parsed,
+      chosenRaw: raw,
+    };
+  }
+  const ranking = raw.map((id) =>
+    normalizeChoice(id, alternatives, alternativeIds),
+  );
+  let problem = null;
+  const unknown = raw.find((_, i) => !ranking[i] || ranking[i] === "NONE");
+  if (unknown !== undefined) {
+    problem = `"${unknown ?? ""}" is not one of the option IDs`;
+  } else if (
+    new Set(ranking).size !== ranking.length ||
+    ranking.length !== alternativeIds.length
+  ) {
+    problem = `ranking must list each of the ${alternativeIds.length} options exactly once`;
+  }
+  if (problem) {
+    return { kind: "choice", problem, parsed, chosenRaw: raw[0] };
+  }
+  return { parsed, choice: ranking[0], ranking };
+}
+
+/**
+ * Check an allocation reply: whole, non-negative units per shown item adding
+ * up to allocationUnits; the item with the most units is the choice
+ */
+function validateAllocationReply(
+  parsed,
+  alternatives,
+  alternativeIds,
+  allocationUnits,
+) {
+  const raw = parsed?.allocation;
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return {
+      kind: "choice",
+      problem: "allocation must be an object of units per option ID",
+      parsed,
+      chosenRaw: raw,
+    };
+  }
+  const allocation = Object.fromEntries(alternativeIds.map((id) => [id, 0]));
+  let problem = null;
+  for (const [key, value] of Object.entries(raw)) {
+    const id = normalizeChoice(key, alternatives, alternativeIds);
+    const units = Number(value);
+    if (!id || id === "NONE") {
+      problem = `"${key}" is not one of the option IDs`;
+      break;
+    }
+    if (!Number.isInteger(units) || units < 0) {
+      problem = `units for "${id}" must be a whole number of 0 or more`;
+      break;
+    }
+    allocation[id] += units;
+  }
+  const total = Object.values(allocation).reduce((sum, u) => sum + u, 0);
+  if (!problem && total !== allocationUnits) {
+    problem = `the units add up to ${total}, not ${allocationUnits}`;
+  }
+  if (problem) {
+    return { kind: "choice", problem, parsed, chosenRaw: JSON.stringify(raw) };
+  }
+  const choice = alternativeIds.reduce((best, id) =>
+    allocation[id] > allocation[best] ? id : best,
+  );
+  return { parsed, choice, allocation };
+}
+
+/**
+ * Check a decision reply against the shown choice set.
+ * Returns the parsed reply and its normalized choice (plus the worst item in
+ * best-worst tasks, the full order in ranking tasks or the units per item in
+ * allocation tasks), or the problem to send back in a repair turn ("parse":
+ * not JSON, "choice": no valid option).
+ */
+function validateDecisionReply(
+  content,
+  alternatives,
+  alternativeIds,
+  allowNone,
+  responseFormat,
+  allocationUnits,
+) {
+  if (!content) return { kind: "empty", problem: "it was empty" };
+
+  let parsed;
+  try {
+    parsed = extractJsonObject(content);
+  } catch (parseErr) {
+    return {
+      kind: "parse",
+      problem: `it was not a JSON object (${parseErr.message})`,
+      parseError: parseErr,
+    };
+  }
+
+  if (responseFormat === ResponseFormat.BEST_WORST) {
+    return validateBestWorstReply(parsed, alternatives, alternativeIds);
+  }
+  if (responseFormat === ResponseFormat.RANKING) {
+    return validateRankingReply(parsed, alternatives, alternativeIds);
+  }
+  if (responseFormat === ResponseFormat.ALLOCATION) {
+    return validateAllocationReply(
+      parsed,
+      alternatives,
+      alternativeIds,
+      allocationUnits,
+    );
+  }
+
+  const chosenRaw =
+    parsed?.chosenAlternativeId ||
+    parsed?.chosen_alternative_id ||
+    parsed?.chosen;
+  const choice = normalizeChoice(chosenRaw, alternatives, alternativeIds);
+  if (!choice || (choice === "NONE" && !allowNone)) {
+    return {
+      kind: "choice",
+      problem:
+        choice === "NONE"
+          ? "NONE is not allowed in this task"
+          : `"${chosenRaw ?? ""}" is not one of the option IDs`,
+      parsed,
+      chosenRaw,
+    };
+  }
+  return { parsed, choice };
+}
+
+/** Pros and cons kept per option in a stored evaluation */
+const MAX_EVALUATION_POINTS = 5;
+
+function cleanPoints(list) {
+  return Array.isArray(list)
+    ? list
+        .filter((point) => typeof point === "string" && point.trim())
+        .map((point) => point.trim())
+        .slice(0, MAX_EVALUATION_POINTS)
+    : [];
+}
+
+/**
+ * Parse a deliberation reply into one evaluation per shown option.
+ * Unknown options and features are dropped and scores clamped to the
+ * stated range; null when nothing usable remains.
+ */
+function parseEvaluation(content, alternativeIds, featureKeys) {
+  let parsed;
+  try {
+    parsed = extractJsonObject(content || "");
+  } catch {
+    return null;
+  }
+  const list = Array.isArray(parsed?.evaluations) ? parsed.evaluations : [];
+  const seen = new Set();
+  const evaluation = [];
+  for (const entry of list) {
+    const id = alternativeIds.find(
+      (altId) =>
+        altId.toLowerCase() ===
+        String(entry?.alternativeId || "")
+          .trim()
+          .toLowerCase(),
+    );
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+
+    const featureScores = {};
+    for (const [key, value] of Object.entries(entry.featureScores || {})) {
+      const score = Number(value);
+      if (!featureKeys.has(key) || !Number.isFinite(score)) continue;
+      featureScores[key] = Math.min(
+        FEATURE_SCORE_MAX,
+        Math.max(FEATURE_SCORE_MIN, score),
+      );
+    }
+    evaluation.push({
+      alternativeId: id,
+      pros: cleanPoints(entry.pros),
+      cons: cleanPoints(entry.cons),
+      featureScores,
+    });
+  }
+  return evaluation.length ? evaluation : null;
+}
+
+/**
+ * Parse a dual-response purchase check reply; null when it gives no answer
+ */
+function parsePurchaseCheck(content) {
+  if (!content) return null;
+  let parsed;
+  try {
+    parsed = extractJsonObject(content);
+  } catch {
+    return null;
+  }
+  const raw = parsed?.wouldBuy ?? parsed?.would_buy;
+  const answer = String(raw ?? "")
+    .trim()
+    .toLowerCase();
+  let wouldBuy = null;
+  if (raw === true || answer === "true" || answer === "yes") wouldBuy = true;
+  if (raw === false || answer === "false" || answer === "no") wouldBuy = false;
+  if (wouldBuy === null) return null;
+  return {
+    wouldBuy,
+    reason: typeof parsed.reason === "string" ? parsed.reason.trim() : "",
+  };
+}
+
+/**
+ * Ask the dual-response follow-up. A failed or unusable answer leaves the
+ * purchase check empty rather than losing the choice; only replay cache
+ * misses are rethrown.
+ */
+async function askPurchaseCheck(model, messages, { cacheMode, cacheVariant }) {
+  try {
+    const result = await invoke_llm(model, messages, {
+      jsonMode: true,
+      jsonSchema: buildPurchaseCheckSchema(),
+      maxRetries: 2,
+      cache: cacheMode,
+      cacheVariant,
+    });
+    const check = parsePurchaseCheck(result.content);
+    if (!check) {
+      console.warn("[getAgentDecision] Unusable purchase check, left unset");
+    }
+    return { check, usage: result.usage };
+  } catch (err) {
+    if (err.errorType === ErrorType.CACHE_MISS) throw err;
+    console.error("[getAgentDecision] Purchase check failed:", err);
+    return { check: null, usage: err.usage };
+  }
+}
+
+/** Sum the usage of a decision's calls (evaluation, first reply and repair turns) */
+function addCallUsage(total, usage) {
+  if (!total) return usage ? { ...usage } : null;
+  return {
+    promptTokens: total.promptTokens + (usage?.promptTokens || 0),
+    completionTokens: total.completionTokens + (usage?.completionTokens || 0),
+    latencyMs: total.latencyMs + (usage?.latencyMs || 0),
+    retries: total.retries + (usage?.retries || 0),
+    cached: Boolean(total.cached && usage?.cached),
+  };
+}
+
 function createConcurrencyRunner(limit) {
   const max = Math.max(1, Number.parseInt(limit, 10) || 1);
   const queue = [];
@@ -279,21 +480,179 @@ function createConcurrencyRunner(limit) {
     });
 }
 
+/** Utility scale of the stub's logit split in allocation tasks */
+const STUB_ALLOCATION_SCALE = 2;
+
+/**
+ * Split whole units across ids in proportion to their logit shares, by
+ * largest remainder
+ */
+function splitUnits(utilities, units) {
+  const ids = Object.keys(utilities);
+  const max = Math.max(...Object.values(utilities));
+  const weights = ids.map((id) =>
+    Math.exp(STUB_ALLOCATION_SCALE * (utilities[id] - max)),
+  );
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const exact = weights.map((w) => (w / total) * units);
+  const allocation = Object.fromEntries(
+    ids.map((id, i) => [id, Math.floor(exact[i])]),
+  );
+  let left = units - Object.values(allocation).reduce((sum, u) => sum + u, 0);
+  const byRemainder = ids
+    .map((id, i) => ({ id, rest: exact[i] - allocation[id] }))
+    .sort((a, b) => b.rest - a.rest);
+  for (const { id } of byRemainder) {
+    if (left-- <= 0) break;
+    allocation[id]++;
+  }
+  return allocation;
+}
+
+/**
+ * The stub buys its forced choice when that would have beaten "None"
+ */
+function getStubPurchaseCheck(result) {
+  const wouldBuy = result.utilities[result.chosen] >= NONE_UTILITY_THRESHOLD;
+  return {
+    wouldBuy,
+    wouldBuyReason: wouldBuy
+      ? "It is worth the price to me."
+      : "It was the best of these, but I would not spend money on it.",
+  };
+}
+
+/**
+ * Offline decision provider for the "stub" model tag.
+ * Runs the utility-based simulateChoice in-process, seeded by the agent id
+ * and the shown choice set, so the same run plan always yields the same
+ * answers without API keys or network access.
+ */
+function getStubDecision({
+  agent,
+  alternatives,
+  features,
+  allowNone,
+  responseFormat,
+  allocationUnits,
+  dualResponse,
+}) {
+  const random = createSeededRandom(
+    `${agent?.id || "agent"}:${alternatives.map((a) => a.id).join(",")}`,
+  );
+  const singleChoice = responseFormat === ResponseFormat.CHOICE;
+  const result = simulateChoice({
+    agent: agent || {},
+    alternatives,
+    features,
+    includeNone: allowNone && singleChoice,
+    random: () => random.next(),
+  });
+  const allocation =
+    responseFormat === ResponseFormat.ALLOCATION
+      ? splitUnits(result.utilities, allocationUnits)
+      : null;
+
+  return {
+    chosenAlternativeId: allocation
+      ? result.ranking.reduce((best, id) =>
+          allocation[id] > allocation[best] ? id : best,
+        )
+      : result.chosen,
+    ...(responseFormat === ResponseFormat.BEST_WORST && {
+      worstAlternativeId: result.ranking.at(-1),
+    }),
+    ...(responseFormat === ResponseFormat.RANKING && {
+      ranking: result.ranking,
+    }),
+    ...(allocation && { allocation }),
+    ...(dualResponse && getStubPurchaseCheck(result)),
+    reason: result.explanation,
+    confidence: result.confidence,
+    reasonCodes: result.reasonCodes,
+    decisionStatus: DecisionStatus.OK,
+    rawText: null,
+    usage: {
+      model: STUB_MODEL_TAG,
+      promptTokens: 0,
+      completionTokens: 0,
+      latencyMs: 0,
+      retries: 0,
+      costUsd: 0,
+    },
+  };
+}
+
+/**
+ * Per-decision usage record: tokens, latency and retries from invoke_llm,
+ * plus cost from the price table (null when the model is unpriced) and the
+ * number of repair turns
+ */
+function buildDecisionUsage(model, usage, repairs = 0) {
+  return {
+    model,
+    promptTokens: usage?.promptTokens || 0,
+    completionTokens: usage?.completionTokens || 0,
+    latencyMs: usage?.latencyMs || 0,
+    retries: usage?.retries || 0,
+    costUsd: estimateCost(model, usage),
+    cached: Boolean(usage?.cached),
+    repairs,
+  };
+}
+
 /**
  * Get an LLM-powered decision for a synthetic agent.
  *
+ * The reply is held to a JSON schema of the shown option ids and feature
+ * keys (structured output, or a forced tool call on Anthropic) and then
+ * validated. An unparsable reply or an unknown option gets up to
+ * MAX_DECISION_REPAIRS repair turns before falling back to "NONE" with a
+ * warning. Every answer carries its decisionStatus and the model's last
+ * reply (rawText).
+ *
+ * Best-worst (MaxDiff) tasks ask for two different shown items; the best is
+ * returned as chosenAlternativeId and the worst as worstAlternativeId.
+ * Ranking tasks return the full order as `ranking` and allocation tasks the
+ * units per shown item as `allocation`; chosenAlternativeId is then the top
+ * ranked item or the one with the most units.
+ *
+ * With `dualResponse`, the choice is forced (no "NONE") and a follow-up turn
+ * asks whether the agent would actually buy the chosen option; the answer is
+ * returned as wouldBuy (null when the follow-up gave no usable answer).
+ *
+ * With `deliberate`, the agent first writes a private evaluation of every
+ * option (pros, cons, a score per feature) in its own call, then commits to
+ * a choice in a second turn that sees that evaluation. The parsed
+ * evaluation is returned with the decision; an unusable one is dropped and
+ * the choice is still asked for.
+ *
  * @param {object} params
  * @param {object} params.agent       — { segmentId, label, traits: { personality, location, priceSensitivity, riskTolerance, consistency } }
  * @param {object[]} params.alternatives — [{ id, name, features: {...} }]
  * @param {object} params.experiment  — { name, description, featureSchema: { features: [...] } }
  * @param {string} params.modelTag    — segment model tag (e.g. "google/gemini-2.5-flash")
- * @returns {Promise<{ chosenAlternativeId: string, reason: string, confidence: number, reasonCodes: string[], error?: string }>}
+ * @param {boolean} [params.allowNone] — whether "NONE" is offered (default true)
+ * @param {string} [params.cacheMode] — response cache mode for invoke_llm ("off" | "use" | "replay"; default from env)
+ * @param {string} [params.cacheVariant] — keeps this decision's cache entry apart from other agents and tasks with the same prompt
+ * @param {boolean} [params.deliberate] — evaluate every option before choosing (default false)
+ * @param {string} [params.responseFormat] — ResponseFormat of the task (default "choice")
+ * @param {number} [params.allocationUnits] — units to split in allocation tasks
+ * @param {boolean} [params.dualResponse] — ask "would you actually buy it?" after the choice (default false)
+ * @returns {Promise<{ chosenAlternativeId: string, worstAlternativeId?: string, ranking?: string[], allocation?: Object<string, number>, wouldBuy?: boolean | null, wouldBuyReason?: string, reason: string, confidence: number, reasonCodes: string[], decisionStatus?: string, rawText?: string | null, evaluation?: import('@/models/firestore').AlternativeEvaluation[] | null, usage?: object, error?: string }>}
  */
 export async function getAgentDecision({
   agent,
   alternatives,
   experiment,
   modelTag,
+  allowNone = true,
+  cacheMode,
+  cacheVariant,
+  deliberate = false,
+  responseFormat = ResponseFormat.CHOICE,
+  allocationUnits = DEFAULT_ALLOCATION_UNITS,
+  dualResponse = false,
 }) {
   if (!alternatives || alternatives.length === 0) {
     return {
@@ -309,102 +668,625 @@ export async function getAgentDecision({
   const featureKeys = new Set(features.map((f) => f.key));
   const alternativeIds = alternatives.map((a) => a.id);
 
-  // Build prompt sections
-  const systemPrompt = [
-    "You are a synthetic consumer persona participating in a choice experiment. Your job is to evaluate the available options and pick the one that best fits your profile.",
-    "",
-    buildExperimentContext(experiment),
-    "",
-    buildFeatureSchemaSection(features),
-    "",
-    buildAlternativesSection(alternatives, features),
-    "",
-    buildPersonaSection(agent),
-    "",
-    buildInstructionsSection(alternativeIds),
-  ].join("\n");
-
-  const messages = [
-    { role: "system", content: systemPrompt },
-    { role: "user", content: "Make your choice now." },
-  ];
+  if (modelTag === STUB_MODEL_TAG) {
+    return getStubDecision({
+      agent,
+      alternatives,
+      features,
+      allowNone,
+      responseFormat,
+      allocationUnits,
+      dualResponse,
+    });
+  }
 
-  const model = resolveModel(modelTag);
+  const messages = buildDecisionMessages({
+    agent,
+    alternatives,
+    experiment,
+    allowNone,
+    deliberate,
+    responseFormat,
+    allocationUnits,
+  });
 
+  const model = resolveModel(modelTag);
+  const jsonSchema = buildDecisionSchema({
+    alternatives,
+    experiment,
+    allowNone,
+    responseFormat,
+    allocationUnits,
+  });
+  const validIds =
+    allowNone && responseFormat === ResponseFormat.CHOICE
+      ? [...alternativeIds, "NONE"]
+      : alternativeIds;
+
+  let conversation = messages;
+  let callUsage = null;
+  let check;
+  let rawText = null;
+  let evaluation = null;
+  let purchaseCheck = null;
+  let repairs = 0;
   try {
-    const result = await invoke_llm(model, messages, {
-      jsonMode: true,
-      maxRetries: 2,
-    });
+    if (deliberate) {
+      const result = await invoke_llm(model, messages, {
+        jsonMode: true,
+        jsonSchema: buildEvaluationSchema({ alternatives, experiment }),
+        maxRetries: 2,
+        cache: cacheMode,
+        cacheVariant,
+      });
+      callUsage = addCallUsage(callUsage, result.usage);
+      evaluation = parseEvaluation(result.content, alternativeIds, featureKeys);
+      if (!evaluation) {
+        console.warn(
+          "[getAgentDecision] Unusable evaluation, choosing without it",
+        );
+      }
+      // An empty evaluation reply leaves nothing to build on
+      conversation = result.content
+        ? buildCommitMessages(messages, result.content)
+        : buildDecisionMessages({
+            agent,
+            alternatives,
+            experiment,
+            allowNone,
+            responseFormat,
+            allocationUnits,
+          });
+    }
+
+    for (;;) {
+      const result = await invoke_llm(model, conversation, {
+        jsonMode: true,
+        jsonSchema,
+        maxRetries: 2,
+        cache: cacheMode,
+        cacheVariant,
+      });
+      callUsage = addCallUsage(callUsage, result.usage);
+      rawText = result.content;
+      check = validateDecisionReply(
+        result.content,
+        alternatives,
+        alternativeIds,
+        allowNone,
+        responseFormat,
+        allocationUnits,
+      );
+      if (check.choice || repairs >= MAX_DECISION_REPAIRS) break;
+
+      repairs++;
+      conversation = [
+        ...conversation,
+        ...(result.content
+          ? [{ role: "assistant", content: result.content }]
+          : []),
+        buildRepairMessage(check.problem, validIds),
+      ];
+    }
 
-    if (!result.content) {
+    if (dualResponse && check.choice && check.choice !== "NONE") {
+      const followUp = await askPurchaseCheck(
+        model,
+        buildPurchaseCheckMessages(
+          conversation,
+          rawText,
+          alternatives.find((a) => a.id === check.choice),
+        ),
+        { cacheMode, cacheVariant },
+      );
+      callUsage = addCallUsage(callUsage, followUp.usage);
+      purchaseCheck = followUp.check;
+    }
+  } catch (err) {
+    const usage = buildDecisionUsage(
+      model,
+      addCallUsage(callUsage, err.usage),
+      repairs,
+    );
+    if (err.errorType === ErrorType.CACHE_MISS) {
+      // Replays never fall back to a made-up answer
       return {
-        error: "Empty LLM response",
+        error: err.message,
         chosenAlternativeId: null,
         reason: "",
         confidence: 0,
         reasonCodes: [],
+        decisionStatus: DecisionStatus.LLM_ERROR,
+        rawText,
+        usage,
       };
     }
+    console.error("[getAgentDecision] LLM error:", err);
+    return {
+      chosenAlternativeId: "NONE",
+      reason: "I could not evaluate the options in time, so I chose nothing.",
+      confidence: 0.05,
+      reasonCodes: [],
+      warning: err.message || "LLM invocation failed",
+      decisionStatus: DecisionStatus.LLM_ERROR,
+      rawText,
+      evaluation,
+      usage,
+    };
+  }
+
+  const usage = buildDecisionUsage(model, callUsage, repairs);
+
+  if (check.kind === "empty") {
+    return {
+      error: "Empty LLM response",
+      chosenAlternativeId: null,
+      reason: "",
+      confidence: 0,
+      reasonCodes: [],
+      decisionStatus: DecisionStatus.LLM_ERROR,
+      rawText,
+      evaluation,
+      usage,
+    };
+  }
+
+  if (check.kind === "parse") {
+    return {
+      chosenAlternativeId: "NONE",
+      reason:
+        "I could not confidently parse all options, so I skipped this round.",
+      confidence: 0.1,
+      reasonCodes: [],
+      warning: `Parse fallback: ${check.parseError.message}`,
+      decisionStatus: DecisionStatus.PARSE_FALLBACK,
+      rawText,
+      evaluation,
+      usage,
+    };
+  }
 
-    let parsed;
-    try {
-      parsed = extractJsonObject(result.content);
-    } catch (parseErr) {
+  if (check.kind === "choice") {
+    return {
+      chosenAlternativeId: "NONE",
+      reason:
+        check.parsed.reason ||
+        "I could not map a valid option, so I chose nothing.",
+      confidence: 0.1,
+      reasonCodes: [],
+      warning: `Invalid choice "${check.chosenRaw}"`,
+      decisionStatus: DecisionStatus.INVALID_CHOICE,
+      rawText,
+      evaluation,
+      usage,
+    };
+  }
+
+  const { parsed } = check;
+  const normalizedReasonCodes = Array.isArray(parsed.reasonCodes)
+    ? parsed.reasonCodes
+        .filter((code) => typeof code === "string" && featureKeys.has(code))
+        .slice(0, 3)
+    : [];
+
+  return {
+    chosenAlternativeId: check.choice,
+    ...(check.worst && { worstAlternativeId: check.worst }),
+    ...(check.ranking && { ranking: check.ranking }),
+    ...(check.allocation && { allocation: check.allocation }),
+    ...(dualResponse && {
+      wouldBuy: purchaseCheck?.wouldBuy ?? null,
+      wouldBuyReason: purchaseCheck?.reason || "",
+    }),
+    reason: parsed.reason || "Made a choice based on overall evaluation.",
+    confidence: Math.min(1, Math.max(0, Number(parsed.confidence) || 0.5)),
+    reasonCodes: normalizedReasonCodes,
+    decisionStatus: repairs > 0 ? DecisionStatus.REPAIRED : DecisionStatus.OK,
+    rawText,
+    evaluation,
+    usage,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Questionnaires (pricing studies and Kano)
+// ---------------------------------------------------------------------------
+
+/**
+ * Ask one questionnaire question (pricing or Kano) with up to
+ * MAX_DECISION_REPAIRS repair turns. Returns the usable reply check with
+ * its raw text, usage and repair count, or `failure`: the answer to return
+ * when the call failed or the reply never became usable.
+ *
+ * @param {object} params
+ * @param {string} params.model — resolved model id
+ * @param {{ role: string, content: string }[]} params.messages
+ * @param {{ name: string, schema: object }} params.jsonSchema
+ * @param {(content: string) => object} params.validate — reply check with `kind` and `problem` when unusable
+ * @param {(problem: string) => object} params.buildRepair — repair turn for a problem
+ * @param {string} params.topic — what was asked, for warnings and fallback reasons
+ * @param {string} [params.cacheMode]
+ * @param {string} [params.cacheVariant]
+ */
+async function askSurveyQuestion({
+  model,
+  messages,
+  jsonSchema,
+  validate,
+  buildRepair,
+  topic,
+  cacheMode,
+  cacheVariant,
+}) {
+  let conversation = messages;
+  let callUsage = null;
+  let check;
+  let rawText = null;
+  let repairs = 0;
+  try {
+    for (;;) {
+      const result = await invoke_llm(model, conversation, {
+        jsonMode: true,
+        jsonSchema,
+        maxRetries: 2,
+        cache: cacheMode,
+        cacheVariant,
+      });
+      callUsage = addCallUsage(callUsage, result.usage);
+      rawText = result.content;
+      check = validate(result.content);
+      if (!check.problem || repairs >= MAX_DECISION_REPAIRS) break;
+
+      repairs++;
+      conversation = [
+        ...conversation,
+        ...(result.content
+          ? [{ role: "assistant", content: result.content }]
+          : []),
+        buildRepair(check.problem),
+      ];
+    }
+  } catch (err) {
+    const usage = buildDecisionUsage(
+      model,
+      addCallUsage(callUsage, err.usage),
+      repairs,
+    );
+    if (err.errorType === ErrorType.CACHE_MISS) {
       return {
-        chosenAlternativeId: "NONE",
-        reason:
-          "I could not confidently parse all options, so I skipped this round.",
-        confidence: 0.1,
-        reasonCodes: [],
-        warning: `Parse fallback: ${parseErr.message}`,
+        failure: {
+          error: err.message,
+          reason: "",
+          decisionStatus: DecisionStatus.LLM_ERROR,
+          rawText,
+          usage,
+        },
       };
     }
+    console.error(`[askSurveyQuestion] LLM error (${topic}):`, err);
+    return {
+      failure: {
+        reason: `I could not answer the ${topic} question in time.`,
+        warning: err.message || "LLM invocation failed",
+        decisionStatus: DecisionStatus.LLM_ERROR,
+        rawText,
+        usage,
+      },
+    };
+  }
 
-    const chosenRaw =
-      parsed.chosenAlternativeId ||
-      parsed.chosen_alternative_id ||
-      parsed.chosen;
-    const normalizedChoice = normalizeChoice(
-      chosenRaw,
-      alternatives,
-      alternativeIds,
-    );
+  const usage = buildDecisionUsage(model, callUsage, repairs);
+
+  if (check.kind === "empty") {
+    return {
+      failure: {
+        error: "Empty LLM response",
+        reason: "",
+        decisionStatus: DecisionStatus.LLM_ERROR,
+        rawText,
+        usage,
+      },
+    };
+  }
+
+  if (check.problem) {
+    return {
+      failure: {
+        reason: check.parsed?.reason || "",
+        warning: `Unusable ${topic} answer: ${check.problem}`,
+        decisionStatus:
+          check.kind === "parse"
+            ? DecisionStatus.PARSE_FALLBACK
+            : DecisionStatus.INVALID_CHOICE,
+        rawText,
+        usage,
+      },
+    };
+  }
 
-    if (!normalizedChoice) {
+  return { check, rawText, usage, repairs };
+}
+
+// ---------------------------------------------------------------------------
+// Pricing studies
+// ---------------------------------------------------------------------------
+
+/** A price the model may have written as text, e.g. "$1,299.00" */
+function parsePrice(value) {
+  if (typeof value === "number") return value;
+  const price = Number.parseFloat(String(value ?? "").replace(/[^0-9.]/g, ""));
+  return Number.isFinite(price) ? price : null;
+}
+
+/**
+ * Check a pricing reply. Returns the parsed reply and its answer (the four
+ * Van Westendorp thresholds, or a purchase likelihood), or the problem to
+ * send back in a repair turn ("parse": not JSON, "answer": no valid answer).
+ */
+function validatePricingReply(content, responseFormat) {
+  if (!content) return { kind: "empty", problem: "it was empty" };
+
+  let parsed;
+  try {
+    parsed = extractJsonObject(content);
+  } catch (parseErr) {
+    return {
+      kind: "parse",
+      problem: `it was not a JSON object (${parseErr.message})`,
+      parseError: parseErr,
+    };
+  }
+
+  if (responseFormat === ResponseFormat.PURCHASE_LIKELIHOOD) {
+    const likelihood = Number(parsed?.likelihood);
+    if (
+      !Number.isInteger(likelihood) ||
+      likelihood < PURCHASE_LIKELIHOOD_MIN ||
+      likelihood > PURCHASE_LIKELIHOOD_MAX
+    ) {
       return {
-        chosenAlternativeId: "NONE",
-        reason:
-          parsed.reason ||
-          "I could not map a valid option, so I chose nothing.",
-        confidence: 0.1,
-        reasonCodes: [],
-        warning: `Invalid choice "${chosenRaw}"`,
+        kind: "answer",
+        problem: `likelihood must be a whole number from ${PURCHASE_LIKELIHOOD_MIN} to ${PURCHASE_LIKELIHOOD_MAX}`,
+        parsed,
       };
     }
+    return { parsed, purchaseLikelihood: likelihood };
+  }
 
-    const normalizedReasonCodes = Array.isArray(parsed.reasonCodes)
-      ? parsed.reasonCodes
-          .filter((code) => typeof code === "string" && featureKeys.has(code))
-          .slice(0, 3)
-      : [];
+  const priceThresholds = Object.fromEntries(
+    PRICE_THRESHOLD_KEYS.map((key) => [key, parsePrice(parsed?.[key])]),
+  );
+  const problem = checkPriceThresholds(priceThresholds);
+  if (problem) return { kind: "answer", problem, parsed };
+  return { parsed, priceThresholds };
+}
 
+/**
+ * Offline pricing answers for the "stub" model tag. Seeded by the agent id
+ * alone, so an agent keeps one willingness to pay across every price it is
+ * asked about.
+ */
+function getStubPricingAnswer({ agent, experiment, responseFormat, price }) {
+  const random = createSeededRandom(`${agent?.id || "agent"}:pricing`);
+  const params = {
+    agent: agent || {},
+    referencePrice: getReferencePrice(experiment?.pricingPlan),
+    random: () => random.next(),
+  };
+  const answer =
+    responseFormat === ResponseFormat.PURCHASE_LIKELIHOOD
+      ? simulatePurchaseLikelihood({ ...params, price })
+      : simulatePriceThresholds(params);
+
+  return {
+    ...(answer.priceThresholds && { priceThresholds: answer.priceThresholds }),
+    ...(answer.purchaseLikelihood && {
+      purchaseLikelihood: answer.purchaseLikelihood,
+    }),
+    reason: answer.explanation,
+    decisionStatus: DecisionStatus.OK,
+    rawText: null,
+    usage: {
+      model: STUB_MODEL_TAG,
+      promptTokens: 0,
+      completionTokens: 0,
+      latencyMs: 0,
+      retries: 0,
+      costUsd: 0,
+    },
+  };
+}
+
+/**
+ * Get a synthetic agent's answer to a pricing study question.
+ *
+ * Van Westendorp questions (ResponseFormat.PRICE_THRESHOLDS) ask for the
+ * four price thresholds of the experiment's product; Gabor-Granger
+ * questions (ResponseFormat.PURCHASE_LIKELIHOOD) ask how likely the agent
+ * is to buy it at `price`, from 1 to 5. The persona is built as in
+ * getAgentDecision.
+ *
+ * Replies are held to a JSON schema and validated; an unusable reply gets
+ * up to MAX_DECISION_REPAIRS repair turns. A reply that never becomes
+ * usable, or a failed call, returns no answer with a fallback
+ * decisionStatus; a replay cache miss returns `error`.
+ *
+ * @param {object} params
+ * @param {object} params.agent       — { segmentId, label, traits }
+ * @param {object} params.experiment  — { name, description, pricingPlan }
+ * @param {string} params.modelTag    — segment model tag
+ * @param {string} params.responseFormat — ResponseFormat.PRICE_THRESHOLDS or PURCHASE_LIKELIHOOD
+ * @param {number} [params.price]     — asked price (purchase likelihood questions)
+ * @param {string} [params.cacheMode] — response cache mode for invoke_llm
+ * @param {string} [params.cacheVariant] — keeps this answer's cache entry apart from other agents and questions
+ * @returns {Promise<{ priceThresholds?: Object<string, number>, purchaseLikelihood?: number, reason: string, decisionStatus: string, rawText: string | null, usage: object, warning?: string, error?: string }>}
+ */
+export async function getPricingAnswer({
+  agent,
+  experiment,
+  modelTag,
+  responseFormat,
+  price,
+  cacheMode,
+  cacheVariant,
+}) {
+  if (modelTag === STUB_MODEL_TAG) {
+    return getStubPricingAnswer({ agent, experiment, responseFormat, price });
+  }
+
+  const asked = await askSurveyQuestion({
+    model: resolveModel(modelTag),
+    messages: buildPricingMessages({
+      agent,
+      experiment,
+      responseFormat,
+      price,
+    }),
+    jsonSchema: buildPricingSchema(responseFormat),
+    validate: (content) => validatePricingReply(content, responseFormat),
+    buildRepair: buildPricingRepairMessage,
+    topic: "pricing",
+    cacheMode,
+    cacheVariant,
+  });
+  if (asked.failure) return asked.failure;
+
+  const { check, rawText, usage, repairs } = asked;
+  return {
+    ...(check.priceThresholds && { priceThresholds: check.priceThresholds }),
+    ...(check.purchaseLikelihood && {
+      purchaseLikelihood: check.purchaseLikelihood,
+    }),
+    reason: check.parsed.reason || "Answered based on what it is worth to me.",
+    decisionStatus: repairs > 0 ? DecisionStatus.REPAIRED : DecisionStatus.OK,
+    rawText,
+    usage,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Kano questionnaires
+// ---------------------------------------------------------------------------
+
+/** A Kano answer the model may have written in its own case or spacing */
+function parseKanoAnswer(value) {
+  const answer = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  return Object.values(KanoAnswer).includes(answer) ? answer : null;
+}
+
+/**
+ * Check a Kano reply. Returns the parsed reply and its functional and
+ * dysfunctional answers, or the problem to send back in a repair turn.
+ */
+function validateKanoReply(content) {
+  if (!content) return { kind: "empty", problem: "it was empty" };
+
+  let parsed;
+  try {
+    parsed = extractJsonObject(content);
+  } catch (parseErr) {
     return {
-      chosenAlternativeId: normalizedChoice,
-      reason: parsed.reason || "Made a choice based on overall evaluation.",
-      confidence: Math.min(1, Math.max(0, Number(parsed.confidence) || 0.5)),
-      reasonCodes: normalizedReasonCodes,
+      kind: "parse",
+      problem: `it was not a JSON object (${parseErr.message})`,
+      parseError: parseErr,
     };
-  } catch (err) {
-    console.error("[getAgentDecision] LLM error:", err);
+  }
+
+  const kanoAnswers = {
+    functional: parseKanoAnswer(parsed?.functional),
+    dysfunctional: parseKanoAnswer(parsed?.dysfunctional),
+  };
+  const missing = Object.keys(kanoAnswers).filter((key) => !kanoAnswers[key]);
+  if (missing.length) {
     return {
-      chosenAlternativeId: "NONE",
-      reason: "I could not evaluate the options in time, so I chose nothing.",
-      confidence: 0.05,
-      reasonCodes: [],
-      warning: err.message || "LLM invocation failed",
+      kind: "answer",
+      problem: `${missing.join(" and ")} must be one of the listed answers`,
+      parsed,
     };
   }
+  return { parsed, kanoAnswers };
+}
+
+/**
+ * Offline Kano answers for the "stub" model tag, seeded by the agent and
+ * feature.
+ */
+function getStubKanoAnswer({ agent, feature }) {
+  const random = createSeededRandom(
+    `${agent?.id || "agent"}:kano:${feature?.key}`,
+  );
+  const answer = simulateKanoAnswers({
+    agent: agent || {},
+    feature,
+    random: () => random.next(),
+  });
+
+  return {
+    kanoAnswers: answer.kanoAnswers,
+    reason: answer.explanation,
+    decisionStatus: DecisionStatus.OK,
+    rawText: null,
+    usage: {
+      model: STUB_MODEL_TAG,
+      promptTokens: 0,
+      completionTokens: 0,
+      latencyMs: 0,
+      retries: 0,
+      costUsd: 0,
+    },
+  };
+}
+
+/**
+ * Get a synthetic agent's functional and dysfunctional Kano answers for one
+ * feature: how it would feel with the feature and without it.
+ *
+ * The persona is built as in getAgentDecision. Unusable replies get repair
+ * turns and fall back as in getPricingAnswer.
+ *
+ * @param {object} params
+ * @param {object} params.agent       — { segmentId, label, traits }
+ * @param {object} params.experiment  — { name, description }
+ * @param {import('@/models/firestore').Feature} params.feature — asked feature
+ * @param {string} params.modelTag    — segment model tag
+ * @param {string} [params.cacheMode] — response cache mode for invoke_llm
+ * @param {string} [params.cacheVariant] — keeps this answer's cache entry apart from other agents and questions
+ * @returns {Promise<{ kanoAnswers?: { functional: string, dysfunctional: string }, reason: string, decisionStatus: string, rawText: string | null, usage: object, warning?: string, error?: string }>}
+ */
+export async function getKanoAnswer({
+  agent,
+  experiment,
+  feature,
+  modelTag,
+  cacheMode,
+  cacheVariant,
+}) {
+  if (modelTag === STUB_MODEL_TAG) {
+    return getStubKanoAnswer({ agent, feature });
+  }
+
+  const asked = await askSurveyQuestion({
+    model: resolveModel(modelTag),
+    messages: buildKanoMessages({ agent, experiment, feature }),
+    jsonSchema: buildKanoSchema(),
+    validate: validateKanoReply,
+    buildRepair: buildKanoRepairMessage,
+    topic: "Kano",
+    cacheMode,
+    cacheVariant,
+  });
+  if (asked.failure) return asked.failure;
+
+  const { check, rawText, usage, repairs } = asked;
+  return {
+    kanoAnswers: check.kanoAnswers,
+    reason: check.parsed.reason || "Answered based on how I feel about it.",
+    decisionStatus: repairs > 0 ? DecisionStatus.REPAIRED : DecisionStatus.OK,
+    rawText,
+    usage,
+  };
 }
 
 // ---------------------------------------------------------------------------
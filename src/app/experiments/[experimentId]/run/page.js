@@ -3,6 +3,7 @@
 import {
   CheckCircleOutlined,
   LoadingOutlined,
+  PauseCircleOutlined,
   PlayCircleOutlined,
   SaveOutlined,
   WarningOutlined,
@@ -11,6 +12,7 @@ import {
   Alert,
   Button,
   Card,
+  InputNumber,
   message,
   Progress,
   Space,
@@ -18,21 +20,21 @@ import {
   Statistic,
   Typography,
 } from "antd";
-import { useParams, useRouter } from "next/navigation";
+import { useParams, useRouter, useSearchParams } from "next/navigation";
 import { useCallback, useEffect, useRef, useState } from "react";
 
+import { CostMeter, formatUsd } from "@/components/runner";
 import SimWorldCanvas from "@/components/simworld/SimWorldCanvas";
 import SimWorldSidebar from "@/components/simworld/SimWorldSidebar";
-import { computeResults } from "@/lib/domain/aggregate";
-import { ExperimentRunner, RunnerStatus } from "@/lib/experiment";
+import { isChoiceStudy } from "@/lib/domain/studyType";
 import {
-  addResponse,
-  createRun,
-  getAlternatives,
-  getExperiment,
-  saveResultsSummary,
-  updateRun,
-} from "@/lib/firebase/db";
+  applyConfigSnapshot,
+  ExperimentRunner,
+  loadResumeState,
+  RunCheckpoint,
+  RunnerStatus,
+} from "@/lib/experiment";
+import { getAlternatives, getExperiment } from "@/lib/firebase/db";
 
 const { Text, Title } = Typography;
 
@@ -44,7 +46,9 @@ const PageState = Object.freeze({
   LOADING: "loading", // fetching experiment data
   INIT_WORLD: "init_world", // SimWorld is attaching
   READY: "ready", // buildings placed, waiting for Run click
+  STARTING: "starting", // creating the run document and saving tasks
   RUNNING: "running", // experiment in progress
+  PAUSED: "paused", // no new agents launched; responses so far are saved
   COMPLETE: "complete", // all agents done, waiting for Save
   SAVING: "saving", // persisting to Firebase
   ERROR: "error",
@@ -58,10 +62,15 @@ export default function RunnerPage() {
   const params = useParams();
   const router = useRouter();
   const { experimentId } = params;
+  // ?resume=<runId> continues a saved run instead of starting a new one
+  const resumeRunId = useSearchParams().get("resume");
 
   // Data
   const [experiment, setExperiment] = useState(null);
   const [alternatives, setAlternatives] = useState([]);
+  const [resumeFrom, setResumeFrom] = useState(null);
+  // Optional LLM cost cap; the runner pauses the run when it is reached
+  const [budgetUsd, setBudgetUsd] = useState(null);
 
   // Page state
   const [pageState, setPageState] = useState(PageState.LOADING);
@@ -85,6 +94,11 @@ export default function RunnerPage() {
     optionsFailed: 0,
     initialSpawnTarget: 0,
     initialSpawned: 0,
+    tasksTotal: 0,
+    tasksCompleted: 0,
+    usage: null,
+    budgetUsd: null,
+    budgetExceeded: false,
   });
 
   // Sidebar data
@@ -95,6 +109,10 @@ export default function RunnerPage() {
   const [results, setResults] = useState(null);
   const [startTime, setStartTime] = useState(null);
 
+  // Checkpointing: responses are written to the run as they arrive
+  const checkpointRef = useRef(null);
+  const [checkpointErrors, setCheckpointErrors] = useState(0);
+
   // -----------------------------------------------------------------------
   // Step 1: Load experiment data from Firebase
   // -----------------------------------------------------------------------
@@ -116,7 +134,55 @@ export default function RunnerPage() {
           return;
         }
 
-        setExperiment(exp);
+        if (!isChoiceStudy(exp)) {
+          setErrorMsg(
+            "Questionnaires (pricing and Kano studies) have no store to walk; run them headlessly from the experiment page.",
+          );
+          setPageState(PageState.ERROR);
+          return;
+        }
+
+        if (resumeRunId) {
+          const state = await loadResumeState(experimentId, resumeRunId);
+          if (cancelled) return;
+          if (!state) {
+            setErrorMsg("Run not found.");
+            setPageState(PageState.ERROR);
+            return;
+          }
+          if (state.run.status === "complete") {
+            setErrorMsg("This run is already complete.");
+            setPageState(PageState.ERROR);
+            return;
+          }
+          if (state.run.replayOf) {
+            setErrorMsg(
+              "Replay runs answer from the LLM response cache; resume them headlessly from the experiment page.",
+            );
+            setPageState(PageState.ERROR);
+            return;
+          }
+
+          // Rebuild the agent queue from the run's config, not the
+          // experiment's current one, so agent ids match the saved tasks
+          setExperiment(applyConfigSnapshot(exp, state.run.configSnapshot));
+          checkpointRef.current = new RunCheckpoint({
+            experimentId,
+            runId: resumeRunId,
+            savedTasks: state.resumeFrom.tasks,
+            savedResponses: state.savedResponses,
+            usage: state.resumeFrom.usage,
+            onError: (n) => setCheckpointErrors(n),
+          });
+          setResumeFrom(state.resumeFrom);
+          setBudgetUsd(state.run.budgetUsd ?? null);
+        } else {
+          checkpointRef.current = new RunCheckpoint({
+            experimentId,
+            onError: (n) => setCheckpointErrors(n),
+          });
+          setExperiment(exp);
+        }
         setAlternatives(alts);
         setPageState(PageState.INIT_WORLD);
       } catch (err) {
@@ -131,7 +197,7 @@ export default function RunnerPage() {
     return () => {
       cancelled = true;
     };
-  }, [experimentId]);
+  }, [experimentId, resumeRunId]);
 
   // -----------------------------------------------------------------------
   // Step 2: SimWorld canvas ready → init ExperimentRunner
@@ -206,6 +272,14 @@ export default function RunnerPage() {
       onComplete: (res) => {
         setResults(res);
       },
+      onResponse: (r) => checkpointRef.current?.saveResponse(r),
+      onBudgetExceeded: () => {
+        setPageState(PageState.PAUSED);
+        checkpointRef.current?.setStatus("paused").catch((err) => {
+          console.error("Failed to mark run paused:", err);
+        });
+      },
+      resumeFrom,
     });
 
     runnerRef.current = runner;
@@ -222,14 +296,28 @@ export default function RunnerPage() {
         setErrorMsg(err.message);
         setPageState(PageState.ERROR);
       });
-  }, [worldReady, experiment, alternatives, pageState]);
+  }, [worldReady, experiment, alternatives, pageState, resumeFrom]);
 
   // -----------------------------------------------------------------------
-  // Step 3: User clicks Run
+  // Step 3: User clicks Run — the run document and its tasks are created
+  // up front so every response can be checkpointed as it arrives
   // -----------------------------------------------------------------------
-  const handleStartRun = useCallback(() => {
+  const handleStartRun = useCallback(async () => {
     const runner = runnerRef.current;
-    if (!runner) return;
+    if (!runner || !experiment) return;
+
+    runner.setBudget(budgetUsd);
+    setPageState(PageState.STARTING);
+    try {
+      await checkpointRef.current.begin(experiment, runner.tasks, {
+        budgetUsd: runner.budgetUsd,
+      });
+    } catch (err) {
+      console.error("Failed to create run:", err);
+      message.error(`Failed to start run: ${err.message}`);
+      setPageState(PageState.READY);
+      return;
+    }
 
     setPageState(PageState.RUNNING);
     setStartTime(Date.now());
@@ -239,8 +327,39 @@ export default function RunnerPage() {
       setErrorMsg(err.message);
       setPageState(PageState.ERROR);
     });
+  }, [experiment, budgetUsd]);
+
+  const handlePause = useCallback(() => {
+    runnerRef.current?.pause();
+    setPageState(PageState.PAUSED);
+    checkpointRef.current?.setStatus("paused").catch((err) => {
+      console.error("Failed to mark run paused:", err);
+    });
+  }, []);
+
+  const handleResume = useCallback(() => {
+    setPageState(PageState.RUNNING);
+    runnerRef.current?.resume();
+    checkpointRef.current?.setStatus("running").catch((err) => {
+      console.error("Failed to mark run running:", err);
+    });
   }, []);
 
+  // Raising the cap of a paused run lets it be resumed
+  const handleBudgetChange = useCallback(
+    (value) => {
+      setBudgetUsd(value);
+      if (pageState !== PageState.PAUSED) return;
+      runnerRef.current?.setBudget(value);
+      checkpointRef.current
+        ?.setBudget(value > 0 ? value : null)
+        .catch((err) => {
+          console.error("Failed to save budget:", err);
+        });
+    },
+    [pageState],
+  );
+
   // Watch for runner completing
   useEffect(() => {
     if (results && pageState === PageState.RUNNING) {
@@ -256,51 +375,19 @@ export default function RunnerPage() {
     setPageState(PageState.SAVING);
 
     try {
-      // Create the run document
-      const runId = await createRun(experimentId, {
-        status: "complete",
-        progress: {
-          totalTasks: results.totalAgents,
-          completedTasks: results.completedAgents,
-        },
-        configSnapshot: {
-          featureSchemaVersion: experiment.featureSchema?.version || 1,
-          agentPlan: experiment.agentPlan,
-        },
-        completedAt: new Date(),
-      });
-
-      // Save each response
-      const validResponses = results.responses.filter((r) => !r.error);
-      await Promise.all(
-        validResponses.map((r) =>
-          addResponse(experimentId, runId, {
-            agentId: r.agentId,
-            chosen: r.chosenAlternativeId || "NONE",
-            confidence: r.confidence,
-            reasonCodes: r.reasonCodes,
-            explanation: r.reason,
-            timings: r.timings,
-          }),
-        ),
-      );
-
-      // Compute and save results summary
-      const features = experiment.featureSchema?.features || [];
-      const segments = experiment.agentPlan?.segments || [];
-      const computed = computeResults({
-        responses: validResponses,
-        alternatives,
-        features,
-        segments,
-      });
-      await saveResultsSummary(experimentId, runId, computed);
-
-      // Update run status
-      await updateRun(experimentId, runId, { status: "complete" });
+      // Let in-flight checkpoints land, then compute from what was saved
+      const checkpoint = checkpointRef.current;
+      const completed = await checkpoint.finalize(experiment, alternatives);
+      if (!completed) {
+        message.warning(
+          `${checkpoint.missingCount || checkpoint.failedCount} tasks have no saved response. Resume the run to re-run those tasks.`,
+        );
+        router.push(`/experiments/${experimentId}`);
+        return;
+      }
 
       message.success("Results saved successfully!");
-      router.push(`/experiments/${experimentId}/results/${runId}`);
+      router.push(`/experiments/${experimentId}/results/${checkpoint.runId}`);
     } catch (err) {
       console.error("Save failed:", err);
       message.error(`Failed to save: ${err.message}`);
@@ -312,9 +399,11 @@ export default function RunnerPage() {
   // Progress helpers
   // -----------------------------------------------------------------------
   const progressPercent =
-    progress.total > 0
-      ? Math.round((progress.completed / progress.total) * 100)
+    progress.tasksTotal > 0
+      ? Math.round((progress.tasksCompleted / progress.tasksTotal) * 100)
       : 0;
+  const spentUsd = progress.usage?.total.costUsd ?? 0;
+  const overBudget = budgetUsd > 0 && spentUsd >= budgetUsd;
   const initOptionsCompleted = progress.optionsReady + progress.optionsFailed;
   const initOptionsPercent =
     progress.optionsTotal > 0
@@ -340,6 +429,23 @@ export default function RunnerPage() {
   // Render
   // -----------------------------------------------------------------------
 
+  const segmentNames = Object.fromEntries(
+    (experiment?.agentPlan?.segments || []).map((s) => [s.id, s.name]),
+  );
+
+  const renderBudgetInput = () => (
+    <InputNumber
+      value={budgetUsd}
+      onChange={handleBudgetChange}
+      min={0}
+      step={0.5}
+      precision={2}
+      prefix="$"
+      placeholder="No budget cap"
+      style={{ width: 160 }}
+    />
+  );
+
   const renderTopBar = () => {
     switch (pageState) {
       case PageState.LOADING:
@@ -395,18 +501,25 @@ export default function RunnerPage() {
                   {experiment?.name || "Experiment"}
                 </Title>
                 <Text type="secondary">
-                  {progress.total} agents &middot; {alternatives.length}{" "}
-                  alternatives
+                  {progress.total} agents &middot; {progress.tasksTotal} tasks
+                  &middot; {alternatives.length} alternatives
+                  {resumeRunId &&
+                    ` · ${progress.tasksCompleted} tasks already answered`}
+                  {spentUsd > 0 && ` · ${formatUsd(spentUsd)} spent`}
                 </Text>
               </Space>
-              <Button
-                type="primary"
-                size="large"
-                icon={<PlayCircleOutlined />}
-                onClick={handleStartRun}
-              >
-                Run Experiment
-              </Button>
+              <Space>
+                {renderBudgetInput()}
+                <Button
+                  type="primary"
+                  size="large"
+                  icon={<PlayCircleOutlined />}
+                  onClick={handleStartRun}
+                  disabled={overBudget}
+                >
+                  {resumeRunId ? "Resume Run" : "Run Experiment"}
+                </Button>
+              </Space>
             </Space>
           </Card>
         );
@@ -425,7 +538,8 @@ export default function RunnerPage() {
                     Running...
                   </Title>
                   <Text type="secondary">
-                    {progress.completed}/{progress.total} agents
+                    {progress.completed}/{progress.total} agents &middot;{" "}
+                    {progress.tasksCompleted}/{progress.tasksTotal} tasks
                   </Text>
                 </Space>
                 <Space split={<Text type="secondary">&middot;</Text>}>
@@ -469,14 +583,76 @@ export default function RunnerPage() {
                       alignItems: "baseline",
                     }}
                   />
+                  <Button icon={<PauseCircleOutlined />} onClick={handlePause}>
+                    Pause
+                  </Button>
                 </Space>
               </Space>
+              {checkpointErrors > 0 && (
+                <Text type="warning">
+                  {checkpointErrors} responses could not be saved; resuming the
+                  run later re-runs those tasks.
+                </Text>
+              )}
               <Progress
                 percent={progressPercent}
                 status="active"
                 strokeColor={{ "0%": "#1890ff", "100%": "#52c41a" }}
                 size="small"
               />
+              <CostMeter
+                usage={progress.usage}
+                budgetUsd={progress.budgetUsd}
+                segmentNames={segmentNames}
+              />
+            </Space>
+          </Card>
+        );
+
+      case PageState.PAUSED:
+        return (
+          <Card size="small">
+            <Space orientation="vertical" style={{ width: "100%" }} size={8}>
+              <Space
+                style={{ width: "100%", justifyContent: "space-between" }}
+                align="center"
+              >
+                <Space>
+                  <PauseCircleOutlined
+                    style={{ color: "#faad14", fontSize: 20 }}
+                  />
+                  <Title level={5} style={{ margin: 0 }}>
+                    {progress.active > 0 ? "Pausing..." : "Paused"}
+                  </Title>
+                  <Text type="secondary">
+                    {progress.active > 0
+                      ? `${progress.active} agents finishing their tasks`
+                      : `${progress.tasksCompleted}/${progress.tasksTotal} tasks answered and saved. You can close this page and resume the run later.`}
+                  </Text>
+                </Space>
+                <Space>
+                  {renderBudgetInput()}
+                  <Button
+                    type="primary"
+                    icon={<PlayCircleOutlined />}
+                    onClick={handleResume}
+                    disabled={progress.budgetExceeded}
+                  >
+                    Resume
+                  </Button>
+                </Space>
+              </Space>
+              {progress.budgetExceeded && (
+                <Text type="warning">
+                  The run reached its {formatUsd(progress.budgetUsd)} budget.
+                  Raise the budget to resume it.
+                </Text>
+              )}
+              <CostMeter
+                usage={progress.usage}
+                budgetUsd={progress.budgetUsd}
+                segmentNames={segmentNames}
+              />
             </Space>
           </Card>
         );
@@ -503,6 +679,7 @@ export default function RunnerPage() {
                 <Text type="secondary">
                   {successCount} decisions collected
                   {errorCount > 0 ? `, ${errorCount} errors` : ""}
+                  {spentUsd > 0 && ` · ${formatUsd(spentUsd)} spent`}
                 </Text>
               </Space>
               <Button
@@ -518,6 +695,16 @@ export default function RunnerPage() {
         );
       }
 
+      case PageState.STARTING:
+        return (
+          <Card size="small">
+            <Space>
+              <Spin size="small" />
+              <Text>Creating run and saving tasks...</Text>
+            </Space>
+          </Card>
+        );
+
       case PageState.SAVING:
         return (
           <Card size="small">
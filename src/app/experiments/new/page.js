@@ -12,7 +12,9 @@ import {
   Input,
   message,
   Result,
+  Segmented,
   Spin,
+  Typography,
 } from "antd";
 import {
   ArrowLeftOutlined,
@@ -24,12 +26,28 @@ import {
   FeatureSchemaBuilder,
   AlternativesInput,
   AlternativesTable,
+  DesignGenerator,
   AgentConfigBuilder,
+  TaskPlanPanel,
+  PricingPlanPanel,
+  KanoPlanPanel,
 } from "@/components/experiment";
 import {
   generateSegmentsFromConfig,
   calculateTotalAgents,
 } from "@/lib/agents/presets";
+import { getKanoFeatures } from "@/lib/domain/kano";
+import { getPriceLadder, getQuestionsPerAgent } from "@/lib/domain/pricing";
+import {
+  getStudyType,
+  isChoiceStudy,
+  isPricingStudy,
+  STUDY_TYPE_DESCRIPTIONS,
+  STUDY_TYPE_LABELS,
+  StudyType,
+} from "@/lib/domain/studyType";
+import { calculateTotalTasks } from "@/lib/domain/taskgen";
+import { DEFAULT_DECISION_CONCURRENCY, estimateRun } from "@/lib/experiment";
 import { ensureAuth } from "@/lib/firebase/auth";
 import { createExperiment, addAlternative } from "@/lib/firebase/db";
 import {
@@ -44,6 +62,7 @@ import {
 } from "@/store/experimentSlice";
 
 const { TextArea } = Input;
+const { Text } = Typography;
 
 /**
  * New Experiment Page - multi-step form for creating experiments
@@ -86,14 +105,19 @@ export default function NewExperimentPage() {
     };
   }, [dispatch]);
 
-  // Step definitions
+  // Step definitions (pricing studies have a product instead of features
+  // and alternatives; Kano questionnaires have features but no alternatives)
+  const choice = isChoiceStudy(draft);
+  const pricing = isPricingStudy(draft);
+  const kano = getStudyType(draft) === StudyType.KANO;
   const steps = [
-    { title: "Basics", content: "Name & description" },
-    { title: "Features", content: "Define schema" },
-    { title: "Alternatives", content: "Add options" },
-    { title: "Agents", content: "Configure agents" },
-    { title: "Review", content: "Save experiment" },
-  ];
+    { key: "basics", title: "Basics", content: "Name & study type" },
+    !pricing && { key: "features", title: "Features", content: "Define schema" },
+    choice && { key: "alternatives", title: "Alternatives", content: "Add options" },
+    { key: "agents", title: "Agents", content: "Configure agents" },
+    pricing && { key: "pricing", title: "Product & Prices", content: "Describe product" },
+    { key: "review", title: "Review", content: "Save experiment" },
+  ].filter(Boolean);
 
   // Handle save experiment
   const handleSave = async () => {
@@ -121,8 +145,8 @@ export default function NewExperimentPage() {
         agentConfig, // Also save the config for future editing
       });
 
-      // Add alternatives in parallel for faster save
-      if (alternatives.length > 0) {
+      // Add alternatives in parallel for faster save (only choice experiments have them)
+      if (choice && alternatives.length > 0) {
         await Promise.all(
           alternatives.map((alt) => addAlternative(experimentId, alt))
         );
@@ -174,8 +198,8 @@ export default function NewExperimentPage() {
       </Card>
     ) : null;
 
-    switch (currentStep) {
-      case 0: // Basics
+    switch (steps[currentStep]?.key) {
+      case "basics":
         return (
           <>
             {authWarning}
@@ -199,12 +223,26 @@ export default function NewExperimentPage() {
                     rows={4}
                   />
                 </Form.Item>
+                <Form.Item label="Study Type">
+                  <Segmented
+                    value={getStudyType(draft)}
+                    onChange={(studyType) => dispatch(updateDraft({ studyType }))}
+                    options={Object.values(StudyType).map((value) => ({
+                      value,
+                      label: STUDY_TYPE_LABELS[value],
+                    }))}
+                  />
+                  <br />
+                  <Text type="secondary" style={{ fontSize: 12 }}>
+                    {STUDY_TYPE_DESCRIPTIONS[getStudyType(draft)]}
+                  </Text>
+                </Form.Item>
               </Form>
             </Card>
           </>
         );
 
-      case 1: // Features
+      case "features":
         return (
           <FeatureSchemaBuilder
             features={draft.featureSchema?.features || []}
@@ -219,7 +257,7 @@ export default function NewExperimentPage() {
           />
         );
 
-      case 2: // Alternatives
+      case "alternatives":
         return (
           <Space orientation="vertical" size="large" style={{ width: "100%" }}>
             <AlternativesInput
@@ -231,6 +269,12 @@ export default function NewExperimentPage() {
                 setAlternatives((prev) => [...prev, ...parsed]);
               }}
             />
+            <DesignGenerator
+              features={draft.featureSchema?.features || []}
+              onGenerated={(generated) =>
+                setAlternatives((prev) => [...prev, ...generated])
+              }
+            />
             <AlternativesTable
               alternatives={alternatives}
               features={draft.featureSchema?.features || []}
@@ -239,18 +283,76 @@ export default function NewExperimentPage() {
           </Space>
         );
 
-      case 3: // Agents
+      case "agents":
         return (
-          <AgentConfigBuilder
-            config={draft.agentConfig || {}}
-            onChange={(agentConfig) =>
-              dispatch(updateDraftAgentConfig(agentConfig))
-            }
+          <Space orientation="vertical" size="large" style={{ width: "100%" }}>
+            <AgentConfigBuilder
+              config={draft.agentConfig || {}}
+              onChange={(agentConfig) =>
+                dispatch(updateDraftAgentConfig(agentConfig))
+              }
+            />
+            {kano && (
+              <KanoPlanPanel
+                features={draft.featureSchema?.features || []}
+                totalAgents={calculateTotalAgents(draft.agentConfig || {})}
+                estimate={estimateRun({
+                  experiment: {
+                    ...draft,
+                    agentPlan: {
+                      segments: generateSegmentsFromConfig(draft.agentConfig || {}),
+                    },
+                  },
+                  alternatives: [],
+                  decisionConcurrency: DEFAULT_DECISION_CONCURRENCY,
+                })}
+              />
+            )}
+            {choice && (
+              <TaskPlanPanel
+                taskPlan={draft.taskPlan || {}}
+                choiceFormat={draft.choiceFormat}
+                totalAgents={calculateTotalAgents(draft.agentConfig || {})}
+                estimate={estimateRun({
+                  experiment: {
+                    ...draft,
+                    agentPlan: {
+                      segments: generateSegmentsFromConfig(draft.agentConfig || {}),
+                    },
+                  },
+                  alternatives,
+                  decisionConcurrency: DEFAULT_DECISION_CONCURRENCY,
+                })}
+                onChange={(taskPlan) => dispatch(updateDraft({ taskPlan }))}
+                onChoiceFormatChange={(choiceFormat) =>
+                  dispatch(updateDraft({ choiceFormat }))
+                }
+              />
+            )}
+          </Space>
+        );
+
+      case "pricing":
+        return (
+          <PricingPlanPanel
+            studyType={getStudyType(draft)}
+            pricingPlan={draft.pricingPlan || {}}
+            totalAgents={calculateTotalAgents(draft.agentConfig || {})}
+            estimate={estimateRun({
+              experiment: {
+                ...draft,
+                agentPlan: {
+                  segments: generateSegmentsFromConfig(draft.agentConfig || {}),
+                },
+              },
+              alternatives: [],
+              decisionConcurrency: DEFAULT_DECISION_CONCURRENCY,
+            })}
+            onChange={(pricingPlan) => dispatch(updateDraft({ pricingPlan }))}
           />
         );
 
-      case 4: {
-        // Review
+      case "review": {
         const reviewAgentConfig = draft.agentConfig || {};
         const reviewTotalAgents = calculateTotalAgents(reviewAgentConfig);
         const reviewNumCombinations =
@@ -269,16 +371,69 @@ export default function NewExperimentPage() {
                     <strong>Name:</strong> {draft.name || "Untitled"}
                   </span>
                   <span>
-                    <strong>Features:</strong>{" "}
-                    {draft.featureSchema?.features?.length || 0}
-                  </span>
-                  <span>
-                    <strong>Alternatives:</strong> {alternatives.length}
+                    <strong>Study type:</strong>{" "}
+                    {STUDY_TYPE_LABELS[getStudyType(draft)]}
                   </span>
+                  {pricing ? (
+                    <>
+                      <span>
+                        <strong>Product:</strong>{" "}
+                        {draft.pricingPlan?.product?.name || "Unnamed"}
+                      </span>
+                      {getStudyType(draft) === StudyType.GABOR_GRANGER && (
+                        <span>
+                          <strong>Price ladder:</strong>{" "}
+                          {getPriceLadder(draft.pricingPlan).join(", ") || "None"}{" "}
+                          {draft.pricingPlan?.currency}
+                        </span>
+                      )}
+                    </>
+                  ) : kano ? (
+                    <span>
+                      <strong>Features asked about:</strong>{" "}
+                      {getKanoFeatures(draft.featureSchema?.features).length} of{" "}
+                      {draft.featureSchema?.features?.length || 0}
+                    </span>
+                  ) : (
+                    <>
+                      <span>
+                        <strong>Features:</strong>{" "}
+                        {draft.featureSchema?.features?.length || 0}
+                      </span>
+                      <span>
+                        <strong>Alternatives:</strong> {alternatives.length}
+                      </span>
+                    </>
+                  )}
                   <span>
                     <strong>Agents:</strong> {reviewTotalAgents} across{" "}
                     {reviewNumCombinations} segments ({reviewAgentConfig.selectedModels?.length || 0} models × {reviewAgentConfig.selectedPersonalities?.length || 0} personalities × {reviewAgentConfig.selectedLocations?.length || 0} locations)
                   </span>
+                  {pricing ? (
+                    <span>
+                      <strong>Pricing questions:</strong>{" "}
+                      {getQuestionsPerAgent(
+                        getStudyType(draft),
+                        draft.pricingPlan,
+                      ) * reviewTotalAgents}
+                    </span>
+                  ) : kano ? (
+                    <span>
+                      <strong>Kano questions:</strong>{" "}
+                      {getKanoFeatures(draft.featureSchema?.features).length *
+                        reviewTotalAgents}
+                    </span>
+                  ) : (
+                    <span>
+                      <strong>Choice tasks:</strong>{" "}
+                      {calculateTotalTasks(
+                        alternatives.length,
+                        reviewTotalAgents,
+                        draft.taskPlan,
+                      )}{" "}
+                      ({draft.choiceFormat} format)
+                    </span>
+                  )}
                 </Space>
               }
               extra={
@@ -314,7 +469,7 @@ export default function NewExperimentPage() {
       {/* Page Header */}
       <div className="page-header">
         <h1 className="page-header-title">Create New Experiment</h1>
-        <p className="page-header-subtitle">Set up your choice-based experiment in a few steps</p>
+        <p className="page-header-subtitle">Set up your choice experiment, pricing study or Kano questionnaire in a few steps</p>
       </div>
 
       {/* Steps Progress */}
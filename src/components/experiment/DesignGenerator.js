@@ -0,0 +1,174 @@
+"use client";
+
+import { ExperimentOutlined, PlusOutlined } from "@ant-design/icons";
+import {
+  Alert,
+  Button,
+  Card,
+  Col,
+  InputNumber,
+  Row,
+  Space,
+  Statistic,
+  Tooltip,
+  Typography,
+} from "antd";
+import { useState } from "react";
+import {
+  DEFAULT_CONTINUOUS_LEVELS,
+  generateDesign,
+  suggestProfileCount,
+} from "@/lib/domain/design";
+import { createDefaultAlternative } from "@/models/firestore";
+
+const { Text } = Typography;
+
+// The exchange search runs on the main thread; keep it well under a second
+const MAX_PROFILES = 120;
+
+/**
+ * Design Generator - build synthetic conjoint profiles from the feature schema
+ *
+ * Profiles are added as regular alternatives, so they can be edited in the
+ * AlternativesTable and are used by the runner like any other alternative.
+ *
+ * Props:
+ * - features: Feature[] - the feature schema
+ * - onGenerated: (alternatives: Alternative[]) => void - callback with the generated profiles
+ */
+export function DesignGenerator({ features = [], onGenerated }) {
+  const [continuousLevels, setContinuousLevels] = useState(
+    DEFAULT_CONTINUOUS_LEVELS,
+  );
+  const [numProfiles, setNumProfiles] = useState(null);
+  const [design, setDesign] = useState(null);
+
+  const hasFeatures = features.length > 0;
+  const suggested = hasFeatures
+    ? suggestProfileCount(features, continuousLevels)
+    : 0;
+
+  const handleGenerate = () => {
+    setDesign(
+      generateDesign({
+        features,
+        numProfiles: numProfiles || suggested,
+        continuousLevels,
+      }),
+    );
+  };
+
+  const handleAdd = () => {
+    if (!design) return;
+    const now = Date.now();
+    onGenerated(
+      design.profiles.map((profile, i) => ({
+        ...createDefaultAlternative(),
+        id: `alt_${now}_${i}`,
+        name: profile.name,
+        rawInput: "Generated design profile",
+        features: profile.features,
+        display: { title: profile.name, bullets: [] },
+      })),
+    );
+    setDesign(null);
+  };
+
+  return (
+    <Card
+      title={
+        <Space>
+          <ExperimentOutlined />
+          <span>Generate Design</span>
+        </Space>
+      }
+    >
+      <Space orientation="vertical" style={{ width: "100%" }} size="middle">
+        <Text type="secondary">
+          Build level-balanced synthetic profiles with a D-optimal search. The
+          task plan design then groups them into the choice sets agents see.
+        </Text>
+
+        {!hasFeatures && (
+          <Alert
+            type="warning"
+            showIcon
+            title="Define features first"
+            description="The design is built from the levels of your feature schema."
+          />
+        )}
+
+        <Row gutter={16}>
+          <Col span={12}>
+            <Text strong>Profiles</Text>
+            <InputNumber
+              min={2}
+              max={MAX_PROFILES}
+              value={numProfiles}
+              placeholder={suggested ? `${suggested} (suggested)` : undefined}
+              onChange={setNumProfiles}
+              style={{ width: "100%" }}
+              disabled={!hasFeatures}
+            />
+          </Col>
+          <Col span={12}>
+            <Tooltip title="Evenly spaced levels between min and max">
+              <Text strong>Continuous levels</Text>
+            </Tooltip>
+            <InputNumber
+              min={2}
+              max={7}
+              value={continuousLevels}
+              onChange={(v) =>
+                setContinuousLevels(v || DEFAULT_CONTINUOUS_LEVELS)
+              }
+              style={{ width: "100%" }}
+              disabled={!hasFeatures}
+            />
+          </Col>
+        </Row>
+
+        {design && (
+          <Row gutter={16}>
+            <Col span={12}>
+              <Tooltip title="D-efficiency of the coded profile matrix (100% = orthogonal and balanced)">
+                <Statistic
+                  title="D-efficiency"
+                  value={design.efficiency.dEfficiency}
+                  suffix="%"
+                />
+              </Tooltip>
+            </Col>
+            <Col span={12}>
+              <Tooltip title="Least / most frequent level, worst feature (1 = perfectly balanced)">
+                <Statistic
+                  title="Level balance"
+                  value={design.efficiency.levelBalance}
+                  precision={2}
+                />
+              </Tooltip>
+            </Col>
+          </Row>
+        )}
+
+        <Space>
+          <Button
+            icon={<ExperimentOutlined />}
+            onClick={handleGenerate}
+            disabled={!hasFeatures}
+          >
+            Generate
+          </Button>
+          <Button
+            type="primary"
+            icon={<PlusOutlined />}
+            onClick={handleAdd}
+            disabled={!design || design.profiles.length === 0}
+          >
+            Add {design?.profiles.length || ""} Profiles to Alternatives
+          </Button>
+        </Space>
+      </Space>
+    </Card>
+  );
+}
@@ -0,0 +1,104 @@
+"use client";
+
+import { QuestionCircleOutlined } from "@ant-design/icons";
+import { Card, Space, Statistic, Tag, Typography } from "antd";
+import { formatUsd } from "@/components/runner";
+import { getKanoFeatures } from "@/lib/domain/kano";
+import { formatDuration } from "./RunEstimatePanel";
+
+const { Text } = Typography;
+
+/**
+ * Kano Plan Panel - the features a Kano questionnaire asks about
+ *
+ * Every binary and categorical feature gets one functional/dysfunctional
+ * question pair per agent; continuous features are skipped.
+ *
+ * Props:
+ * - features: Feature[] - the experiment's feature schema
+ * - totalAgents: number - total number of agents
+ * - estimate: RunEstimate | null - pre-run estimate (see estimateRun)
+ */
+export function KanoPlanPanel({
+  features = [],
+  totalAgents = 0,
+  estimate = null,
+}) {
+  const kanoFeatures = getKanoFeatures(features);
+  const skipped = features.length - kanoFeatures.length;
+
+  return (
+    <Card
+      title={
+        <Space>
+          <QuestionCircleOutlined />
+          <span>Kano Questions</span>
+        </Space>
+      }
+      extra={
+        <Space size="large">
+          <Statistic
+            title="Questions/Agent"
+            value={kanoFeatures.length}
+            valueStyle={{ fontSize: 16 }}
+          />
+          <Statistic
+            title="Total Questions"
+            value={kanoFeatures.length * totalAgents}
+            valueStyle={{ fontSize: 16 }}
+          />
+        </Space>
+      }
+    >
+      <Space orientation="vertical" size="middle" style={{ width: "100%" }}>
+        <div>
+          <Text strong>Features asked about</Text>
+          <div style={{ marginTop: 8 }}>
+            {kanoFeatures.length
+              ? kanoFeatures.map((f) => (
+                  <Tag key={f.key} color="blue">
+                    {f.label || f.key}
+                  </Tag>
+                ))
+              : <Text type="secondary">
+                  Add a binary or categorical feature to ask about
+                </Text>}
+          </div>
+          {skipped > 0 && (
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              {skipped} continuous feature{skipped === 1 ? " is" : "s are"}{" "}
+              skipped: Kano questions ask about having a feature or not
+            </Text>
+          )}
+        </div>
+
+        <div>
+          <Text strong>Estimated run time</Text>
+          <br />
+          {!estimate
+            ? <Text type="secondary">Add features and agents to estimate</Text>
+            : estimate.wallTimeMs === 0
+              ? <>
+                  <Text>Instant</Text>
+                  <br />
+                  <Text type="secondary" style={{ fontSize: 12 }}>
+                    Using stub simulator
+                  </Text>
+                </>
+              : <>
+                  <Text>
+                    ~{formatDuration(estimate.wallTimeMs)} &middot;{" "}
+                    {formatUsd(estimate.costUsd)}
+                    {estimate.unpricedDecisions > 0 && " + unpriced models"}
+                  </Text>
+                  <br />
+                  <Text type="secondary" style={{ fontSize: 12 }}>
+                    {estimate.decisions} LLM questions,{" "}
+                    {estimate.decisionConcurrency} at a time
+                  </Text>
+                </>}
+        </div>
+      </Space>
+    </Card>
+  );
+}
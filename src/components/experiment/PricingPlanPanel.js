@@ -0,0 +1,189 @@
+"use client";
+
+import { DollarOutlined } from "@ant-design/icons";
+import {
+  Card,
+  Col,
+  Form,
+  Input,
+  InputNumber,
+  Row,
+  Select,
+  Space,
+  Statistic,
+  Typography,
+} from "antd";
+import { formatUsd } from "@/components/runner";
+import {
+  DEFAULT_CURRENCY,
+  getPriceLadder,
+  getQuestionsPerAgent,
+} from "@/lib/domain/pricing";
+import { StudyType } from "@/lib/domain/studyType";
+import { formatDuration } from "./RunEstimatePanel";
+
+const { Text } = Typography;
+const { TextArea } = Input;
+
+const CURRENCIES = ["USD", "EUR", "GBP", "INR", "JPY", "CAD", "AUD"];
+
+/**
+ * Pricing Plan Panel - the product and prices of a pricing study
+ *
+ * Props:
+ * - studyType: StudyType - van_westendorp or gabor_granger
+ * - pricingPlan: PricingPlan - current product and prices
+ * - totalAgents: number - total number of agents
+ * - estimate: RunEstimate | null - pre-run estimate (see estimateRun)
+ * - onChange: (pricingPlan: PricingPlan) => void - callback when settings change
+ */
+export function PricingPlanPanel({
+  studyType,
+  pricingPlan = {},
+  totalAgents = 0,
+  estimate = null,
+  onChange,
+}) {
+  const product = pricingPlan.product || {};
+  const questionsPerAgent = getQuestionsPerAgent(studyType, pricingPlan);
+  const ladder = getPriceLadder(pricingPlan);
+
+  const handleUpdate = (field, value) => {
+    onChange({ ...pricingPlan, [field]: value });
+  };
+
+  const handleProductUpdate = (field, value) => {
+    handleUpdate("product", { ...product, [field]: value });
+  };
+
+  return (
+    <Card
+      title={
+        <Space>
+          <DollarOutlined />
+          <span>Product &amp; Prices</span>
+        </Space>
+      }
+      extra={
+        <Space size="large">
+          <Statistic
+            title="Questions/Agent"
+            value={questionsPerAgent}
+            valueStyle={{ fontSize: 16 }}
+          />
+          <Statistic
+            title="Total Questions"
+            value={questionsPerAgent * totalAgents}
+            valueStyle={{ fontSize: 16 }}
+          />
+        </Space>
+      }
+    >
+      <Form layout="vertical">
+        <Row gutter={24}>
+          <Col span={16}>
+            <Form.Item label="Product Name" required>
+              <Input
+                value={product.name}
+                onChange={(e) => handleProductUpdate("name", e.target.value)}
+                placeholder="e.g., Noise-cancelling headphones"
+              />
+            </Form.Item>
+            <Form.Item label="Product Description">
+              <TextArea
+                value={product.description}
+                onChange={(e) =>
+                  handleProductUpdate("description", e.target.value)
+                }
+                placeholder="What it is, what it does and who it is for..."
+                rows={3}
+              />
+              <Text type="secondary" style={{ fontSize: 12 }}>
+                The only thing agents know about the product
+              </Text>
+            </Form.Item>
+          </Col>
+
+          <Col span={8}>
+            <Form.Item label="Currency">
+              <Select
+                value={pricingPlan.currency || DEFAULT_CURRENCY}
+                onChange={(v) => handleUpdate("currency", v)}
+                options={CURRENCIES.map((c) => ({ value: c, label: c }))}
+                style={{ width: "100%" }}
+              />
+            </Form.Item>
+            <Form.Item label="Market Price">
+              <InputNumber
+                value={pricingPlan.referencePrice}
+                min={0}
+                onChange={(v) => handleUpdate("referencePrice", v || null)}
+                placeholder="Optional"
+                style={{ width: "100%" }}
+              />
+              <Text type="secondary" style={{ fontSize: 12 }}>
+                Typical price of products like it, shown to agents
+              </Text>
+            </Form.Item>
+          </Col>
+        </Row>
+
+        <Row gutter={24}>
+          {studyType === StudyType.GABOR_GRANGER && (
+            <Col span={16}>
+              <Form.Item label="Price Ladder" required>
+                <Select
+                  mode="tags"
+                  value={ladder.map(String)}
+                  onChange={(values) =>
+                    handleUpdate(
+                      "priceLadder",
+                      getPriceLadder({ priceLadder: values }),
+                    )
+                  }
+                  tokenSeparators={[",", " "]}
+                  open={false}
+                  suffixIcon={null}
+                  placeholder="e.g., 49, 79, 99, 129, 149"
+                  style={{ width: "100%" }}
+                />
+                <Text type="secondary" style={{ fontSize: 12 }}>
+                  Prices asked one at a time, highest first (at least 2)
+                </Text>
+              </Form.Item>
+            </Col>
+          )}
+
+          <Col span={studyType === StudyType.GABOR_GRANGER ? 8 : 24}>
+            <Form.Item label="Estimated Run Time">
+              {!estimate
+                ? <Text type="secondary">
+                    Describe the product and add agents to estimate
+                  </Text>
+                : estimate.wallTimeMs === 0
+                  ? <>
+                      <Text>Instant</Text>
+                      <br />
+                      <Text type="secondary" style={{ fontSize: 12 }}>
+                        Using stub simulator
+                      </Text>
+                    </>
+                  : <>
+                      <Text>
+                        ~{formatDuration(estimate.wallTimeMs)} &middot;{" "}
+                        {formatUsd(estimate.costUsd)}
+                        {estimate.unpricedDecisions > 0 && " + unpriced models"}
+                      </Text>
+                      <br />
+                      <Text type="secondary" style={{ fontSize: 12 }}>
+                        {estimate.decisions} LLM questions,{" "}
+                        {estimate.decisionConcurrency} at a time
+                      </Text>
+                    </>}
+            </Form.Item>
+          </Col>
+        </Row>
+      </Form>
+    </Card>
+  );
+}
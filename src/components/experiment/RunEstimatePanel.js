@@ -0,0 +1,250 @@
+"use client";
+
+import { CalculatorOutlined } from "@ant-design/icons";
+import {
+  Card,
+  Col,
+  Row,
+  Segmented,
+  Space,
+  Statistic,
+  Table,
+  Tag,
+  Tooltip,
+  Typography,
+} from "antd";
+import { useMemo, useState } from "react";
+import { formatUsd } from "@/components/runner";
+import {
+  getStudyType,
+  isChoiceStudy,
+  isPricingStudy,
+  StudyType,
+} from "@/lib/domain/studyType";
+import { mergeRunUsage } from "@/lib/domain/usage";
+import {
+  DEFAULT_DECISION_CONCURRENCY,
+  estimateRun,
+  HEADLESS_DECISION_CONCURRENCY,
+} from "@/lib/experiment";
+
+const { Text } = Typography;
+
+const RISK_COLORS = {
+  low: "green",
+  medium: "orange",
+  high: "red",
+  unknown: "default",
+};
+
+/**
+ * Human-readable duration, e.g. "45s", "12m", "2h 5m"
+ * @param {number} ms
+ */
+export function formatDuration(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function formatCount(value) {
+  return Math.round(value).toLocaleString();
+}
+
+const modelColumns = [
+  {
+    title: "Model",
+    dataIndex: "modelTag",
+    key: "modelTag",
+    render: (modelTag, row) => (
+      <Space size={4}>
+        <Text>{modelTag}</Text>
+        {row.calibrated && (
+          <Tooltip title="Reply length and latency measured on earlier runs">
+            <Tag color="blue">calibrated</Tag>
+          </Tooltip>
+        )}
+      </Space>
+    ),
+  },
+  { title: "Provider", dataIndex: "provider", key: "provider" },
+  { title: "Agents", dataIndex: "agents", key: "agents" },
+  { title: "Decisions", dataIndex: "decisions", key: "decisions" },
+  {
+    title: "Tokens (in / out)",
+    key: "tokens",
+    render: (_, row) =>
+      `${formatCount(row.promptTokens)} / ${formatCount(row.completionTokens)}`,
+  },
+  {
+    title: "Latency",
+    dataIndex: "latencyMs",
+    key: "latencyMs",
+    render: (ms) => (ms ? `${(ms / 1000).toFixed(1)}s` : "-"),
+  },
+  {
+    title: "Cost",
+    dataIndex: "costUsd",
+    key: "costUsd",
+    render: (cost) => (cost === null ? "Unpriced" : formatUsd(cost)),
+  },
+];
+
+const providerColumns = [
+  { title: "Provider", dataIndex: "provider", key: "provider" },
+  {
+    title: "Requests / min",
+    key: "rpm",
+    render: (_, row) =>
+      `${formatCount(row.requestsPerMinute)}${row.limits.rpm ? ` of ${formatCount(row.limits.rpm)}` : ""}`,
+  },
+  {
+    title: "Tokens / min",
+    key: "tpm",
+    render: (_, row) =>
+      `${formatCount(row.tokensPerMinute)}${row.limits.tpm ? ` of ${formatCount(row.limits.tpm)}` : ""}`,
+  },
+  {
+    title: "Rate-limit risk",
+    dataIndex: "risk",
+    key: "risk",
+    render: (risk) => <Tag color={RISK_COLORS[risk]}>{risk}</Tag>,
+  },
+];
+
+/**
+ * Run Estimate Panel - tokens, cost, wall time and rate-limit risk of a run
+ * before it is started
+ *
+ * Props:
+ * - experiment: Experiment
+ * - alternatives: Alternative[]
+ * - runs: Run[] - earlier runs; their usage calibrates reply length and latency
+ *
+ * Questionnaires (pricing and Kano studies) only run headlessly, so they are
+ * estimated at headless concurrency.
+ */
+export function RunEstimatePanel({ experiment, alternatives, runs = [] }) {
+  const headless = !isChoiceStudy(experiment);
+  const [mode, setMode] = useState(headless ? "headless" : "simworld");
+  const decisionConcurrency =
+    mode === "headless"
+      ? HEADLESS_DECISION_CONCURRENCY
+      : DEFAULT_DECISION_CONCURRENCY;
+
+  const estimate = useMemo(
+    () =>
+      estimateRun({
+        experiment,
+        alternatives,
+        decisionConcurrency,
+        observedByModel: mergeRunUsage(runs.map((r) => r.usage)).byModel,
+      }),
+    [experiment, alternatives, runs, decisionConcurrency],
+  );
+
+  if (!estimate) {
+    return (
+      <Card title="Run Estimate">
+        <Text type="secondary">
+          {isPricingStudy(experiment)
+            ? "Describe the product, add its prices and one segment to estimate a run."
+            : getStudyType(experiment) === StudyType.KANO
+              ? "Add a binary or categorical feature and one segment to estimate a run."
+              : "Add at least two alternatives and one segment to estimate a run."}
+        </Text>
+      </Card>
+    );
+  }
+
+  return (
+    <Card
+      title={
+        <Space>
+          <CalculatorOutlined />
+          <span>Run Estimate</span>
+        </Space>
+      }
+      extra={
+        !headless && (
+          <Segmented
+            value={mode}
+            onChange={setMode}
+            options={[
+              {
+                label: `SimWorld (${DEFAULT_DECISION_CONCURRENCY} concurrent)`,
+                value: "simworld",
+              },
+              {
+                label: `Headless (${HEADLESS_DECISION_CONCURRENCY} concurrent)`,
+                value: "headless",
+              },
+            ]}
+          />
+        )
+      }
+    >
+      <Space orientation="vertical" size="middle" style={{ width: "100%" }}>
+        <Row gutter={16}>
+          <Col span={6}>
+            <Statistic title="Decisions" value={estimate.decisions} />
+          </Col>
+          <Col span={6}>
+            <Statistic
+              title="Tokens"
+              value={formatCount(
+                estimate.promptTokens + estimate.completionTokens,
+              )}
+            />
+          </Col>
+          <Col span={6}>
+            <Statistic
+              title="Estimated Cost"
+              value={formatUsd(estimate.costUsd)}
+              suffix={
+                estimate.unpricedDecisions > 0
+                  ? <Text type="secondary" style={{ fontSize: 12 }}>
+                      + {estimate.unpricedDecisions} unpriced
+                    </Text>
+                  : undefined
+              }
+            />
+          </Col>
+          <Col span={6}>
+            <Statistic
+              title="Estimated Time"
+              value={formatDuration(estimate.wallTimeMs)}
+            />
+          </Col>
+        </Row>
+
+        <Table
+          size="small"
+          pagination={false}
+          rowKey="modelTag"
+          dataSource={estimate.byModel}
+          columns={modelColumns}
+        />
+
+        {estimate.byProvider.length > 0 && (
+          <Table
+            size="small"
+            pagination={false}
+            rowKey="provider"
+            dataSource={estimate.byProvider}
+            columns={providerColumns}
+          />
+        )}
+
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          Prompt tokens are measured on the real decision prompt at about 4
+          characters per token. Time counts LLM calls only; SimWorld animations
+          add to it. Rate limits are typical entry-tier values, and reasoning
+          models may bill more output tokens until a run calibrates them.
+        </Text>
+      </Space>
+    </Card>
+  );
+}
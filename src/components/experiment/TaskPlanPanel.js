@@ -13,6 +13,17 @@ import {
   Space,
 } from "antd";
 import { SettingOutlined } from "@ant-design/icons";
+import {
+  DEFAULT_CHOICE_FORMAT,
+  DEFAULT_TASKS_PER_AGENT,
+  choiceFormatIncludesNone,
+  getAllocationUnits,
+  NoneMode,
+  supportsPairwiseDesign,
+  TaskDesign,
+} from "@/lib/domain/taskgen";
+import { formatUsd } from "@/components/runner";
+import { formatDuration } from "./RunEstimatePanel";
 
 const { Text } = Typography;
 
@@ -23,19 +34,25 @@ const { Text } = Typography;
  * - taskPlan: TaskPlan - current task plan settings
  * - choiceFormat: ChoiceFormat - choice format
  * - totalAgents: number - total number of agents
+ * - estimate: RunEstimate | null - pre-run estimate (see estimateRun)
  * - onChange: (taskPlan: TaskPlan) => void - callback when settings change
  * - onChoiceFormatChange: (format: ChoiceFormat) => void - callback for format change
  */
 export function TaskPlanPanel({
   taskPlan = {},
-  choiceFormat = "AB",
+  choiceFormat = DEFAULT_CHOICE_FORMAT,
   totalAgents = 0,
+  estimate = null,
   onChange,
   onChoiceFormatChange,
 }) {
   // Calculate total tasks
-  const tasksPerAgent = taskPlan.tasksPerAgent || 10;
-  const totalTasks = tasksPerAgent * totalAgents;
+  const tasksPerAgent = taskPlan.tasksPerAgent || DEFAULT_TASKS_PER_AGENT;
+  // Holdouts and repeats are asked on top of the design tasks
+  const validationTasks =
+    (taskPlan.includeHoldouts || 0) +
+    Math.min(taskPlan.includeRepeats || 0, tasksPerAgent);
+  const totalTasks = (tasksPerAgent + validationTasks) * totalAgents;
 
   // Handle updating task plan
   const handleUpdate = (field, value) => {
@@ -54,7 +71,7 @@ export function TaskPlanPanel({
         <Space size="large">
           <Statistic
             title="Tasks/Agent"
-            value={tasksPerAgent}
+            value={tasksPerAgent + validationTasks}
             valueStyle={{ fontSize: 16 }}
           />
           <Statistic
@@ -78,6 +95,13 @@ export function TaskPlanPanel({
                 <Select.Option value="ABC">A/B/C (3 options)</Select.Option>
                 <Select.Option value="AB_NONE">A/B + None</Select.Option>
                 <Select.Option value="ABC_NONE">A/B/C + None</Select.Option>
+                <Select.Option value="MAXDIFF">
+                  MaxDiff (best &amp; worst of 4)
+                </Select.Option>
+                <Select.Option value="RANK">Ranking (order 4)</Select.Option>
+                <Select.Option value="ALLOCATION">
+                  Allocation (split purchases over 3)
+                </Select.Option>
               </Select>
               <Text type="secondary" style={{ fontSize: 12 }}>
                 How many alternatives per choice task
@@ -88,7 +112,7 @@ export function TaskPlanPanel({
           <Col span={8}>
             <Form.Item label="Tasks per Agent">
               <InputNumber
-                value={taskPlan.tasksPerAgent}
+                value={tasksPerAgent}
                 min={1}
                 max={100}
                 onChange={(v) => handleUpdate("tasksPerAgent", v)}
@@ -103,7 +127,7 @@ export function TaskPlanPanel({
           <Col span={8}>
             <Form.Item label="Randomize Order">
               <Switch
-                checked={taskPlan.randomizeOrder}
+                checked={taskPlan.randomizeOrder !== false}
                 onChange={(v) => handleUpdate("randomizeOrder", v)}
               />
               <Text type="secondary" style={{ fontSize: 12, marginLeft: 8 }}>
@@ -113,6 +137,96 @@ export function TaskPlanPanel({
           </Col>
         </Row>
 
+        <Row gutter={24}>
+          <Col span={8}>
+            <Form.Item label="Choice Set Design">
+              <Select
+                value={taskPlan.design || TaskDesign.BALANCED}
+                onChange={(v) => handleUpdate("design", v)}
+                style={{ width: "100%" }}
+              >
+                <Select.Option value={TaskDesign.BALANCED}>
+                  Balanced overlap
+                </Select.Option>
+                <Select.Option value={TaskDesign.RANDOM}>
+                  Random subsets
+                </Select.Option>
+                <Select.Option
+                  value={TaskDesign.PAIRWISE}
+                  disabled={!supportsPairwiseDesign(choiceFormat)}
+                >
+                  Pairwise
+                </Select.Option>
+              </Select>
+              <Text type="secondary" style={{ fontSize: 12 }}>
+                How alternatives are grouped into tasks
+                {!supportsPairwiseDesign(choiceFormat) &&
+                  " (pairwise only for single-pick formats)"}
+              </Text>
+            </Form.Item>
+          </Col>
+
+          <Col
+            span={
+              choiceFormat === "ALLOCATION" ||
+              choiceFormatIncludesNone(choiceFormat)
+                ? 8
+                : 16
+            }
+          >
+            <Form.Item label="Deliberation">
+              <Switch
+                checked={Boolean(taskPlan.deliberation)}
+                onChange={(v) => handleUpdate("deliberation", v)}
+              />
+              <Text type="secondary" style={{ fontSize: 12, marginLeft: 8 }}>
+                Agents score every option per feature before choosing (one
+                extra LLM call per task)
+              </Text>
+            </Form.Item>
+          </Col>
+
+          {choiceFormatIncludesNone(choiceFormat) && (
+            <Col span={8}>
+              <Form.Item label="None Option">
+                <Select
+                  value={taskPlan.noneMode || NoneMode.IN_SET}
+                  onChange={(v) => handleUpdate("noneMode", v)}
+                  style={{ width: "100%" }}
+                >
+                  <Select.Option value={NoneMode.IN_SET}>
+                    In the choice
+                  </Select.Option>
+                  <Select.Option value={NoneMode.DUAL_RESPONSE}>
+                    Dual response
+                  </Select.Option>
+                </Select>
+                <Text type="secondary" style={{ fontSize: 12 }}>
+                  Dual response forces a choice, then asks whether the agent
+                  would buy it (one extra LLM call per task)
+                </Text>
+              </Form.Item>
+            </Col>
+          )}
+
+          {choiceFormat === "ALLOCATION" && (
+            <Col span={8}>
+              <Form.Item label="Purchases to Allocate">
+                <InputNumber
+                  value={getAllocationUnits(taskPlan)}
+                  min={2}
+                  max={100}
+                  onChange={(v) => handleUpdate("allocationUnits", v)}
+                  style={{ width: "100%" }}
+                />
+                <Text type="secondary" style={{ fontSize: 12 }}>
+                  Future purchases each agent splits across the options
+                </Text>
+              </Form.Item>
+            </Col>
+          )}
+        </Row>
+
         <Row gutter={24}>
           <Col span={8}>
             <Form.Item label="Holdout Tasks">
@@ -124,7 +238,7 @@ export function TaskPlanPanel({
                 style={{ width: "100%" }}
               />
               <Text type="secondary" style={{ fontSize: 12 }}>
-                Tasks reserved for validation accuracy
+                Fixed extra tasks per agent, left out of estimation
               </Text>
             </Form.Item>
           </Col>
@@ -139,21 +253,39 @@ export function TaskPlanPanel({
                 style={{ width: "100%" }}
               />
               <Text type="secondary" style={{ fontSize: 12 }}>
-                Repeated tasks to measure consistency
+                Design tasks asked again to measure consistency
               </Text>
             </Form.Item>
           </Col>
 
           <Col span={8}>
             <Form.Item label="Estimated Run Time">
-              <Text>
-                {/* TODO: Calculate based on model and task count */}
-                ~{Math.ceil(totalTasks / 60)} minutes
-              </Text>
-              <br />
-              <Text type="secondary" style={{ fontSize: 12 }}>
-                Using stub simulator (instant)
-              </Text>
+              {!estimate ? (
+                <Text type="secondary">
+                  Add alternatives and agents to estimate
+                </Text>
+              ) : estimate.wallTimeMs === 0 ? (
+                <>
+                  <Text>Instant</Text>
+                  <br />
+                  <Text type="secondary" style={{ fontSize: 12 }}>
+                    Using stub simulator
+                  </Text>
+                </>
+              ) : (
+                <>
+                  <Text>
+                    ~{formatDuration(estimate.wallTimeMs)} &middot;{" "}
+                    {formatUsd(estimate.costUsd)}
+                    {estimate.unpricedDecisions > 0 && " + unpriced models"}
+                  </Text>
+                  <br />
+                  <Text type="secondary" style={{ fontSize: 12 }}>
+                    {estimate.decisions} LLM decisions,{" "}
+                    {estimate.decisionConcurrency} at a time
+                  </Text>
+                </>
+              )}
             </Form.Item>
           </Col>
         </Row>
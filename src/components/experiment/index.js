@@ -1,6 +1,10 @@
 export { FeatureSchemaBuilder } from "./FeatureSchemaBuilder";
 export { AlternativesInput } from "./AlternativesInput";
 export { AlternativesTable } from "./AlternativesTable";
+export { DesignGenerator } from "./DesignGenerator";
 export { AgentSegmentsBuilder } from "./AgentSegmentsBuilder";
 export { AgentConfigBuilder } from "./AgentConfigBuilder";
 export { TaskPlanPanel } from "./TaskPlanPanel";
+export { RunEstimatePanel } from "./RunEstimatePanel";
+export { PricingPlanPanel } from "./PricingPlanPanel";
+export { KanoPlanPanel } from "./KanoPlanPanel";
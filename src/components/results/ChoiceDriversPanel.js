@@ -1,7 +1,7 @@
 "use client";
 
 import { useMemo, useState } from "react";
-import { Card, Typography, Space, Tooltip, Tabs, Tag, Empty, Alert } from "antd";
+import { Card, Typography, Space, Tooltip, Tabs, Tag, Empty, Alert, Table } from "antd";
 import {
   ThunderboltOutlined,
   InfoCircleOutlined,
@@ -18,6 +18,8 @@ import {
   Treemap,
   LabelList,
   Legend,
+  Cell,
+  ReferenceLine,
 } from "recharts";
 
 const { Text } = Typography;
@@ -32,12 +34,16 @@ const PALETTE = [
  * Choice Drivers Panel
  *
  * Props:
- *  - choiceDrivers: { altFeatureCounts, altChoiceCounts, heatmap, topDrivers, coOccurrence, coverage }
+ *  - choiceDrivers: { altFeatureCounts, altChoiceCounts, heatmap, topDrivers, coOccurrence, coverage, statedScores }
  *  - alternatives: Alternative[]
  *  - features: Feature[]
+ *
+ * When agents deliberated, the "Stated Scores" tab (shown first) uses their
+ * per-feature scores of every option rather than the 1–3 reason codes.
  */
 export function ChoiceDriversPanel({ choiceDrivers, alternatives = [], features = [] }) {
-  const [activeTab, setActiveTab] = useState("overview");
+  const stated = choiceDrivers?.statedScores || null;
+  const [activeTab, setActiveTab] = useState(stated ? "stated" : "overview");
 
   const altNames = useMemo(() => {
     const map = {};
@@ -141,6 +147,29 @@ export function ChoiceDriversPanel({ choiceDrivers, alternatives = [], features
       .sort((a, b) => b.size - a.size);
   }, [choiceDrivers, features, featureLabels]);
 
+  // ── Stated scores: chosen-vs-rest advantage per feature ──
+  const advantageData = useMemo(() => {
+    if (!stated) return [];
+    return features
+      .filter((f) => typeof stated.advantage?.[f.key] === "number")
+      .map((f) => ({
+        feature: featureLabels[f.key] || f.key,
+        advantage: Number(stated.advantage[f.key].toFixed(2)),
+      }))
+      .sort((a, b) => b.advantage - a.advantage);
+  }, [stated, features, featureLabels]);
+
+  const meanScoreRows = useMemo(() => {
+    if (!stated) return [];
+    return alternatives
+      .filter((alt) => stated.meanScores?.[alt.id])
+      .map((alt) => ({
+        key: alt.id,
+        alternative: altNames[alt.id] || alt.id,
+        ...stated.meanScores[alt.id],
+      }));
+  }, [stated, alternatives, altNames]);
+
   if (!choiceDrivers || overviewData.length === 0) {
     return (
       <Card
@@ -154,7 +183,70 @@ export function ChoiceDriversPanel({ choiceDrivers, alternatives = [], features
 
   const lowCoverage = coverage.coverageRate < 0.5;
 
+  const statedItem = stated && {
+    key: "stated",
+    label: "Stated Scores",
+    children: (
+      <div>
+        <Text type="secondary" style={{ display: "block", marginBottom: 12 }}>
+          Agents scored every feature of every option (1–10) before choosing.
+          Bars show how much higher the chosen option scored than the others
+          shown, across {stated.evaluatedResponses} evaluated tasks.
+        </Text>
+        {advantageData.length > 0 ? (
+          <ResponsiveContainer width="100%" height={Math.max(advantageData.length * 48, 200)}>
+            <BarChart
+              data={advantageData}
+              layout="vertical"
+              margin={{ left: 120, right: 50, top: 8, bottom: 8 }}
+              barCategoryGap="25%"
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" horizontal={false} />
+              <XAxis type="number" tick={{ fontSize: 12, fill: "#64748b" }} />
+              <YAxis
+                type="category"
+                dataKey="feature"
+                tick={{ fontSize: 13, fill: "#334155", fontWeight: 500 }}
+                width={110}
+              />
+              <ReferenceLine x={0} stroke="#94a3b8" />
+              <RTooltip formatter={(v) => [`${v > 0 ? "+" : ""}${v} points`, "Chosen vs. others"]} />
+              <Bar dataKey="advantage" radius={[0, 4, 4, 0]} maxBarSize={24}>
+                {advantageData.map((d) => (
+                  <Cell key={d.feature} fill={d.advantage >= 0 ? "#10b981" : "#ef4444"} />
+                ))}
+                <LabelList
+                  dataKey="advantage"
+                  position="right"
+                  style={{ fontSize: 12, fontWeight: 600, fill: "#334155" }}
+                />
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        ) : (
+          <Empty description="No evaluated choices with scores on both sides" />
+        )}
+        <Table
+          size="small"
+          pagination={false}
+          style={{ marginTop: 16 }}
+          dataSource={meanScoreRows}
+          columns={[
+            { title: "Alternative", dataIndex: "alternative", key: "alternative" },
+            ...features.map((f) => ({
+              title: f.label || f.key,
+              dataIndex: f.key,
+              key: f.key,
+              render: (v) => (typeof v === "number" ? v.toFixed(1) : "-"),
+            })),
+          ]}
+        />
+      </div>
+    ),
+  };
+
   const items = [
+    ...(statedItem ? [statedItem] : []),
     {
       key: "overview",
       label: "Overview",
@@ -416,7 +508,7 @@ export function ChoiceDriversPanel({ choiceDrivers, alternatives = [], features
         <Space>
           <ThunderboltOutlined />
           <span>Choice Drivers</span>
-          <Tooltip title="Analysis of which features drove agents to pick each alternative. Based on reason codes reported by agents alongside their choices.">
+          <Tooltip title="Analysis of which features drove agents to pick each alternative. Based on reason codes reported by agents alongside their choices, and on their stated feature scores when they deliberated.">
             <InfoCircleOutlined style={{ color: "#94a3b8" }} />
           </Tooltip>
         </Space>
@@ -0,0 +1,181 @@
+"use client";
+
+import { SafetyCertificateOutlined } from "@ant-design/icons";
+import {
+  Alert,
+  Card,
+  Col,
+  Row,
+  Space,
+  Statistic,
+  Switch,
+  Table,
+  Tag,
+  Typography,
+} from "antd";
+import { DecisionStatus } from "@/lib/domain/quality";
+
+const { Text } = Typography;
+
+/** Fallback rate above which the panel warns */
+const FALLBACK_WARN_RATE = 0.05;
+
+const STATUS_LABELS = {
+  [DecisionStatus.OK]: "OK",
+  [DecisionStatus.REPAIRED]: "Repaired",
+  [DecisionStatus.PARSE_FALLBACK]: "Parse fallback",
+  [DecisionStatus.INVALID_CHOICE]: "Invalid choice",
+  [DecisionStatus.LLM_ERROR]: "LLM error",
+};
+
+function formatRate(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function rateTag(rate) {
+  if (rate === 0) return <Tag color="green">{formatRate(rate)}</Tag>;
+  if (rate < FALLBACK_WARN_RATE)
+    return <Tag color="orange">{formatRate(rate)}</Tag>;
+  return <Tag color="red">{formatRate(rate)}</Tag>;
+}
+
+const qualityColumns = (title) => [
+  { title, dataIndex: "name", key: "name" },
+  { title: "Responses", dataIndex: "responses", key: "responses" },
+  ...Object.values(DecisionStatus)
+    .filter((status) => status !== DecisionStatus.OK)
+    .map((status) => ({
+      title: STATUS_LABELS[status],
+      key: status,
+      render: (_, row) => row.byStatus[status] || 0,
+    })),
+  {
+    title: "Fallback rate",
+    dataIndex: "fallbackRate",
+    key: "fallbackRate",
+    render: rateTag,
+  },
+];
+
+function qualityRows(groups, labels = {}) {
+  return Object.entries(groups || {}).map(([key, counts]) => ({
+    key,
+    name: labels[key] || key,
+    ...counts,
+  }));
+}
+
+/**
+ * Data Quality Panel - how each decision was obtained, with fallback rates
+ * by model and segment
+ *
+ * Props:
+ * - quality: DecisionQualitySummary - results.decisionQuality
+ * - segments: AgentSegment[] - for labelling the per-segment table
+ * - excludeFallbacks: boolean - whether the results leave fallbacks out
+ * - onExcludeFallbacksChange: (exclude: boolean) => void - recompute with the option
+ * - loading: boolean - a recompute is in progress
+ */
+export function DataQualityPanel({
+  quality,
+  segments = [],
+  excludeFallbacks = false,
+  onExcludeFallbacksChange,
+  loading = false,
+}) {
+  if (!quality) return null;
+  const { total } = quality;
+  const segmentNames = Object.fromEntries(
+    segments.map((s) => [s.segmentId, s.label || s.segmentId]),
+  );
+
+  return (
+    <Card
+      title={
+        <Space>
+          <SafetyCertificateOutlined />
+          <span>Data Quality</span>
+        </Space>
+      }
+      extra={
+        <Space>
+          <Text type="secondary">Exclude fallbacks from results</Text>
+          <Switch
+            checked={excludeFallbacks}
+            loading={loading}
+            disabled={!onExcludeFallbacksChange}
+            onChange={onExcludeFallbacksChange}
+          />
+        </Space>
+      }
+    >
+      <Space orientation="vertical" size="middle" style={{ width: "100%" }}>
+        <Row gutter={16}>
+          <Col span={6}>
+            <Statistic title="Decisions" value={total.responses} />
+          </Col>
+          <Col span={6}>
+            <Statistic
+              title="Fallbacks"
+              value={total.fallbacks}
+              suffix={
+                <Text type="secondary" style={{ fontSize: 14 }}>
+                  ({formatRate(total.fallbackRate)})
+                </Text>
+              }
+            />
+          </Col>
+          <Col span={6}>
+            <Statistic
+              title="Repaired"
+              value={total.byStatus[DecisionStatus.REPAIRED]}
+              suffix={
+                <Text type="secondary" style={{ fontSize: 14 }}>
+                  ({formatRate(total.repairRate)})
+                </Text>
+              }
+            />
+          </Col>
+          <Col span={6}>
+            <Statistic
+              title="LLM errors"
+              value={total.byStatus[DecisionStatus.LLM_ERROR]}
+            />
+          </Col>
+        </Row>
+
+        {total.fallbackRate >= FALLBACK_WARN_RATE && (
+          <Alert
+            type="warning"
+            showIcon
+            title={`${formatRate(total.fallbackRate)} of decisions are fallbacks`}
+            description={
+              excludeFallbacks
+                ? "They are left out of the results below."
+                : 'Fallbacks are recorded as "NONE" and inflate the none-rate. Exclude them to estimate on real choices only.'
+            }
+          />
+        )}
+
+        <Table
+          size="small"
+          pagination={false}
+          dataSource={qualityRows(quality.byModel)}
+          columns={qualityColumns("Model")}
+        />
+        <Table
+          size="small"
+          pagination={false}
+          dataSource={qualityRows(quality.bySegment, segmentNames)}
+          columns={qualityColumns("Segment")}
+        />
+
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          Repaired decisions needed a follow-up turn to return a valid reply and
+          count as real choices. Parse fallbacks, invalid choices and LLM errors
+          are recorded as "NONE" without the agent having chosen it.
+        </Text>
+      </Space>
+    </Card>
+  );
+}
@@ -0,0 +1,217 @@
+"use client";
+
+import { BarChartOutlined, InfoCircleOutlined } from "@ant-design/icons";
+import {
+  Card,
+  Col,
+  Empty,
+  Row,
+  Select,
+  Space,
+  Statistic,
+  Table,
+  Tooltip,
+  Typography,
+} from "antd";
+import { useState } from "react";
+import {
+  Bar,
+  CartesianGrid,
+  ComposedChart,
+  Legend,
+  Line,
+  ResponsiveContainer,
+  Tooltip as RTooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { formatPrice } from "@/lib/experiment/pricingPrompt";
+
+const { Text } = Typography;
+
+const ALL_SEGMENTS = "__all__";
+
+function formatRate(value) {
+  return value === null ? "-" : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Gabor-Granger Panel - demand curve over the price ladder
+ *
+ * Shows the share of agents who would probably or definitely buy at each
+ * asked price and the revenue index (price × buy rate) that picks the
+ * revenue-maximizing price, overall or for one segment.
+ *
+ * Props:
+ * - gaborGranger: GaborGrangerSummary
+ * - segments: AgentSegment[]
+ * - currency: string - currency of the study's prices
+ */
+export function GaborGrangerPanel({ gaborGranger, segments = [], currency }) {
+  const [segmentId, setSegmentId] = useState(ALL_SEGMENTS);
+
+  const title = (
+    <Space>
+      <BarChartOutlined />
+      <span>Gabor-Granger Demand Curve</span>
+      <Tooltip title="Each agent rated how likely it is to buy the product at every price of the ladder, from 1 (definitely not) to 5 (definitely). Buy rate counts 4s and 5s; revenue index is price × buy rate.">
+        <InfoCircleOutlined style={{ color: "#94a3b8" }} />
+      </Tooltip>
+    </Space>
+  );
+
+  if (!gaborGranger) {
+    return (
+      <Card title={title}>
+        <Empty description="No usable purchase likelihood answers" />
+      </Card>
+    );
+  }
+
+  const group =
+    segmentId === ALL_SEGMENTS
+      ? gaborGranger
+      : gaborGranger.bySegment?.[segmentId];
+  const points = group?.points || [];
+  const money = (price) =>
+    price === null || price === undefined
+      ? "—"
+      : formatPrice(Math.round(price * 100) / 100, currency);
+  const peak = points.find((p) => p.price === group?.revenueMaxPrice);
+
+  const chartData = points.map((p) => ({
+    price: p.price,
+    buyRate: Math.round(p.buyRate * 1000) / 10,
+    revenueIndex: Math.round(p.revenueIndex * 100) / 100,
+  }));
+
+  const columns = [
+    {
+      title: "Price",
+      dataIndex: "price",
+      key: "price",
+      render: money,
+    },
+    { title: "Answers", dataIndex: "answers", key: "answers" },
+    {
+      title: "Mean likelihood",
+      dataIndex: "meanLikelihood",
+      key: "meanLikelihood",
+      render: (v) => v.toFixed(2),
+    },
+    {
+      title: "Buy rate",
+      dataIndex: "buyRate",
+      key: "buyRate",
+      render: formatRate,
+    },
+    {
+      title: "Revenue index",
+      dataIndex: "revenueIndex",
+      key: "revenueIndex",
+      render: (v) => v.toFixed(2),
+    },
+    {
+      title: "Elasticity",
+      dataIndex: "elasticity",
+      key: "elasticity",
+      render: (v) => (v === null ? "—" : v.toFixed(2)),
+    },
+  ];
+
+  const segmentOptions = [
+    { value: ALL_SEGMENTS, label: "All agents" },
+    ...segments
+      .filter((s) => gaborGranger.bySegment?.[s.segmentId])
+      .map((s) => ({ value: s.segmentId, label: s.label || s.segmentId })),
+  ];
+
+  return (
+    <Card
+      title={title}
+      extra={
+        <Select
+          value={segmentId}
+          onChange={setSegmentId}
+          options={segmentOptions}
+          style={{ minWidth: 160 }}
+        />
+      }
+    >
+      <Space orientation="vertical" size="middle" style={{ width: "100%" }}>
+        <Row gutter={16}>
+          <Col span={8}>
+            <Statistic
+              title="Revenue-maximizing price"
+              value={money(group?.revenueMaxPrice)}
+            />
+          </Col>
+          <Col span={8}>
+            <Statistic
+              title="Buy rate at that price"
+              value={formatRate(peak?.buyRate ?? null)}
+            />
+          </Col>
+          <Col span={8}>
+            <Statistic title="Answers" value={group?.responses ?? 0} />
+          </Col>
+        </Row>
+
+        <ResponsiveContainer width="100%" height={300}>
+          <ComposedChart
+            data={chartData}
+            margin={{ left: 8, right: 8, top: 8 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
+            <XAxis
+              dataKey="price"
+              tickFormatter={money}
+              tick={{ fontSize: 12, fill: "#64748b" }}
+            />
+            <YAxis
+              yAxisId="rate"
+              unit="%"
+              domain={[0, 100]}
+              tick={{ fontSize: 12, fill: "#64748b" }}
+            />
+            <YAxis
+              yAxisId="revenue"
+              orientation="right"
+              tick={{ fontSize: 12, fill: "#64748b" }}
+            />
+            <RTooltip labelFormatter={(p) => `Price ${money(p)}`} />
+            <Legend />
+            <Bar
+              yAxisId="rate"
+              dataKey="buyRate"
+              name="Buy rate (%)"
+              fill="#3b82f6"
+              radius={[4, 4, 0, 0]}
+            />
+            <Line
+              yAxisId="revenue"
+              type="monotone"
+              dataKey="revenueIndex"
+              name="Revenue index"
+              stroke="#10b981"
+              strokeWidth={2}
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+
+        <Table
+          size="small"
+          pagination={false}
+          rowKey="price"
+          dataSource={points}
+          columns={columns}
+        />
+
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          Elasticity is the arc elasticity of the buy rate from the next lower
+          price. Prices outside the ladder are not extrapolated.
+        </Text>
+      </Space>
+    </Card>
+  );
+}
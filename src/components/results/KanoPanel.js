@@ -0,0 +1,231 @@
+"use client";
+
+import { AppstoreOutlined, InfoCircleOutlined } from "@ant-design/icons";
+import {
+  Card,
+  Empty,
+  Select,
+  Space,
+  Table,
+  Tag,
+  Tooltip,
+  Typography,
+} from "antd";
+import { useState } from "react";
+import {
+  CartesianGrid,
+  LabelList,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip as RTooltip,
+  Scatter,
+  ScatterChart,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { KANO_CATEGORY_LABELS, KanoCategory } from "@/lib/domain/kano";
+
+const { Text } = Typography;
+
+const ALL_SEGMENTS = "__all__";
+
+const CATEGORY_COLORS = {
+  [KanoCategory.MUST_BE]: "#ef4444",
+  [KanoCategory.PERFORMANCE]: "#3b82f6",
+  [KanoCategory.ATTRACTIVE]: "#10b981",
+  [KanoCategory.INDIFFERENT]: "#94a3b8",
+  [KanoCategory.REVERSE]: "#f59e0b",
+  [KanoCategory.QUESTIONABLE]: "#64748b",
+};
+
+/** Count columns, with the one-letter codes of the Kano evaluation table */
+const COUNT_COLUMNS = [
+  [KanoCategory.MUST_BE, "M"],
+  [KanoCategory.PERFORMANCE, "O"],
+  [KanoCategory.ATTRACTIVE, "A"],
+  [KanoCategory.INDIFFERENT, "I"],
+  [KanoCategory.REVERSE, "R"],
+  [KanoCategory.QUESTIONABLE, "Q"],
+];
+
+function formatCoefficient(value) {
+  return value === null ? "—" : value.toFixed(2);
+}
+
+/**
+ * Kano Panel - feature classification and satisfaction coefficients
+ *
+ * Classifies each binary and categorical feature as must-be, performance,
+ * attractive, indifferent or reverse from the agents' functional and
+ * dysfunctional answers, and plots satisfaction against dissatisfaction,
+ * overall or for one segment. Where FeatureImportancePanel counts how often
+ * a feature is cited in choices, this shows how its presence or absence
+ * is felt.
+ *
+ * Props:
+ * - kano: KanoSummary
+ * - features: Feature[] - for labels
+ * - segments: AgentSegment[]
+ */
+export function KanoPanel({ kano, features = [], segments = [] }) {
+  const [segmentId, setSegmentId] = useState(ALL_SEGMENTS);
+
+  const title = (
+    <Space>
+      <AppstoreOutlined />
+      <span>Kano Feature Classification</span>
+      <Tooltip title="Each agent said how it would feel if the product has a feature and if it does not. Must-be features are expected, performance features please more the more there is, attractive features delight but are not missed, indifferent features do not matter and reverse features are unwanted. Satisfaction is the share of attractive and performance answers; dissatisfaction the share of performance and must-be answers.">
+        <InfoCircleOutlined style={{ color: "#94a3b8" }} />
+      </Tooltip>
+    </Space>
+  );
+
+  if (!kano) {
+    return (
+      <Card title={title}>
+        <Empty description="No usable Kano answers" />
+      </Card>
+    );
+  }
+
+  const group = segmentId === ALL_SEGMENTS ? kano : kano.bySegment?.[segmentId];
+  const labelOf = (key) => features.find((f) => f.key === key)?.label || key;
+  const rows = Object.entries(group?.features || {}).map(([key, result]) => ({
+    key,
+    label: labelOf(key),
+    ...result,
+  }));
+
+  const chartData = rows
+    .filter((r) => r.satisfaction !== null)
+    .map((r) => ({
+      label: r.label,
+      category: r.category,
+      satisfaction: Math.round(r.satisfaction * 100) / 100,
+      dissatisfaction: Math.round(Math.abs(r.dissatisfaction) * 100) / 100,
+    }));
+
+  const columns = [
+    { title: "Feature", dataIndex: "label", key: "label" },
+    {
+      title: "Category",
+      dataIndex: "category",
+      key: "category",
+      render: (category) =>
+        category
+          ? <Tag color={CATEGORY_COLORS[category]}>
+              {KANO_CATEGORY_LABELS[category]}
+            </Tag>
+          : "—",
+    },
+    ...COUNT_COLUMNS.map(([category, code]) => ({
+      title: (
+        <Tooltip title={KANO_CATEGORY_LABELS[category]}>
+          <span>{code}</span>
+        </Tooltip>
+      ),
+      key: category,
+      align: "right",
+      render: (_, row) => row.counts[category],
+    })),
+    {
+      title: "Satisfaction",
+      dataIndex: "satisfaction",
+      key: "satisfaction",
+      align: "right",
+      render: formatCoefficient,
+    },
+    {
+      title: "Dissatisfaction",
+      dataIndex: "dissatisfaction",
+      key: "dissatisfaction",
+      align: "right",
+      render: formatCoefficient,
+    },
+  ];
+
+  const segmentOptions = [
+    { value: ALL_SEGMENTS, label: "All agents" },
+    ...segments
+      .filter((s) => kano.bySegment?.[s.segmentId])
+      .map((s) => ({ value: s.segmentId, label: s.label || s.segmentId })),
+  ];
+
+  return (
+    <Card
+      title={title}
+      extra={
+        <Select
+          value={segmentId}
+          onChange={setSegmentId}
+          options={segmentOptions}
+          style={{ minWidth: 160 }}
+        />
+      }
+    >
+      <Space orientation="vertical" size="middle" style={{ width: "100%" }}>
+        <ResponsiveContainer width="100%" height={320}>
+          <ScatterChart margin={{ left: 8, right: 24, top: 16, bottom: 16 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
+            <XAxis
+              type="number"
+              dataKey="satisfaction"
+              name="Satisfaction"
+              domain={[0, 1]}
+              tick={{ fontSize: 12, fill: "#64748b" }}
+              label={{
+                value: "Satisfaction (with it)",
+                position: "insideBottom",
+                offset: -8,
+                fontSize: 12,
+                fill: "#64748b",
+              }}
+            />
+            <YAxis
+              type="number"
+              dataKey="dissatisfaction"
+              name="Dissatisfaction"
+              domain={[0, 1]}
+              tick={{ fontSize: 12, fill: "#64748b" }}
+              label={{
+                value: "Dissatisfaction (without it)",
+                angle: -90,
+                position: "insideLeft",
+                fontSize: 12,
+                fill: "#64748b",
+              }}
+            />
+            <ReferenceLine x={0.5} stroke="#cbd5e1" strokeDasharray="4 4" />
+            <ReferenceLine y={0.5} stroke="#cbd5e1" strokeDasharray="4 4" />
+            <RTooltip cursor={{ strokeDasharray: "3 3" }} />
+            {Object.keys(CATEGORY_COLORS).map((category) => (
+              <Scatter
+                key={category}
+                name={KANO_CATEGORY_LABELS[category]}
+                data={chartData.filter((d) => d.category === category)}
+                fill={CATEGORY_COLORS[category]}
+              >
+                <LabelList dataKey="label" position="top" fontSize={11} />
+              </Scatter>
+            ))}
+          </ScatterChart>
+        </ResponsiveContainer>
+
+        <Table
+          size="small"
+          pagination={false}
+          rowKey="key"
+          dataSource={rows}
+          columns={columns}
+        />
+
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          {group?.responses ?? 0} answer pairs. Features top right are
+          performance features, top left must-be, bottom right attractive and
+          bottom left indifferent. Questionable answers (liking or disliking
+          both having and lacking a feature) are left out of the coefficients.
+        </Text>
+      </Space>
+    </Card>
+  );
+}
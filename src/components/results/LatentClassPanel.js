@@ -0,0 +1,277 @@
+"use client";
+
+import { ClusterOutlined, InfoCircleOutlined } from "@ant-design/icons";
+import {
+  Alert,
+  Card,
+  Col,
+  Empty,
+  Progress,
+  Row,
+  Select,
+  Space,
+  Table,
+  Tag,
+  Tooltip,
+  Typography,
+} from "antd";
+import { useMemo, useState } from "react";
+
+const { Text } = Typography;
+
+const DIMENSION_LABELS = {
+  segment: "Segment",
+  model: "Model",
+  personality: "Personality",
+  location: "Location",
+};
+
+// NMI above this means classes mostly follow a configured persona dimension
+const ALIGNMENT_THRESHOLD = 0.5;
+
+/**
+ * Latent Class Panel
+ *
+ * Shows preference classes discovered from the responses (latent-class MNL)
+ * and whether they follow the configured persona grid or cut across it.
+ *
+ * Props:
+ *  - latentClasses: { criterion, selected, fits: [{ numClasses, logLik, aic, bic, classes, alignment }] } | null
+ *  - estimated: boolean - false when latent classes were not requested (see computeResults)
+ *  - features: Feature[]
+ */
+export function LatentClassPanel({
+  latentClasses,
+  estimated = true,
+  features = [],
+}) {
+  const [numClasses, setNumClasses] = useState(null);
+  const activeK = numClasses ?? latentClasses?.selected;
+  const fit = useMemo(
+    () => latentClasses?.fits?.find((f) => f.numClasses === activeK) || null,
+    [latentClasses, activeK],
+  );
+
+  const title = (
+    <Space>
+      <ClusterOutlined />
+      <span>Latent Classes</span>
+      <Tooltip title="Preference classes estimated from the choices alone (latent-class MNL). Each agent is assigned to its most likely class; the number of classes is chosen by information criterion.">
+        <InfoCircleOutlined style={{ color: "#94a3b8" }} />
+      </Tooltip>
+    </Space>
+  );
+
+  if (!latentClasses || !fit) {
+    return (
+      <Card
+        title={title}
+        style={{ borderRadius: 14, border: "1px solid #e2e8f0" }}
+      >
+        <Empty
+          description={
+            estimated
+              ? "Not enough data to fit latent classes (need 4+ agents and 10+ choices)"
+              : "Latent classes are not estimated yet"
+          }
+        />
+      </Card>
+    );
+  }
+
+  const criterion = latentClasses.criterion === "aic" ? "AIC" : "BIC";
+
+  const fitColumns = [
+    {
+      title: "Classes",
+      dataIndex: "numClasses",
+      key: "numClasses",
+      render: (k) => (
+        <Space>
+          {k}
+          {k === latentClasses.selected && (
+            <Tag color="blue" bordered={false}>
+              Best {criterion}
+            </Tag>
+          )}
+        </Space>
+      ),
+    },
+    {
+      title: "Log-likelihood",
+      dataIndex: "logLik",
+      key: "logLik",
+      render: (v) => v.toFixed(1),
+    },
+    { title: "AIC", dataIndex: "aic", key: "aic", render: (v) => v.toFixed(1) },
+    { title: "BIC", dataIndex: "bic", key: "bic", render: (v) => v.toFixed(1) },
+  ];
+
+  const alignment = Object.entries(fit.alignment || {}).filter(
+    ([dimKey]) => dimKey !== "segment",
+  );
+  const strongest = alignment.reduce(
+    (best, entry) => (entry[1] > (best?.[1] ?? -1) ? entry : best),
+    null,
+  );
+
+  return (
+    <Card
+      title={title}
+      extra={
+        <Select
+          size="small"
+          value={activeK}
+          onChange={setNumClasses}
+          style={{ width: 140 }}
+          options={latentClasses.fits.map((f) => ({
+            value: f.numClasses,
+            label: `${f.numClasses} class${f.numClasses !== 1 ? "es" : ""}`,
+          }))}
+        />
+      }
+      style={{ borderRadius: 14, border: "1px solid #e2e8f0" }}
+    >
+      <Space orientation="vertical" size="large" style={{ width: "100%" }}>
+        {fit.numClasses > 1 && strongest && (
+          <Alert
+            type={strongest[1] >= ALIGNMENT_THRESHOLD ? "success" : "warning"}
+            showIcon
+            title={
+              strongest[1] >= ALIGNMENT_THRESHOLD
+                ? `Classes mostly follow ${DIMENSION_LABELS[strongest[0]].toLowerCase()}`
+                : "Classes cut across the configured personas"
+            }
+            description={
+              strongest[1] >= ALIGNMENT_THRESHOLD
+                ? `Agents with the same ${DIMENSION_LABELS[strongest[0]].toLowerCase()} tend to land in the same preference class.`
+                : "No configured dimension explains class membership well — the population splits along some other preference dimension."
+            }
+          />
+        )}
+
+        {fit.numClasses > 1 && (
+          <Row gutter={16}>
+            {alignment.map(([dimKey, value]) => (
+              <Col span={8} key={dimKey}>
+                <Text type="secondary" style={{ fontSize: 12 }}>
+                  Alignment with {DIMENSION_LABELS[dimKey]}
+                </Text>
+                <Progress
+                  percent={Math.round(value * 100)}
+                  size="small"
+                  strokeColor={
+                    value >= ALIGNMENT_THRESHOLD ? "#10b981" : "#94a3b8"
+                  }
+                />
+              </Col>
+            ))}
+          </Row>
+        )}
+
+        <Row gutter={[16, 16]}>
+          {fit.classes.map((cls) => (
+            <Col span={fit.classes.length > 2 ? 8 : 12} key={cls.id}>
+              <ClassCard cls={cls} features={features} />
+            </Col>
+          ))}
+        </Row>
+
+        <Table
+          size="small"
+          rowKey="numClasses"
+          dataSource={latentClasses.fits}
+          columns={fitColumns}
+          pagination={false}
+        />
+      </Space>
+    </Card>
+  );
+}
+
+/* ── Sub-components ─────────────────────────────────────── */
+
+function ClassCard({ cls, features }) {
+  const topWeights = Object.entries(cls.partWorths || {})
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+    .slice(0, 5);
+
+  return (
+    <Card size="small" style={{ borderRadius: 10 }}>
+      <Space orientation="vertical" style={{ width: "100%" }} size="small">
+        <Space style={{ justifyContent: "space-between", width: "100%" }}>
+          <Text strong>{cls.label}</Text>
+          <Tag bordered={false}>
+            {Math.round(cls.share * 100)}% · {cls.agents} agents
+          </Tag>
+        </Space>
+
+        <div>
+          <Text type="secondary" style={{ fontSize: 12 }}>
+            Strongest part-worths
+          </Text>
+          {topWeights.map(([key, value]) => (
+            <div
+              key={key}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                fontSize: 13,
+              }}
+            >
+              <span>{formatKeyLabel(key, features)}</span>
+              <span
+                style={{
+                  fontWeight: 600,
+                  color: value >= 0 ? "#3b82f6" : "#ef4444",
+                }}
+              >
+                {value >= 0 ? "+" : ""}
+                {value.toFixed(2)}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        {["model", "personality", "location"].map((dimKey) => (
+          <ProfileRow
+            key={dimKey}
+            label={DIMENSION_LABELS[dimKey]}
+            counts={cls.profile?.[dimKey]}
+          />
+        ))}
+      </Space>
+    </Card>
+  );
+}
+
+function ProfileRow({ label, counts = {} }) {
+  const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (entries.length === 0) return null;
+  return (
+    <div>
+      <Text type="secondary" style={{ fontSize: 12 }}>
+        {label}
+      </Text>
+      <div>
+        {entries.slice(0, 4).map(([value, count]) => (
+          <Tag key={value} bordered={false} style={{ marginBottom: 4 }}>
+            {value} ({count})
+          </Tag>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* ── Helpers ──────────────────────────────────────────── */
+
+function formatKeyLabel(key, features) {
+  if (key === "NONE") return "None (no choice)";
+  const parts = key.split(":");
+  const baseKey = parts[0];
+  const feat = features.find((f) => f.key === baseKey);
+  const baseLabel = feat?.label || baseKey;
+  if (parts.length > 1) return `${baseLabel}: ${parts[1]}`;
+  return baseLabel;
+}
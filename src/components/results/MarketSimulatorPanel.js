@@ -0,0 +1,541 @@
+"use client";
+
+import {
+  DeleteOutlined,
+  InfoCircleOutlined,
+  PlusOutlined,
+  SaveOutlined,
+  ShopOutlined,
+} from "@ant-design/icons";
+import {
+  Button,
+  Card,
+  Col,
+  Empty,
+  Input,
+  InputNumber,
+  message,
+  Row,
+  Segmented,
+  Select,
+  Space,
+  Switch,
+  Table,
+  Tag,
+  Tooltip,
+  Typography,
+} from "antd";
+import { useMemo, useState } from "react";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  ResponsiveContainer,
+  Tooltip as RTooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { simulateMarket } from "@/lib/domain/aggregate";
+import { createSeededRandom } from "@/lib/simworld/services/seededRandom";
+
+const { Text } = Typography;
+
+const PALETTE = [
+  "#3b82f6",
+  "#8b5cf6",
+  "#ec4899",
+  "#f59e0b",
+  "#10b981",
+  "#06b6d4",
+  "#6366f1",
+  "#ef4444",
+  "#14b8a6",
+  "#a855f7",
+];
+
+const RULE_OPTIONS = [
+  { label: "Share of preference", value: "share_of_preference" },
+  { label: "First choice", value: "first_choice" },
+  { label: "Randomized first choice", value: "randomized_first_choice" },
+];
+
+const SOURCE_LABELS = {
+  hb: "HB individual part-worths",
+  segment: "segment part-worths",
+  pooled: "pooled part-worths",
+};
+
+/**
+ * Market Simulator Panel - what-if concept builder
+ *
+ * Compose hypothetical products from the feature schema, put them in a
+ * market with existing alternatives and predict shares with the fitted
+ * part-worths, overall and per segment. Scenarios are saved on the run.
+ *
+ * Props:
+ *  - results: ResultsSummary - needs partWorths (and hierarchical when available)
+ *  - alternatives: Alternative[] - candidate competitors and the model's scaling base
+ *  - features: Feature[]
+ *  - segments: AgentSegment[]
+ *  - scenarios: SimulatorScenario[] - saved on the run
+ *  - onSaveScenarios: (scenarios: SimulatorScenario[]) => Promise<void>
+ */
+export function MarketSimulatorPanel({
+  results,
+  alternatives = [],
+  features = [],
+  segments = [],
+  scenarios = [],
+  onSaveScenarios,
+}) {
+  const [concepts, setConcepts] = useState(() => [createConcept(features, 1)]);
+  const [competitorIds, setCompetitorIds] = useState(() =>
+    alternatives.map((a) => a.id),
+  );
+  const [rule, setRule] = useState("share_of_preference");
+  const [includeNone, setIncludeNone] = useState(true);
+  const [scenarioName, setScenarioName] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const partWorths = results?.partWorths;
+  const hasModel = Object.keys(partWorths?.overall || {}).length > 0;
+  const noneAvailable = partWorths?.overall?.NONE !== undefined;
+
+  const products = useMemo(
+    () => [
+      ...concepts,
+      ...alternatives.filter((a) => competitorIds.includes(a.id)),
+    ],
+    [concepts, alternatives, competitorIds],
+  );
+
+  const simulation = useMemo(() => {
+    if (!hasModel || products.length === 0) return null;
+    const rng = createSeededRandom(
+      `market:${products.map((p) => p.id).join(",")}`,
+    );
+    return simulateMarket({
+      products,
+      alternatives,
+      features,
+      segments,
+      partWorths,
+      hierarchical: results?.hierarchical,
+      rule,
+      includeNone,
+      random: () => rng.next(),
+    });
+  }, [
+    hasModel,
+    products,
+    alternatives,
+    features,
+    segments,
+    partWorths,
+    results,
+    rule,
+    includeNone,
+  ]);
+
+  const productNames = useMemo(() => {
+    const m = { NONE: "None" };
+    products.forEach((p) => {
+      m[p.id] = p.name || p.id;
+    });
+    return m;
+  }, [products]);
+
+  const title = (
+    <Space>
+      <ShopOutlined />
+      <span>Market Simulator</span>
+      <Tooltip title="Predicted shares for a hypothetical market, computed from the fitted part-worths. Share of preference averages logit probabilities; first choice gives each respondent to its best product; randomized first choice adds utility noise to first choice.">
+        <InfoCircleOutlined style={{ color: "#94a3b8" }} />
+      </Tooltip>
+    </Space>
+  );
+
+  if (!hasModel) {
+    return (
+      <Card
+        title={title}
+        style={{ borderRadius: 14, border: "1px solid #e2e8f0" }}
+      >
+        <Empty description="Part-worths are needed to simulate a market (need 5+ responses)" />
+      </Card>
+    );
+  }
+
+  const updateConcept = (id, patch) => {
+    setConcepts((prev) =>
+      prev.map((c) => (c.id === id ? { ...c, ...patch } : c)),
+    );
+  };
+
+  const handleLoadScenario = (id) => {
+    const scenario = scenarios.find((s) => s.id === id);
+    if (!scenario) return;
+    setConcepts(scenario.concepts || []);
+    setCompetitorIds(scenario.competitorIds || []);
+    setRule(scenario.rule || "share_of_preference");
+    setIncludeNone(scenario.includeNone !== false);
+    setScenarioName(scenario.name);
+  };
+
+  const handleSaveScenario = async () => {
+    const name = scenarioName.trim();
+    if (!name) {
+      message.warning("Name the scenario first");
+      return;
+    }
+    const existing = scenarios.find((s) => s.name === name);
+    const scenario = {
+      id: existing?.id || `scenario_${Date.now()}`,
+      name,
+      concepts,
+      competitorIds,
+      rule,
+      includeNone,
+      savedAt: new Date(),
+    };
+    setSaving(true);
+    try {
+      await onSaveScenarios(
+        existing
+          ? scenarios.map((s) => (s.id === existing.id ? scenario : s))
+          : [...scenarios, scenario],
+      );
+      message.success(`Scenario "${name}" saved`);
+    } catch (error) {
+      console.error("Error saving scenario:", error);
+      message.error("Failed to save scenario");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteScenario = async (id) => {
+    try {
+      await onSaveScenarios(scenarios.filter((s) => s.id !== id));
+    } catch (error) {
+      console.error("Error deleting scenario:", error);
+      message.error("Failed to delete scenario");
+    }
+  };
+
+  const conceptColumns = [
+    {
+      title: "Concept",
+      dataIndex: "name",
+      key: "name",
+      width: 180,
+      fixed: "left",
+      render: (text, record) => (
+        <Input
+          value={text}
+          onChange={(e) => updateConcept(record.id, { name: e.target.value })}
+        />
+      ),
+    },
+    ...features.map((f) => ({
+      title: f.label || f.key,
+      key: f.key,
+      width: 150,
+      render: (_, record) => (
+        <FeatureInput
+          feature={f}
+          value={record.features[f.key]}
+          onChange={(v) =>
+            updateConcept(record.id, {
+              features: { ...record.features, [f.key]: v },
+            })
+          }
+        />
+      ),
+    })),
+    {
+      key: "actions",
+      width: 50,
+      render: (_, record) => (
+        <Button
+          type="text"
+          danger
+          icon={<DeleteOutlined />}
+          onClick={() =>
+            setConcepts((prev) => prev.filter((c) => c.id !== record.id))
+          }
+        />
+      ),
+    },
+  ];
+
+  const optionIds = Object.keys(simulation?.overall || {});
+  const chartData = optionIds.map((id, i) => ({
+    id,
+    name: productNames[id] || id,
+    value: Math.round(simulation.overall[id] * 1000) / 10,
+    fill: id === "NONE" ? "#94a3b8" : PALETTE[i % PALETTE.length],
+  }));
+
+  const segmentRows = segments
+    .filter((s) => simulation?.bySegment?.[s.segmentId])
+    .map((s) => ({
+      key: s.segmentId,
+      segment: s.label || s.segmentId,
+      ...simulation.bySegment[s.segmentId],
+    }));
+  const segmentColumns = [
+    { title: "Segment", dataIndex: "segment", key: "segment", fixed: "left" },
+    ...optionIds.map((id) => ({
+      title: productNames[id] || id,
+      dataIndex: id,
+      key: id,
+      render: (v) => `${((v || 0) * 100).toFixed(1)}%`,
+    })),
+  ];
+
+  return (
+    <Card
+      title={title}
+      style={{ borderRadius: 14, border: "1px solid #e2e8f0" }}
+    >
+      <Space orientation="vertical" size="large" style={{ width: "100%" }}>
+        {/* Scenarios */}
+        <Row gutter={16} align="bottom">
+          <Col span={10}>
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              Saved scenarios
+            </Text>
+            <Select
+              placeholder={
+                scenarios.length ? "Load a scenario" : "No saved scenarios"
+              }
+              style={{ width: "100%" }}
+              disabled={scenarios.length === 0}
+              onChange={handleLoadScenario}
+              value={null}
+              options={scenarios.map((s) => ({
+                value: s.id,
+                label: (
+                  <Space
+                    style={{ justifyContent: "space-between", width: "100%" }}
+                  >
+                    <span>{s.name}</span>
+                    <DeleteOutlined
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleDeleteScenario(s.id);
+                      }}
+                    />
+                  </Space>
+                ),
+              }))}
+            />
+          </Col>
+          <Col span={14}>
+            <Space.Compact style={{ width: "100%" }}>
+              <Input
+                placeholder="Scenario name"
+                value={scenarioName}
+                onChange={(e) => setScenarioName(e.target.value)}
+              />
+              <Button
+                icon={<SaveOutlined />}
+                onClick={handleSaveScenario}
+                loading={saving}
+              >
+                Save Scenario
+              </Button>
+            </Space.Compact>
+          </Col>
+        </Row>
+
+        {/* Market */}
+        <div>
+          <Space
+            style={{
+              justifyContent: "space-between",
+              width: "100%",
+              marginBottom: 8,
+            }}
+          >
+            <Text strong>New concepts</Text>
+            <Button
+              size="small"
+              icon={<PlusOutlined />}
+              onClick={() =>
+                setConcepts((prev) => [
+                  ...prev,
+                  createConcept(features, prev.length + 1),
+                ])
+              }
+            >
+              Add Concept
+            </Button>
+          </Space>
+          <Table
+            size="small"
+            rowKey="id"
+            dataSource={concepts}
+            columns={conceptColumns}
+            pagination={false}
+            scroll={{ x: "max-content" }}
+          />
+        </div>
+
+        <Row gutter={16}>
+          <Col span={12}>
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              Competitors
+            </Text>
+            <Select
+              mode="multiple"
+              style={{ width: "100%" }}
+              value={competitorIds}
+              onChange={setCompetitorIds}
+              options={alternatives.map((a) => ({
+                value: a.id,
+                label: a.name || a.id,
+              }))}
+            />
+          </Col>
+          <Col span={12}>
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              Simulation rule
+            </Text>
+            <div>
+              <Segmented
+                value={rule}
+                onChange={setRule}
+                options={RULE_OPTIONS}
+              />
+            </div>
+          </Col>
+        </Row>
+
+        <Space>
+          <Switch
+            checked={includeNone && noneAvailable}
+            onChange={setIncludeNone}
+            disabled={!noneAvailable}
+          />
+          <Text>Include &quot;None&quot; (no purchase)</Text>
+          {!noneAvailable && (
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              (the run did not offer a None option)
+            </Text>
+          )}
+        </Space>
+
+        {/* Output */}
+        {!simulation
+          ? <Empty description="Add a concept or pick competitors to simulate" />
+          : <>
+              <Space>
+                <Tag bordered={false}>
+                  {simulation.respondents} simulated respondent
+                  {simulation.respondents !== 1 ? "s" : ""}
+                </Tag>
+                <Text type="secondary" style={{ fontSize: 12 }}>
+                  Using {SOURCE_LABELS[simulation.source]}
+                </Text>
+              </Space>
+              <ResponsiveContainer
+                width="100%"
+                height={Math.max(chartData.length * 40, 160)}
+              >
+                <BarChart
+                  data={chartData}
+                  layout="vertical"
+                  margin={{ left: 120, right: 40 }}
+                >
+                  <CartesianGrid
+                    strokeDasharray="3 3"
+                    stroke="#f1f5f9"
+                    horizontal={false}
+                  />
+                  <XAxis
+                    type="number"
+                    domain={[0, 100]}
+                    unit="%"
+                    tick={{ fontSize: 12, fill: "#64748b" }}
+                  />
+                  <YAxis
+                    type="category"
+                    dataKey="name"
+                    width={110}
+                    tick={{ fontSize: 12, fill: "#334155", fontWeight: 500 }}
+                  />
+                  <RTooltip formatter={(v) => [`${v}%`, "Predicted share"]} />
+                  <Bar dataKey="value" radius={[4, 4, 4, 4]} maxBarSize={24}>
+                    {chartData.map((d) => (
+                      <Cell key={d.id} fill={d.fill} fillOpacity={0.85} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+              {segmentRows.length > 0 && (
+                <Table
+                  size="small"
+                  dataSource={segmentRows}
+                  columns={segmentColumns}
+                  pagination={false}
+                  scroll={{ x: "max-content" }}
+                />
+              )}
+            </>}
+      </Space>
+    </Card>
+  );
+}
+
+/* ── Sub-components ─────────────────────────────────────── */
+
+function FeatureInput({ feature, value, onChange }) {
+  if (feature.type === "continuous") {
+    return (
+      <InputNumber
+        value={value}
+        min={feature.min}
+        max={feature.max}
+        onChange={onChange}
+        style={{ width: "100%" }}
+      />
+    );
+  }
+  if (feature.type === "categorical") {
+    return (
+      <Select
+        value={value}
+        onChange={onChange}
+        style={{ width: "100%" }}
+        options={(feature.categories || []).map((c) => ({
+          value: c,
+          label: c,
+        }))}
+      />
+    );
+  }
+  return <Switch checked={!!value} onChange={onChange} />;
+}
+
+/* ── Helpers ──────────────────────────────────────────── */
+
+function createConcept(features, index) {
+  const conceptFeatures = {};
+  features.forEach((f) => {
+    if (f.type === "continuous") {
+      conceptFeatures[f.key] = f.min || 0;
+    } else if (f.type === "categorical") {
+      conceptFeatures[f.key] = f.categories?.[0] || "";
+    } else if (f.type === "binary") {
+      conceptFeatures[f.key] = false;
+    }
+  });
+  return {
+    id: `concept_${Date.now()}_${index}`,
+    name: `Concept ${index}`,
+    features: conceptFeatures,
+  };
+}
@@ -0,0 +1,209 @@
+"use client";
+
+import { InfoCircleOutlined, OrderedListOutlined } from "@ant-design/icons";
+import {
+  Card,
+  Segmented,
+  Select,
+  Space,
+  Table,
+  Tooltip,
+  Typography,
+} from "antd";
+import { useMemo, useState } from "react";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  LabelList,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip as RTooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+const { Text } = Typography;
+
+const ALL_SEGMENTS = "__all__";
+
+const METRICS = {
+  share: {
+    label: "Share of preference",
+    format: (v) => `${(v * 100).toFixed(1)}%`,
+  },
+  countScore: {
+    label: "Best − worst score",
+    format: (v) => v.toFixed(2),
+  },
+};
+
+function formatUtility(item) {
+  if (item.utility === null) return "-";
+  return `${item.utility.toFixed(2)} ± ${item.se.toFixed(2)}`;
+}
+
+const columns = [
+  { title: "Item", dataIndex: "name", key: "name" },
+  { title: "Shown", dataIndex: "shown", key: "shown" },
+  { title: "Best", dataIndex: "best", key: "best" },
+  { title: "Worst", dataIndex: "worst", key: "worst" },
+  {
+    title: "Best − worst",
+    dataIndex: "countScore",
+    key: "countScore",
+    render: METRICS.countScore.format,
+  },
+  {
+    title: "Utility (± SE)",
+    key: "utility",
+    render: (_, row) => formatUtility(row),
+  },
+  {
+    title: "Share",
+    dataIndex: "share",
+    key: "share",
+    render: (v) => (v === null ? "-" : METRICS.share.format(v)),
+  },
+];
+
+/**
+ * MaxDiff Panel - item scores from best-worst tasks
+ *
+ * Shows the share of preference from the sequential best-worst MNL, or the
+ * counting score (times best − times worst) / times shown, overall or for
+ * one segment.
+ *
+ * Props:
+ * - maxDiff: results.maxDiff - { items, fit, tasks, bySegment }
+ * - alternatives: Alternative[] - the items
+ * - segments: AgentSegment[]
+ */
+export function MaxDiffPanel({ maxDiff, alternatives = [], segments = [] }) {
+  const [segmentId, setSegmentId] = useState(ALL_SEGMENTS);
+  const [metric, setMetric] = useState("share");
+
+  const group =
+    segmentId === ALL_SEGMENTS ? maxDiff : maxDiff?.bySegment?.[segmentId];
+  // Too few tasks for the MNL: fall back to counting scores
+  const activeMetric = group?.fit ? metric : "countScore";
+
+  const rows = useMemo(() => {
+    if (!group?.items) return [];
+    return alternatives
+      .filter((alt) => group.items[alt.id])
+      .map((alt) => ({
+        key: alt.id,
+        name: alt.name || alt.id,
+        ...group.items[alt.id],
+      }))
+      .sort((a, b) => (b[activeMetric] ?? 0) - (a[activeMetric] ?? 0));
+  }, [group, alternatives, activeMetric]);
+
+  if (!maxDiff) return null;
+
+  const segmentOptions = [
+    { value: ALL_SEGMENTS, label: "All agents" },
+    ...segments
+      .filter((s) => maxDiff.bySegment?.[s.segmentId])
+      .map((s) => ({ value: s.segmentId, label: s.label || s.segmentId })),
+  ];
+  const { format } = METRICS[activeMetric];
+
+  return (
+    <Card
+      title={
+        <Space>
+          <OrderedListOutlined />
+          <span>MaxDiff Scores</span>
+          <Tooltip title="Each task asked agents for the best and the worst of the shown items. Utilities come from a sequential best-worst logit (best from the set, then worst from the rest) and are centred on zero.">
+            <InfoCircleOutlined style={{ color: "#94a3b8" }} />
+          </Tooltip>
+        </Space>
+      }
+      extra={
+        <Space>
+          <Select
+            value={segmentId}
+            onChange={setSegmentId}
+            options={segmentOptions}
+            style={{ minWidth: 160 }}
+          />
+          <Segmented
+            value={activeMetric}
+            onChange={setMetric}
+            disabled={!group?.fit}
+            options={Object.entries(METRICS).map(([value, m]) => ({
+              value,
+              label: m.label,
+            }))}
+          />
+        </Space>
+      }
+    >
+      <Space orientation="vertical" size="middle" style={{ width: "100%" }}>
+        <ResponsiveContainer
+          width="100%"
+          height={Math.max(rows.length * 44, 200)}
+        >
+          <BarChart
+            data={rows}
+            layout="vertical"
+            margin={{ left: 120, right: 60, top: 8, bottom: 8 }}
+            barCategoryGap="25%"
+          >
+            <CartesianGrid
+              strokeDasharray="3 3"
+              stroke="#f1f5f9"
+              horizontal={false}
+            />
+            <XAxis
+              type="number"
+              tick={{ fontSize: 12, fill: "#64748b" }}
+              tickFormatter={format}
+            />
+            <YAxis
+              type="category"
+              dataKey="name"
+              tick={{ fontSize: 13, fill: "#334155", fontWeight: 500 }}
+              width={110}
+            />
+            <ReferenceLine x={0} stroke="#94a3b8" />
+            <RTooltip
+              formatter={(v) => [format(v), METRICS[activeMetric].label]}
+            />
+            <Bar dataKey={activeMetric} radius={[0, 4, 4, 0]} maxBarSize={24}>
+              {rows.map((row) => (
+                <Cell
+                  key={row.key}
+                  fill={row[activeMetric] >= 0 ? "#3b82f6" : "#ef4444"}
+                />
+              ))}
+              <LabelList
+                dataKey={activeMetric}
+                position="right"
+                formatter={format}
+                style={{ fontSize: 12, fontWeight: 600, fill: "#334155" }}
+              />
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+
+        <Table
+          size="small"
+          pagination={false}
+          dataSource={rows}
+          columns={columns}
+        />
+
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          {group?.tasks ?? 0} best-worst tasks.{" "}
+          {group?.fit
+            ? `Model fit ρ² = ${group.fit.rho2.toFixed(3)}${group.fit.converged ? "" : " (not converged)"}.`
+            : "Too few tasks to fit utilities; showing counting scores only."}
+        </Text>
+      </Space>
+    </Card>
+  );
+}
@@ -1,7 +1,7 @@
 "use client";
 
-import { useMemo } from "react";
-import { Card, Typography, Space, Tooltip, Tag, Empty, Tabs } from "antd";
+import { useMemo, useState } from "react";
+import { Alert, Card, Typography, Space, Tooltip, Tag, Empty, Tabs, Segmented } from "antd";
 import {
   BarChartOutlined,
   InfoCircleOutlined,
@@ -16,6 +16,7 @@ import {
   ResponsiveContainer,
   ReferenceLine,
   Cell,
+  ErrorBar,
 } from "recharts";
 
 const { Text } = Typography;
@@ -26,46 +27,62 @@ const COLORS = {
   neutral: "#94a3b8",
 };
 
+const SIGNIFICANCE_LEVEL = 0.05;
+
 /**
  * Part-Worth Utilities Panel
  *
  * Visualises the MNL β weights as a horizontal bar chart.
  * Positive β  → feature level increases probability of being chosen
  * Negative β  → feature level decreases probability
+ * A "NONE" bar is the no-choice constant: the utility of choosing nothing
+ * relative to an average profile.
+ *
+ * With a hierarchical Bayes fit, a toggle switches to the HB posterior:
+ * bars show posterior means with credible-interval whiskers, and the
+ * tooltip adds the heterogeneity SD across agents.
+ *
+ * In pooled MNL mode, coefficients that are not significant at
+ * SIGNIFICANCE_LEVEL are faded, and the tooltip shows SE, z and p.
  *
  * Props:
- *  - partWorths: { overall: { [key]: number }, bySegment: { [segId]: { [key]: number } } }
+ *  - partWorths: { overall, bySegment, inference, inferenceBySegment, fit, fitBySegment }
+ *  - hierarchical: { population, bySegment, diagnostics } | null - HB-MNL summary
  *  - features: Feature[]
  *  - segments: AgentSegment[]
  */
-export function PartWorthPanel({ partWorths, features = [], segments = [] }) {
+export function PartWorthPanel({
+  partWorths,
+  hierarchical = null,
+  features = [],
+  segments = [],
+}) {
+  const [model, setModel] = useState("mnl");
+  const showHB = model === "hb" && !!hierarchical;
+
   const overallData = useMemo(() => {
+    if (showHB) return toChartData(hierarchical.population, features);
     if (!partWorths?.overall) return [];
-    return Object.entries(partWorths.overall)
-      .map(([key, value]) => ({
-        key,
-        label: formatKeyLabel(key, features),
-        value: Math.round(value * 1000) / 1000,
-        absValue: Math.abs(value),
-      }))
-      .sort((a, b) => b.absValue - a.absValue);
-  }, [partWorths, features]);
+    return toChartData(partWorths.overall, features, partWorths.inference);
+  }, [showHB, hierarchical, partWorths, features]);
 
   const segmentTabs = useMemo(() => {
-    if (!partWorths?.bySegment) return [];
-    return Object.entries(partWorths.bySegment).map(([segId, weights]) => {
+    const source = showHB ? hierarchical.bySegment : partWorths?.bySegment;
+    if (!source) return [];
+    return Object.entries(source).map(([segId, weights]) => {
       const seg = segments.find((s) => s.segmentId === segId);
-      const data = Object.entries(weights)
-        .map(([key, value]) => ({
-          key,
-          label: formatKeyLabel(key, features),
-          value: Math.round(value * 1000) / 1000,
-          absValue: Math.abs(value),
-        }))
-        .sort((a, b) => b.absValue - a.absValue);
-      return { segId, label: seg?.label || segId, data };
+      return {
+        segId,
+        label: seg?.label || segId,
+        data: toChartData(
+          weights,
+          features,
+          showHB ? null : partWorths?.inferenceBySegment?.[segId],
+        ),
+        fit: showHB ? null : partWorths?.fitBySegment?.[segId],
+      };
     });
-  }, [partWorths, features, segments]);
+  }, [showHB, hierarchical, partWorths, features, segments]);
 
   if (overallData.length === 0) {
     return (
@@ -83,7 +100,7 @@ export function PartWorthPanel({ partWorths, features = [], segments = [] }) {
     );
   }
 
-  const maxAbsValue = Math.max(...overallData.map((d) => d.absValue), 0.1);
+  const maxAbsValue = getMaxExtent(overallData);
 
   const items = [
     {
@@ -93,6 +110,7 @@ export function PartWorthPanel({ partWorths, features = [], segments = [] }) {
         <UtilityChart
           data={overallData}
           maxAbsValue={maxAbsValue}
+          fit={showHB ? null : partWorths?.fit}
         />
       ),
     },
@@ -102,7 +120,8 @@ export function PartWorthPanel({ partWorths, features = [], segments = [] }) {
       children: (
         <UtilityChart
           data={seg.data}
-          maxAbsValue={Math.max(...seg.data.map((d) => d.absValue), 0.1)}
+          maxAbsValue={getMaxExtent(seg.data)}
+          fit={seg.fit}
         />
       ),
     })),
@@ -119,8 +138,38 @@ export function PartWorthPanel({ partWorths, features = [], segments = [] }) {
           </Tooltip>
         </Space>
       }
+      extra={
+        hierarchical && (
+          <Segmented
+            size="small"
+            value={model}
+            onChange={setModel}
+            options={[
+              { label: "Pooled MNL", value: "mnl" },
+              { label: "Hierarchical Bayes", value: "hb" },
+            ]}
+          />
+        )
+      }
       style={{ borderRadius: 14, border: "1px solid #e2e8f0" }}
     >
+      {showHB && (
+        <Text type="secondary" style={{ display: "block", marginBottom: 8, fontSize: 12 }}>
+          Posterior means with {Math.round((hierarchical.diagnostics?.credibleLevel || 0.9) * 100)}%
+          credible intervals from {hierarchical.diagnostics?.respondents} agents
+          ({hierarchical.diagnostics?.draws} draws, acceptance{" "}
+          {Math.round((hierarchical.diagnostics?.acceptanceRate || 0) * 100)}%).
+        </Text>
+      )}
+      {showHB && hierarchical.diagnostics?.shortened && (
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginBottom: 8 }}
+          title="Shortened chain"
+          description={`This run is large, so the sampler ran ${hierarchical.diagnostics.burnIn} burn-in iterations and kept ${hierarchical.diagnostics.draws} draws instead of 1000 and 500. Treat the intervals as approximate.`}
+        />
+      )}
       <Tabs items={items} size="small" />
     </Card>
   );
@@ -128,8 +177,9 @@ export function PartWorthPanel({ partWorths, features = [], segments = [] }) {
 
 /* ── Sub-components ─────────────────────────────────────── */
 
-function UtilityChart({ data, maxAbsValue }) {
+function UtilityChart({ data, maxAbsValue, fit = null }) {
   const chartHeight = Math.max(data.length * 40, 200);
+  const hasInference = data.some((d) => d.p !== undefined);
 
   return (
     <div>
@@ -141,8 +191,14 @@ function UtilityChart({ data, maxAbsValue }) {
           <Tag color="red" bordered={false}>
             <span style={{ fontWeight: 600 }}>Negative</span> = decreases choice probability
           </Tag>
+          {hasInference && (
+            <Tag bordered={false}>
+              <span style={{ fontWeight: 600 }}>Faded</span> = not significant (p ≥ {SIGNIFICANCE_LEVEL})
+            </Tag>
+          )}
         </Space>
       </div>
+      {fit && <FitSummary fit={fit} />}
       <ResponsiveContainer width="100%" height={chartHeight}>
         <BarChart data={data} layout="vertical" margin={{ left: 120, right: 40, top: 8, bottom: 8 }}>
           <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" horizontal={false} />
@@ -178,6 +234,22 @@ function UtilityChart({ data, maxAbsValue }) {
                   <Text>
                     β = <span style={{ fontWeight: 700, color: d.value >= 0 ? COLORS.positive : COLORS.negative }}>{d.value.toFixed(3)}</span>
                   </Text>
+                  {d.interval && (
+                    <Text type="secondary" style={{ display: "block", fontSize: 12 }}>
+                      Credible interval [{d.interval[0].toFixed(3)}, {d.interval[1].toFixed(3)}]
+                    </Text>
+                  )}
+                  {d.p !== undefined && (
+                    <Text type="secondary" style={{ display: "block", fontSize: 12 }}>
+                      SE {d.se.toFixed(3)} · z = {d.t.toFixed(2)} · p {formatPValue(d.p)}
+                      {!d.significant && " (not significant)"}
+                    </Text>
+                  )}
+                  {d.sd !== undefined && (
+                    <Text type="secondary" style={{ display: "block", fontSize: 12 }}>
+                      Heterogeneity SD {d.sd.toFixed(3)}
+                    </Text>
+                  )}
                 </div>
               );
             }}
@@ -188,9 +260,12 @@ function UtilityChart({ data, maxAbsValue }) {
               <Cell
                 key={d.key}
                 fill={d.value >= 0 ? COLORS.positive : COLORS.negative}
-                fillOpacity={0.85}
+                fillOpacity={d.significant === false ? 0.3 : 0.85}
               />
             ))}
+            {data.some((d) => d.error) && (
+              <ErrorBar dataKey="error" direction="x" width={6} stroke="#334155" strokeWidth={1.5} />
+            )}
           </Bar>
         </BarChart>
       </ResponsiveContainer>
@@ -198,10 +273,82 @@ function UtilityChart({ data, maxAbsValue }) {
   );
 }
 
+function FitSummary({ fit }) {
+  const stats = [
+    `LL ${fit.logLik.toFixed(1)}`,
+    `null LL ${fit.nullLogLik.toFixed(1)}`,
+    `McFadden ρ² ${fit.rho2.toFixed(3)}`,
+    `AIC ${fit.aic.toFixed(1)}`,
+    `BIC ${fit.bic.toFixed(1)}`,
+    `${fit.observations} choices`,
+    `${fit.iterations} iterations`,
+  ];
+  return (
+    <Space size="small" wrap style={{ marginBottom: 8 }}>
+      <Text type="secondary" style={{ fontSize: 12 }}>
+        {stats.join(" · ")}
+      </Text>
+      {!fit.converged && (
+        <Tooltip title="Newton-Raphson hit its iteration limit; estimates and standard errors may be unreliable.">
+          <Tag color="orange" bordered={false}>
+            Not converged
+          </Tag>
+        </Tooltip>
+      )}
+    </Space>
+  );
+}
+
 /* ── Helpers ──────────────────────────────────────────── */
 
+/**
+ * Map { key: β } or { key: { mean, lo, hi, sd } } to sorted chart rows.
+ * Interval entries get an `error` [below, above] offset for the ErrorBar;
+ * with an `inference` map ({ key: { se, t, p } }) rows also get SE/z/p.
+ */
+function toChartData(weights, features, inference = null) {
+  return Object.entries(weights)
+    .map(([key, w]) => {
+      const value = typeof w === "number" ? w : w.mean;
+      const row = {
+        key,
+        label: formatKeyLabel(key, features),
+        value: Math.round(value * 1000) / 1000,
+        absValue: Math.abs(value),
+      };
+      if (typeof w === "object") {
+        row.interval = [w.lo, w.hi];
+        row.error = [value - w.lo, w.hi - value];
+        if (w.sd !== undefined) row.sd = w.sd;
+      }
+      const stats = inference?.[key];
+      if (stats) {
+        row.se = stats.se;
+        row.t = stats.t;
+        row.p = stats.p;
+        row.significant = stats.p < SIGNIFICANCE_LEVEL;
+      }
+      return row;
+    })
+    .sort((a, b) => b.absValue - a.absValue);
+}
+
+function getMaxExtent(data) {
+  return Math.max(
+    ...data.map((d) =>
+      d.interval ? Math.max(Math.abs(d.interval[0]), Math.abs(d.interval[1])) : d.absValue,
+    ),
+    0.1,
+  );
+}
+
+function formatPValue(p) {
+  return p < 0.001 ? "< 0.001" : `= ${p.toFixed(3)}`;
+}
+
 function formatKeyLabel(key, features) {
   // key might be "price" or "brand:Nike" (one-hot)
+  if (key === "NONE") return "None (no choice)";
   const parts = key.split(":");
   const baseKey = parts[0];
   const feat = features.find((f) => f.key === baseKey);
@@ -0,0 +1,310 @@
+"use client";
+
+import { InfoCircleOutlined, LineChartOutlined } from "@ant-design/icons";
+import {
+  Card,
+  Col,
+  Empty,
+  InputNumber,
+  Row,
+  Segmented,
+  Select,
+  Space,
+  Table,
+  Tooltip,
+  Typography,
+} from "antd";
+import { useMemo, useState } from "react";
+import {
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip as RTooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { sweepPrice } from "@/lib/domain/aggregate";
+
+const { Text } = Typography;
+
+const COMPETITOR_OPTIONS = [
+  { label: "Competitors fixed", value: "fixed" },
+  { label: "Competitors follow", value: "follow" },
+];
+
+/**
+ * Price Sweep Panel - demand, revenue and profit curves
+ *
+ * Sweeps one alternative's price across the price feature's range and
+ * plots predicted share, revenue index and (with a unit cost) profit, with
+ * the revenue- and profit-maximising price overall and per segment.
+ *
+ * Props:
+ *  - results: ResultsSummary - needs partWorths and wtp (price feature detection)
+ *  - alternatives: Alternative[]
+ *  - features: Feature[]
+ *  - segments: AgentSegment[]
+ */
+export function PriceSweepPanel({
+  results,
+  alternatives = [],
+  features = [],
+  segments = [],
+}) {
+  const [targetId, setTargetId] = useState(alternatives[0]?.id || null);
+  const [unitCost, setUnitCost] = useState(null);
+  const [competitorResponse, setCompetitorResponse] = useState("fixed");
+  const [view, setView] = useState("overall");
+
+  const sweep = useMemo(() => {
+    if (!results?.partWorths?.overall || !targetId) return null;
+    return sweepPrice({
+      targetId,
+      alternatives,
+      features,
+      segments,
+      partWorths: results.partWorths,
+      hierarchical: results.hierarchical,
+      unitCost: unitCost ?? null,
+      competitorResponse,
+    });
+  }, [
+    results,
+    targetId,
+    alternatives,
+    features,
+    segments,
+    unitCost,
+    competitorResponse,
+  ]);
+
+  const title = (
+    <Space>
+      <LineChartOutlined />
+      <span>Price Sweep</span>
+      <Tooltip title="Predicted share of the selected alternative as its price moves across the price feature's range (share of preference). Revenue index is share × price with 100 at the current price; profit is share × (price − unit cost) per shopper.">
+        <InfoCircleOutlined style={{ color: "#94a3b8" }} />
+      </Tooltip>
+    </Space>
+  );
+
+  if (!results?.wtp) {
+    return (
+      <Card
+        title={title}
+        style={{ borderRadius: 14, border: "1px solid #e2e8f0" }}
+      >
+        <Empty description="Needs a continuous price/cost feature and fitted part-worths" />
+      </Card>
+    );
+  }
+
+  const unit = sweep?.priceUnit ? ` ${sweep.priceUnit}` : "";
+  const formatPrice = (p) => `${Math.round(p * 100) / 100}${unit}`;
+  const hasProfit = unitCost !== null && unitCost !== undefined;
+
+  const chartData = (sweep?.points || []).map((p) => {
+    const row = view === "overall" ? p : p.bySegment[view];
+    return {
+      price: Math.round(p.price * 100) / 100,
+      share: Math.round((row?.share || 0) * 1000) / 10,
+      revenueIndex: Math.round(row?.revenueIndex || 0),
+      profit: hasProfit ? Math.round((row?.profit || 0) * 1000) / 1000 : null,
+    };
+  });
+  const activeOptimal =
+    view === "overall"
+      ? sweep?.optimal.overall
+      : sweep?.optimal.bySegment[view];
+
+  const optimalRows = sweep
+    ? [
+        { key: "overall", label: "Overall", ...sweep.optimal.overall },
+        ...segments
+          .filter((s) => sweep.optimal.bySegment[s.segmentId])
+          .map((s) => ({
+            key: s.segmentId,
+            label: s.label || s.segmentId,
+            ...sweep.optimal.bySegment[s.segmentId],
+          })),
+      ]
+    : [];
+  const optimalColumns = [
+    { title: "Segment", dataIndex: "label", key: "label" },
+    {
+      title: "Revenue-maximising price",
+      dataIndex: "revenue",
+      key: "revenue",
+      render: (v) => (v ? formatPrice(v.price) : "—"),
+    },
+    ...(hasProfit
+      ? [
+          {
+            title: "Profit-maximising price",
+            dataIndex: "profit",
+            key: "profit",
+            render: (v) =>
+              v
+                ? `${formatPrice(v.price)} (${v.value.toFixed(3)} / shopper)`
+                : "—",
+          },
+        ]
+      : []),
+  ];
+
+  return (
+    <Card
+      title={title}
+      style={{ borderRadius: 14, border: "1px solid #e2e8f0" }}
+    >
+      <Space orientation="vertical" size="large" style={{ width: "100%" }}>
+        <Row gutter={16} align="bottom">
+          <Col span={8}>
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              Alternative
+            </Text>
+            <Select
+              style={{ width: "100%" }}
+              value={targetId}
+              onChange={setTargetId}
+              options={alternatives.map((a) => ({
+                value: a.id,
+                label: a.name || a.id,
+              }))}
+            />
+          </Col>
+          <Col span={6}>
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              Unit cost (optional)
+            </Text>
+            <InputNumber
+              style={{ width: "100%" }}
+              min={0}
+              value={unitCost}
+              onChange={setUnitCost}
+              addonAfter={sweep?.priceUnit || undefined}
+            />
+          </Col>
+          <Col span={10}>
+            <Segmented
+              value={competitorResponse}
+              onChange={setCompetitorResponse}
+              options={COMPETITOR_OPTIONS}
+            />
+          </Col>
+        </Row>
+
+        {!sweep
+          ? <Empty description="The price feature needs a min/max range to sweep" />
+          : <>
+              <Space style={{ justifyContent: "space-between", width: "100%" }}>
+                <Text type="secondary" style={{ fontSize: 12 }}>
+                  {formatPrice(sweep.min)} – {formatPrice(sweep.max)}, current
+                  price {formatPrice(sweep.basePrice)}
+                </Text>
+                <Select
+                  size="small"
+                  style={{ width: 200 }}
+                  value={view}
+                  onChange={setView}
+                  options={[
+                    { value: "overall", label: "Overall" },
+                    ...segments
+                      .filter((s) => sweep.optimal.bySegment[s.segmentId])
+                      .map((s) => ({
+                        value: s.segmentId,
+                        label: s.label || s.segmentId,
+                      })),
+                  ]}
+                />
+              </Space>
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart
+                  data={chartData}
+                  margin={{ left: 8, right: 8, top: 8 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
+                  <XAxis
+                    dataKey="price"
+                    tick={{ fontSize: 12, fill: "#64748b" }}
+                  />
+                  <YAxis
+                    yAxisId="share"
+                    unit="%"
+                    tick={{ fontSize: 12, fill: "#64748b" }}
+                  />
+                  <YAxis
+                    yAxisId="index"
+                    orientation="right"
+                    tick={{ fontSize: 12, fill: "#64748b" }}
+                  />
+                  {hasProfit && <YAxis yAxisId="profit" hide />}
+                  <RTooltip labelFormatter={(p) => `Price ${formatPrice(p)}`} />
+                  <Legend />
+                  <ReferenceLine
+                    yAxisId="share"
+                    x={chartData.reduce(
+                      (best, d) =>
+                        Math.abs(d.price - sweep.basePrice) <
+                        Math.abs(best - sweep.basePrice)
+                          ? d.price
+                          : best,
+                      chartData[0]?.price,
+                    )}
+                    stroke="#94a3b8"
+                    strokeDasharray="4 4"
+                    label={{ value: "Current", fontSize: 11, fill: "#64748b" }}
+                  />
+                  <Line
+                    yAxisId="share"
+                    type="monotone"
+                    dataKey="share"
+                    name="Share (%)"
+                    stroke="#3b82f6"
+                    strokeWidth={2}
+                    dot={false}
+                  />
+                  <Line
+                    yAxisId="index"
+                    type="monotone"
+                    dataKey="revenueIndex"
+                    name="Revenue index"
+                    stroke="#10b981"
+                    strokeWidth={2}
+                    dot={false}
+                  />
+                  {hasProfit && (
+                    <Line
+                      yAxisId="profit"
+                      type="monotone"
+                      dataKey="profit"
+                      name="Profit / shopper"
+                      stroke="#f59e0b"
+                      strokeWidth={2}
+                      dot={false}
+                    />
+                  )}
+                </LineChart>
+              </ResponsiveContainer>
+              {activeOptimal?.revenue && (
+                <Text type="secondary" style={{ fontSize: 12 }}>
+                  Revenue peaks at {formatPrice(activeOptimal.revenue.price)}
+                  {activeOptimal.profit &&
+                    `, profit at ${formatPrice(activeOptimal.profit.price)}`}
+                  . Prices outside the tested range are not extrapolated.
+                </Text>
+              )}
+              <Table
+                size="small"
+                dataSource={optimalRows}
+                columns={optimalColumns}
+                pagination={false}
+              />
+            </>}
+      </Space>
+    </Card>
+  );
+}
@@ -0,0 +1,143 @@
+"use client";
+
+import { InfoCircleOutlined, ShoppingCartOutlined } from "@ant-design/icons";
+import {
+  Card,
+  Col,
+  Row,
+  Select,
+  Space,
+  Statistic,
+  Table,
+  Tooltip,
+  Typography,
+} from "antd";
+import { useMemo, useState } from "react";
+
+const { Text } = Typography;
+
+const ALL_SEGMENTS = "__all__";
+
+function formatRate(value) {
+  return value === null ? "-" : `${(value * 100).toFixed(1)}%`;
+}
+
+const columns = [
+  { title: "Alternative", dataIndex: "name", key: "name" },
+  { title: "Chosen", dataIndex: "chosen", key: "chosen" },
+  { title: "Would buy", dataIndex: "wouldBuy", key: "wouldBuy" },
+  {
+    title: "Buy rate",
+    dataIndex: "buyRate",
+    key: "buyRate",
+    render: formatRate,
+  },
+  {
+    title: "Purchase share",
+    dataIndex: "purchaseShare",
+    key: "purchaseShare",
+    render: formatRate,
+  },
+];
+
+/**
+ * Purchase Intent Panel - dual-response "would you actually buy it?" answers
+ *
+ * Shows how often each forced choice would really be bought, and the
+ * purchase shares that result once "no" answers count as buying nothing,
+ * overall or for one segment.
+ *
+ * Props:
+ * - purchaseIntent: results.purchaseIntent - { responses, buyRate, byAlternative, purchaseShares, bySegment }
+ * - alternatives: Alternative[]
+ * - segments: AgentSegment[]
+ */
+export function PurchaseIntentPanel({
+  purchaseIntent,
+  alternatives = [],
+  segments = [],
+}) {
+  const [segmentId, setSegmentId] = useState(ALL_SEGMENTS);
+
+  const group =
+    segmentId === ALL_SEGMENTS
+      ? purchaseIntent
+      : purchaseIntent?.bySegment?.[segmentId];
+
+  const rows = useMemo(() => {
+    if (!group?.byAlternative) return [];
+    return alternatives
+      .filter((alt) => group.byAlternative[alt.id])
+      .map((alt) => ({
+        key: alt.id,
+        name: alt.name || alt.id,
+        ...group.byAlternative[alt.id],
+        purchaseShare: group.purchaseShares[alt.id] ?? 0,
+      }))
+      .sort((a, b) => b.purchaseShare - a.purchaseShare);
+  }, [group, alternatives]);
+
+  if (!purchaseIntent) return null;
+
+  const segmentOptions = [
+    { value: ALL_SEGMENTS, label: "All agents" },
+    ...segments
+      .filter((s) => purchaseIntent.bySegment?.[s.segmentId])
+      .map((s) => ({ value: s.segmentId, label: s.label || s.segmentId })),
+  ];
+
+  return (
+    <Card
+      title={
+        <Space>
+          <ShoppingCartOutlined />
+          <span>Purchase Intent</span>
+          <Tooltip title="Each task asked for a forced choice, then whether the agent would actually buy it. The follow-up also calibrates the None utility in the part-worths.">
+            <InfoCircleOutlined style={{ color: "#94a3b8" }} />
+          </Tooltip>
+        </Space>
+      }
+      extra={
+        <Select
+          value={segmentId}
+          onChange={setSegmentId}
+          options={segmentOptions}
+          style={{ minWidth: 160 }}
+        />
+      }
+    >
+      <Space orientation="vertical" size="middle" style={{ width: "100%" }}>
+        <Row gutter={16}>
+          <Col span={8}>
+            <Statistic title="Answers" value={group?.responses ?? 0} />
+          </Col>
+          <Col span={8}>
+            <Statistic
+              title="Would buy their choice"
+              value={formatRate(group?.buyRate ?? null)}
+            />
+          </Col>
+          <Col span={8}>
+            <Statistic
+              title="None (would not buy)"
+              value={formatRate(group?.purchaseShares?.NONE ?? null)}
+            />
+          </Col>
+        </Row>
+
+        <Table
+          size="small"
+          pagination={false}
+          dataSource={rows}
+          columns={columns}
+        />
+
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          Buy rate is the share of an alternative&apos;s picks the agent would
+          buy. Purchase shares divide by all answers, so they add up to 100%
+          with None.
+        </Text>
+      </Space>
+    </Card>
+  );
+}
@@ -1,6 +1,6 @@
 "use client";
 
-import { Card, Statistic, Row, Col, Progress, Typography, Space, Tag, Tooltip } from "antd";
+import { Card, Statistic, Row, Col, Progress, Typography, Space, Tag, Tooltip, Table } from "antd";
 import {
   CheckCircleOutlined,
   SyncOutlined,
@@ -13,17 +13,21 @@ const { Title, Text } = Typography;
  * Validation Panel - displays validation metrics
  * 
  * Props:
- * - validation: { holdoutAccuracy: number, repeatConsistency: number }
- * - holdoutCount: number - number of holdout tasks
- * - repeatCount: number - number of repeat tasks
+ * - validation: ValidationSummary - { holdoutAccuracy, repeatConsistency, holdoutCount, repeatCount, bySegment }
+ * - holdoutCount: number - number of holdout tasks (defaults to validation.holdoutCount)
+ * - repeatCount: number - number of repeat tasks (defaults to validation.repeatCount)
+ * - segments: AgentSegment[] - for labelling the per-segment table
  */
 export function ValidationPanel({
   validation,
-  holdoutCount = 0,
-  repeatCount = 0,
+  holdoutCount = validation?.holdoutCount || 0,
+  repeatCount = validation?.repeatCount || 0,
+  segments = [],
 }) {
   const holdoutAccuracy = validation?.holdoutAccuracy || 0;
   const repeatConsistency = validation?.repeatConsistency || 0;
+  const hasHoldouts = validation?.holdoutAccuracy != null;
+  const hasRepeats = validation?.repeatConsistency != null;
 
   // Get color based on value
   const getColor = (value) => {
@@ -39,6 +43,32 @@ export function ValidationPanel({
     return <Tag color="error">Needs Review</Tag>;
   };
 
+  const formatMetric = (value, count) =>
+    value == null ? "—" : `${Math.round(value * 100)}% (n=${count})`;
+
+  const segmentRows = Object.entries(validation?.bySegment || {}).map(
+    ([segId, m]) => ({
+      key: segId,
+      label: segments.find((s) => s.segmentId === segId)?.label || segId,
+      ...m,
+    }),
+  );
+
+  const segmentColumns = [
+    { title: "Segment", dataIndex: "label", key: "label" },
+    {
+      title: "Holdout Accuracy",
+      key: "holdoutAccuracy",
+      render: (_, row) => formatMetric(row.holdoutAccuracy, row.holdoutCount),
+    },
+    {
+      title: "Repeat Consistency",
+      key: "repeatConsistency",
+      render: (_, row) =>
+        formatMetric(row.repeatConsistency, row.repeatCount),
+    },
+  ];
+
   return (
     <Card
       title={
@@ -60,7 +90,7 @@ export function ValidationPanel({
                 <Title level={5} style={{ margin: 0 }}>
                   Holdout Accuracy
                 </Title>
-                {getStatusTag(holdoutAccuracy)}
+                {hasHoldouts ? getStatusTag(holdoutAccuracy) : <Tag>Not planned</Tag>}
               </Space>
               <Text type="secondary">
                 How well the model predicts choices on holdout tasks
@@ -73,8 +103,9 @@ export function ValidationPanel({
                 size={120}
               />
               <Text type="secondary" style={{ fontSize: 12 }}>
-                {/* TODO: Add interpretation */}
-                {holdoutAccuracy >= 0.7
+                {!hasHoldouts
+                  ? "Add holdout tasks to the task plan to measure predictive validity."
+                  : holdoutAccuracy >= 0.7
                   ? "The simulation shows good predictive validity."
                   : "Consider reviewing agent configurations or adding more data."}
               </Text>
@@ -90,7 +121,7 @@ export function ValidationPanel({
                 <Title level={5} style={{ margin: 0 }}>
                   Repeat Consistency
                 </Title>
-                {getStatusTag(repeatConsistency)}
+                {hasRepeats ? getStatusTag(repeatConsistency) : <Tag>Not planned</Tag>}
               </Space>
               <Text type="secondary">
                 How consistently agents make the same choice on repeated tasks
@@ -103,8 +134,9 @@ export function ValidationPanel({
                 size={120}
               />
               <Text type="secondary" style={{ fontSize: 12 }}>
-                {/* TODO: Add interpretation */}
-                {repeatConsistency >= 0.7
+                {!hasRepeats
+                  ? "Add repeat tasks to the task plan to measure consistency."
+                  : repeatConsistency >= 0.7
                   ? "Agents show consistent decision-making patterns."
                   : "High variance may indicate noisy agent configurations."}
               </Text>
@@ -112,6 +144,16 @@ export function ValidationPanel({
           </Card>
         </Col>
       </Row>
+
+      {segmentRows.length > 0 && (
+        <Table
+          style={{ marginTop: 24 }}
+          size="small"
+          dataSource={segmentRows}
+          columns={segmentColumns}
+          pagination={false}
+        />
+      )}
     </Card>
   );
 }
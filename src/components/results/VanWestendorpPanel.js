@@ -0,0 +1,203 @@
+"use client";
+
+import { InfoCircleOutlined, LineChartOutlined } from "@ant-design/icons";
+import {
+  Card,
+  Col,
+  Empty,
+  Row,
+  Select,
+  Space,
+  Statistic,
+  Tooltip,
+  Typography,
+} from "antd";
+import { useState } from "react";
+import {
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ReferenceArea,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip as RTooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { formatPrice } from "@/lib/experiment/pricingPrompt";
+
+const { Text } = Typography;
+
+const ALL_SEGMENTS = "__all__";
+
+const CURVES = [
+  { key: "tooCheap", name: "Too cheap", color: "#f59e0b" },
+  { key: "notBargain", name: "Not a bargain", color: "#10b981" },
+  { key: "notExpensive", name: "Not expensive", color: "#3b82f6" },
+  { key: "tooExpensive", name: "Too expensive", color: "#ef4444" },
+];
+
+/**
+ * Van Westendorp Panel - price sensitivity curves and price points
+ *
+ * Plots the cumulative "too cheap", "not a bargain", "not expensive" and
+ * "too expensive" curves, marks the optimal and indifference price points
+ * and shades the acceptable range (marginal cheapness to marginal
+ * expensiveness), overall or for one segment.
+ *
+ * Props:
+ * - vanWestendorp: VanWestendorpSummary
+ * - segments: AgentSegment[]
+ * - currency: string - currency of the study's prices
+ */
+export function VanWestendorpPanel({ vanWestendorp, segments = [], currency }) {
+  const [segmentId, setSegmentId] = useState(ALL_SEGMENTS);
+
+  const title = (
+    <Space>
+      <LineChartOutlined />
+      <span>Van Westendorp Price Sensitivity</span>
+      <Tooltip title="Each agent named the prices at which the product is too cheap, a bargain, getting expensive and too expensive. The optimal price point is where as many find it too cheap as too expensive; the acceptable range runs from the point of marginal cheapness to the point of marginal expensiveness.">
+        <InfoCircleOutlined style={{ color: "#94a3b8" }} />
+      </Tooltip>
+    </Space>
+  );
+
+  if (!vanWestendorp) {
+    return (
+      <Card title={title}>
+        <Empty description="No usable price answers" />
+      </Card>
+    );
+  }
+
+  const group =
+    segmentId === ALL_SEGMENTS
+      ? vanWestendorp
+      : vanWestendorp.bySegment?.[segmentId];
+  const {
+    pmc = null,
+    opp = null,
+    ipp = null,
+    pme = null,
+  } = group?.points || {};
+  const money = (price) =>
+    price === null || price === undefined
+      ? "—"
+      : formatPrice(Math.round(price * 100) / 100, currency);
+
+  const chartData = (group?.curves || []).map((point) => ({
+    price: Math.round(point.price * 100) / 100,
+    ...Object.fromEntries(
+      CURVES.map(({ key }) => [key, Math.round(point[key] * 1000) / 10]),
+    ),
+  }));
+
+  const segmentOptions = [
+    { value: ALL_SEGMENTS, label: "All agents" },
+    ...segments
+      .filter((s) => vanWestendorp.bySegment?.[s.segmentId])
+      .map((s) => ({ value: s.segmentId, label: s.label || s.segmentId })),
+  ];
+
+  return (
+    <Card
+      title={title}
+      extra={
+        <Select
+          value={segmentId}
+          onChange={setSegmentId}
+          options={segmentOptions}
+          style={{ minWidth: 160 }}
+        />
+      }
+    >
+      <Space orientation="vertical" size="middle" style={{ width: "100%" }}>
+        <Row gutter={16}>
+          <Col span={6}>
+            <Statistic title="Optimal price point" value={money(opp)} />
+          </Col>
+          <Col span={6}>
+            <Statistic title="Indifference price point" value={money(ipp)} />
+          </Col>
+          <Col span={8}>
+            <Statistic
+              title="Acceptable range"
+              value={`${money(pmc)} – ${money(pme)}`}
+            />
+          </Col>
+          <Col span={4}>
+            <Statistic title="Answers" value={group?.responses ?? 0} />
+          </Col>
+        </Row>
+
+        <ResponsiveContainer width="100%" height={320}>
+          <LineChart data={chartData} margin={{ left: 8, right: 8, top: 8 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
+            <XAxis
+              dataKey="price"
+              type="number"
+              domain={["dataMin", "dataMax"]}
+              tick={{ fontSize: 12, fill: "#64748b" }}
+            />
+            <YAxis
+              unit="%"
+              domain={[0, 100]}
+              tick={{ fontSize: 12, fill: "#64748b" }}
+            />
+            <RTooltip labelFormatter={(p) => `Price ${money(p)}`} />
+            <Legend />
+            {pmc !== null && pme !== null && pmc < pme && (
+              <ReferenceArea
+                x1={pmc}
+                x2={pme}
+                fill="#10b981"
+                fillOpacity={0.08}
+              />
+            )}
+            {opp !== null && (
+              <ReferenceLine
+                x={opp}
+                stroke="#64748b"
+                strokeDasharray="4 4"
+                label={{ value: "OPP", fontSize: 11, fill: "#64748b" }}
+              />
+            )}
+            {ipp !== null && (
+              <ReferenceLine
+                x={ipp}
+                stroke="#94a3b8"
+                strokeDasharray="4 4"
+                label={{ value: "IPP", fontSize: 11, fill: "#64748b" }}
+              />
+            )}
+            {CURVES.map(({ key, name, color }) => (
+              <Line
+                key={key}
+                type="monotone"
+                dataKey={key}
+                name={name}
+                stroke={color}
+                strokeWidth={2}
+                dot={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+
+        {group?.medians && (
+          <Text type="secondary" style={{ fontSize: 12 }}>
+            Median answers: too cheap {money(group.medians.tooCheap)}, bargain{" "}
+            {money(group.medians.bargain)}, expensive{" "}
+            {money(group.medians.expensive)}, too expensive{" "}
+            {money(group.medians.tooExpensive)}.
+            {segmentId === ALL_SEGMENTS &&
+              vanWestendorp.inconsistent > 0 &&
+              ` ${vanWestendorp.inconsistent} answers with prices out of order were left out.`}
+          </Text>
+        )}
+      </Space>
+    </Card>
+  );
+}
@@ -16,6 +16,7 @@ import {
   ResponsiveContainer,
   ReferenceLine,
   Cell,
+  ErrorBar,
 } from "recharts";
 
 const { Text } = Typography;
@@ -26,20 +27,28 @@ const { Text } = Typography;
  * Shows WTP_k = -β_k / β_price for each non-price feature.
  * Only renders if a price/cost feature was detected.
  *
+ * Whiskers show the hierarchical Bayes credible interval when available.
+ *
  * Props:
- *  - wtp: { priceFeature: string, priceUnit: string, values: { [key]: number } } | null
+ *  - wtp: { priceFeature: string, priceUnit: string, values: { [key]: number }, intervals?: { [key]: { lo, hi } } } | null
  *  - features: Feature[]
  */
 export function WTPPanel({ wtp, features = [] }) {
   const chartData = useMemo(() => {
     if (!wtp?.values) return [];
     return Object.entries(wtp.values)
-      .map(([key, value]) => ({
-        key,
-        label: formatKeyLabel(key, features),
-        value: Math.round(value * 100) / 100,
-        absValue: Math.abs(value),
-      }))
+      .map(([key, value]) => {
+        const ci = wtp.intervals?.[key];
+        return {
+          key,
+          label: formatKeyLabel(key, features),
+          value: Math.round(value * 100) / 100,
+          absValue: Math.abs(value),
+          interval: ci ? [ci.lo, ci.hi] : null,
+          // ErrorBar offsets; clamped at 0 when the point lies outside the HB interval
+          error: ci ? [Math.max(0, value - ci.lo), Math.max(0, ci.hi - value)] : null,
+        };
+      })
       .sort((a, b) => b.absValue - a.absValue);
   }, [wtp, features]);
 
@@ -47,7 +56,12 @@ export function WTPPanel({ wtp, features = [] }) {
     return null; // Don't show panel if no price feature
   }
 
-  const maxAbs = Math.max(...chartData.map((d) => d.absValue), 0.1);
+  const maxAbs = Math.max(
+    ...chartData.map((d) =>
+      d.interval ? Math.max(d.absValue, Math.abs(d.interval[0]), Math.abs(d.interval[1])) : d.absValue,
+    ),
+    0.1,
+  );
   const unit = wtp.priceUnit || "units";
 
   return (
@@ -98,6 +112,11 @@ export function WTPPanel({ wtp, features = [] }) {
                       {d.value >= 0 ? "+" : ""}{d.value.toFixed(2)} {unit}
                     </span>
                   </Text>
+                  {d.interval && (
+                    <Text type="secondary" style={{ display: "block", fontSize: 12 }}>
+                      HB interval [{d.interval[0].toFixed(2)}, {d.interval[1].toFixed(2)}] {unit}
+                    </Text>
+                  )}
                 </div>
               );
             }}
@@ -111,6 +130,9 @@ export function WTPPanel({ wtp, features = [] }) {
                 fillOpacity={0.85}
               />
             ))}
+            {chartData.some((d) => d.error) && (
+              <ErrorBar dataKey="error" direction="x" width={6} stroke="#334155" strokeWidth={1.5} />
+            )}
           </Bar>
         </BarChart>
       </ResponsiveContainer>
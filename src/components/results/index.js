@@ -7,3 +7,12 @@ export { PartWorthPanel } from "./PartWorthPanel";
 export { ChoiceDriversPanel } from "./ChoiceDriversPanel";
 export { WTPPanel } from "./WTPPanel";
 export { ConfidencePanel } from "./ConfidencePanel";
+export { LatentClassPanel } from "./LatentClassPanel";
+export { MarketSimulatorPanel } from "./MarketSimulatorPanel";
+export { PriceSweepPanel } from "./PriceSweepPanel";
+export { DataQualityPanel } from "./DataQualityPanel";
+export { MaxDiffPanel } from "./MaxDiffPanel";
+export { PurchaseIntentPanel } from "./PurchaseIntentPanel";
+export { VanWestendorpPanel } from "./VanWestendorpPanel";
+export { GaborGrangerPanel } from "./GaborGrangerPanel";
+export { KanoPanel } from "./KanoPanel";
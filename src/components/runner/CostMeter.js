@@ -0,0 +1,164 @@
+"use client";
+
+import {
+  Card,
+  Col,
+  Popover,
+  Progress,
+  Row,
+  Statistic,
+  Table,
+  Typography,
+} from "antd";
+
+const { Text } = Typography;
+
+/**
+ * USD with enough decimals for sub-cent decision costs
+ * @param {number} value
+ */
+export function formatUsd(value) {
+  if (!value) return "$0.00";
+  if (value < 0.01) return `$${value.toFixed(4)}`;
+  return `$${value.toFixed(2)}`;
+}
+
+function formatTokens(value) {
+  if (value >= 1_000_000) return `${(value / 1_000_000).toFixed(1)}M`;
+  if (value >= 1_000) return `${(value / 1_000).toFixed(1)}k`;
+  return String(value);
+}
+
+function breakdownRows(groups, labels = {}) {
+  return Object.entries(groups || {}).map(([key, totals]) => ({
+    key,
+    name: labels[key] || key,
+    decisions: totals.decisions,
+    tokens: totals.promptTokens + totals.completionTokens,
+    avgLatencyMs: totals.decisions
+      ? Math.round(totals.latencyMs / totals.decisions)
+      : 0,
+    costUsd: totals.costUsd,
+    unpriced: totals.unpriced,
+  }));
+}
+
+const breakdownColumns = (title) => [
+  { title, dataIndex: "name", key: "name" },
+  { title: "Decisions", dataIndex: "decisions", key: "decisions" },
+  {
+    title: "Tokens",
+    dataIndex: "tokens",
+    key: "tokens",
+    render: formatTokens,
+  },
+  {
+    title: "Avg latency",
+    dataIndex: "avgLatencyMs",
+    key: "avgLatencyMs",
+    render: (ms) => `${(ms / 1000).toFixed(1)}s`,
+  },
+  {
+    title: "Cost",
+    dataIndex: "costUsd",
+    key: "costUsd",
+    render: (cost, row) =>
+      row.unpriced > 0
+        ? `${formatUsd(cost)} + ${row.unpriced} unpriced`
+        : formatUsd(cost),
+  },
+];
+
+/**
+ * Cost Meter - live LLM spend of a run
+ *
+ * Props:
+ * - usage: RunUsage - totals from the runner's progress
+ * - budgetUsd: number | null - cap, shown as a progress bar when set
+ * - segmentNames: Object<string, string> - segment ID → display name
+ */
+export function CostMeter({ usage, budgetUsd = null, segmentNames = {} }) {
+  if (!usage) return null;
+  const { total } = usage;
+  const tokens = total.promptTokens + total.completionTokens;
+  const avgLatency = total.decisions ? total.latencyMs / total.decisions : 0;
+  const budgetPercent = budgetUsd
+    ? Math.min(100, Math.round((total.costUsd / budgetUsd) * 100))
+    : null;
+
+  const breakdown = (
+    <div style={{ maxWidth: 560 }}>
+      <Table
+        size="small"
+        pagination={false}
+        dataSource={breakdownRows(usage.byModel)}
+        columns={breakdownColumns("Model")}
+      />
+      <Table
+        size="small"
+        pagination={false}
+        style={{ marginTop: 12 }}
+        dataSource={breakdownRows(usage.bySegment, segmentNames)}
+        columns={breakdownColumns("Segment")}
+      />
+    </div>
+  );
+
+  return (
+    <Card size="small">
+      <Row gutter={16} align="middle">
+        <Col span={6}>
+          <Popover content={breakdown} title="Usage by model and segment">
+            <Statistic
+              title="Cost"
+              value={formatUsd(total.costUsd)}
+              suffix={budgetUsd ? `/ ${formatUsd(budgetUsd)}` : undefined}
+              valueStyle={{ fontSize: 16, cursor: "help" }}
+            />
+          </Popover>
+        </Col>
+        <Col span={6}>
+          <Statistic
+            title="Tokens"
+            value={formatTokens(tokens)}
+            valueStyle={{ fontSize: 16 }}
+          />
+        </Col>
+        <Col span={6}>
+          <Statistic
+            title="Avg latency"
+            value={`${(avgLatency / 1000).toFixed(1)}s`}
+            valueStyle={{ fontSize: 16 }}
+          />
+        </Col>
+        <Col span={6}>
+          <Statistic
+            title="Retries"
+            value={total.retries}
+            valueStyle={{ fontSize: 16 }}
+          />
+        </Col>
+      </Row>
+      {budgetPercent !== null && (
+        <Progress
+          percent={budgetPercent}
+          size="small"
+          status={budgetPercent >= 100 ? "exception" : "normal"}
+          format={() => `${budgetPercent}% of budget`}
+        />
+      )}
+      {total.unpriced > 0 && (
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          {total.unpriced} decisions used models without a price and are not
+          included in the cost.
+        </Text>
+      )}
+      {total.cacheHits > 0 && (
+        <Text type="secondary" style={{ display: "block", fontSize: 12 }}>
+          {total.cacheHits} decisions were answered from the response cache at
+          no cost.
+        </Text>
+      )}
+    </Card>
+  );
+}
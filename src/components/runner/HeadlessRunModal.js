@@ -0,0 +1,198 @@
+"use client";
+
+import { Alert, Button, Modal, Space, Spin, Typography } from "antd";
+import Link from "next/link";
+import { useEffect, useState } from "react";
+import { CostMeter, formatUsd } from "./CostMeter";
+import { ProgressBar } from "./ProgressBar";
+
+const { Text } = Typography;
+
+/**
+ * Headless Run Modal - starts a server-side run without SimWorld and shows
+ * the streamed progress
+ *
+ * The run continues on the server if the modal is closed; it shows up in the
+ * runs list and can be resumed from there if the server stops.
+ *
+ * Props:
+ * - open: boolean
+ * - experimentId: string
+ * - resumeRunId: string | null - continue this run instead of starting a new one
+ * - replayRunId: string | null - start a new run that replays this complete run from the LLM response cache
+ * - onClose: () => void
+ */
+export function HeadlessRunModal({
+  open,
+  experimentId,
+  resumeRunId = null,
+  replayRunId = null,
+  onClose,
+}) {
+  const [runId, setRunId] = useState(null);
+  const [status, setStatus] = useState("idle");
+  const [progress, setProgress] = useState(null);
+  const [startTime, setStartTime] = useState(null);
+  const [error, setError] = useState(null);
+  const [failedCount, setFailedCount] = useState(0);
+  const [missingCount, setMissingCount] = useState(0);
+  const [budgetExceeded, setBudgetExceeded] = useState(false);
+  const [cacheMisses, setCacheMisses] = useState(0);
+
+  useEffect(() => {
+    if (!open) return;
+    const controller = new AbortController();
+    setRunId(resumeRunId);
+    setStatus("starting");
+    setProgress(null);
+    setError(null);
+    setFailedCount(0);
+    setMissingCount(0);
+    setBudgetExceeded(false);
+    setCacheMisses(0);
+
+    const handleEvent = (event) => {
+      if (event.type === "run") {
+        setRunId(event.runId);
+        setStatus("running");
+        setStartTime(new Date());
+      } else if (event.type === "progress") {
+        setProgress(event.progress);
+      } else if (event.type === "complete") {
+        setFailedCount(event.failedCount || 0);
+        setMissingCount(event.missingCount || 0);
+        setBudgetExceeded(Boolean(event.budgetExceeded));
+        setCacheMisses(event.cacheMisses || 0);
+        setStatus(
+          event.completed
+            ? "complete"
+            : event.cacheMisses
+              ? "failed"
+              : "paused",
+        );
+      } else if (event.type === "error") {
+        setError(event.error);
+        setStatus("failed");
+      }
+    };
+
+    async function run() {
+      const res = await fetch(`/api/experiments/${experimentId}/run`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ resumeRunId, replayRunId }),
+        signal: controller.signal,
+      });
+      if (!res.ok || !res.body) {
+        throw new Error(`Run request failed (${res.status})`);
+      }
+
+      // Events are newline-delimited JSON; a chunk may end mid-line
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        lines.filter(Boolean).forEach((line) => {
+          handleEvent(JSON.parse(line));
+        });
+      }
+    }
+
+    run().catch((err) => {
+      if (controller.signal.aborted) return;
+      console.error("Headless run failed:", err);
+      setError(err.message);
+      setStatus("failed");
+    });
+
+    return () => controller.abort();
+  }, [open, experimentId, resumeRunId, replayRunId]);
+
+  const isDone = ["complete", "paused", "failed"].includes(status);
+
+  return (
+    <Modal
+      open={open}
+      title={replayRunId ? "Replay Run" : "Headless Run"}
+      onCancel={onClose}
+      width={640}
+      footer={
+        <Space>
+          <Button onClick={onClose}>
+            {isDone ? "Close" : "Run in background"}
+          </Button>
+          {status === "complete" && runId && (
+            <Link href={`/experiments/${experimentId}/results/${runId}`}>
+              <Button type="primary">View Results</Button>
+            </Link>
+          )}
+        </Space>
+      }
+    >
+      <Space orientation="vertical" style={{ width: "100%" }}>
+        <Text type="secondary">
+          {replayRunId
+            ? `Re-runs the tasks of run ${replayRunId} as a new run, answering every decision from the LLM response cache instead of calling the models.`
+            : "Runs every agent on the server without the visual simulation, at full LLM concurrency."}{" "}
+          Closing this window does not stop the run.
+        </Text>
+
+        {status === "starting" && (
+          <Space>
+            <Spin size="small" />
+            <Text>Creating run and generating tasks...</Text>
+          </Space>
+        )}
+
+        {progress && (
+          <ProgressBar
+            completed={progress.tasksCompleted}
+            total={progress.tasksTotal}
+            status={status}
+            startTime={startTime}
+          />
+        )}
+
+        {progress?.usage && (
+          <CostMeter usage={progress.usage} budgetUsd={progress.budgetUsd} />
+        )}
+
+        {status === "paused" && budgetExceeded && (
+          <Alert
+            type="warning"
+            showIcon
+            title={`The run reached its ${formatUsd(progress?.budgetUsd)} budget`}
+            description="Resume it from the runs list with a higher budget to finish the remaining tasks."
+          />
+        )}
+
+        {status === "paused" && !budgetExceeded && (
+          <Alert
+            type="warning"
+            showIcon
+            title={`${missingCount || failedCount} tasks have no saved response`}
+            description="Their responses could not be saved or their agents stopped early, so the run was paused. Resume it from the runs list to re-run those tasks."
+          />
+        )}
+
+        {cacheMisses > 0 && (
+          <Alert
+            type="error"
+            showIcon
+            title={`${cacheMisses} decisions had no cached response`}
+            description="The replay was marked failed. The cache may have been cleared, or the experiment's alternatives or description changed since the original run."
+          />
+        )}
+
+        {error && (
+          <Alert type="error" showIcon title="Run failed" description={error} />
+        )}
+      </Space>
+    </Modal>
+  );
+}
@@ -3,3 +3,5 @@ export { AgentSprite } from "./AgentSprite";
 export { ThingSprite } from "./ThingSprite";
 export { TaskPreview } from "./TaskPreview";
 export { ProgressBar } from "./ProgressBar";
+export { HeadlessRunModal } from "./HeadlessRunModal";
+export { CostMeter, formatUsd } from "./CostMeter";
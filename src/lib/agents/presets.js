@@ -3,6 +3,8 @@
  * Predefined traits, personalities, locations, and model mappings
  */
 
+import { CUSTOM_MODEL_PREFIX, getCustomModels } from "@/lib/llm/models";
+
 // ============================================================================
 // MBTI PERSONALITIES
 // ============================================================================
@@ -350,7 +352,7 @@ export const MODEL_PRESETS = Object.freeze([
   {
     id: "stub",
     label: "Stub (Testing)",
-    description: "Mock responses for testing",
+    description: "Offline simulated choices (no API key needed)",
     modelTag: "stub",
   },
 
@@ -401,6 +403,17 @@ export const MODEL_PRESETS = Object.freeze([
     description: "Cost-optimized, balanced performance",
     modelTag: "openai/gpt-5-mini",
   },
+
+  // Custom OpenAI-compatible endpoint (NEXT_PUBLIC_CUSTOM_LLM_MODELS)
+  ...getCustomModels().map((modelTag) => {
+    const name = modelTag.slice(CUSTOM_MODEL_PREFIX.length);
+    return {
+      id: `custom_${name.replace(/[^a-zA-Z0-9]+/g, "_")}`,
+      label: `${name} (Custom)`,
+      description: "Self-hosted OpenAI-compatible endpoint",
+      modelTag,
+    };
+  }),
 ]);
 
 /**
@@ -2,16 +2,40 @@
  * Results Aggregation & Conjoint Estimation Helpers
  *
  * Computes:
- *  - Choice shares (overall + by segment)
+ *  - Choice shares (overall + by segment; allocation tasks count their split)
  *  - Feature importance (reason-code frequency)
- *  - Part-worth utilities (MNL-style β weights via gradient descent)
+ *  - Part-worth utilities (MNL β weights by maximum likelihood, with SEs),
+ *    including a "NONE" alternative-specific constant when no-choice is offered;
+ *    rankings are exploded and allocations enter as weighted choices; the
+ *    would-buy answers of dual-response tasks calibrate the NONE constant
+ *  - Respondent-level part-worths (hierarchical Bayes MNL)
+ *  - Latent classes discovered from responses (latent-class MNL)
+ *  - MaxDiff item scores (best-worst counts and sequential best-worst MNL)
+ *  - Purchase intent from dual-response tasks (would-buy rates, purchase shares)
  *  - Feature encoding (continuous, categorical one-hot, binary)
  *  - Choice drivers analysis (what drove each choice)
  *  - Willingness-to-pay estimates (if a price/cost feature exists)
- *  - Choice-share simulation for hypothetical concepts
+ *  - Market simulation for hypothetical concepts (share of preference,
+ *    first choice, randomized first choice; overall + by segment)
+ *  - Price sweeps: demand, revenue and profit curves with optimal prices
  *  - Bootstrap confidence intervals
+ *  - Validation (holdout hit rate, repeat-task consistency)
  */
 
+import { createSeededRandom } from "@/lib/simworld/services/seededRandom";
+import {
+  CREDIBLE_LEVEL,
+  fitHierarchicalMNL,
+  randomNormal,
+  summarizeDraws,
+} from "./hb";
+import { fitLatentClassMNL } from "./latentClass";
+import { addOuter, createMatrix, invert, matVec } from "./matrix";
+import { computeDecisionQuality, isFallbackDecision } from "./quality";
+
+// Part-worth key of the no-choice alternative-specific constant
+const NONE_KEY = "NONE";
+
 // ─────────────────────────────────────────────────────────────
 // 1. FEATURE ENCODING
 // ─────────────────────────────────────────────────────────────
@@ -71,61 +95,248 @@ function computeFeatureStats(alternatives, featureSchema) {
 }
 
 // ─────────────────────────────────────────────────────────────
-// 2. MNL ESTIMATION  (gradient descent)
+// 2. MNL ESTIMATION  (Newton-Raphson maximum likelihood)
 // ─────────────────────────────────────────────────────────────
 
 /**
- * Fit a multinomial logit model via batch gradient descent.
+ * Map the encoded β (one entry per encoded key) to identified parameters θ
+ * via β = T·θ. One-hot categorical blocks are effects-coded: the last
+ * category is minus the sum of the others, so part-worths within a feature
+ * sum to zero. Single-category blocks are constant and pinned to 0.
+ * A trailing NONE constant (hasNone) is a free parameter of its own.
+ *
+ * @returns {number[][]} T (dim × p)
+ */
+function buildIdentification(features, hasNone = false) {
+  const columns = []; // each: sparse { [row]: weight }
+  let row = 0;
+  for (const feat of features) {
+    if (feat.type === "categorical") {
+      const cats = feat.categories || [];
+      const last = row + cats.length - 1;
+      for (let c = 0; c < cats.length - 1; c++) {
+        columns.push({ [row + c]: 1, [last]: -1 });
+      }
+      row += cats.length;
+    } else {
+      columns.push({ [row]: 1 });
+      row++;
+    }
+  }
+  if (hasNone) {
+    columns.push({ [row]: 1 });
+    row++;
+  }
+  return Array.from({ length: row }, (_, r) =>
+    columns.map((col) => col[r] || 0),
+  );
+}
+
+/**
+ * Re-express a full one-hot β in effects coding: each categorical block is
+ * centred on zero and the removed mean moves into the NONE constant. Every
+ * real alternative has exactly one level per block, so utilities of all
+ * alternatives relative to NONE are unchanged. Used for models fitted on
+ * the unidentified one-hot encoding (HB, latent class).
+ */
+function centerCategoricalBlocks(beta, featureKeys, features) {
+  const out = [...beta];
+  const noneIdx = featureKeys.indexOf(NONE_KEY);
+  for (const feat of features) {
+    if (feat.type !== "categorical") continue;
+    const idx = featureKeys
+      .map((k, i) => (k.startsWith(`${feat.key}:`) ? i : -1))
+      .filter((i) => i !== -1);
+    if (idx.length === 0) continue;
+    const mean = idx.reduce((s, i) => s + out[i], 0) / idx.length;
+    for (const i of idx) out[i] -= mean;
+    if (noneIdx !== -1) out[noneIdx] -= mean;
+  }
+  return out;
+}
+
+/**
+ * Two-sided p-value of a z statistic (Abramowitz-Stegun erf approximation)
+ */
+function twoSidedPValue(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly =
+    t *
+    (0.254829592 +
+      t *
+        (-0.284496736 +
+          t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return Math.max(0, Math.min(1, 1 - erf));
+}
+
+/**
+ * Log-likelihood, gradient and information matrix of an MNL at θ
+ */
+function mnlDerivatives(observations, theta) {
+  const p = theta.length;
+  let logLik = 0;
+  const grad = new Array(p).fill(0);
+  const info = createMatrix(p, p);
+
+  for (const { chosenIdx, encodedSet, weight = 1 } of observations) {
+    const utils = encodedSet.map((x) =>
+      x.reduce((s, xi, k) => s + xi * theta[k], 0),
+    );
+    const maxU = Math.max(...utils);
+    const exps = utils.map((u) => Math.exp(u - maxU));
+    const sumExp = exps.reduce((a, b) => a + b, 0);
+    const probs = exps.map((e) => e / sumExp);
+    logLik += weight * (utils[chosenIdx] - maxU - Math.log(sumExp));
+
+    const mean = new Array(p).fill(0);
+    encodedSet.forEach((x, j) => {
+      for (let k = 0; k < p; k++) mean[k] += probs[j] * x[k];
+    });
+    const xChosen = encodedSet[chosenIdx];
+    for (let k = 0; k < p; k++) grad[k] += weight * (xChosen[k] - mean[k]);
+    encodedSet.forEach((x, j) => {
+      const d = x.map((v, k) => v - mean[k]);
+      addOuter(info, d, d, weight * probs[j]);
+    });
+  }
+
+  return { logLik, grad, info };
+}
+
+/**
+ * Fit a multinomial logit model by maximum likelihood (Newton-Raphson with
+ * step halving).
  *
  * Each "observation" is one response where the agent was shown a choice set
- * and picked one alternative.  We maximise log-likelihood:
+ * and picked one alternative, counted `weight` times (default 1).  We
+ * maximise log-likelihood:
+ *
+ *   LL = Σ_i  w_i (β'x_chosen  - log Σ_j exp(β'x_j))
  *
- *   LL = Σ_i  (β'x_chosen  - log Σ_j exp(β'x_j))
+ * A tiny ridge (l2) keeps estimates finite under perfect separation; the
+ * reported log-likelihood is unpenalised. The covariance is the inverse
+ * information matrix at the optimum, mapped back to the encoded keys.
  *
- * @param {Object[]} observations - { chosenIdx, encodedSet: number[][] }
- * @param {number} dim - feature vector dimension
+ * @param {Object[]} observations - { chosenIdx, encodedSet: number[][], weight? }
+ * @param {number[][]} T - identification matrix from buildIdentification
  * @param {Object} [opts]
- * @returns {number[]} β vector
+ * @returns {{ beta: number[], se: number[], logLik: number, nullLogLik: number,
+ *   iterations: number, converged: boolean, params: number }}
  */
-function fitMNL(observations, dim, opts = {}) {
-  const { lr = 0.05, iters = 400, l2 = 0.001 } = opts;
-  const beta = new Array(dim).fill(0);
-
-  for (let t = 0; t < iters; t++) {
-    const grad = new Array(dim).fill(0);
-
-    for (const obs of observations) {
-      const { chosenIdx, encodedSet } = obs;
-      if (chosenIdx < 0 || chosenIdx >= encodedSet.length) continue;
+function fitMNL(observations, T, opts = {}) {
+  const { maxIter = 100, tol = 1e-8, l2 = 1e-4 } = opts;
+  const dim = T.length;
+  const p = T[0]?.length || 0;
+
+  // Work in the identified parameter space: x̃ = Tᵀx
+  const reduced = observations
+    .filter((o) => o.chosenIdx >= 0 && o.chosenIdx < o.encodedSet.length)
+    .map((o) => ({
+      chosenIdx: o.chosenIdx,
+      encodedSet: o.encodedSet.map((x) =>
+        T[0].map((_, c) => x.reduce((s, xi, r) => s + xi * T[r][c], 0)),
+      ),
+      weight: o.weight ?? 1,
+    }));
+  const nullLogLik = reduced.reduce(
+    (s, o) => s - o.weight * Math.log(o.encodedSet.length),
+    0,
+  );
 
-      // Compute utilities and soft-max probabilities
-      const utils = encodedSet.map((x) =>
-        x.reduce((s, xi, k) => s + xi * beta[k], 0),
-      );
-      const maxU = Math.max(...utils);
-      const exps = utils.map((u) => Math.exp(u - maxU));
-      const sumExp = exps.reduce((a, b) => a + b, 0) || 1;
-      const probs = exps.map((e) => e / sumExp);
-
-      // Gradient: x_chosen - Σ_j  p_j * x_j
-      const xChosen = encodedSet[chosenIdx];
-      for (let k = 0; k < dim; k++) {
-        let weightedSum = 0;
-        for (let j = 0; j < encodedSet.length; j++) {
-          weightedSum += probs[j] * encodedSet[j][k];
-        }
-        grad[k] += xChosen[k] - weightedSum;
-      }
+  const penalised = (theta, d) =>
+    d.logLik - 0.5 * l2 * theta.reduce((s, v) => s + v * v, 0);
+
+  let theta = new Array(p).fill(0);
+  let current = mnlDerivatives(reduced, theta);
+  let iterations = 0;
+  let converged = p === 0;
+
+  while (!converged && iterations < maxIter) {
+    iterations++;
+    const grad = current.grad.map((g, k) => g - l2 * theta[k]);
+    const info = current.info.map((row, k) =>
+      row.map((v, j) => v + (k === j ? l2 : 0)),
+    );
+    const infoInv = invert(info);
+    if (!infoInv) break;
+    const direction = matVec(infoInv, grad);
+
+    // Step halving until the penalised log-likelihood improves
+    let step = 1;
+    let next = null;
+    let nextTheta = theta;
+    for (let h = 0; h < 30; h++) {
+      nextTheta = theta.map((v, k) => v + step * direction[k]);
+      next = mnlDerivatives(reduced, nextTheta);
+      if (penalised(nextTheta, next) >= penalised(theta, current) - 1e-12)
+        break;
+      step /= 2;
     }
 
-    // Update β with gradient + L2 regularisation
-    const n = observations.length || 1;
-    for (let k = 0; k < dim; k++) {
-      beta[k] += lr * (grad[k] / n - l2 * beta[k]);
-    }
+    const change = Math.max(...direction.map((d) => Math.abs(step * d)));
+    const gain = penalised(nextTheta, next) - penalised(theta, current);
+    theta = nextTheta;
+    current = next;
+    converged = change < 1e-6 || Math.abs(gain) < tol;
   }
 
-  return beta;
+  // Covariance: inverse information (with the ridge, for singular designs)
+  const info = current.info.map((row, k) =>
+    row.map((v, j) => v + (k === j ? l2 : 0)),
+  );
+  const covTheta = invert(info) || createMatrix(p, p);
+  const beta = matVec(T, theta);
+  const se = T.map((tRow) => {
+    const v = matVec(covTheta, tRow).reduce((s, x, k) => s + x * tRow[k], 0);
+    return Math.sqrt(Math.max(0, v));
+  });
+
+  return {
+    beta: dim > 0 ? beta : [],
+    se,
+    logLik: current.logLik,
+    nullLogLik,
+    iterations,
+    converged,
+    params: p,
+  };
+}
+
+/**
+ * Number of choices behind a set of observations: exploded rankings count
+ * each step, an allocation counts once however it was split
+ */
+function countChoices(observations) {
+  return Math.round(observations.reduce((s, o) => s + (o.weight ?? 1), 0));
+}
+
+/**
+ * Summarise an MNL fit: per-key inference and goodness of fit
+ */
+function summarizeMNLFit(fit, featureKeys, numObservations) {
+  const inference = {};
+  featureKeys.forEach((k, i) => {
+    const se = fit.se[i];
+    const t = se > 0 ? fit.beta[i] / se : 0;
+    inference[k] = { se, t, p: se > 0 ? twoSidedPValue(t) : 1 };
+  });
+  return {
+    inference,
+    fit: {
+      logLik: fit.logLik,
+      nullLogLik: fit.nullLogLik,
+      rho2: fit.nullLogLik < 0 ? 1 - fit.logLik / fit.nullLogLik : 0,
+      aic: -2 * fit.logLik + 2 * fit.params,
+      bic:
+        -2 * fit.logLik + fit.params * Math.log(Math.max(1, numObservations)),
+      params: fit.params,
+      observations: numObservations,
+      iterations: fit.iterations,
+      converged: fit.converged,
+    },
+  };
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -133,16 +344,33 @@ function fitMNL(observations, dim, opts = {}) {
 // ─────────────────────────────────────────────────────────────
 
 /**
- * Compute part-worth utilities (β weights) from responses.
+ * Build one MNL "observation" per response. The choice set is the task's
+ * shown alternatives when the response is linked to a task, otherwise every
+ * alternative in the experiment. Holdout and repeat tasks are left out so
+ * validation stays out-of-sample.
  *
- * We build one "observation" per response that chose a real alternative
- * (not NONE), encode every alternative in the experiment, and fit MNL.
+ * When any task offers a no-choice option, the encoding gains a trailing
+ * NONE constant: every set where NONE was offered gets an extra row that is
+ * zero on all features and 1 on NONE, so β_NONE is the utility of buying
+ * nothing relative to an average (zero-coded) profile. NONE responses to
+ * tasks that did not offer it (fallbacks) are not choices and are skipped.
  *
- * Also computes per-segment β if segments are given.
+ * Richer response formats give more than one observation per response:
+ *  - ranking: exploded (rank-ordered logit) — the first-ranked item chosen
+ *    from the full set, the second from the rest, and so on down to the
+ *    last pair
+ *  - allocation: one observation per item that got units, weighted by its
+ *    share of the units, so the response still counts as one choice
+ *  - dual response: the forced choice among the shown items, plus the
+ *    follow-up as a choice between the chosen item and NONE (bought when
+ *    wouldBuy is true), which identifies β_NONE without NONE in the set
+ *
+ * Returns { dim, featureKeys, hasNone, observations } where each observation
+ * is { agentId, segmentId, persona, chosenIdx, encodedSet, weight }.
  */
-function computePartWorths(responses, alternatives, features, segments) {
+function buildChoiceObservations(responses, alternatives, features, tasks = []) {
   if (features.length === 0 || alternatives.length === 0) {
-    return { overall: {}, bySegment: {}, keys: [] };
+    return { dim: 0, featureKeys: [], hasNone: false, observations: [] };
   }
 
   const stats = computeFeatureStats(alternatives, features);
@@ -153,62 +381,752 @@ function computePartWorths(responses, alternatives, features, segments) {
     return { id: alt.id, vector, keys };
   });
 
-  const dim = encodedAlts[0]?.vector.length || 0;
-  const featureKeys = encodedAlts[0]?.keys || [];
+  const featureDim = encodedAlts[0]?.vector.length || 0;
+  if (featureDim === 0) {
+    return { dim: 0, featureKeys: [], hasNone: false, observations: [] };
+  }
+
+  const taskById = {};
+  tasks.forEach((t) => { taskById[t.id] = t; });
+
+  // Only tasks say whether NONE was offered: fallback and error replies are
+  // stored as NONE too, and in forced-choice tasks they are dropped below
+  const hasNone = tasks.some((t) => t.includeNone || t.dualResponse);
+  const dim = featureDim + (hasNone ? 1 : 0);
+  const featureKeys = [...encodedAlts[0].keys, ...(hasNone ? [NONE_KEY] : [])];
+
+  const altIdToVector = {};
+  encodedAlts.forEach((e) => {
+    altIdToVector[e.id] = hasNone ? [...e.vector, 0] : e.vector;
+  });
+  const noneVector = [...new Array(featureDim).fill(0), 1];
+  const allAltIds = alternatives.map((a) => a.id);
+
+  const observations = [];
+  for (const r of responses) {
+    const task = taskById[r.taskId];
+    if (task?.isHoldout || task?.isRepeatOf) continue;
+    const storedIds = r.shownAlternatives?.length ? r.shownAlternatives : null;
+    const shownIds = (storedIds || task?.shownAlternatives || allAltIds)
+      .filter((id) => altIdToVector[id]);
+    const dualResponse = typeof r.wouldBuy === "boolean";
+    const noneOffered =
+      hasNone && !dualResponse && (task ? !!task.includeNone : true);
+    const encodedSet = shownIds.map((id) => altIdToVector[id]);
+    if (noneOffered) encodedSet.push(noneVector);
+    const base = {
+      agentId: r.agentId,
+      segmentId: r.segmentId ?? null,
+      persona: { modelTag: r.modelTag, traits: r.traits },
+    };
+
+    const ranking = (r.ranking || []).filter((id) => shownIds.includes(id));
+    if (ranking.length === shownIds.length && ranking.length >= 2) {
+      let remaining = shownIds;
+      for (const id of ranking.slice(0, -1)) {
+        observations.push({
+          ...base,
+          chosenIdx: remaining.indexOf(id),
+          encodedSet: remaining.map((rid) => altIdToVector[rid]),
+          weight: 1,
+        });
+        remaining = remaining.filter((rid) => rid !== id);
+      }
+      continue;
+    }
+
+    const units = shownIds.map((id) => Math.max(0, Number(r.allocation?.[id]) || 0));
+    const totalUnits = units.reduce((a, b) => a + b, 0);
+    if (r.allocation && totalUnits > 0 && encodedSet.length >= 2) {
+      units.forEach((u, idx) => {
+        if (u > 0) {
+          observations.push({ ...base, chosenIdx: idx, encodedSet, weight: u / totalUnits });
+        }
+      });
+      continue;
+    }
+
+    const chosenIdx =
+      r.chosen === NONE_KEY
+        ? noneOffered ? encodedSet.length - 1 : -1
+        : shownIds.indexOf(r.chosen);
+    if (chosenIdx === -1) continue;
+    if (encodedSet.length >= 2) {
+      observations.push({ ...base, chosenIdx, encodedSet, weight: 1 });
+    }
+    if (hasNone && dualResponse && r.chosen !== NONE_KEY) {
+      observations.push({
+        ...base,
+        chosenIdx: r.wouldBuy ? 0 : 1,
+        encodedSet: [altIdToVector[r.chosen], noneVector],
+        weight: 1,
+      });
+    }
+  }
+
+  return { dim, featureKeys, hasNone, observations };
+}
+
+/**
+ * Group observations into respondents: [{ id, group, persona, observations }]
+ */
+function groupObservationsByAgent(observations) {
+  const byAgent = {};
+  for (const obs of observations) {
+    if (!obs.agentId) continue;
+    if (!byAgent[obs.agentId]) {
+      byAgent[obs.agentId] = {
+        id: obs.agentId,
+        group: obs.segmentId,
+        persona: obs.persona,
+        observations: [],
+      };
+    }
+    byAgent[obs.agentId].observations.push(obs);
+  }
+  return Object.values(byAgent);
+}
+
+/**
+ * Compute part-worth utilities (β weights) from responses with a pooled MNL.
+ * Also computes per-segment β if segments are given.
+ *
+ * Besides the β maps, returns standard errors / t-stats / p-values per key
+ * (`inference`, `inferenceBySegment`) and goodness of fit (`fit`, `fitBySegment`).
+ */
+function computePartWorths(
+  responses,
+  alternatives,
+  features,
+  segments,
+  tasks = [],
+) {
+  const { dim, featureKeys, hasNone, observations } = buildChoiceObservations(
+    responses,
+    alternatives,
+    features,
+    tasks,
+  );
   if (dim === 0) return { overall: {}, bySegment: {}, keys: [] };
 
-  // Build the full encoded set (same for every observation in this simple setup)
-  const fullSet = encodedAlts.map((e) => e.vector);
-  const altIdToIdx = {};
-  alternatives.forEach((a, i) => { altIdToIdx[a.id] = i; });
+  const T = buildIdentification(features, hasNone);
 
-  // Build observations
-  const allObs = [];
   const segObs = {};
   const segmentIds = segments.map((s) => s.segmentId);
-  segmentIds.forEach((sid) => { segObs[sid] = []; });
-
-  for (const r of responses) {
-    if (r.chosen === "NONE") continue;
-    const chosenIdx = altIdToIdx[r.chosen];
-    if (chosenIdx === undefined) continue;
-    const obs = { chosenIdx, encodedSet: fullSet };
-    allObs.push(obs);
-
-    const segId = r.agentId?.split("_").slice(0, -1).join("_");
-    if (segId && segObs[segId]) {
-      segObs[segId].push(obs);
+  segmentIds.forEach((sid) => {
+    segObs[sid] = [];
+  });
+  for (const obs of observations) {
+    if (obs.segmentId && segObs[obs.segmentId]) {
+      segObs[obs.segmentId].push(obs);
     }
   }
 
   // Fit overall model
-  const beta = allObs.length >= 5 ? fitMNL(allObs, dim) : new Array(dim).fill(0);
-
   const overallPW = {};
-  featureKeys.forEach((k, i) => { overallPW[k] = beta[i]; });
+  let inference = {};
+  let fit = null;
+  if (observations.length >= 5) {
+    const result = fitMNL(observations, T);
+    featureKeys.forEach((k, i) => {
+      overallPW[k] = result.beta[i];
+    });
+    ({ inference, fit } = summarizeMNLFit(
+      result,
+      featureKeys,
+      countChoices(observations),
+    ));
+  } else {
+    featureKeys.forEach((k) => {
+      overallPW[k] = 0;
+    });
+  }
 
   // Fit per-segment models
   const bySegmentPW = {};
+  const inferenceBySegment = {};
+  const fitBySegment = {};
   for (const sid of segmentIds) {
     if (segObs[sid].length >= 5) {
-      const segBeta = fitMNL(segObs[sid], dim);
+      const result = fitMNL(segObs[sid], T);
       bySegmentPW[sid] = {};
-      featureKeys.forEach((k, i) => { bySegmentPW[sid][k] = segBeta[i]; });
+      featureKeys.forEach((k, i) => {
+        bySegmentPW[sid][k] = result.beta[i];
+      });
+      const summary = summarizeMNLFit(result, featureKeys, countChoices(segObs[sid]));
+      inferenceBySegment[sid] = summary.inference;
+      fitBySegment[sid] = summary.fit;
     }
   }
 
-  return { overall: overallPW, bySegment: bySegmentPW, keys: featureKeys };
+  return {
+    overall: overallPW,
+    bySegment: bySegmentPW,
+    keys: featureKeys,
+    inference,
+    inferenceBySegment,
+    fit,
+    fitBySegment,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// 3b. HIERARCHICAL BAYES (respondent-level part-worths)
+// ─────────────────────────────────────────────────────────────
+
+// Each sampler iteration evaluates every observation once. Large runs get a
+// shorter chain, but never below the minimums: the Metropolis step size is
+// tuned during burn-in, and the summaries need a few hundred draws.
+const HB_BURN_IN = 1000;
+const HB_DRAWS = 500;
+const HB_THIN = 2;
+const HB_MIN_BURN_IN = 500;
+const HB_MIN_DRAWS = 250;
+const HB_FULL_CHAIN_OBSERVATIONS = 1000;
+
+/**
+ * Burn-in and draws for an HB fit on `observationCount` observations;
+ * `shortened` is true when they are below the defaults
+ */
+function hbIterations(observationCount) {
+  const scale = Math.min(1, HB_FULL_CHAIN_OBSERVATIONS / observationCount);
+  const burnIn = Math.max(HB_MIN_BURN_IN, Math.round(HB_BURN_IN * scale));
+  const draws = Math.max(HB_MIN_DRAWS, Math.round(HB_DRAWS * scale));
+  return {
+    burnIn,
+    draws,
+    thin: HB_THIN,
+    shortened: burnIn < HB_BURN_IN || draws < HB_DRAWS,
+  };
+}
+
+/**
+ * Fit an HB-MNL on the same observations as the pooled model and summarise:
+ *  - population:  posterior mean + credible interval of the population mean
+ *                 β, and the heterogeneity SD (√diag W) across agents
+ *  - bySegment:   posterior of each segment's average β
+ *  - individual:  posterior-mean β per agent (segmentByAgent maps agent → segment)
+ *  - wtp:         credible intervals of -β_k / β_price (if a price feature exists)
+ *
+ * Returns null when there are fewer than 2 agents or 5 observations.
+ * `random` drives the sampler; pass a seeded one for reproducible draws.
+ */
+function computeHierarchical(
+  responses,
+  alternatives,
+  features,
+  segments,
+  tasks = [],
+  random = Math.random,
+) {
+  const { dim, featureKeys, observations } = buildChoiceObservations(
+    responses,
+    alternatives,
+    features,
+    tasks,
+  );
+
+  const respondents = groupObservationsByAgent(observations);
+  if (dim === 0 || respondents.length < 2 || observations.length < 5) return null;
+
+  const { shortened, ...iterations } = hbIterations(observations.length);
+  const fit = fitHierarchicalMNL(respondents, dim, { ...iterations, random });
+  const center = (beta) => centerCategoricalBlocks(beta, featureKeys, features);
+  const summarizeKeys = (rawDraws) => {
+    const draws = rawDraws.map(center);
+    const out = {};
+    featureKeys.forEach((k, i) => { out[k] = summarizeDraws(draws.map((d) => d[i])); });
+    return out;
+  };
+
+  const population = summarizeKeys(fit.populationDraws);
+  featureKeys.forEach((k, i) => { population[k].sd = fit.heterogeneitySd[i]; });
+
+  const knownSegments = new Set(segments.map((s) => s.segmentId));
+  const bySegment = {};
+  Object.entries(fit.groupDraws).forEach(([segId, draws]) => {
+    if (knownSegments.has(segId)) bySegment[segId] = summarizeKeys(draws);
+  });
+
+  const individual = {};
+  const segmentByAgent = {};
+  respondents.forEach((r, i) => {
+    segmentByAgent[r.id] = r.group ?? null;
+    const mean = center(fit.individual[i].mean);
+    individual[r.id] = {};
+    featureKeys.forEach((k, j) => { individual[r.id][k] = mean[j]; });
+  });
+
+  let wtp = null;
+  const priceFeature = findPriceFeature(features);
+  const priceIdx = priceFeature ? featureKeys.indexOf(priceFeature.key) : -1;
+  if (priceIdx !== -1) {
+    const usable = fit.populationDraws
+      .filter((d) => Math.abs(d[priceIdx]) > 1e-6)
+      .map(center);
+    wtp = {};
+    featureKeys.forEach((k, i) => {
+      if (i === priceIdx || k === NONE_KEY) return;
+      wtp[k] = summarizeDraws(usable.map((d) => -d[i] / d[priceIdx]));
+    });
+  }
+
+  return {
+    population,
+    bySegment,
+    individual,
+    segmentByAgent,
+    wtp,
+    diagnostics: {
+      respondents: respondents.length,
+      draws: fit.draws,
+      burnIn: fit.burnIn,
+      shortened,
+      acceptanceRate: Math.round(fit.acceptanceRate * 1000) / 1000,
+      credibleLevel: CREDIBLE_LEVEL,
+    },
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// 3c. LATENT CLASS SEGMENTATION
+// ─────────────────────────────────────────────────────────────
+
+const DEFAULT_MAX_CLASSES = 4;
+
+// An EM iteration with K classes evaluates every observation about K × 4
+// times (E-step plus Newton steps). Past this budget per class count, fits
+// drop to one random start and fewer iterations.
+const LC_STARTS = 3;
+const LC_MAX_ITER = 100;
+const LC_MIN_ITER = 20;
+const LC_MAX_EVALUATIONS = 500_000;
+
+/** Random starts and EM iterations for a K-class fit on `observationCount` observations */
+function latentClassIterations(numClasses, observationCount) {
+  const perIteration = numClasses * 4 * observationCount;
+  const starts =
+    perIteration * LC_STARTS * LC_MAX_ITER <= LC_MAX_EVALUATIONS ? LC_STARTS : 1;
+  const maxIter = Math.max(
+    LC_MIN_ITER,
+    Math.min(LC_MAX_ITER, Math.floor(LC_MAX_EVALUATIONS / (perIteration * starts))),
+  );
+  return { starts, maxIter };
+}
+
+/**
+ * Normalised mutual information between two labelings (0 = unrelated,
+ * 1 = one determines the other).
+ */
+function normalizedMutualInfo(a, b) {
+  const n = a.length;
+  if (n === 0) return 0;
+  const count = (labels) => {
+    const c = {};
+    labels.forEach((l) => { c[l] = (c[l] || 0) + 1; });
+    return c;
+  };
+  const ca = count(a);
+  const cb = count(b);
+  const cab = count(a.map((l, i) => `${l}\u0000${b[i]}`));
+  const entropy = (c) =>
+    -Object.values(c).reduce((s, v) => s + (v / n) * Math.log(v / n), 0);
+  let mi = 0;
+  Object.entries(cab).forEach(([key, v]) => {
+    const [la, lb] = key.split("\u0000");
+    mi += (v / n) * Math.log((v * n) / (ca[la] * cb[lb]));
+  });
+  const ha = entropy(ca);
+  const hb = entropy(cb);
+  return ha > 0 && hb > 0 ? mi / Math.sqrt(ha * hb) : 0;
+}
+
+/**
+ * Fit latent-class MNL models with 1..maxClasses classes and pick one by
+ * BIC (or AIC). For every fit reports class shares, class part-worths and
+ * the persona profile (model / personality / location of the agents whose
+ * most likely class it is), plus how strongly the classes line up with each
+ * configured persona dimension (normalised mutual information).
+ *
+ * Returns null with fewer than 4 agents or 10 observations. Each class count
+ * draws its random starts from its own stream seeded by `seed`, so results
+ * are reproducible.
+ */
+function computeLatentClasses(
+  responses,
+  alternatives,
+  features,
+  segments,
+  tasks = [],
+  opts = {},
+  seed = "results",
+) {
+  const { maxClasses = DEFAULT_MAX_CLASSES, criterion = "bic" } = opts;
+  const { dim, featureKeys, observations } = buildChoiceObservations(
+    responses,
+    alternatives,
+    features,
+    tasks,
+  );
+  const respondents = groupObservationsByAgent(observations);
+  if (dim === 0 || respondents.length < 4 || observations.length < 10) return null;
+
+  // One-hot blocks carry one redundant column each
+  const categoricalCount = features.filter(
+    (f) => f.type === "categorical" && (f.categories || []).length > 0,
+  ).length;
+  const paramsPerClass = Math.max(1, dim - categoricalCount);
+  const n = respondents.length;
+
+  const segmentById = {};
+  segments.forEach((s) => { segmentById[s.segmentId] = s; });
+  const dimensions = {
+    segment: (seg, r) => seg?.segmentId || r.group || "unknown",
+    model: (seg, r) => r.persona?.modelTag || seg?.modelTag || "unknown",
+    personality: (seg, r) =>
+      r.persona?.traits?.personality || seg?.traits?.personality || "unknown",
+    location: (seg, r) =>
+      r.persona?.traits?.location || seg?.traits?.location || "unknown",
+  };
+  const personaLabels = {};
+  Object.entries(dimensions).forEach(([dimKey, get]) => {
+    personaLabels[dimKey] = respondents.map((r) => get(segmentById[r.group], r));
+  });
+
+  const fits = [];
+  const maxK = Math.max(1, Math.min(maxClasses, Math.floor(n / 2)));
+  for (let k = 1; k <= maxK; k++) {
+    const fit = fitLatentClassMNL(respondents, dim, {
+      classes: k,
+      ...latentClassIterations(k, observations.length),
+      random: createSeededRandom(`${seed}:latent-class:${k}`).next,
+    });
+    const params = k * paramsPerClass + (k - 1);
+
+    // Order classes by size so "Class 1" is always the largest
+    const order = fit.shares
+      .map((share, idx) => ({ share, idx }))
+      .sort((a, b) => b.share - a.share)
+      .map((c) => c.idx);
+    const modal = fit.posteriors.map((h) => order.indexOf(h.indexOf(Math.max(...h))));
+
+    const classes = order.map((idx, rank) => {
+      const partWorths = {};
+      const beta = centerCategoricalBlocks(fit.betas[idx], featureKeys, features);
+      featureKeys.forEach((key, j) => { partWorths[key] = beta[j]; });
+      const profile = {};
+      Object.keys(dimensions).forEach((dimKey) => {
+        profile[dimKey] = {};
+        modal.forEach((c, i) => {
+          if (c !== rank) return;
+          const label = personaLabels[dimKey][i];
+          profile[dimKey][label] = (profile[dimKey][label] || 0) + 1;
+        });
+      });
+      return {
+        id: `class_${rank + 1}`,
+        label: `Class ${rank + 1}`,
+        share: fit.shares[idx],
+        agents: modal.filter((c) => c === rank).length,
+        partWorths,
+        profile,
+      };
+    });
+
+    const alignment = {};
+    Object.keys(dimensions).forEach((dimKey) => {
+      alignment[dimKey] = k > 1 ? normalizedMutualInfo(modal, personaLabels[dimKey]) : 0;
+    });
+
+    fits.push({
+      numClasses: k,
+      logLik: fit.logLik,
+      params,
+      aic: -2 * fit.logLik + 2 * params,
+      bic: -2 * fit.logLik + params * Math.log(n),
+      classes,
+      alignment,
+      membership: Object.fromEntries(respondents.map((r, i) => [r.id, modal[i]])),
+    });
+  }
+
+  const score = (f) => (criterion === "aic" ? f.aic : f.bic);
+  const selected = fits.reduce((best, f) => (score(f) < score(best) ? f : best), fits[0]);
+
+  return {
+    criterion,
+    selected: selected.numClasses,
+    // Membership is only kept for the selected solution
+    fits: fits.map(({ membership, ...rest }) => rest),
+    membership: selected.membership,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// 3d. MAXDIFF (best-worst scaling)
+// ─────────────────────────────────────────────────────────────
+
+/** Best-worst tasks needed before item utilities are estimated */
+const MIN_MAXDIFF_TASKS = 5;
+
+/**
+ * Tally best-worst responses and build their sequential best-worst MNL
+ * observations over item dummies: the best pick from the shown set, then
+ * the worst pick from the remaining items with utilities negated.
+ * Holdout and repeat tasks are left out, as in buildChoiceObservations.
+ */
+function collectBestWorst(responses, itemIds, tasks = []) {
+  const index = {};
+  itemIds.forEach((id, i) => { index[id] = i; });
+  const dummy = (id, sign) => itemIds.map((_, i) => (i === index[id] ? sign : 0));
+  const taskById = {};
+  tasks.forEach((t) => { taskById[t.id] = t; });
+
+  const counts = {};
+  itemIds.forEach((id) => { counts[id] = { shown: 0, best: 0, worst: 0 }; });
+  const observations = [];
+  let numTasks = 0;
+
+  for (const r of responses) {
+    if (!r.worst || r.chosen === NONE_KEY) continue;
+    const task = taskById[r.taskId];
+    if (task?.isHoldout || task?.isRepeatOf) continue;
+    const shown = (r.shownAlternatives || []).filter((id) => index[id] !== undefined);
+    const rest = shown.filter((id) => id !== r.chosen);
+    if (!shown.includes(r.chosen) || !rest.includes(r.worst)) continue;
+
+    numTasks++;
+    shown.forEach((id) => { counts[id].shown++; });
+    counts[r.chosen].best++;
+    counts[r.worst].worst++;
+    observations.push(
+      {
+        segmentId: r.segmentId ?? null,
+        chosenIdx: shown.indexOf(r.chosen),
+        encodedSet: shown.map((id) => dummy(id, 1)),
+      },
+      {
+        segmentId: r.segmentId ?? null,
+        chosenIdx: rest.indexOf(r.worst),
+        encodedSet: rest.map((id) => dummy(id, -1)),
+      },
+    );
+  }
+
+  return { counts, observations, numTasks };
+}
+
+/**
+ * Effects coding for item utilities: the last item is minus the sum of the
+ * others, so utilities are centred on zero
+ */
+function buildItemIdentification(numItems) {
+  return Array.from({ length: numItems }, (_, i) =>
+    Array.from({ length: numItems - 1 }, (_, c) =>
+      i === c ? 1 : i === numItems - 1 ? -1 : 0,
+    ),
+  );
+}
+
+/**
+ * Per-item scores for one group of best-worst tasks: counting score
+ * (best − worst) / times shown, and, with enough tasks, the MNL utility,
+ * its SE and the share of preference exp(u) / Σ exp(u)
+ */
+function scoreBestWorst(counts, observations, numTasks, itemIds, T) {
+  const fitted = numTasks >= MIN_MAXDIFF_TASKS ? fitMNL(observations, T) : null;
+  const expSum = fitted
+    ? fitted.beta.reduce((sum, b) => sum + Math.exp(b), 0)
+    : 0;
+
+  const items = {};
+  itemIds.forEach((id, i) => {
+    const c = counts[id];
+    items[id] = {
+      ...c,
+      countScore: c.shown > 0 ? (c.best - c.worst) / c.shown : 0,
+      utility: fitted ? fitted.beta[i] : null,
+      se: fitted ? fitted.se[i] : null,
+      share: fitted ? Math.exp(fitted.beta[i]) / expSum : null,
+    };
+  });
+
+  return {
+    items,
+    fit: fitted ? summarizeMNLFit(fitted, itemIds, numTasks).fit : null,
+    tasks: numTasks,
+  };
+}
+
+/**
+ * MaxDiff (best-worst scaling) results over the experiment's alternatives
+ * as items, overall and by segment. Only responses carrying a `worst` item
+ * count; returns null when there are none.
+ *
+ * The sequential best-worst MNL treats each task as two choices: the best
+ * item from the shown set (utility u) and the worst from the rest (utility −u).
+ *
+ * @returns {{ items: Object<string, Object>, fit: Object | null, tasks: number,
+ *   bySegment: Object<string, { items: Object<string, Object>, fit: Object | null, tasks: number }> } | null}
+ *   Item entries: { shown, best, worst, countScore, utility, se, share }
+ */
+function computeMaxDiff(responses, alternatives, segments, tasks = []) {
+  const itemIds = alternatives.map((a) => a.id);
+  if (itemIds.length < 2) return null;
+
+  const { counts, observations, numTasks } = collectBestWorst(responses, itemIds, tasks);
+  if (numTasks === 0) return null;
+
+  const T = buildItemIdentification(itemIds.length);
+  const overall = scoreBestWorst(counts, observations, numTasks, itemIds, T);
+
+  const bySegment = {};
+  for (const seg of segments) {
+    const segResponses = responses.filter((r) => r.segmentId === seg.segmentId);
+    const segData = collectBestWorst(segResponses, itemIds, tasks);
+    if (segData.numTasks === 0) continue;
+    bySegment[seg.segmentId] = scoreBestWorst(
+      segData.counts,
+      segData.observations,
+      segData.numTasks,
+      itemIds,
+      T,
+    );
+  }
+
+  return { ...overall, bySegment };
+}
+
+// ─────────────────────────────────────────────────────────────
+// 3e. PURCHASE INTENT (dual-response none)
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Would-buy answers of dual-response tasks, overall and by segment:
+ *  - byAlternative: { chosen, wouldBuy, buyRate } — how often each
+ *    alternative was picked and how often the pick would be bought
+ *  - buyRate: share of forced choices the agent would actually buy
+ *  - purchaseShares: share of answers buying each alternative, with the
+ *    rest under "NONE" (choice shares count the forced pick instead)
+ *
+ * Returns null when no response carries a wouldBuy answer.
+ */
+function computePurchaseIntent(responses, alternatives, segments) {
+  const altIds = new Set(alternatives.map((a) => a.id));
+  const answered = responses.filter(
+    (r) => typeof r.wouldBuy === "boolean" && altIds.has(r.chosen),
+  );
+  if (answered.length === 0) return null;
+
+  const summarize = (list) => {
+    const byAlternative = {};
+    alternatives.forEach((a) => {
+      byAlternative[a.id] = { chosen: 0, wouldBuy: 0, buyRate: null };
+    });
+    let buyers = 0;
+    for (const r of list) {
+      byAlternative[r.chosen].chosen++;
+      if (r.wouldBuy) {
+        byAlternative[r.chosen].wouldBuy++;
+        buyers++;
+      }
+    }
+    const n = list.length;
+    const purchaseShares = {};
+    Object.entries(byAlternative).forEach(([id, entry]) => {
+      entry.buyRate = entry.chosen > 0 ? entry.wouldBuy / entry.chosen : null;
+      purchaseShares[id] = entry.wouldBuy / n;
+    });
+    purchaseShares[NONE_KEY] = (n - buyers) / n;
+    return { responses: n, buyRate: buyers / n, byAlternative, purchaseShares };
+  };
+
+  const bySegment = {};
+  segments.forEach((s) => {
+    const list = answered.filter((r) => r.segmentId === s.segmentId);
+    if (list.length > 0) bySegment[s.segmentId] = summarize(list);
+  });
+
+  return { ...summarize(answered), bySegment };
 }
 
 // ─────────────────────────────────────────────────────────────
 // 4. CHOICE DRIVERS
 // ─────────────────────────────────────────────────────────────
 
+/**
+ * Stated feature scores from deliberation evaluations (response.evaluation):
+ *  - meanScores: average score per alternative × feature, over every task
+ *    the alternative was evaluated in (chosen or not)
+ *  - advantage: per feature, how much higher the chosen alternative scored
+ *    than the other shown ones, averaged over evaluated choices. A large
+ *    positive advantage means the feature separated winners from losers.
+ * Returns null when no response carries an evaluation.
+ */
+function computeStatedScores(responses, altIds, featureKeys) {
+  const sums = {};
+  const counts = {};
+  altIds.forEach((aid) => {
+    sums[aid] = {};
+    counts[aid] = {};
+    featureKeys.forEach((fk) => { sums[aid][fk] = 0; counts[aid][fk] = 0; });
+  });
+  const advantageSums = {};
+  const advantageCounts = {};
+  featureKeys.forEach((fk) => { advantageSums[fk] = 0; advantageCounts[fk] = 0; });
+
+  let evaluatedResponses = 0;
+  for (const r of responses) {
+    if (!Array.isArray(r.evaluation) || r.evaluation.length === 0) continue;
+    evaluatedResponses++;
+
+    for (const entry of r.evaluation) {
+      if (!sums[entry.alternativeId]) continue;
+      for (const [fk, score] of Object.entries(entry.featureScores || {})) {
+        if (sums[entry.alternativeId][fk] === undefined) continue;
+        sums[entry.alternativeId][fk] += score;
+        counts[entry.alternativeId][fk]++;
+      }
+    }
+
+    if (r.chosen === "NONE") continue;
+    const chosen = r.evaluation.find((e) => e.alternativeId === r.chosen);
+    const others = r.evaluation.filter((e) => e.alternativeId !== r.chosen);
+    if (!chosen || others.length === 0) continue;
+    featureKeys.forEach((fk) => {
+      const own = chosen.featureScores?.[fk];
+      const rest = others
+        .map((e) => e.featureScores?.[fk])
+        .filter((v) => typeof v === "number");
+      if (typeof own !== "number" || rest.length === 0) return;
+      advantageSums[fk] += own - rest.reduce((t, v) => t + v, 0) / rest.length;
+      advantageCounts[fk]++;
+    });
+  }
+
+  if (evaluatedResponses === 0) return null;
+
+  const meanScores = {};
+  altIds.forEach((aid) => {
+    meanScores[aid] = {};
+    featureKeys.forEach((fk) => {
+      meanScores[aid][fk] = counts[aid][fk] > 0 ? sums[aid][fk] / counts[aid][fk] : null;
+    });
+  });
+  const advantage = {};
+  featureKeys.forEach((fk) => {
+    advantage[fk] = advantageCounts[fk] > 0 ? advantageSums[fk] / advantageCounts[fk] : null;
+  });
+
+  return { meanScores, advantage, evaluatedResponses };
+}
+
 /**
  * Analyse *what drove each choice* by cross-tabulating:
  *  - For each alternative, which reason codes (features) appear most often
  *  - Co-occurrence matrix of reason codes
  *  - Feature × alternative heatmap data
+ *  - Stated per-feature scores when agents deliberated (see computeStatedScores)
  */
 function computeChoiceDrivers(responses, alternatives, features) {
   const altIds = alternatives.map((a) => a.id);
@@ -293,25 +1211,34 @@ function computeChoiceDrivers(responses, alternatives, features) {
     coverageRate: totalResponses > 0 ? responsesWithReasons / totalResponses : 0,
   };
 
-  return { altFeatureCounts, altChoiceCounts, coOccurrence, heatmap, topDrivers, coverage };
+  const statedScores = computeStatedScores(responses, altIds, featureKeys);
+
+  return { altFeatureCounts, altChoiceCounts, coOccurrence, heatmap, topDrivers, coverage, statedScores };
 }
 
 // ─────────────────────────────────────────────────────────────
 // 5. WILLINGNESS TO PAY
 // ─────────────────────────────────────────────────────────────
 
+/**
+ * Detect the price-like feature: a continuous feature whose key or label
+ * contains "price", "cost", "fee" or "premium" (case-insensitive).
+ */
+function findPriceFeature(features) {
+  return features.find((f) =>
+    f.type === "continuous" &&
+    /price|cost|fee|premium/i.test(f.key + " " + (f.label || "")),
+  ) || null;
+}
+
 /**
  * WTP_k = -β_k / β_price
  *
  * Only meaningful when a continuous "price"-like feature exists.
- * We detect it by looking for a feature with key or label containing
- * "price", "cost", or "fee" (case-insensitive).
+ * When an HB fit is available its credible intervals are attached.
  */
-function computeWTP(partWorths, features) {
-  const priceFeature = features.find((f) =>
-    f.type === "continuous" &&
-    /price|cost|fee|premium/i.test(f.key + " " + (f.label || "")),
-  );
+function computeWTP(partWorths, features, hierarchical = null) {
+  const priceFeature = findPriceFeature(features);
 
   if (!priceFeature) return null;
 
@@ -321,7 +1248,7 @@ function computeWTP(partWorths, features) {
   const wtp = {};
   const keys = Object.keys(partWorths.overall);
   for (const k of keys) {
-    if (k === priceFeature.key) continue;
+    if (k === priceFeature.key || k === NONE_KEY) continue;
     wtp[k] = -partWorths.overall[k] / priceBeta;
   }
 
@@ -329,6 +1256,7 @@ function computeWTP(partWorths, features) {
     priceFeature: priceFeature.key,
     priceUnit: priceFeature.unit || "",
     values: wtp,
+    intervals: hierarchical?.wtp || null,
   };
 }
 
@@ -341,20 +1269,34 @@ function computeWTP(partWorths, features) {
  * choice shares via the MNL formula.
  *
  * P_i = exp(β'x_i) / Σ_j exp(β'x_j)
+ *
+ * When β has a NONE constant, the no-choice option competes with utility
+ * β_NONE and its share is returned under "NONE" (pass includeNone: false
+ * to simulate a forced choice).
+ *
+ * @param {Object<string, number>} betaMap - β per encoded key
+ * @param {Object[]} conceptAlternatives - Alternatives to simulate
+ * @param {Object[]} features - Feature schema
+ * @param {Object[]} allAlternatives - Alternatives the model was fitted on (for scaling)
+ * @param {Object} [opts]
+ * @param {boolean} [opts.includeNone] - Defaults to whether β has a NONE constant
  */
-export function simulateShares(betaMap, conceptAlternatives, features, allAlternatives) {
+export function simulateShares(
+  betaMap,
+  conceptAlternatives,
+  features,
+  allAlternatives,
+  opts = {},
+) {
+  const { includeNone = betaMap[NONE_KEY] !== undefined } = opts;
   const stats = computeFeatureStats(allAlternatives, features);
-  const keys = Object.keys(betaMap);
-  const beta = keys.map((k) => betaMap[k]);
 
-  const vecs = conceptAlternatives.map((alt) => {
-    const { vector } = encodeFeatures(alt.features || {}, features, stats);
-    return vector;
+  const utils = conceptAlternatives.map((alt) => {
+    const { vector, keys } = encodeFeatures(alt.features || {}, features, stats);
+    return vector.reduce((s, xi, k) => s + xi * (betaMap[keys[k]] ?? 0), 0);
   });
+  if (includeNone) utils.push(betaMap[NONE_KEY] ?? 0);
 
-  const utils = vecs.map((v) =>
-    v.reduce((s, xi, k) => s + xi * beta[k], 0),
-  );
   const maxU = Math.max(...utils);
   const exps = utils.map((u) => Math.exp(u - maxU));
   const sumExp = exps.reduce((a, b) => a + b, 0) || 1;
@@ -363,18 +1305,334 @@ export function simulateShares(betaMap, conceptAlternatives, features, allAltern
   conceptAlternatives.forEach((alt, i) => {
     shares[alt.id || alt.name || `concept_${i}`] = exps[i] / sumExp;
   });
+  if (includeNone) shares[NONE_KEY] = exps[exps.length - 1] / sumExp;
   return shares;
 }
 
+/**
+ * Simulation rules for simulateMarket
+ *  - share_of_preference:     logit probabilities per respondent, averaged
+ *  - first_choice:            each respondent picks its highest-utility product
+ *  - randomized_first_choice: first choice repeated with β and product-level
+ *                             error draws, which softens first choice and
+ *                             corrects the IIA of share-of-preference for
+ *                             near-identical products
+ */
+export const SIMULATION_RULES = [
+  "share_of_preference",
+  "first_choice",
+  "randomized_first_choice",
+];
+
+const RFC_DRAWS = 200;
+const RFC_ATTRIBUTE_ERROR = 0.5;
+const RFC_PRODUCT_ERROR = 0.5;
+
+/**
+ * Simulated respondents for the market simulator: HB individual β when
+ * available, else one respondent per segment β weighted by segment size,
+ * else the pooled β.
+ */
+function getSimulationRespondents(partWorths, hierarchical, segments) {
+  const individual = Object.entries(hierarchical?.individual || {});
+  if (individual.length > 0) {
+    return {
+      source: "hb",
+      respondents: individual.map(([agentId, beta]) => ({
+        segmentId: hierarchical.segmentByAgent?.[agentId] ?? null,
+        weight: 1,
+        beta,
+      })),
+    };
+  }
+  const bySegment = segments.filter((s) => partWorths?.bySegment?.[s.segmentId]);
+  if (bySegment.length > 0) {
+    return {
+      source: "segment",
+      respondents: bySegment.map((s) => ({
+        segmentId: s.segmentId,
+        weight: s.count || 1,
+        beta: partWorths.bySegment[s.segmentId],
+      })),
+    };
+  }
+  return {
+    source: "pooled",
+    respondents: [{ segmentId: null, weight: 1, beta: partWorths?.overall || {} }],
+  };
+}
+
+/**
+ * Predict shares for a what-if market of products (new concepts and/or
+ * existing alternatives), overall and per segment.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.products - { id, name?, features } in the market
+ * @param {Object[]} params.alternatives - Alternatives the model was fitted on (for scaling)
+ * @param {Object[]} params.features - Feature schema
+ * @param {Object[]} [params.segments] - Agent segments
+ * @param {Object} params.partWorths - computePartWorths output
+ * @param {Object | null} [params.hierarchical] - computeHierarchical output
+ * @param {string} [params.rule] - One of SIMULATION_RULES
+ * @param {boolean} [params.includeNone] - Let NONE compete (needs a NONE constant)
+ * @param {() => number} [params.random] - Uniform [0, 1) source (randomized first choice)
+ * @returns {{ rule: string, source: "hb" | "segment" | "pooled", includeNone: boolean,
+ *   respondents: number, overall: Object<string, number>,
+ *   bySegment: Object<string, Object<string, number>> }}
+ */
+export function simulateMarket({
+  products,
+  alternatives,
+  features,
+  segments = [],
+  partWorths,
+  hierarchical = null,
+  rule = "share_of_preference",
+  includeNone = true,
+  random = Math.random,
+}) {
+  const stats = computeFeatureStats(alternatives, features);
+  const encoded = products.map(
+    (p) => encodeFeatures(p.features || {}, features, stats),
+  );
+  const ids = products.map((p, i) => p.id || `concept_${i}`);
+  const { source, respondents } = getSimulationRespondents(
+    partWorths,
+    hierarchical,
+    segments,
+  );
+  const withNone =
+    includeNone && respondents.some((r) => r.beta[NONE_KEY] !== undefined);
+  const optionIds = withNone ? [...ids, NONE_KEY] : ids;
+
+  const utilitiesAt = (beta) => {
+    const utils = encoded.map(({ vector, keys }) =>
+      vector.reduce((s, xi, k) => s + xi * (beta[keys[k]] ?? 0), 0),
+    );
+    if (withNone) utils.push(beta[NONE_KEY] ?? 0);
+    return utils;
+  };
+  const firstChoice = (utils) => {
+    const maxU = Math.max(...utils);
+    const winners = utils.filter((u) => u === maxU).length;
+    return utils.map((u) => (u === maxU ? 1 / winners : 0));
+  };
+
+  const respondentShares = (beta) => {
+    if (rule === "first_choice") return firstChoice(utilitiesAt(beta));
+    if (rule === "randomized_first_choice") {
+      const totals = new Array(optionIds.length).fill(0);
+      for (let d = 0; d < RFC_DRAWS; d++) {
+        const perturbed = {};
+        for (const [k, v] of Object.entries(beta)) {
+          perturbed[k] = v + RFC_ATTRIBUTE_ERROR * randomNormal(random);
+        }
+        const utils = utilitiesAt(perturbed).map(
+          (u) => u - RFC_PRODUCT_ERROR * Math.log(-Math.log(random() || 1e-12)),
+        );
+        firstChoice(utils).forEach((p, j) => { totals[j] += p / RFC_DRAWS; });
+      }
+      return totals;
+    }
+    const utils = utilitiesAt(beta);
+    const maxU = Math.max(...utils);
+    const exps = utils.map((u) => Math.exp(u - maxU));
+    const sumExp = exps.reduce((a, b) => a + b, 0);
+    return exps.map((e) => e / sumExp);
+  };
+
+  const overallSum = new Array(optionIds.length).fill(0);
+  let overallWeight = 0;
+  const segmentSums = {};
+  for (const r of respondents) {
+    const shares = respondentShares(r.beta);
+    shares.forEach((p, j) => { overallSum[j] += r.weight * p; });
+    overallWeight += r.weight;
+    if (!r.segmentId) continue;
+    if (!segmentSums[r.segmentId]) {
+      segmentSums[r.segmentId] = { sums: new Array(optionIds.length).fill(0), weight: 0 };
+    }
+    shares.forEach((p, j) => { segmentSums[r.segmentId].sums[j] += r.weight * p; });
+    segmentSums[r.segmentId].weight += r.weight;
+  }
+
+  const toMap = (sums, weight) => {
+    const out = {};
+    optionIds.forEach((id, j) => { out[id] = weight > 0 ? sums[j] / weight : 0; });
+    return out;
+  };
+  const bySegment = {};
+  Object.entries(segmentSums).forEach(([segId, { sums, weight }]) => {
+    bySegment[segId] = toMap(sums, weight);
+  });
+
+  return {
+    rule,
+    source,
+    includeNone: withNone,
+    respondents: respondents.length,
+    overall: toMap(overallSum, overallWeight),
+    bySegment,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// 6b. PRICE SWEEP (demand curves)
+// ─────────────────────────────────────────────────────────────
+
+const DEFAULT_PRICE_STEPS = 20;
+
+/**
+ * Sweep the price of one alternative across the price feature's min/max
+ * and simulate the market at each point (share of preference).
+ *
+ *  - share:        predicted share of the target
+ *  - revenueIndex: share × price, 100 = revenue at the current price
+ *  - profit:       share × (price − unitCost) per shopper (unitCost given)
+ *
+ * Competitors either keep their prices ("fixed") or move by the same amount
+ * as the target, clamped to the price range ("follow").
+ *
+ * Returns null without a price feature or target.
+ *
+ * @param {Object} params
+ * @param {string} params.targetId - Alternative whose price is swept
+ * @param {Object[]} params.alternatives - All alternatives (the market, and the model's scaling base)
+ * @param {string[]} [params.competitorIds] - Competitors in the market (default: all others)
+ * @param {Object[]} params.features
+ * @param {Object[]} [params.segments]
+ * @param {Object} params.partWorths
+ * @param {Object | null} [params.hierarchical]
+ * @param {number | null} [params.unitCost]
+ * @param {"fixed" | "follow"} [params.competitorResponse]
+ * @param {boolean} [params.includeNone]
+ * @param {number} [params.steps] - Price points (inclusive of min and max)
+ */
+export function sweepPrice({
+  targetId,
+  alternatives,
+  competitorIds = null,
+  features,
+  segments = [],
+  partWorths,
+  hierarchical = null,
+  unitCost = null,
+  competitorResponse = "fixed",
+  includeNone = true,
+  steps = DEFAULT_PRICE_STEPS,
+}) {
+  const priceFeature = findPriceFeature(features);
+  const target = alternatives.find((a) => a.id === targetId);
+  if (!priceFeature || !target) return null;
+
+  const key = priceFeature.key;
+  const observed = alternatives
+    .map((a) => Number(a.features?.[key]))
+    .filter(Number.isFinite);
+  const min = priceFeature.min ?? Math.min(...observed);
+  const max = priceFeature.max ?? Math.max(...observed);
+  if (!Number.isFinite(min) || !Number.isFinite(max) || max <= min) return null;
+
+  const basePrice = Number(target.features?.[key]);
+  const competitors = alternatives.filter(
+    (a) =>
+      a.id !== targetId && (!competitorIds || competitorIds.includes(a.id)),
+  );
+  const clamp = (v) => Math.min(max, Math.max(min, v));
+
+  const simulateAt = (price) => {
+    const delta = price - basePrice;
+    const withPrice = (alt, value) => ({
+      ...alt,
+      features: { ...alt.features, [key]: value },
+    });
+    const products = [
+      withPrice(target, price),
+      ...competitors.map((c) =>
+        competitorResponse === "follow"
+          ? withPrice(c, clamp(Number(c.features?.[key]) + delta))
+          : c,
+      ),
+    ];
+    return simulateMarket({
+      products,
+      alternatives,
+      features,
+      segments,
+      partWorths,
+      hierarchical,
+      includeNone,
+    });
+  };
+
+  const base = simulateAt(basePrice);
+  const measure = (shares, baseShares, price) => {
+    const share = shares[targetId] || 0;
+    const baseRevenue = (baseShares[targetId] || 0) * basePrice;
+    return {
+      share,
+      revenueIndex: baseRevenue > 0 ? (100 * share * price) / baseRevenue : 0,
+      profit: unitCost === null ? null : share * (price - unitCost),
+    };
+  };
+
+  const points = [];
+  for (let i = 0; i < steps; i++) {
+    const price = min + ((max - min) * i) / (steps - 1);
+    const sim = simulateAt(price);
+    const bySegment = {};
+    Object.entries(sim.bySegment).forEach(([segId, shares]) => {
+      bySegment[segId] = measure(shares, base.bySegment[segId] || {}, price);
+    });
+    points.push({ price, ...measure(sim.overall, base.overall, price), bySegment });
+  }
+
+  const optimum = (getRow) => {
+    const best = (metric) =>
+      points.reduce((acc, p) => {
+        const v = getRow(p)?.[metric];
+        return v !== null && v !== undefined && (acc === null || v > acc.value)
+          ? { price: p.price, value: v }
+          : acc;
+      }, null);
+    return { revenue: best("revenueIndex"), profit: unitCost === null ? null : best("profit") };
+  };
+  const optimal = { overall: optimum((p) => p), bySegment: {} };
+  Object.keys(base.bySegment).forEach((segId) => {
+    optimal.bySegment[segId] = optimum((p) => p.bySegment[segId]);
+  });
+
+  return {
+    priceFeature: key,
+    priceUnit: priceFeature.unit || "",
+    targetId,
+    basePrice,
+    min,
+    max,
+    competitorResponse,
+    source: base.source,
+    points,
+    optimal,
+  };
+}
+
 // ─────────────────────────────────────────────────────────────
 // 7. BOOTSTRAP CONFIDENCE INTERVALS
 // ─────────────────────────────────────────────────────────────
 
 /**
- * Resample responses with replacement B times,
+ * Resample design-task responses with replacement B times,
  * recompute shares each time, return 90% CI per alternative.
  */
-function bootstrapSharesCI(responses, alternatives, segments, B = 200) {
+function bootstrapSharesCI(
+  allResponses,
+  alternatives,
+  segments,
+  B = 200,
+  random = Math.random,
+  tasks = [],
+) {
+  const responses = designTaskResponses(allResponses, tasks);
   const altIds = alternatives.map((a) => a.id);
   const draws = {}; // altId -> number[]
   altIds.forEach((id) => { draws[id] = []; });
@@ -384,7 +1642,7 @@ function bootstrapSharesCI(responses, alternatives, segments, B = 200) {
     const n = responses.length;
     const sample = [];
     for (let i = 0; i < n; i++) {
-      sample.push(responses[Math.floor(Math.random() * n)]);
+      sample.push(responses[Math.floor(random() * n)]);
     }
     const shares = computeShares(sample, alternatives, segments);
     altIds.forEach((id) => {
@@ -404,11 +1662,136 @@ function bootstrapSharesCI(responses, alternatives, segments, B = 200) {
   return ci;
 }
 
+// ─────────────────────────────────────────────────────────────
+// 8. VALIDATION
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Holdout hit rate and repeat-task consistency, overall and per segment.
+ *
+ * - Holdout: predict the highest-utility shown alternative with the fitted
+ *   part-worths (segment β when available, else overall) and compare with
+ *   the actual choice. When the task offered NONE and the model has a NONE
+ *   constant, NONE is a candidate too; otherwise NONE answers are skipped.
+ * - Repeat: share of repeat tasks answered the same as the original task.
+ *
+ * Returns null when the run has no holdout or repeat tasks.
+ */
+function computeValidation(responses, alternatives, features, segments, tasks, partWorths) {
+  const taskById = {};
+  tasks.forEach((t) => { taskById[t.id] = t; });
+  const hasHoldouts = tasks.some((t) => t.isHoldout);
+  const hasRepeats = tasks.some((t) => t.isRepeatOf);
+  if (!hasHoldouts && !hasRepeats) return null;
+
+  const stats = computeFeatureStats(alternatives, features);
+  const altIdToVector = {};
+  alternatives.forEach((alt) => {
+    altIdToVector[alt.id] = encodeFeatures(alt.features || {}, features, stats).vector;
+  });
+  const keys = partWorths.keys || [];
+  const toBeta = (pw) => keys.map((k) => pw?.[k] ?? 0);
+  const overallBeta = toBeta(partWorths.overall);
+  const noneIdx = keys.indexOf(NONE_KEY);
+
+  const responseByTask = {};
+  responses.forEach((r) => {
+    if (r.taskId) responseByTask[r.taskId] = r;
+  });
+
+  const emptyCounts = () => ({ holdoutHits: 0, holdoutCount: 0, repeatMatches: 0, repeatCount: 0 });
+  const overall = emptyCounts();
+  const bySegmentCounts = {};
+  segments.forEach((s) => { bySegmentCounts[s.segmentId] = emptyCounts(); });
+
+  for (const r of responses) {
+    const task = taskById[r.taskId];
+    if (!task) continue;
+    const segId = r.segmentId;
+    const segCounts = bySegmentCounts[segId];
+
+    if (task.isHoldout) {
+      const shownIds = (task.shownAlternatives || []).filter((id) => altIdToVector[id]);
+      const candidates =
+        task.includeNone && noneIdx !== -1 ? [...shownIds, NONE_KEY] : shownIds;
+      if (!candidates.includes(r.chosen)) continue;
+      const beta = partWorths.bySegment?.[segId]
+        ? toBeta(partWorths.bySegment[segId])
+        : overallBeta;
+      const utils = candidates.map((id) =>
+        id === NONE_KEY
+          ? beta[noneIdx]
+          : altIdToVector[id].reduce((s, xi, k) => s + xi * beta[k], 0),
+      );
+      const predicted = candidates[utils.indexOf(Math.max(...utils))];
+      const hit = predicted === r.chosen ? 1 : 0;
+      overall.holdoutHits += hit;
+      overall.holdoutCount++;
+      if (segCounts) {
+        segCounts.holdoutHits += hit;
+        segCounts.holdoutCount++;
+      }
+    }
+
+    if (task.isRepeatOf) {
+      const original = responseByTask[task.isRepeatOf];
+      if (!original) continue;
+      const match = original.chosen === r.chosen ? 1 : 0;
+      overall.repeatMatches += match;
+      overall.repeatCount++;
+      if (segCounts) {
+        segCounts.repeatMatches += match;
+        segCounts.repeatCount++;
+      }
+    }
+  }
+
+  const summarize = (c) => ({
+    holdoutAccuracy: c.holdoutCount > 0 ? c.holdoutHits / c.holdoutCount : null,
+    repeatConsistency: c.repeatCount > 0 ? c.repeatMatches / c.repeatCount : null,
+    holdoutCount: c.holdoutCount,
+    repeatCount: c.repeatCount,
+  });
+
+  const bySegment = {};
+  Object.entries(bySegmentCounts).forEach(([segId, c]) => {
+    if (c.holdoutCount > 0 || c.repeatCount > 0) bySegment[segId] = summarize(c);
+  });
+
+  return { ...summarize(overall), bySegment };
+}
+
 // ─────────────────────────────────────────────────────────────
 // EXISTING: Choice Shares
 // ─────────────────────────────────────────────────────────────
 
-function computeShares(responses, alternatives, segments) {
+/**
+ * What a response contributes to choice shares: its whole vote to the chosen
+ * alternative, or an allocation's units split proportionally
+ */
+function responseVotes(response) {
+  const entries = Object.entries(response.allocation || {});
+  const total = entries.reduce((s, [, u]) => s + Math.max(0, Number(u) || 0), 0);
+  if (total === 0) return [[response.chosen, 1]];
+  return entries.map(([id, u]) => [id, Math.max(0, Number(u) || 0) / total]);
+}
+
+/**
+ * Responses to design tasks only. Holdouts are the same set for every agent
+ * and repeats count an agent's choice twice, so, as in estimation, shares
+ * leave both out.
+ */
+function designTaskResponses(responses, tasks = []) {
+  const taskById = {};
+  tasks.forEach((t) => { taskById[t.id] = t; });
+  return responses.filter((r) => {
+    const task = taskById[r.taskId];
+    return !task?.isHoldout && !task?.isRepeatOf;
+  });
+}
+
+function computeShares(allResponses, alternatives, segments, tasks = []) {
+  const responses = designTaskResponses(allResponses, tasks);
   const altIds = alternatives.map((a) => a.id);
   const segmentIds = segments.map((s) => s.segmentId);
 
@@ -425,14 +1808,14 @@ function computeShares(responses, alternatives, segments) {
   });
 
   responses.forEach((response) => {
-    const chosen = response.chosen;
-    if (overallCounts[chosen] !== undefined) {
-      overallCounts[chosen]++;
-    }
-    const agentId = response.agentId;
-    const segmentId = agentId?.split("_").slice(0, -1).join("_");
-    if (segmentId && segmentCounts[segmentId]?.[chosen] !== undefined) {
-      segmentCounts[segmentId][chosen]++;
+    const segmentId = response.segmentId;
+    for (const [id, vote] of responseVotes(response)) {
+      if (overallCounts[id] !== undefined) {
+        overallCounts[id] += vote;
+      }
+      if (segmentId && segmentCounts[segmentId]?.[id] !== undefined) {
+        segmentCounts[segmentId][id] += vote;
+      }
     }
   });
 
@@ -481,8 +1864,7 @@ function computeFeatureImportance(responses, features, segments) {
       if (overallCounts[code] !== undefined) {
         overallCounts[code]++;
       }
-      const agentId = response.agentId;
-      const segmentId = agentId?.split("_").slice(0, -1).join("_");
+      const segmentId = response.segmentId;
       if (segmentId && segmentCounts[segmentId]?.[code] !== undefined) {
         segmentCounts[segmentId][code]++;
       }
@@ -517,29 +1899,113 @@ function computeFeatureImportance(responses, features, segments) {
  * Returns the full ResultsSummary including new conjoint outputs:
  *  - shares
  *  - featureImportance
- *  - partWorths          (β weights overall + by segment)
+ *  - partWorths          (β weights, SEs/t/p and fit stats, overall + by segment)
+ *  - hierarchical        (HB-MNL: per-agent β, segment posteriors, intervals; on request)
+ *  - latentClasses       (latent-class MNL fits, BIC/AIC selection, persona profiles; on request)
+ *  - maxDiff             (best-worst item scores, when the run asked for best and worst)
+ *  - purchaseIntent      (would-buy rates and purchase shares, for dual-response runs)
  *  - choiceDrivers       (what drove each choice)
  *  - wtp                 (willingness-to-pay, if price feature present)
  *  - confidence          (bootstrap CIs for shares)
+ *  - validation          (holdout hit rate + repeat consistency, if planned)
  *  - responseStats       (summary stats)
+ *  - decisionQuality     (decision status counts overall, by model and by segment)
+ *
+ * Responses are expected to carry `segmentId` (and `modelTag`, `traits`,
+ * `shownAlternatives`); older runs go through migrateLegacyResponses first.
+ * `tasks` (optional) links responses to the choice set they were shown via
+ * `response.taskId`; without it (or `response.shownAlternatives`) every
+ * response is treated as a full-menu choice.
+ * `advancedModels` turns on the hierarchical Bayes and latent-class fits;
+ * they take seconds for a few hundred agents, so they run on request and
+ * `hierarchical` / `latentClasses` are null otherwise.
+ * `latentClass` (optional) sets { maxClasses, criterion: "bic" | "aic" }.
+ * `seed` seeds the bootstrap, HB sampler and latent-class starts (callers
+ * pass the runId), so recomputing a run reproduces its saved results.
+ * `excludeFallbacks` drops parse-fallback, invalid-choice and LLM-error
+ * responses (recorded as "NONE") from every estimate; decisionQuality is
+ * always computed on all responses.
  */
-export function computeResults({ responses, alternatives, features, segments }) {
-  const shares = computeShares(responses, alternatives, segments);
+export function computeResults({
+  responses: allResponses,
+  alternatives,
+  features,
+  segments,
+  tasks = [],
+  latentClass = {},
+  excludeFallbacks = false,
+  advancedModels = false,
+  seed = "results",
+}) {
+  const decisionQuality = {
+    ...computeDecisionQuality(allResponses),
+    fallbacksExcluded: excludeFallbacks,
+  };
+  const responses = excludeFallbacks
+    ? allResponses.filter((r) => !isFallbackDecision(r))
+    : allResponses;
+
+  const shares = computeShares(responses, alternatives, segments, tasks);
   const featureImportance = computeFeatureImportance(responses, features, segments);
-  const partWorths = computePartWorths(responses, alternatives, features, segments);
+  const partWorths = computePartWorths(responses, alternatives, features, segments, tasks);
+  const hierarchical = advancedModels
+    ? computeHierarchical(
+        responses,
+        alternatives,
+        features,
+        segments,
+        tasks,
+        createSeededRandom(`${seed}:hb`).next,
+      )
+    : null;
+  const latentClasses = advancedModels
+    ? computeLatentClasses(
+        responses,
+        alternatives,
+        features,
+        segments,
+        tasks,
+        latentClass,
+        seed,
+      )
+    : null;
+  const maxDiff = computeMaxDiff(responses, alternatives, segments, tasks);
+  const purchaseIntent = computePurchaseIntent(responses, alternatives, segments);
   const choiceDrivers = computeChoiceDrivers(responses, alternatives, features);
-  const wtp = computeWTP(partWorths, features);
-  const confidence = bootstrapSharesCI(responses, alternatives, segments, 200);
+  const wtp = computeWTP(partWorths, features, hierarchical);
+  const confidence = bootstrapSharesCI(
+    responses,
+    alternatives,
+    segments,
+    200,
+    createSeededRandom(`${seed}:bootstrap`).next,
+    tasks,
+  );
+  const validation = computeValidation(
+    responses,
+    alternatives,
+    features,
+    segments,
+    tasks,
+    partWorths,
+  );
   const responseStats = getResponseStats(responses);
 
   return {
     shares,
     featureImportance,
     partWorths,
+    hierarchical,
+    latentClasses,
+    maxDiff,
+    purchaseIntent,
     choiceDrivers,
     wtp,
     confidence,
+    validation,
     responseStats,
+    decisionQuality,
+    advancedModels,
   };
 }
 
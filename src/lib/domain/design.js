@@ -0,0 +1,341 @@
+/**
+ * Conjoint Design Generator
+ * Build synthetic profiles from a feature schema
+ *
+ * Profiles start from level-balanced columns and are improved with a
+ * coordinate-exchange search (swapping levels between profiles keeps the
+ * balance) that maximises the D-efficiency of the coded profile matrix.
+ * Choice sets are not built here: the profiles become alternatives, and the
+ * task plan's design (taskgen) groups them into the sets agents see.
+ */
+
+import { addOuter, createMatrix, invert, logDeterminant } from "./matrix";
+
+export const DEFAULT_CONTINUOUS_LEVELS = 3;
+
+const MAX_EXCHANGE_PASSES = 8;
+
+/**
+ * Shuffle array (Fisher-Yates, returns new array)
+ * @param {Array} array
+ * @returns {Array}
+ */
+function shuffle(array) {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Round a continuous level to a readable precision for its step size
+ */
+function roundLevel(value, step) {
+  if (Math.abs(step) >= 1) return Math.round(value);
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the levels a feature can take in a design
+ * @param {import('@/models/firestore').Feature} feature
+ * @param {number} [continuousLevels] - Number of evenly spaced levels for continuous features
+ * @returns {any[]}
+ */
+export function getFeatureLevels(
+  feature,
+  continuousLevels = DEFAULT_CONTINUOUS_LEVELS,
+) {
+  switch (feature.type) {
+    case "continuous": {
+      const min = Number(feature.min ?? 0);
+      const max = Number(feature.max ?? 100);
+      const count = Math.max(2, continuousLevels);
+      if (max === min) return [min];
+      const step = (max - min) / (count - 1);
+      return Array.from({ length: count }, (_, i) =>
+        roundLevel(min + i * step, step),
+      );
+    }
+    case "categorical":
+      return [...(feature.categories || [])];
+    case "binary":
+      return [false, true];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Code one profile (level indices) as a numeric row.
+ * continuous/binary → linear in [-1, 1], categorical → effects coding.
+ * @param {number[]} levelIdx
+ * @param {{ count: number, effects: boolean }[]} codings
+ */
+function codeProfile(levelIdx, codings) {
+  const row = [];
+  levelIdx.forEach((idx, f) => {
+    const { count, effects } = codings[f];
+    if (count <= 1) return;
+    if (!effects) {
+      row.push((2 * idx) / (count - 1) - 1);
+      return;
+    }
+    for (let c = 0; c < count - 1; c++) {
+      row.push(idx === count - 1 ? -1 : idx === c ? 1 : 0);
+    }
+  });
+  return row;
+}
+
+/**
+ * Information matrix X'X / N of coded rows (intercept included)
+ */
+function informationMatrix(coded) {
+  const p = coded[0]?.length || 0;
+  const M = createMatrix(p, p);
+  for (const x of coded) addOuter(M, x, x, 1 / coded.length);
+  return M;
+}
+
+/**
+ * log det(X'X / N) for the profile matrix, including an intercept column
+ */
+function profileLogDet(rows, codings) {
+  const coded = rows.map((r) => [1, ...codeProfile(r, codings)]);
+  return {
+    logDet: logDeterminant(informationMatrix(coded)),
+    p: coded[0]?.length || 0,
+  };
+}
+
+/**
+ * Change in log det(M) when row x_i moves by d and row x_j by −d
+ * (a level swap). The update to M is (d uᵀ + u dᵀ + 2 d dᵀ) / N with
+ * u = x_i − x_j, a rank-two term, so the determinant ratio is a 2×2
+ * determinant built from M⁻¹ instead of a fresh factorisation.
+ */
+function swapLogDetChange(inverse, u, d, n) {
+  const dot = (a, b) => a.reduce((sum, v, k) => sum + v * b[k], 0);
+  const invU = inverse.map((row) => dot(row, u));
+  const invD = inverse.map((row) => dot(row, d));
+  const gdd = dot(d, invD) / n;
+  const gdu = dot(d, invU) / n;
+  const guu = dot(u, invU) / n;
+  const ratio = (1 + 2 * gdd + gdu) * (1 + gdu) - (2 * gdu + guu) * gdd;
+  return ratio > 1e-12 ? Math.log(ratio) : Number.NEGATIVE_INFINITY;
+}
+
+/**
+ * Enumerate the full factorial (level index rows), or null if it is too large
+ */
+function fullFactorial(levelCounts, limit) {
+  const total = levelCounts.reduce((prod, c) => prod * c, 1);
+  if (total > limit) return null;
+  let rows = [[]];
+  for (const count of levelCounts) {
+    const next = [];
+    for (const r of rows) {
+      for (let l = 0; l < count; l++) next.push([...r, l]);
+    }
+    rows = next;
+  }
+  return rows;
+}
+
+/**
+ * Suggest a profile count: enough to estimate every parameter with a few
+ * degrees of freedom left, and a multiple of the largest level count so
+ * columns can be balanced.
+ * @param {import('@/models/firestore').Feature[]} features
+ * @param {number} [continuousLevels]
+ * @returns {number}
+ */
+export function suggestProfileCount(
+  features,
+  continuousLevels = DEFAULT_CONTINUOUS_LEVELS,
+) {
+  const levelCounts = features.map(
+    (f) => getFeatureLevels(f, continuousLevels).length,
+  );
+  const params =
+    1 +
+    features.reduce(
+      (sum, f, i) =>
+        sum +
+        (f.type === "categorical"
+          ? Math.max(0, levelCounts[i] - 1)
+          : levelCounts[i] > 1
+            ? 1
+            : 0),
+      0,
+    );
+  const maxLevels = Math.max(2, ...levelCounts);
+  const base = Math.max(params + 2, maxLevels * 2);
+  const suggested = Math.ceil(base / maxLevels) * maxLevels;
+  const factorial = levelCounts.reduce((prod, c) => prod * Math.max(1, c), 1);
+  return Math.min(suggested, factorial);
+}
+
+/**
+ * Build level-balanced profiles and improve D-efficiency by coordinate exchange
+ */
+function buildProfiles(codings, numProfiles) {
+  const levelCounts = codings.map((c) => c.count);
+  const full = fullFactorial(levelCounts, numProfiles);
+  if (full) return full;
+
+  // Balanced columns: each level repeated as evenly as possible
+  const columns = levelCounts.map((count) =>
+    shuffle(Array.from({ length: numProfiles }, (_, i) => i % count)),
+  );
+  const rows = Array.from({ length: numProfiles }, (_, i) =>
+    columns.map((col) => col[i]),
+  );
+
+  // Duplicates and M⁻¹ are updated per swap; a full refactorisation only
+  // happens when a swap is accepted
+  const coded = rows.map((r) => [1, ...codeProfile(r, codings)]);
+  const keyCounts = new Map();
+  const addKey = (r, delta) => {
+    const key = r.join("|");
+    const count = (keyCounts.get(key) || 0) + delta;
+    if (count > 0) keyCounts.set(key, count);
+    else keyCounts.delete(key);
+  };
+  rows.forEach((r) => {
+    addKey(r, 1);
+  });
+
+  let best = {
+    duplicates: numProfiles - keyCounts.size,
+    logDet: logDeterminant(informationMatrix(coded)),
+  };
+  let inverse = invert(informationMatrix(coded));
+  const isBetter = (cand) =>
+    cand.duplicates < best.duplicates ||
+    (cand.duplicates === best.duplicates && cand.logDet > best.logDet + 1e-9);
+  const swap = (i, j, f) => {
+    addKey(rows[i], -1);
+    addKey(rows[j], -1);
+    [rows[i][f], rows[j][f]] = [rows[j][f], rows[i][f]];
+    addKey(rows[i], 1);
+    addKey(rows[j], 1);
+  };
+
+  for (let pass = 0; pass < MAX_EXCHANGE_PASSES; pass++) {
+    let improved = false;
+    for (let f = 0; f < levelCounts.length; f++) {
+      for (let i = 0; i < numProfiles; i++) {
+        for (let j = i + 1; j < numProfiles; j++) {
+          if (rows[i][f] === rows[j][f]) continue;
+          swap(i, j, f);
+          const duplicates = numProfiles - keyCounts.size;
+          if (duplicates > best.duplicates) {
+            swap(i, j, f);
+            continue;
+          }
+          const codedI = [1, ...codeProfile(rows[i], codings)];
+          let logDet = best.logDet;
+          if (inverse) {
+            const u = coded[i].map((v, k) => v - coded[j][k]);
+            const d = codedI.map((v, k) => v - coded[i][k]);
+            logDet += swapLogDetChange(inverse, u, d, numProfiles);
+          } else {
+            logDet = profileLogDet(rows, codings).logDet;
+          }
+          const cand = { duplicates, logDet };
+          if (isBetter(cand)) {
+            coded[i] = codedI;
+            coded[j] = [1, ...codeProfile(rows[j], codings)];
+            const M = informationMatrix(coded);
+            best = { duplicates, logDet: logDeterminant(M) };
+            inverse = invert(M);
+            improved = true;
+          } else {
+            swap(i, j, f);
+          }
+        }
+      }
+    }
+    if (!improved) break;
+  }
+
+  return rows;
+}
+
+/**
+ * Generate a conjoint design from a feature schema
+ *
+ * @param {Object} params
+ * @param {import('@/models/firestore').Feature[]} params.features - Feature schema
+ * @param {number} [params.numProfiles] - Profiles to generate (default: suggested count)
+ * @param {number} [params.continuousLevels] - Levels per continuous feature
+ * @returns {{
+ *   profiles: { id: string, name: string, features: Object }[],
+ *   efficiency: { dEfficiency: number, levelBalance: number }
+ * }}
+ */
+export function generateDesign({
+  features,
+  numProfiles,
+  continuousLevels = DEFAULT_CONTINUOUS_LEVELS,
+}) {
+  const usable = (features || []).filter(
+    (f) => getFeatureLevels(f, continuousLevels).length > 0,
+  );
+  if (usable.length === 0) {
+    return {
+      profiles: [],
+      efficiency: { dEfficiency: 0, levelBalance: 0 },
+    };
+  }
+
+  const levels = usable.map((f) => getFeatureLevels(f, continuousLevels));
+  const levelCounts = levels.map((l) => l.length);
+  const codings = usable.map((f, i) => ({
+    count: levelCounts[i],
+    effects: f.type === "categorical" && levelCounts[i] > 2,
+  }));
+
+  const target = Math.max(
+    2,
+    Number.parseInt(numProfiles, 10) ||
+      suggestProfileCount(usable, continuousLevels),
+  );
+  const rows = buildProfiles(codings, target);
+
+  // Efficiency report
+  const { logDet, p } = profileLogDet(rows, codings);
+  const dEfficiency = Number.isFinite(logDet)
+    ? Math.min(100, 100 * Math.exp(logDet / p))
+    : 0;
+
+  const levelBalance = Math.min(
+    ...levelCounts.map((count, f) => {
+      if (count <= 1) return 1;
+      const freq = new Array(count).fill(0);
+      rows.forEach((r) => {
+        freq[r[f]]++;
+      });
+      return Math.min(...freq) / Math.max(...freq, 1);
+    }),
+  );
+
+  const profiles = rows.map((r, i) => ({
+    id: `profile_${i + 1}`,
+    name: `Profile ${i + 1}`,
+    features: Object.fromEntries(
+      usable.map((f, fi) => [f.key, levels[fi][r[fi]]]),
+    ),
+  }));
+
+  return {
+    profiles,
+    efficiency: {
+      dEfficiency: Math.round(dEfficiency * 10) / 10,
+      levelBalance: Math.round(levelBalance * 100) / 100,
+    },
+  };
+}
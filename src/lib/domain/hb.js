@@ -0,0 +1,237 @@
+/**
+ * Hierarchical Bayes MNL
+ * Respondent-level part-worths with a multivariate normal population
+ *
+ *   β_i ~ N(b, W)          (one β per agent)
+ *   b   ~ flat             W ~ IW(k + PRIOR_DF, PRIOR_DF · PRIOR_VARIANCE · I)
+ *
+ * Estimated with the usual three-block Gibbs sampler (Train, ch. 12):
+ *  1. b | β, W    — normal draw around the mean of the β_i
+ *  2. W | β, b    — inverse-Wishart draw from the β_i scatter
+ *  3. β_i | b, W  — one random-walk Metropolis step per agent, step size
+ *                   tuned during burn-in towards ~30% acceptance
+ */
+
+import { addOuter, cholesky, createMatrix, invert, matVec } from "./matrix";
+
+const PRIOR_DF = 5;
+const PRIOR_VARIANCE = 1;
+const TARGET_ACCEPTANCE = 0.3;
+export const CREDIBLE_LEVEL = 0.9;
+
+/**
+ * Standard normal draw (Box-Muller)
+ * @param {() => number} random
+ */
+export function randomNormal(random) {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function normalVector(dim, random) {
+  return Array.from({ length: dim }, () => randomNormal(random));
+}
+
+/**
+ * Choice log-likelihood of one agent's observations at β
+ * @param {{ chosenIdx: number, encodedSet: number[][], weight?: number }[]} observations
+ * @param {number[]} beta
+ */
+function logLikelihood(observations, beta) {
+  let ll = 0;
+  for (const { chosenIdx, encodedSet, weight = 1 } of observations) {
+    const utils = encodedSet.map((x) =>
+      x.reduce((s, xi, k) => s + xi * beta[k], 0),
+    );
+    const maxU = Math.max(...utils);
+    const logSum =
+      maxU + Math.log(utils.reduce((s, u) => s + Math.exp(u - maxU), 0));
+    ll += weight * (utils[chosenIdx] - logSum);
+  }
+  return ll;
+}
+
+/** -½ (β − b)' W⁻¹ (β − b) */
+function logPrior(beta, b, Winv) {
+  const d = beta.map((v, k) => v - b[k]);
+  const Wd = matVec(Winv, d);
+  return -0.5 * d.reduce((s, v, k) => s + v * Wd[k], 0);
+}
+
+/**
+ * Draw W ~ IW(df, scale) via a Wishart draw on the inverse scale
+ */
+function drawInverseWishart(df, scale, random) {
+  const dim = scale.length;
+  const scaleInv = invert(scale);
+  const L = scaleInv && cholesky(scaleInv);
+  if (!L) return null;
+  const A = createMatrix(dim, dim);
+  for (let r = 0; r < df; r++) {
+    const z = matVec(L, normalVector(dim, random));
+    addOuter(A, z, z);
+  }
+  return invert(A);
+}
+
+/**
+ * Posterior mean and equal-tailed credible interval of a list of draws
+ * @param {number[]} draws
+ * @param {number} [level]
+ * @returns {{ mean: number, lo: number, hi: number }}
+ */
+export function summarizeDraws(draws, level = CREDIBLE_LEVEL) {
+  if (draws.length === 0) return { mean: 0, lo: 0, hi: 0 };
+  const sorted = draws.slice().sort((a, b) => a - b);
+  const tail = (1 - level) / 2;
+  const at = (q) =>
+    sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  return {
+    mean: sorted.reduce((s, v) => s + v, 0) / sorted.length,
+    lo: at(tail),
+    hi: at(1 - tail),
+  };
+}
+
+/**
+ * Fit a hierarchical Bayes MNL
+ *
+ * @param {{ id: string, group?: string, observations: { chosenIdx: number, encodedSet: number[][] }[] }[]} respondents
+ * @param {number} dim - Feature vector dimension
+ * @param {Object} [opts]
+ * @param {number} [opts.burnIn] - Iterations discarded before saving draws
+ * @param {number} [opts.draws] - Saved draws
+ * @param {number} [opts.thin] - Iterations between saved draws
+ * @param {() => number} [opts.random] - Uniform [0, 1) source; pass a seeded one for reproducible draws
+ * @returns {{
+ *   individual: { mean: number[], sd: number[] }[],
+ *   populationDraws: number[][],
+ *   groupDraws: Object<string, number[][]>,
+ *   heterogeneitySd: number[],
+ *   acceptanceRate: number,
+ *   draws: number,
+ *   burnIn: number,
+ * }}
+ */
+export function fitHierarchicalMNL(respondents, dim, opts = {}) {
+  const { burnIn = 1000, draws = 500, thin = 2, random = Math.random } = opts;
+  const n = respondents.length;
+
+  const priorScale = createMatrix(dim, dim);
+  for (let k = 0; k < dim; k++) priorScale[k][k] = PRIOR_DF * PRIOR_VARIANCE;
+
+  let b = new Array(dim).fill(0);
+  let W = createMatrix(dim, dim);
+  for (let k = 0; k < dim; k++) W[k][k] = PRIOR_VARIANCE;
+  const betas = respondents.map(() => new Array(dim).fill(0));
+  const currentLL = respondents.map((r, i) =>
+    logLikelihood(r.observations, betas[i]),
+  );
+  let stepSize = 0.1;
+
+  const groups = [...new Set(respondents.map((r) => r.group).filter(Boolean))];
+  const sums = respondents.map(() => new Array(dim).fill(0));
+  const sumSquares = respondents.map(() => new Array(dim).fill(0));
+  const populationDraws = [];
+  const groupDraws = Object.fromEntries(groups.map((g) => [g, []]));
+  const wDiagSum = new Array(dim).fill(0);
+  let accepted = 0;
+  let proposed = 0;
+
+  const totalIters = burnIn + draws * thin;
+  for (let iter = 0; iter < totalIters; iter++) {
+    // 1. b | β, W
+    const betaMean = new Array(dim).fill(0);
+    betas.forEach((beta) => {
+      beta.forEach((v, k) => {
+        betaMean[k] += v / n;
+      });
+    });
+    const Lb = cholesky(W.map((row) => row.map((v) => v / n)));
+    if (Lb) {
+      const shift = matVec(Lb, normalVector(dim, random));
+      b = betaMean.map((m, k) => m + shift[k]);
+    } else {
+      b = betaMean;
+    }
+
+    // 2. W | β, b
+    const scatter = priorScale.map((row) => [...row]);
+    betas.forEach((beta) => {
+      const d = beta.map((v, k) => v - b[k]);
+      addOuter(scatter, d, d);
+    });
+    W = drawInverseWishart(dim + PRIOR_DF + n, scatter, random) || W;
+    const Winv = invert(W);
+    const Lw = cholesky(W);
+    if (!Winv || !Lw) continue;
+
+    // 3. β_i | b, W  (one Metropolis step each)
+    let iterAccepted = 0;
+    respondents.forEach((r, i) => {
+      const step = matVec(Lw, normalVector(dim, random));
+      const candidate = betas[i].map((v, k) => v + stepSize * step[k]);
+      const candidateLL = logLikelihood(r.observations, candidate);
+      const logRatio =
+        candidateLL +
+        logPrior(candidate, b, Winv) -
+        currentLL[i] -
+        logPrior(betas[i], b, Winv);
+      if (Math.log(random()) < logRatio) {
+        betas[i] = candidate;
+        currentLL[i] = candidateLL;
+        iterAccepted++;
+      }
+    });
+
+    if (iter < burnIn) {
+      stepSize *= iterAccepted / n > TARGET_ACCEPTANCE ? 1.1 : 0.9;
+      continue;
+    }
+
+    accepted += iterAccepted;
+    proposed += n;
+    if ((iter - burnIn) % thin !== 0) continue;
+
+    populationDraws.push([...b]);
+    for (let k = 0; k < dim; k++) wDiagSum[k] += W[k][k];
+    betas.forEach((beta, i) => {
+      beta.forEach((v, k) => {
+        sums[i][k] += v;
+        sumSquares[i][k] += v * v;
+      });
+    });
+    for (const g of groups) {
+      const members = respondents
+        .map((r, i) => (r.group === g ? betas[i] : null))
+        .filter(Boolean);
+      const mean = new Array(dim).fill(0);
+      members.forEach((beta) => {
+        beta.forEach((v, k) => {
+          mean[k] += v / members.length;
+        });
+      });
+      groupDraws[g].push(mean);
+    }
+  }
+
+  const saved = populationDraws.length || 1;
+  return {
+    individual: sums.map((sum, i) => {
+      const mean = sum.map((s) => s / saved);
+      return {
+        mean,
+        sd: mean.map((m, k) =>
+          Math.sqrt(Math.max(0, sumSquares[i][k] / saved - m * m)),
+        ),
+      };
+    }),
+    populationDraws,
+    groupDraws,
+    heterogeneitySd: wDiagSum.map((s) => Math.sqrt(s / saved)),
+    acceptanceRate: proposed > 0 ? accepted / proposed : 0,
+    draws: populationDraws.length,
+    burnIn,
+  };
+}
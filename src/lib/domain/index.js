@@ -2,6 +2,15 @@
 export * from "./schema";
 export * from "./normalize";
 export * from "./taskgen";
+export * from "./design";
+export * from "./hb";
+export * from "./latentClass";
 export * from "./simulate";
 export * from "./aggregate";
 export * from "./validate";
+export * from "./responses";
+export * from "./usage";
+export * from "./quality";
+export * from "./pricing";
+export * from "./studyType";
+export * from "./kano";
@@ -0,0 +1,260 @@
+/**
+ * Kano Questionnaires
+ * Feature classification from functional and dysfunctional questions
+ *
+ * For each binary and categorical feature an agent answers two questions:
+ * how it would feel if the product has the feature (functional) and if it
+ * does not (dysfunctional), each on the five-point Kano scale. Categorical
+ * features are asked about as a choice of their categories. The pair is
+ * classified with the Kano evaluation table:
+ *
+ *   functional \ dysfunctional  like  expect  neutral  tolerate  dislike
+ *   like                         Q     A       A        A         O
+ *   expect                       R     I       I        I         M
+ *   neutral                      R     I       I        I         M
+ *   tolerate                     R     I       I        I         M
+ *   dislike                      R     R       R        R         Q
+ *
+ * A feature's category is the most frequent class among its answers
+ * (questionable answers aside; ties go must-be > performance > attractive >
+ * indifferent > reverse). The satisfaction coefficient (A + O) / (A + O + M + I)
+ * says how much having the feature pleases; the dissatisfaction coefficient
+ * −(O + M) / (A + O + M + I) how much lacking it displeases. These come from
+ * what agents say about each feature on its own, unlike the reason-code
+ * importance of choice experiments.
+ */
+
+import { computeDecisionQuality, isFallbackDecision } from "./quality";
+import { StudyType } from "./studyType";
+import { ResponseFormat } from "./taskgen";
+
+/** The five-point Kano answer scale */
+export const KanoAnswer = Object.freeze({
+  LIKE: "like",
+  EXPECT: "expect",
+  NEUTRAL: "neutral",
+  TOLERATE: "tolerate",
+  DISLIKE: "dislike",
+});
+
+/** Wording of Kano answers as put to agents */
+export const KANO_ANSWER_LABELS = Object.freeze({
+  [KanoAnswer.LIKE]: "I like it that way",
+  [KanoAnswer.EXPECT]: "It must be that way",
+  [KanoAnswer.NEUTRAL]: "I am neutral",
+  [KanoAnswer.TOLERATE]: "I can live with it that way",
+  [KanoAnswer.DISLIKE]: "I dislike it that way",
+});
+
+export const KanoCategory = Object.freeze({
+  MUST_BE: "must_be",
+  PERFORMANCE: "performance",
+  ATTRACTIVE: "attractive",
+  INDIFFERENT: "indifferent",
+  REVERSE: "reverse",
+  QUESTIONABLE: "questionable",
+});
+
+/** Display names of Kano categories */
+export const KANO_CATEGORY_LABELS = Object.freeze({
+  [KanoCategory.MUST_BE]: "Must-be",
+  [KanoCategory.PERFORMANCE]: "Performance",
+  [KanoCategory.ATTRACTIVE]: "Attractive",
+  [KanoCategory.INDIFFERENT]: "Indifferent",
+  [KanoCategory.REVERSE]: "Reverse",
+  [KanoCategory.QUESTIONABLE]: "Questionable",
+});
+
+/** Categories a feature can be classified as, in tie-break order */
+const CLASSIFIED_CATEGORIES = Object.freeze([
+  KanoCategory.MUST_BE,
+  KanoCategory.PERFORMANCE,
+  KanoCategory.ATTRACTIVE,
+  KanoCategory.INDIFFERENT,
+  KanoCategory.REVERSE,
+]);
+
+const { MUST_BE: M, PERFORMANCE: O, ATTRACTIVE: A } = KanoCategory;
+const { INDIFFERENT: I, REVERSE: R, QUESTIONABLE: Q } = KanoCategory;
+
+/** Kano evaluation table: [functional][dysfunctional] → category */
+const EVALUATION_TABLE = Object.freeze({
+  [KanoAnswer.LIKE]: [Q, A, A, A, O],
+  [KanoAnswer.EXPECT]: [R, I, I, I, M],
+  [KanoAnswer.NEUTRAL]: [R, I, I, I, M],
+  [KanoAnswer.TOLERATE]: [R, I, I, I, M],
+  [KanoAnswer.DISLIKE]: [R, R, R, R, Q],
+});
+
+const ANSWER_ORDER = Object.values(KanoAnswer);
+
+/**
+ * Whether a feature gets Kano questions: binary features, and categorical
+ * features with categories
+ * @param {import('@/models/firestore').Feature} feature
+ * @returns {boolean}
+ */
+export function isKanoFeature(feature) {
+  return (
+    feature?.type === "binary" ||
+    (feature?.type === "categorical" && feature.categories?.length > 0)
+  );
+}
+
+/**
+ * Features of a schema that get Kano questions, in schema order
+ * @param {import('@/models/firestore').Feature[]} features
+ * @returns {import('@/models/firestore').Feature[]}
+ */
+export function getKanoFeatures(features = []) {
+  return features.filter(isKanoFeature);
+}
+
+/**
+ * Kano category of one functional/dysfunctional answer pair, or null when
+ * either answer is not on the scale
+ * @param {string} functional - KanoAnswer
+ * @param {string} dysfunctional - KanoAnswer
+ * @returns {string | null} KanoCategory
+ */
+export function classifyKanoAnswers(functional, dysfunctional) {
+  const column = ANSWER_ORDER.indexOf(dysfunctional);
+  return EVALUATION_TABLE[functional]?.[column] ?? null;
+}
+
+/**
+ * Generate Kano tasks: one task per agent and Kano feature, each asking
+ * the functional and dysfunctional question of that feature
+ *
+ * @param {Object} params
+ * @param {Object[]} params.agents - Agent objects
+ * @param {import('@/models/firestore').Feature[]} params.features - Feature schema
+ * @returns {Object[]} Array of task objects
+ */
+export function generateKanoTasks({ agents, features }) {
+  const kanoFeatures = getKanoFeatures(features);
+  return agents.flatMap((agent) =>
+    kanoFeatures.map((feature, index) => ({
+      shownAlternatives: [],
+      includeNone: false,
+      isHoldout: false,
+      isRepeatOf: null,
+      id: `${agent.id}_task_${index}`,
+      agentId: agent.id,
+      responseFormat: ResponseFormat.KANO_PAIR,
+      featureKey: feature.key,
+    })),
+  );
+}
+
+// ============================================================================
+// ANALYSIS
+// ============================================================================
+
+/**
+ * Category counts, category and coefficients of one feature's answers
+ * @param {string[]} categories - KanoCategory of each answer
+ */
+function analyzeFeature(categories) {
+  const counts = Object.fromEntries(
+    Object.values(KanoCategory).map((category) => [category, 0]),
+  );
+  for (const category of categories) counts[category]++;
+
+  const category = CLASSIFIED_CATEGORIES.reduce(
+    (top, c) => (counts[c] > 0 && (!top || counts[c] > counts[top]) ? c : top),
+    null,
+  );
+  const base = counts[A] + counts[O] + counts[M] + counts[I];
+  return {
+    answers: categories.length,
+    counts,
+    category,
+    satisfaction: base > 0 ? (counts[A] + counts[O]) / base : null,
+    dissatisfaction: base > 0 ? -(counts[O] + counts[M]) / base : null,
+  };
+}
+
+/**
+ * Kano classification of every asked feature for one group of answers
+ * @param {Object[]} answers - Responses with featureKey and kanoAnswers
+ */
+function analyzeKano(answers) {
+  const byFeature = new Map();
+  for (const r of answers) {
+    if (!byFeature.has(r.featureKey)) byFeature.set(r.featureKey, []);
+    byFeature
+      .get(r.featureKey)
+      .push(
+        classifyKanoAnswers(
+          r.kanoAnswers.functional,
+          r.kanoAnswers.dysfunctional,
+        ),
+      );
+  }
+
+  return {
+    responses: answers.length,
+    features: Object.fromEntries(
+      [...byFeature].map(([key, categories]) => [
+        key,
+        analyzeFeature(categories),
+      ]),
+    ),
+  };
+}
+
+/**
+ * Kano classification and coefficients per feature, overall and by segment
+ *
+ * @param {Object[]} responses - Responses with featureKey and kanoAnswers
+ * @param {import('@/models/firestore').AgentSegment[]} segments
+ * @returns {import('@/models/firestore').KanoSummary | null} null when there are no usable answers
+ */
+export function computeKano(responses, segments = []) {
+  const answers = responses.filter(
+    (r) =>
+      r.featureKey &&
+      classifyKanoAnswers(
+        r.kanoAnswers?.functional,
+        r.kanoAnswers?.dysfunctional,
+      ),
+  );
+  if (!answers.length) return null;
+
+  const bySegment = {};
+  for (const segment of segments) {
+    const group = answers.filter((r) => r.segmentId === segment.segmentId);
+    if (group.length) bySegment[segment.segmentId] = analyzeKano(group);
+  }
+
+  return { ...analyzeKano(answers), bySegment };
+}
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+/**
+ * Results summary of a Kano questionnaire run
+ *
+ * Fallback answers carry no Kano answers, so they are always left out of
+ * the analysis; decisionQuality still counts them.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.responses
+ * @param {import('@/models/firestore').AgentSegment[]} params.segments
+ * @returns {Object} { studyType, kano, responseStats, decisionQuality }
+ */
+export function computeKanoResults({ responses: allResponses, segments }) {
+  const responses = allResponses.filter((r) => !isFallbackDecision(r));
+  return {
+    studyType: StudyType.KANO,
+    kano: computeKano(responses, segments),
+    responseStats: { totalResponses: allResponses.length },
+    decisionQuality: {
+      ...computeDecisionQuality(allResponses),
+      fallbacksExcluded: true,
+    },
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Latent Class MNL
+ * Discover preference classes from the responses themselves
+ *
+ * Each agent belongs to one of K classes with probability π_k, and each
+ * class has its own β. Fitted by EM:
+ *  - E-step: posterior class membership of every agent from the likelihood
+ *            of all its choices under each class β
+ *  - M-step: class shares = mean membership; class β = membership-weighted
+ *            MNL (a few ridge-stabilised Newton steps, warm-started)
+ * Several random starts are run and the best log-likelihood is kept.
+ */
+
+import { addOuter, createMatrix, invert } from "./matrix";
+
+const RIDGE = 0.05;
+const NEWTON_STEPS = 3;
+
+/**
+ * Choice probabilities and log-probability of the chosen alternative
+ */
+function choiceProbabilities({ chosenIdx, encodedSet }, beta) {
+  const utils = encodedSet.map((x) =>
+    x.reduce((s, xi, k) => s + xi * beta[k], 0),
+  );
+  const maxU = Math.max(...utils);
+  const exps = utils.map((u) => Math.exp(u - maxU));
+  const sumExp = exps.reduce((a, b) => a + b, 0);
+  return {
+    probs: exps.map((e) => e / sumExp),
+    logProb: utils[chosenIdx] - maxU - Math.log(sumExp),
+  };
+}
+
+function logSumExp(values) {
+  const max = Math.max(...values);
+  if (!Number.isFinite(max)) return max;
+  return max + Math.log(values.reduce((s, v) => s + Math.exp(v - max), 0));
+}
+
+/**
+ * Membership-weighted Newton steps for one class β
+ * @param {{ observations: Object[] }[]} respondents
+ * @param {number[]} weights - Membership weight per respondent
+ * @param {number[]} beta - Starting β (warm start)
+ */
+function fitWeightedMNL(respondents, weights, beta, dim) {
+  let current = [...beta];
+  for (let step = 0; step < NEWTON_STEPS; step++) {
+    const grad = current.map((b) => -RIDGE * b);
+    const info = createMatrix(dim, dim);
+    for (let k = 0; k < dim; k++) info[k][k] = RIDGE;
+
+    respondents.forEach((r, i) => {
+      const w = weights[i];
+      if (w < 1e-8) return;
+      for (const obs of r.observations) {
+        const { probs } = choiceProbabilities(obs, current);
+        const mean = new Array(dim).fill(0);
+        obs.encodedSet.forEach((x, j) => {
+          for (let k = 0; k < dim; k++) mean[k] += probs[j] * x[k];
+        });
+        const chosen = obs.encodedSet[obs.chosenIdx];
+        const ow = w * (obs.weight ?? 1);
+        for (let k = 0; k < dim; k++) grad[k] += ow * (chosen[k] - mean[k]);
+        obs.encodedSet.forEach((x, j) => {
+          const d = x.map((v, k) => v - mean[k]);
+          addOuter(info, d, d, ow * probs[j]);
+        });
+      }
+    });
+
+    const infoInv = invert(info);
+    if (!infoInv) break;
+    current = current.map(
+      (b, k) => b + infoInv[k].reduce((s, v, j) => s + v * grad[j], 0),
+    );
+  }
+  return current;
+}
+
+/**
+ * Log-likelihood of each respondent's choices under β (observations count
+ * `weight` times)
+ */
+function respondentLogLik(respondents, beta) {
+  return respondents.map((r) =>
+    r.observations.reduce(
+      (s, obs) =>
+        s + (obs.weight ?? 1) * choiceProbabilities(obs, beta).logProb,
+      0,
+    ),
+  );
+}
+
+function runEM(respondents, dim, numClasses, maxIter, tol, random) {
+  const n = respondents.length;
+
+  // Random soft start
+  let posteriors = respondents.map(() => {
+    const raw = Array.from({ length: numClasses }, () => 0.5 + random());
+    const total = raw.reduce((a, b) => a + b, 0);
+    return raw.map((v) => v / total);
+  });
+  let betas = Array.from({ length: numClasses }, () => new Array(dim).fill(0));
+  let shares = new Array(numClasses).fill(1 / numClasses);
+  let logLik = Number.NEGATIVE_INFINITY;
+  let iterations = 0;
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    iterations = iter + 1;
+
+    // M-step
+    shares = shares.map((_, k) => posteriors.reduce((s, h) => s + h[k], 0) / n);
+    betas = betas.map((beta, k) =>
+      fitWeightedMNL(
+        respondents,
+        posteriors.map((h) => h[k]),
+        beta,
+        dim,
+      ),
+    );
+
+    // E-step
+    const classLogLik = betas.map((beta) =>
+      respondentLogLik(respondents, beta),
+    );
+    let nextLogLik = 0;
+    posteriors = respondents.map((_, i) => {
+      const joint = shares.map(
+        (pi, k) => Math.log(Math.max(pi, 1e-12)) + classLogLik[k][i],
+      );
+      const total = logSumExp(joint);
+      nextLogLik += total;
+      return joint.map((v) => Math.exp(v - total));
+    });
+
+    const converged = Math.abs(nextLogLik - logLik) < tol;
+    logLik = nextLogLik;
+    if (converged) break;
+  }
+
+  return { shares, betas, posteriors, logLik, iterations };
+}
+
+/**
+ * Fit a latent class MNL with a fixed number of classes
+ *
+ * @param {{ id: string, observations: { chosenIdx: number, encodedSet: number[][] }[] }[]} respondents
+ * @param {number} dim - Feature vector dimension
+ * @param {Object} [opts]
+ * @param {number} [opts.classes] - Number of classes
+ * @param {number} [opts.starts] - Random starts (best log-likelihood wins)
+ * @param {number} [opts.maxIter] - EM iterations per start
+ * @param {number} [opts.tol] - Log-likelihood convergence tolerance
+ * @param {() => number} [opts.random] - Uniform [0, 1) source; pass a seeded one for reproducible starts
+ * @returns {{ shares: number[], betas: number[][], posteriors: number[][], logLik: number, iterations: number }}
+ */
+export function fitLatentClassMNL(respondents, dim, opts = {}) {
+  const {
+    classes = 2,
+    starts = 3,
+    maxIter = 100,
+    tol = 1e-4,
+    random = Math.random,
+  } = opts;
+
+  let best = null;
+  const runs = classes === 1 ? 1 : starts;
+  for (let s = 0; s < runs; s++) {
+    const fit = runEM(respondents, dim, classes, maxIter, tol, random);
+    if (!best || fit.logLik > best.logLik) best = fit;
+  }
+  return best;
+}
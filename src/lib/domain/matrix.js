@@ -0,0 +1,137 @@
+/**
+ * Small dense matrix helpers
+ * Used by the design generator and estimators (dimensions are tiny)
+ */
+
+/**
+ * Create an n×m matrix filled with a value
+ * @param {number} n
+ * @param {number} m
+ * @param {number} [value]
+ * @returns {number[][]}
+ */
+export function createMatrix(n, m, value = 0) {
+  return Array.from({ length: n }, () => new Array(m).fill(value));
+}
+
+/**
+ * Identity matrix
+ * @param {number} n
+ * @returns {number[][]}
+ */
+export function identity(n) {
+  const I = createMatrix(n, n);
+  for (let i = 0; i < n; i++) I[i][i] = 1;
+  return I;
+}
+
+/**
+ * Add the outer product w·(a bᵀ) into M in place
+ * @param {number[][]} M
+ * @param {number[]} a
+ * @param {number[]} b
+ * @param {number} [w]
+ */
+export function addOuter(M, a, b, w = 1) {
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < b.length; j++) {
+      M[i][j] += w * a[i] * b[j];
+    }
+  }
+}
+
+/**
+ * Invert a square matrix with Gauss-Jordan elimination and partial pivoting.
+ * Returns null when the matrix is (numerically) singular.
+ * @param {number[][]} M
+ * @returns {number[][] | null}
+ */
+export function invert(M) {
+  const n = M.length;
+  const I = identity(n);
+  const A = M.map((row, i) => [...row, ...I[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-12) return null;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+
+    const p = A[col][col];
+    for (let j = 0; j < 2 * n; j++) A[col][j] /= p;
+
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = A[r][col];
+      if (f === 0) continue;
+      for (let j = 0; j < 2 * n; j++) A[r][j] -= f * A[col][j];
+    }
+  }
+
+  return A.map((row) => row.slice(n));
+}
+
+/**
+ * Log-determinant of a square matrix via LU elimination.
+ * Returns -Infinity for singular matrices.
+ * @param {number[][]} M
+ * @returns {number}
+ */
+export function logDeterminant(M) {
+  const n = M.length;
+  const A = M.map((row) => [...row]);
+  let logDet = 0;
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-12) return Number.NEGATIVE_INFINITY;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+
+    logDet += Math.log(Math.abs(A[col][col]));
+    for (let r = col + 1; r < n; r++) {
+      const f = A[r][col] / A[col][col];
+      for (let j = col; j < n; j++) A[r][j] -= f * A[col][j];
+    }
+  }
+
+  return logDet;
+}
+
+/**
+ * Matrix-vector product M·v
+ * @param {number[][]} M
+ * @param {number[]} v
+ * @returns {number[]}
+ */
+export function matVec(M, v) {
+  return M.map((row) => row.reduce((s, m, j) => s + m * v[j], 0));
+}
+
+/**
+ * Lower-triangular Cholesky factor L with L·Lᵀ = M.
+ * Returns null when M is not (numerically) positive definite.
+ * @param {number[][]} M - Symmetric matrix
+ * @returns {number[][] | null}
+ */
+export function cholesky(M) {
+  const n = M.length;
+  const L = createMatrix(n, n);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = M[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (sum <= 1e-12) return null;
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+  return L;
+}
@@ -0,0 +1,421 @@
+/**
+ * Pricing Studies
+ * Single-product price research without alternatives or features
+ *
+ * Two study types (see studyType) price a single product:
+ *  - van_westendorp: the four Van Westendorp price sensitivity questions —
+ *                    at what price is the product too cheap, a bargain,
+ *                    getting expensive, too expensive
+ *  - gabor_granger:  purchase likelihood (1–5) at each price of a ladder,
+ *                    each price asked in its own conversation
+ *
+ * Van Westendorp answers give four cumulative curves. Their crossings are
+ * the point of marginal cheapness (PMC), the optimal price point (OPP), the
+ * indifference price point (IPP) and the point of marginal expensiveness
+ * (PME); PMC–PME is the acceptable price range.
+ *
+ * Gabor-Granger answers give a demand curve: the share of agents who would
+ * probably or definitely buy (top-two box) at each price, and the revenue
+ * index price × demand that picks the revenue-maximizing price.
+ */
+
+import { computeDecisionQuality, isFallbackDecision } from "./quality";
+import { StudyType } from "./studyType";
+import { ResponseFormat } from "./taskgen";
+
+export const DEFAULT_CURRENCY = "USD";
+
+/** Price the offline stub values a product at when the plan gives none */
+const DEFAULT_REFERENCE_PRICE = 100;
+
+/** Purchase likelihood scale of Gabor-Granger questions, 1 to 5 */
+export const PURCHASE_LIKELIHOOD_LABELS = Object.freeze({
+  1: "Definitely would not buy",
+  2: "Probably would not buy",
+  3: "Might or might not buy",
+  4: "Probably would buy",
+  5: "Definitely would buy",
+});
+
+export const PURCHASE_LIKELIHOOD_MIN = 1;
+export const PURCHASE_LIKELIHOOD_MAX = 5;
+
+/** Lowest likelihood counted as a purchase (top-two box) */
+export const BUY_LIKELIHOOD_MIN = 4;
+
+/** Van Westendorp thresholds, from lowest to highest price */
+export const PRICE_THRESHOLD_KEYS = Object.freeze([
+  "tooCheap",
+  "bargain",
+  "expensive",
+  "tooExpensive",
+]);
+
+/** Prices sampled per Van Westendorp curve for charting */
+const CURVE_POINTS = 50;
+
+/**
+ * Distinct positive prices of a plan's ladder, lowest first
+ * @param {import('@/models/firestore').PricingPlan} [pricingPlan]
+ * @returns {number[]}
+ */
+export function getPriceLadder(pricingPlan) {
+  const prices = (pricingPlan?.priceLadder || [])
+    .map(Number)
+    .filter((p) => Number.isFinite(p) && p > 0);
+  return [...new Set(prices)].sort((a, b) => a - b);
+}
+
+/**
+ * Going price of products like the one studied: the plan's reference price,
+ * else the middle of its ladder
+ * @param {import('@/models/firestore').PricingPlan} [pricingPlan]
+ * @returns {number}
+ */
+export function getReferencePrice(pricingPlan) {
+  if (pricingPlan?.referencePrice > 0) return pricingPlan.referencePrice;
+  const ladder = getPriceLadder(pricingPlan);
+  return ladder.length
+    ? ladder[Math.floor(ladder.length / 2)]
+    : DEFAULT_REFERENCE_PRICE;
+}
+
+/**
+ * Questions each agent answers in a pricing study
+ * @param {string} studyType
+ * @param {import('@/models/firestore').PricingPlan} [pricingPlan]
+ * @returns {number}
+ */
+export function getQuestionsPerAgent(studyType, pricingPlan) {
+  if (studyType === StudyType.VAN_WESTENDORP) return 1;
+  if (studyType === StudyType.GABOR_GRANGER) {
+    return getPriceLadder(pricingPlan).length;
+  }
+  return 0;
+}
+
+/**
+ * Generate pricing study tasks: one Van Westendorp task per agent, or one
+ * Gabor-Granger task per agent and ladder price, highest price first
+ *
+ * @param {Object} params
+ * @param {Object[]} params.agents - Agent objects
+ * @param {string} params.studyType - StudyType of the experiment
+ * @param {import('@/models/firestore').PricingPlan} [params.pricingPlan]
+ * @returns {Object[]} Array of task objects
+ */
+export function generatePricingTasks({ agents, studyType, pricingPlan }) {
+  const baseTask = {
+    shownAlternatives: [],
+    includeNone: false,
+    isHoldout: false,
+    isRepeatOf: null,
+  };
+
+  if (studyType === StudyType.VAN_WESTENDORP) {
+    return agents.map((agent) => ({
+      ...baseTask,
+      id: `${agent.id}_task_0`,
+      agentId: agent.id,
+      responseFormat: ResponseFormat.PRICE_THRESHOLDS,
+    }));
+  }
+
+  if (studyType === StudyType.GABOR_GRANGER) {
+    const prices = getPriceLadder(pricingPlan).reverse();
+    return agents.flatMap((agent) =>
+      prices.map((price, index) => ({
+        ...baseTask,
+        id: `${agent.id}_task_${index}`,
+        agentId: agent.id,
+        responseFormat: ResponseFormat.PURCHASE_LIKELIHOOD,
+        price,
+      })),
+    );
+  }
+
+  return [];
+}
+
+/**
+ * Problem with a set of Van Westendorp thresholds, or null when they are
+ * four positive prices in order (equal neighbours allowed)
+ * @param {Object} thresholds - { tooCheap, bargain, expensive, tooExpensive }
+ * @returns {string | null}
+ */
+export function checkPriceThresholds(thresholds) {
+  for (const key of PRICE_THRESHOLD_KEYS) {
+    const value = thresholds?.[key];
+    if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+      return `${key} must be a price above 0`;
+    }
+  }
+  for (let i = 1; i < PRICE_THRESHOLD_KEYS.length; i++) {
+    const lower = PRICE_THRESHOLD_KEYS[i - 1];
+    const higher = PRICE_THRESHOLD_KEYS[i];
+    if (thresholds[lower] > thresholds[higher]) {
+      return `${lower} must not be above ${higher}`;
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// VAN WESTENDORP
+// ============================================================================
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Share of answers at or above (descending curves) or at or below
+ * (ascending curves) a price
+ */
+function shareAtOrAbove(sorted, price) {
+  let count = 0;
+  for (let i = sorted.length - 1; i >= 0 && sorted[i] >= price; i--) count++;
+  return count / sorted.length;
+}
+
+function shareAtOrBelow(sorted, price) {
+  let count = 0;
+  for (let i = 0; i < sorted.length && sorted[i] <= price; i++) count++;
+  return count / sorted.length;
+}
+
+function evaluateCurves(sorted, price) {
+  const tooCheap = shareAtOrAbove(sorted.tooCheap, price);
+  const bargain = shareAtOrAbove(sorted.bargain, price);
+  const expensive = shareAtOrBelow(sorted.expensive, price);
+  const tooExpensive = shareAtOrBelow(sorted.tooExpensive, price);
+  return {
+    price,
+    tooCheap,
+    bargain,
+    notBargain: 1 - bargain,
+    expensive,
+    notExpensive: 1 - expensive,
+    tooExpensive,
+  };
+}
+
+/**
+ * Price where a falling curve difference first reaches zero, interpolated
+ * linearly between the answer prices around it; null if it never does
+ */
+function findCrossing(prices, difference) {
+  let previous = null;
+  for (let i = 0; i < prices.length; i++) {
+    const value = difference(prices[i]);
+    if (value <= 0) {
+      if (value === 0) {
+        // Middle of a run of ties
+        let end = i;
+        while (end + 1 < prices.length && difference(prices[end + 1]) === 0) {
+          end++;
+        }
+        return (prices[i] + prices[end]) / 2;
+      }
+      if (previous === null) return prices[i];
+      const lo = prices[i - 1];
+      return lo + ((prices[i] - lo) * previous) / (previous - value);
+    }
+    previous = value;
+  }
+  return null;
+}
+
+/**
+ * Van Westendorp curves and price points for one group of answers
+ * @param {Object[]} answers - Valid threshold sets
+ */
+function analyzeThresholds(answers) {
+  const sorted = Object.fromEntries(
+    PRICE_THRESHOLD_KEYS.map((key) => [
+      key,
+      answers.map((a) => a[key]).sort((x, y) => x - y),
+    ]),
+  );
+  const prices = [
+    ...new Set(PRICE_THRESHOLD_KEYS.flatMap((key) => sorted[key])),
+  ].sort((a, b) => a - b);
+  const at = (price) => evaluateCurves(sorted, price);
+
+  const points = {
+    pmc: findCrossing(prices, (p) => at(p).tooCheap - at(p).notBargain),
+    opp: findCrossing(prices, (p) => at(p).tooCheap - at(p).tooExpensive),
+    ipp: findCrossing(prices, (p) => at(p).bargain - at(p).expensive),
+    pme: findCrossing(prices, (p) => at(p).notExpensive - at(p).tooExpensive),
+  };
+
+  const lo = prices[0];
+  const hi = prices.at(-1);
+  const step = (hi - lo) / (CURVE_POINTS - 1);
+  const curves =
+    hi > lo
+      ? Array.from({ length: CURVE_POINTS }, (_, i) => at(lo + step * i))
+      : [at(lo)];
+
+  return {
+    responses: answers.length,
+    points,
+    medians: Object.fromEntries(
+      PRICE_THRESHOLD_KEYS.map((key) => [key, median(sorted[key])]),
+    ),
+    curves,
+  };
+}
+
+/**
+ * Van Westendorp price sensitivity analysis, overall and by segment
+ *
+ * Answers whose thresholds are out of order are counted as inconsistent and
+ * left out.
+ *
+ * @param {Object[]} responses - Responses with priceThresholds
+ * @param {import('@/models/firestore').AgentSegment[]} segments
+ * @returns {import('@/models/firestore').VanWestendorpSummary | null} null when there are no usable answers
+ */
+export function computeVanWestendorp(responses, segments = []) {
+  const answered = responses.filter((r) => r.priceThresholds);
+  const valid = answered.filter(
+    (r) => !checkPriceThresholds(r.priceThresholds),
+  );
+  if (!valid.length) return null;
+
+  const bySegment = {};
+  for (const segment of segments) {
+    const answers = valid
+      .filter((r) => r.segmentId === segment.segmentId)
+      .map((r) => r.priceThresholds);
+    if (answers.length)
+      bySegment[segment.segmentId] = analyzeThresholds(answers);
+  }
+
+  return {
+    ...analyzeThresholds(valid.map((r) => r.priceThresholds)),
+    inconsistent: answered.length - valid.length,
+    bySegment,
+  };
+}
+
+// ============================================================================
+// GABOR-GRANGER
+// ============================================================================
+
+/**
+ * Demand and revenue at each asked price for one group of answers
+ * @param {Object[]} answers - Responses with price and purchaseLikelihood
+ */
+function analyzeDemand(answers) {
+  const byPrice = new Map();
+  for (const r of answers) {
+    if (!byPrice.has(r.price)) byPrice.set(r.price, []);
+    byPrice.get(r.price).push(r.purchaseLikelihood);
+  }
+
+  const points = [...byPrice.keys()]
+    .sort((a, b) => a - b)
+    .map((price) => {
+      const likelihoods = byPrice.get(price);
+      const buyers = likelihoods.filter((l) => l >= BUY_LIKELIHOOD_MIN).length;
+      const buyRate = buyers / likelihoods.length;
+      return {
+        price,
+        answers: likelihoods.length,
+        meanLikelihood:
+          likelihoods.reduce((sum, l) => sum + l, 0) / likelihoods.length,
+        buyRate,
+        revenueIndex: price * buyRate,
+        elasticity: null,
+      };
+    });
+
+  // Arc elasticity of demand from the next lower price
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const meanRate = (a.buyRate + b.buyRate) / 2;
+    if (meanRate > 0) {
+      b.elasticity =
+        (b.buyRate - a.buyRate) /
+        meanRate /
+        ((b.price - a.price) / ((a.price + b.price) / 2));
+    }
+  }
+
+  const best = points.reduce(
+    (top, p) => (!top || p.revenueIndex > top.revenueIndex ? p : top),
+    null,
+  );
+  return {
+    responses: answers.length,
+    points,
+    revenueMaxPrice: best?.revenueIndex > 0 ? best.price : null,
+  };
+}
+
+/**
+ * Gabor-Granger demand curve, overall and by segment
+ *
+ * @param {Object[]} responses - Responses with price and purchaseLikelihood
+ * @param {import('@/models/firestore').AgentSegment[]} segments
+ * @returns {import('@/models/firestore').GaborGrangerSummary | null} null when there are no usable answers
+ */
+export function computeGaborGranger(responses, segments = []) {
+  const answers = responses.filter(
+    (r) => typeof r.price === "number" && r.purchaseLikelihood != null,
+  );
+  if (!answers.length) return null;
+
+  const bySegment = {};
+  for (const segment of segments) {
+    const group = answers.filter((r) => r.segmentId === segment.segmentId);
+    if (group.length) bySegment[segment.segmentId] = analyzeDemand(group);
+  }
+
+  return { ...analyzeDemand(answers), bySegment };
+}
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+/**
+ * Results summary of a pricing study run
+ *
+ * Fallback answers carry no prices, so they are always left out of the
+ * analysis; decisionQuality still counts them.
+ *
+ * @param {Object} params
+ * @param {string} params.studyType - StudyType of the experiment
+ * @param {Object[]} params.responses
+ * @param {import('@/models/firestore').AgentSegment[]} params.segments
+ * @returns {Object} { studyType, vanWestendorp, gaborGranger, responseStats, decisionQuality }
+ */
+export function computePricingResults({
+  studyType,
+  responses: allResponses,
+  segments,
+}) {
+  const responses = allResponses.filter((r) => !isFallbackDecision(r));
+  return {
+    studyType,
+    vanWestendorp:
+      studyType === StudyType.VAN_WESTENDORP
+        ? computeVanWestendorp(responses, segments)
+        : null,
+    gaborGranger:
+      studyType === StudyType.GABOR_GRANGER
+        ? computeGaborGranger(responses, segments)
+        : null,
+    responseStats: { totalResponses: allResponses.length },
+    decisionQuality: {
+      ...computeDecisionQuality(allResponses),
+      fallbacksExcluded: true,
+    },
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * Decision Quality
+ * How each LLM decision was obtained, and failure rates for a run
+ *
+ * Every response carries a `decisionStatus`:
+ *   - ok: valid reply on the first try
+ *   - repaired: valid reply after one or more repair turns
+ *   - parse_fallback: no parsable reply; recorded as "NONE"
+ *   - invalid_choice: parsable reply naming no shown option; recorded as "NONE"
+ *   - llm_error: the call failed; recorded as "NONE"
+ *
+ * The three fallback statuses are not real choices. Left in, they inflate
+ * the none-rate, so computeResults can exclude them.
+ */
+
+export const DecisionStatus = Object.freeze({
+  OK: "ok",
+  REPAIRED: "repaired",
+  PARSE_FALLBACK: "parse_fallback",
+  INVALID_CHOICE: "invalid_choice",
+  LLM_ERROR: "llm_error",
+});
+
+const FALLBACK_STATUSES = new Set([
+  DecisionStatus.PARSE_FALLBACK,
+  DecisionStatus.INVALID_CHOICE,
+  DecisionStatus.LLM_ERROR,
+]);
+
+/**
+ * Status of a response; responses saved before statuses existed count as ok
+ * @param {Object} response
+ * @returns {string} DecisionStatus
+ */
+export function getDecisionStatus(response) {
+  return response?.decisionStatus || DecisionStatus.OK;
+}
+
+/**
+ * Whether a response is a fallback "NONE" rather than a real choice
+ * @param {Object} response
+ * @returns {boolean}
+ */
+export function isFallbackDecision(response) {
+  return FALLBACK_STATUSES.has(getDecisionStatus(response));
+}
+
+function createQualityCounts() {
+  const byStatus = {};
+  for (const status of Object.values(DecisionStatus)) byStatus[status] = 0;
+  return {
+    responses: 0,
+    byStatus,
+    fallbacks: 0,
+    fallbackRate: 0,
+    repairRate: 0,
+  };
+}
+
+function addToCounts(counts, status) {
+  counts.responses++;
+  counts.byStatus[status] = (counts.byStatus[status] || 0) + 1;
+}
+
+function finishCounts(counts) {
+  const n = counts.responses || 1;
+  let fallbacks = 0;
+  for (const status of FALLBACK_STATUSES) fallbacks += counts.byStatus[status];
+  counts.fallbacks = fallbacks;
+  counts.fallbackRate = fallbacks / n;
+  counts.repairRate = counts.byStatus[DecisionStatus.REPAIRED] / n;
+  return counts;
+}
+
+/**
+ * Decision status counts and rates, overall and by modelTag and segment
+ *
+ * @param {Object[]} responses
+ * @returns {{ total: Object, byModel: Object<string, Object>, bySegment: Object<string, Object> }}
+ *   Each entry: { responses, byStatus, fallbacks, fallbackRate, repairRate }
+ */
+export function computeDecisionQuality(responses) {
+  const total = createQualityCounts();
+  const byModel = {};
+  const bySegment = {};
+
+  for (const r of responses) {
+    const status = getDecisionStatus(r);
+    const modelKey = r.modelTag || "unknown";
+    const segmentKey = r.segmentId || "unknown";
+    byModel[modelKey] ??= createQualityCounts();
+    bySegment[segmentKey] ??= createQualityCounts();
+    addToCounts(total, status);
+    addToCounts(byModel[modelKey], status);
+    addToCounts(bySegment[segmentKey], status);
+  }
+
+  finishCounts(total);
+  Object.values(byModel).forEach(finishCounts);
+  Object.values(bySegment).forEach(finishCounts);
+  return { total, byModel, bySegment };
+}
@@ -0,0 +1,74 @@
+/**
+ * Response Helpers
+ * Persona fields stored on responses, and backfilling them for legacy runs
+ *
+ * Responses carry their own segmentId, modelTag, traits and
+ * shownAlternatives so aggregation never has to reverse-engineer them from
+ * the agent id. Runs saved before those fields existed are migrated once by
+ * matching agent ids against the run's configured segments.
+ */
+
+/**
+ * Whether any response predates the stored persona fields
+ * @param {Object[]} responses
+ * @returns {boolean}
+ */
+export function needsResponseMigration(responses) {
+  return responses.some((r) => r.agentId && r.segmentId === undefined);
+}
+
+/**
+ * Find the segment an agent id belongs to. Agent ids are
+ * `${segmentId}_${index}`; the longest matching segment id wins, so segment
+ * ids that themselves contain underscores resolve correctly.
+ * @param {string} agentId
+ * @param {Object[]} segments
+ * @returns {Object | null}
+ */
+export function findSegmentForAgent(agentId, segments) {
+  if (!agentId) return null;
+  let best = null;
+  for (const seg of segments) {
+    const prefix = `${seg.segmentId}_`;
+    if (!agentId.startsWith(prefix)) continue;
+    if (!/^\d+$/.test(agentId.slice(prefix.length))) continue;
+    if (!best || seg.segmentId.length > best.segmentId.length) best = seg;
+  }
+  return best;
+}
+
+/**
+ * Backfill segmentId, modelTag, traits and shownAlternatives on legacy
+ * responses. Only missing fields are filled; responses that already have a
+ * segmentId are returned unchanged.
+ *
+ * @param {Object[]} responses
+ * @param {Object} context
+ * @param {Object[]} context.segments - Segments of the run (configSnapshot.agentPlan)
+ * @param {Object[]} [context.tasks] - Tasks of the run (for shownAlternatives)
+ * @returns {{ responses: Object[], updates: { id: string, data: Object }[] }}
+ *   Migrated responses, plus the per-document field updates to persist
+ */
+export function migrateLegacyResponses(responses, { segments, tasks = [] }) {
+  const taskById = {};
+  tasks.forEach((t) => {
+    taskById[t.id] = t;
+  });
+
+  const updates = [];
+  const migrated = responses.map((r) => {
+    if (r.segmentId !== undefined) return r;
+    const seg = findSegmentForAgent(r.agentId, segments);
+    const data = {
+      segmentId: seg?.segmentId ?? null,
+      modelTag: r.modelTag ?? seg?.modelTag ?? null,
+      traits: r.traits ?? (seg ? { ...seg.traits } : null),
+      shownAlternatives:
+        r.shownAlternatives ?? taskById[r.taskId]?.shownAlternatives ?? null,
+    };
+    if (r.id) updates.push({ id: r.id, data });
+    return { ...r, ...data };
+  });
+
+  return { responses: migrated, updates };
+}
@@ -5,8 +5,12 @@
  * TODO: Replace with LLM-based simulation in v1.5+
  */
 
+import { KanoAnswer } from "./kano";
 import { normalizeValue } from "./schema";
 
+/** Top utility below which an agent would rather buy nothing */
+export const NONE_UTILITY_THRESHOLD = 0.3;
+
 /**
  * Calculate utility score for an alternative given an agent
  * @param {Object} agent - Agent with traits
@@ -65,11 +69,12 @@ function calculateUtility(agent, alternative, features) {
  * Add noise to scores based on agent consistency
  * @param {number} score
  * @param {number} consistency - 0..1, higher = less noise
+ * @param {() => number} random - Uniform [0, 1) source
  * @returns {number}
  */
-function addNoise(score, consistency) {
+function addNoise(score, consistency, random) {
   const noiseLevel = (1 - consistency) * 0.5;
-  const noise = (Math.random() - 0.5) * noiseLevel;
+  const noise = (random() - 0.5) * noiseLevel;
   return score + noise;
 }
 
@@ -80,9 +85,16 @@ function addNoise(score, consistency) {
  * @param {Object[]} params.alternatives - Alternatives to choose from
  * @param {import('@/models/firestore').Feature[]} params.features - Feature schema
  * @param {boolean} params.includeNone - Whether "None" is an option
+ * @param {() => number} [params.random] - Uniform [0, 1) source; pass a seeded one for reproducible choices
  * @returns {import('@/models/firestore').Response}
  */
-export function simulateChoice({ agent, alternatives, features, includeNone }) {
+export function simulateChoice({
+  agent,
+  alternatives,
+  features,
+  includeNone,
+  random = Math.random,
+}) {
   const consistency = agent.traits?.consistency || 0.7;
   const scores = [];
   const allContributions = {};
@@ -90,7 +102,7 @@ export function simulateChoice({ agent, alternatives, features, includeNone }) {
   // Calculate utility for each alternative
   alternatives.forEach((alt) => {
     const { score, contributions } = calculateUtility(agent, alt, features);
-    const noisyScore = addNoise(score, consistency);
+    const noisyScore = addNoise(score, consistency, random);
     scores.push({ id: alt.id, score: noisyScore, rawScore: score });
     allContributions[alt.id] = contributions;
   });
@@ -104,8 +116,7 @@ export function simulateChoice({ agent, alternatives, features, includeNone }) {
 
   if (includeNone) {
     // "None" threshold based on agent's overall satisfaction
-    const noneThreshold = 0.3;
-    if (topScore < noneThreshold) {
+    if (topScore < NONE_UTILITY_THRESHOLD) {
       chosen = "NONE";
     }
   }
@@ -133,12 +144,153 @@ export function simulateChoice({ agent, alternatives, features, includeNone }) {
 
   return {
     chosen,
+    // Shown ids from highest to lowest noisy utility (best-worst and ranking tasks)
+    ranking: scores.map((s) => s.id),
+    // Noisy utility per shown id (allocation tasks)
+    utilities: Object.fromEntries(scores.map((s) => [s.id, s.score])),
     confidence: Math.round(confidence * 100) / 100,
     reasonCodes,
     explanation,
   };
 }
 
+/** Van Westendorp thresholds as multiples of the stub's willingness to pay */
+const PRICE_THRESHOLD_RATIOS = {
+  tooCheap: 0.45,
+  bargain: 0.75,
+  expensive: 1.1,
+  tooExpensive: 1.4,
+};
+
+/**
+ * Willingness to pay for a single product (pricing studies)
+ * Price-sensitive agents value it below the reference price; less
+ * consistent agents scatter further around their value.
+ * @param {Object} agent - Agent with traits
+ * @param {number} referencePrice - Going price of products like it
+ * @param {() => number} random - Uniform [0, 1) source
+ * @returns {number}
+ */
+function willingnessToPay(agent, referencePrice, random) {
+  const traits = agent.traits || {};
+  const priceSensitivity = traits.priceSensitivity ?? 0.5;
+  const consistency = traits.consistency ?? 0.7;
+  const noise = (random() - 0.5) * (1.2 - consistency);
+  return referencePrice * Math.exp((0.5 - priceSensitivity) * 0.8 + noise * 0.5);
+}
+
+/**
+ * Simulate Van Westendorp answers: too cheap, bargain, expensive and too
+ * expensive prices around the agent's willingness to pay
+ * @param {Object} params
+ * @param {Object} params.agent - Agent answering
+ * @param {number} params.referencePrice - Going price of products like it
+ * @param {() => number} [params.random] - Uniform [0, 1) source
+ * @returns {{ priceThresholds: Object<string, number>, explanation: string }}
+ */
+export function simulatePriceThresholds({ agent, referencePrice, random = Math.random }) {
+  const wtp = willingnessToPay(agent, referencePrice, random);
+  const priceThresholds = Object.fromEntries(
+    Object.entries(PRICE_THRESHOLD_RATIOS).map(([key, ratio]) => [
+      key,
+      Math.round(wtp * ratio * 100) / 100,
+    ])
+  );
+  return {
+    priceThresholds,
+    explanation: `Around ${priceThresholds.bargain} it is a good deal; past ${priceThresholds.expensive} I would have to think about it.`,
+  };
+}
+
+/**
+ * Simulate a Gabor-Granger answer: purchase likelihood (1–5) at a price,
+ * falling as the price passes the agent's willingness to pay
+ * @param {Object} params
+ * @param {Object} params.agent - Agent answering
+ * @param {number} params.referencePrice - Going price of products like it
+ * @param {number} params.price - Asked price
+ * @param {() => number} [params.random] - Uniform [0, 1) source
+ * @returns {{ purchaseLikelihood: number, explanation: string }}
+ */
+export function simulatePurchaseLikelihood({
+  agent,
+  referencePrice,
+  price,
+  random = Math.random,
+}) {
+  const ratio = price / willingnessToPay(agent, referencePrice, random);
+  const purchaseLikelihood =
+    ratio <= 0.7 ? 5 : ratio <= 0.9 ? 4 : ratio <= 1.1 ? 3 : ratio <= 1.35 ? 2 : 1;
+  return {
+    purchaseLikelihood,
+    explanation:
+      purchaseLikelihood >= 4
+        ? "That price is within what I would pay for it."
+        : "That is more than I would want to spend on it.",
+  };
+}
+
+/**
+ * Kano answer pairs the stub gives for each feature category, two wordings
+ * per category
+ */
+const KANO_STUB_ANSWERS = {
+  attractive: [
+    [KanoAnswer.LIKE, KanoAnswer.NEUTRAL],
+    [KanoAnswer.LIKE, KanoAnswer.TOLERATE],
+  ],
+  performance: [
+    [KanoAnswer.LIKE, KanoAnswer.DISLIKE],
+    [KanoAnswer.LIKE, KanoAnswer.DISLIKE],
+  ],
+  must_be: [
+    [KanoAnswer.EXPECT, KanoAnswer.DISLIKE],
+    [KanoAnswer.NEUTRAL, KanoAnswer.DISLIKE],
+  ],
+  indifferent: [
+    [KanoAnswer.NEUTRAL, KanoAnswer.NEUTRAL],
+    [KanoAnswer.NEUTRAL, KanoAnswer.TOLERATE],
+  ],
+};
+
+const KANO_STUB_EXPLANATIONS = {
+  attractive: "It would be a nice surprise, but I would not miss it.",
+  performance: "The more of this I get, the happier I am.",
+  must_be: "I take this for granted; going without it would bother me.",
+  indifferent: "It makes little difference to me either way.",
+};
+
+/**
+ * Simulate Kano answers for one feature. Every agent shares the feature's
+ * underlying category (picked from its key); less consistent agents more
+ * often answer as if it were another one.
+ * @param {Object} params
+ * @param {Object} params.agent - Agent answering
+ * @param {import('@/models/firestore').Feature} params.feature - Asked feature
+ * @param {() => number} [params.random] - Uniform [0, 1) source
+ * @returns {{ kanoAnswers: { functional: string, dysfunctional: string }, explanation: string }}
+ */
+export function simulateKanoAnswers({ agent, feature, random = Math.random }) {
+  const categories = Object.keys(KANO_STUB_ANSWERS);
+  let hash = 0;
+  for (const char of feature?.key || "") {
+    hash = (hash * 31 + char.charCodeAt(0)) % 9973;
+  }
+
+  const consistency = agent.traits?.consistency ?? 0.7;
+  const category =
+    random() < 0.1 + (1 - consistency) * 0.4
+      ? categories[Math.floor(random() * categories.length)]
+      : categories[hash % categories.length];
+  const [functional, dysfunctional] =
+    KANO_STUB_ANSWERS[category][random() < 0.5 ? 0 : 1];
+
+  return {
+    kanoAnswers: { functional, dysfunctional },
+    explanation: KANO_STUB_EXPLANATIONS[category],
+  };
+}
+
 /**
  * Generate a simple explanation for the choice
  * @param {string} chosen
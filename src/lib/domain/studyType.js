@@ -0,0 +1,78 @@
+/**
+ * Study Types
+ * What an experiment asks its agents
+ *
+ * An experiment's `studyType` is one of:
+ *  - choice:         the conjoint choice tasks between alternatives (see taskgen)
+ *  - van_westendorp: the four Van Westendorp price sensitivity questions
+ *                    about one product (see pricing)
+ *  - gabor_granger:  purchase likelihood of one product at each price of a
+ *                    ladder (see pricing)
+ *  - kano:           the functional and dysfunctional Kano questions for
+ *                    each binary and categorical feature (see kano)
+ *
+ * Only choice experiments have alternatives and can run in SimWorld; the
+ * other study types are questionnaires that run headlessly.
+ */
+
+export const StudyType = Object.freeze({
+  CHOICE: "choice",
+  VAN_WESTENDORP: "van_westendorp",
+  GABOR_GRANGER: "gabor_granger",
+  KANO: "kano",
+});
+
+/** Display names of study types */
+export const STUDY_TYPE_LABELS = Object.freeze({
+  [StudyType.CHOICE]: "Choice experiment",
+  [StudyType.VAN_WESTENDORP]: "Van Westendorp pricing",
+  [StudyType.GABOR_GRANGER]: "Gabor-Granger pricing",
+  [StudyType.KANO]: "Kano questionnaire",
+});
+
+/** One-line explanations of study types, for pickers */
+export const STUDY_TYPE_DESCRIPTIONS = Object.freeze({
+  [StudyType.CHOICE]:
+    "Agents choose between alternatives described by features",
+  [StudyType.VAN_WESTENDORP]:
+    "Agents name the prices at which one product is too cheap, a bargain, expensive and too expensive",
+  [StudyType.GABOR_GRANGER]:
+    "Agents rate how likely they are to buy one product at each price of a ladder",
+  [StudyType.KANO]:
+    "Agents say how they would feel with and without each feature, classifying features as must-be, performance, attractive, indifferent or reverse",
+});
+
+/**
+ * Study type of an experiment; experiments saved before study types are
+ * choice experiments
+ * @param {import('@/models/firestore').Experiment} experiment
+ * @returns {string} StudyType
+ */
+export function getStudyType(experiment) {
+  return Object.values(StudyType).includes(experiment?.studyType)
+    ? experiment.studyType
+    : StudyType.CHOICE;
+}
+
+/**
+ * Whether an experiment is a choice experiment, with alternatives; every
+ * other study type is a headless questionnaire
+ * @param {import('@/models/firestore').Experiment} experiment
+ * @returns {boolean}
+ */
+export function isChoiceStudy(experiment) {
+  return getStudyType(experiment) === StudyType.CHOICE;
+}
+
+/**
+ * Whether an experiment is a single-product pricing study
+ * @param {import('@/models/firestore').Experiment} experiment
+ * @returns {boolean}
+ */
+export function isPricingStudy(experiment) {
+  const studyType = getStudyType(experiment);
+  return (
+    studyType === StudyType.VAN_WESTENDORP ||
+    studyType === StudyType.GABOR_GRANGER
+  );
+}
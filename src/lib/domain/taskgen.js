@@ -1,11 +1,78 @@
 /**
  * Task Generation Helpers
  * Generate choice tasks for experiments
- * 
- * Simplified: Each agent evaluates all pairwise comparisons of alternatives.
- * For N alternatives, there are C(N,2) = N*(N-1)/2 pairs.
+ *
+ * Each agent answers `tasksPerAgent` choice tasks. The subset of alternatives
+ * shown in each task comes from the configured design:
+ *  - pairwise: pairs of alternatives, cycling through all C(N,2) pairs
+ *  - random:   independent random subsets of a fixed size
+ *  - balanced: level-balanced subsets that keep every alternative and every
+ *              pair of alternatives appearing about equally often
+ * Pairwise only suits single-choice formats; best-worst, ranking and
+ * allocation tasks over two items say no more than one pick, so those
+ * formats use the balanced design instead (see getTaskDesign).
+ *
+ * Validation tasks are appended after the design tasks:
+ *  - holdouts: fixed choice sets shown to every agent and left out of
+ *              estimation, used to measure predictive hit rate
+ *  - repeats:  copies of earlier design tasks (reshuffled), used to measure
+ *              test-retest consistency
+ *
+ * The choice format fixes the set size and what each task asks for
+ * (`task.responseFormat`): one pick, the best and the worst item (MaxDiff /
+ * best-worst scaling), a full ranking, or a split of `allocationUnits`
+ * future purchases across the shown options (constant sum).
+ *
+ * Formats with "None" offer it in one of two ways (`taskPlan.noneMode`):
+ * as an option in the choice itself, or as a dual response — a forced
+ * choice followed by "would you actually buy it?" (`task.dualResponse`).
  */
 
+export const TaskDesign = Object.freeze({
+  PAIRWISE: "pairwise",
+  RANDOM: "random",
+  BALANCED: "balanced",
+});
+
+/** What an agent answers in a task */
+export const ResponseFormat = Object.freeze({
+  /** One chosen alternative (or "NONE") */
+  CHOICE: "choice",
+  /** The best and the worst of the shown items */
+  BEST_WORST: "best_worst",
+  /** Every shown alternative, ordered from most to least preferred */
+  RANKING: "ranking",
+  /** Whole units (future purchases) split across the shown alternatives */
+  ALLOCATION: "allocation",
+  /** Van Westendorp pricing study: the four price thresholds of one product */
+  PRICE_THRESHOLDS: "price_thresholds",
+  /** Gabor-Granger pricing study: purchase likelihood at one price (`task.price`) */
+  PURCHASE_LIKELIHOOD: "purchase_likelihood",
+  /** Kano questionnaire: functional and dysfunctional answers for one feature (`task.featureKey`) */
+  KANO_PAIR: "kano_pair",
+});
+
+/** How a choice format with "None" asks for it */
+export const NoneMode = Object.freeze({
+  /** "None" is one of the options in the choice */
+  IN_SET: "in_set",
+  /** Forced choice, then a follow-up asking whether the agent would buy it */
+  DUAL_RESPONSE: "dual_response",
+});
+
+export const DEFAULT_TASKS_PER_AGENT = 6;
+export const DEFAULT_CHOICE_FORMAT = "ABC_NONE";
+
+/** Purchases split per allocation task unless the task plan sets allocationUnits */
+export const DEFAULT_ALLOCATION_UNITS = 10;
+
+/** Choice formats that ask for more than one pick: set size and response format */
+const MULTI_RESPONSE_FORMATS = {
+  MAXDIFF: { setSize: 4, responseFormat: ResponseFormat.BEST_WORST },
+  RANK: { setSize: 4, responseFormat: ResponseFormat.RANKING },
+  ALLOCATION: { setSize: 3, responseFormat: ResponseFormat.ALLOCATION },
+};
+
 /**
  * Shuffle array in place (Fisher-Yates)
  * @param {Array} array
@@ -35,42 +102,289 @@ function getPairwiseCombinations(alternativeIds) {
   return pairs;
 }
 
+/**
+ * Number of alternatives shown per task for a choice format
+ * @param {import('@/models/firestore').ChoiceFormat} choiceFormat
+ * @returns {number}
+ */
+export function getChoiceSetSize(choiceFormat) {
+  const multi = MULTI_RESPONSE_FORMATS[choiceFormat];
+  if (multi) return multi.setSize;
+  return String(choiceFormat || "").startsWith("ABC") ? 3 : 2;
+}
+
+/**
+ * What each task of a choice format asks for
+ * @param {import('@/models/firestore').ChoiceFormat} choiceFormat
+ * @returns {string} ResponseFormat
+ */
+export function getResponseFormat(choiceFormat) {
+  return (
+    MULTI_RESPONSE_FORMATS[choiceFormat]?.responseFormat ??
+    ResponseFormat.CHOICE
+  );
+}
+
+/**
+ * Units an allocation task splits across its options
+ * @param {import('@/models/firestore').TaskPlan} [taskPlan]
+ * @returns {number}
+ */
+export function getAllocationUnits(taskPlan = {}) {
+  const units = Number.parseInt(taskPlan.allocationUnits, 10);
+  return units > 0 ? units : DEFAULT_ALLOCATION_UNITS;
+}
+
+/**
+ * Whether a choice format offers the "None" option
+ * @param {import('@/models/firestore').ChoiceFormat} choiceFormat
+ * @returns {boolean}
+ */
+export function choiceFormatIncludesNone(choiceFormat) {
+  return String(choiceFormat || "").endsWith("_NONE");
+}
+
+/**
+ * Whether a choice format can use the pairwise design: formats that ask for
+ * more than one pick need more than two items per task
+ * @param {import('@/models/firestore').ChoiceFormat} choiceFormat
+ * @returns {boolean}
+ */
+export function supportsPairwiseDesign(choiceFormat) {
+  return getResponseFormat(choiceFormat) === ResponseFormat.CHOICE;
+}
+
+/**
+ * Choice set design a task plan uses with a choice format: the planned
+ * design, balanced when none is set or pairwise is not supported
+ * @param {import('@/models/firestore').ChoiceFormat} choiceFormat
+ * @param {import('@/models/firestore').TaskPlan} [taskPlan]
+ * @returns {string} TaskDesign
+ */
+export function getTaskDesign(choiceFormat, taskPlan = {}) {
+  if (!Object.values(TaskDesign).includes(taskPlan.design)) {
+    return TaskDesign.BALANCED;
+  }
+  if (
+    taskPlan.design === TaskDesign.PAIRWISE &&
+    !supportsPairwiseDesign(choiceFormat)
+  ) {
+    return TaskDesign.BALANCED;
+  }
+  return taskPlan.design;
+}
+
+/**
+ * How "None" is asked for, or null when the choice format has no "None"
+ * @param {import('@/models/firestore').ChoiceFormat} choiceFormat
+ * @param {import('@/models/firestore').TaskPlan} [taskPlan]
+ * @returns {string | null} NoneMode
+ */
+export function getNoneMode(choiceFormat, taskPlan = {}) {
+  if (!choiceFormatIncludesNone(choiceFormat)) return null;
+  return taskPlan.noneMode === NoneMode.DUAL_RESPONSE
+    ? NoneMode.DUAL_RESPONSE
+    : NoneMode.IN_SET;
+}
+
+/**
+ * Pick a balanced subset: least-shown alternatives first, then the ones that
+ * have co-occurred least with the alternatives already in the set.
+ * Counters are shared across agents so balance holds for the whole sample.
+ */
+function pickBalancedSet(alternativeIds, setSize, counts, pairCounts) {
+  const set = [];
+  const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+  while (set.length < setSize) {
+    let best = null;
+    let bestScore = Number.POSITIVE_INFINITY;
+
+    for (const id of shuffle(alternativeIds)) {
+      if (set.includes(id)) continue;
+      const overlap = set.reduce(
+        (sum, other) => sum + (pairCounts[pairKey(id, other)] || 0),
+        0,
+      );
+      // Appearance count dominates; pair overlap breaks ties
+      const score = counts[id] * 1000 + overlap;
+      if (score < bestScore) {
+        best = id;
+        bestScore = score;
+      }
+    }
+
+    set.push(best);
+  }
+
+  set.forEach((id, i) => {
+    counts[id]++;
+    for (let j = i + 1; j < set.length; j++) {
+      const key = pairKey(id, set[j]);
+      pairCounts[key] = (pairCounts[key] || 0) + 1;
+    }
+  });
+
+  return set;
+}
+
+/**
+ * Build the choice sets (lists of alternative IDs) for one agent
+ */
+function buildChoiceSets(design, alternativeIds, setSize, count, state) {
+  const sets = [];
+
+  if (design === TaskDesign.PAIRWISE) {
+    // Rotate through the shared pair list so the sample covers every pair
+    for (let i = 0; i < count; i++) {
+      sets.push([...state.pairs[state.pairCursor % state.pairs.length]]);
+      state.pairCursor++;
+    }
+    return sets;
+  }
+
+  for (let i = 0; i < count; i++) {
+    if (design === TaskDesign.RANDOM) {
+      sets.push(shuffle(alternativeIds).slice(0, setSize));
+    } else {
+      sets.push(
+        pickBalancedSet(
+          alternativeIds,
+          setSize,
+          state.counts,
+          state.pairCounts,
+        ),
+      );
+    }
+  }
+  return sets;
+}
+
+/**
+ * Number of holdout and repeat tasks per agent for a task plan.
+ * Repeats can only copy design tasks, so they are capped at tasksPerAgent.
+ */
+function getValidationTaskCounts(taskPlan, tasksPerAgent) {
+  const holdouts = Math.max(
+    0,
+    Number.parseInt(taskPlan.includeHoldouts, 10) || 0,
+  );
+  const repeats = Math.min(
+    tasksPerAgent,
+    Math.max(0, Number.parseInt(taskPlan.includeRepeats, 10) || 0),
+  );
+  return { holdouts, repeats };
+}
+
 /**
  * Generate tasks for an experiment
- * Each agent gets all possible pairwise comparisons (A/B format)
- * 
+ *
  * @param {Object} params
  * @param {Object[]} params.agents - Agent objects
  * @param {Object[]} params.alternatives - Alternative objects
+ * @param {import('@/models/firestore').TaskPlan} [params.taskPlan] - Task plan settings
+ * @param {import('@/models/firestore').ChoiceFormat} [params.choiceFormat] - Choice format
  * @returns {Object[]} Array of task objects
  */
-export function generateTasks({ agents, alternatives }) {
+export function generateTasks({
+  agents,
+  alternatives,
+  taskPlan = {},
+  choiceFormat = DEFAULT_CHOICE_FORMAT,
+}) {
   const tasks = [];
   const alternativeIds = alternatives.map((a) => a.id);
-  
-  // Get all pairwise combinations
-  const allCombinations = getPairwiseCombinations(alternativeIds);
 
-  if (allCombinations.length === 0) {
+  if (alternativeIds.length < 2) {
     console.warn("Not enough alternatives - need at least 2");
     return [];
   }
 
-  // For each agent, generate tasks for all pairwise comparisons
+  const design = getTaskDesign(choiceFormat, taskPlan);
+  const setSize =
+    design === TaskDesign.PAIRWISE
+      ? 2
+      : Math.min(getChoiceSetSize(choiceFormat), alternativeIds.length);
+  const tasksPerAgent = Math.max(
+    1,
+    Number.parseInt(taskPlan.tasksPerAgent, 10) || DEFAULT_TASKS_PER_AGENT,
+  );
+  const randomizeOrder = taskPlan.randomizeOrder !== false;
+  const noneMode = getNoneMode(choiceFormat, taskPlan);
+  const includeNone = noneMode === NoneMode.IN_SET;
+  const responseFormat = getResponseFormat(choiceFormat);
+  const formatFields = {
+    responseFormat,
+    ...(responseFormat === ResponseFormat.ALLOCATION && {
+      allocationUnits: getAllocationUnits(taskPlan),
+    }),
+    ...(noneMode === NoneMode.DUAL_RESPONSE && { dualResponse: true }),
+  };
+  const { holdouts, repeats } = getValidationTaskCounts(
+    taskPlan,
+    tasksPerAgent,
+  );
+
+  const state = {
+    pairs: shuffle(getPairwiseCombinations(alternativeIds)),
+    pairCursor: 0,
+    counts: Object.fromEntries(alternativeIds.map((id) => [id, 0])),
+    pairCounts: {},
+  };
+
+  // Holdout sets are the same for every agent so hit rates are comparable
+  const holdoutSets = Array.from({ length: holdouts }, () =>
+    shuffle(alternativeIds).slice(0, setSize),
+  );
+
   agents.forEach((agent) => {
-    // Each agent evaluates all possible pairs (randomized order within each pair)
-    allCombinations.forEach((combination, index) => {
-      // Randomize which alternative appears first
-      const shownAlternatives = shuffle([...combination]);
+    const sets = buildChoiceSets(
+      design,
+      alternativeIds,
+      setSize,
+      tasksPerAgent,
+      state,
+    );
+
+    const agentTasks = sets.map((set, index) => ({
+      id: `${agent.id}_task_${index}`,
+      agentId: agent.id,
+      shownAlternatives: randomizeOrder ? shuffle(set) : set,
+      includeNone,
+      ...formatFields,
+      isHoldout: false,
+      isRepeatOf: null,
+    }));
 
-      tasks.push({
-        id: `${agent.id}_task_${index}`,
+    holdoutSets.forEach((set) => {
+      agentTasks.push({
+        id: `${agent.id}_task_${agentTasks.length}`,
         agentId: agent.id,
-        shownAlternatives,
-        isHoldout: false,
+        shownAlternatives: randomizeOrder ? shuffle(set) : [...set],
+        includeNone,
+        ...formatFields,
+        isHoldout: true,
         isRepeatOf: null,
       });
     });
+
+    shuffle(agentTasks.slice(0, tasksPerAgent))
+      .slice(0, repeats)
+      .forEach((original) => {
+        agentTasks.push({
+          id: `${agent.id}_task_${agentTasks.length}`,
+          agentId: agent.id,
+          shownAlternatives: randomizeOrder
+            ? shuffle(original.shownAlternatives)
+            : [...original.shownAlternatives],
+          includeNone,
+          ...formatFields,
+          isHoldout: false,
+          isRepeatOf: original.id,
+        });
+      });
+
+    tasks.push(...agentTasks);
   });
 
   return tasks;
@@ -89,6 +403,8 @@ export function getTaskStats(tasks) {
     total: tasks.length,
     uniqueAgents,
     tasksPerAgent,
+    holdouts: tasks.filter((t) => t.isHoldout).length,
+    repeats: tasks.filter((t) => t.isRepeatOf).length,
   };
 }
 
@@ -96,10 +412,18 @@ export function getTaskStats(tasks) {
  * Calculate number of tasks that will be generated
  * @param {number} numAlternatives - Number of alternatives
  * @param {number} numAgents - Number of agents
+ * @param {import('@/models/firestore').TaskPlan} [taskPlan] - Task plan settings
  * @returns {number} Total tasks
  */
-export function calculateTotalTasks(numAlternatives, numAgents) {
-  // C(n,2) pairs per agent
-  const pairsPerAgent = (numAlternatives * (numAlternatives - 1)) / 2;
-  return pairsPerAgent * numAgents;
+export function calculateTotalTasks(numAlternatives, numAgents, taskPlan = {}) {
+  if (numAlternatives < 2) return 0;
+  const tasksPerAgent = Math.max(
+    1,
+    Number.parseInt(taskPlan.tasksPerAgent, 10) || DEFAULT_TASKS_PER_AGENT,
+  );
+  const { holdouts, repeats } = getValidationTaskCounts(
+    taskPlan,
+    tasksPerAgent,
+  );
+  return (tasksPerAgent + holdouts + repeats) * numAgents;
 }
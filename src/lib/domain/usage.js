@@ -0,0 +1,105 @@
+/**
+ * LLM Usage Accounting
+ * Token, latency, retry and cost totals for a run
+ *
+ * Each response carries the `usage` of the decision that produced it
+ * ({ model, promptTokens, completionTokens, latencyMs, retries, costUsd }).
+ * Totals are kept overall, by modelTag and by segment. Cost is null for
+ * unpriced models; those decisions are counted in `unpriced` instead of
+ * being treated as free. Decisions answered from the response cache count
+ * in `cacheHits`.
+ */
+
+/**
+ * @returns {import('@/models/firestore').UsageTotals}
+ */
+export function createUsageTotals() {
+  return {
+    decisions: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    latencyMs: 0,
+    retries: 0,
+    costUsd: 0,
+    unpriced: 0,
+    cacheHits: 0,
+  };
+}
+
+/**
+ * @returns {import('@/models/firestore').RunUsage}
+ */
+export function createRunUsage() {
+  return { total: createUsageTotals(), byModel: {}, bySegment: {} };
+}
+
+function addToTotals(totals, usage) {
+  totals.decisions++;
+  totals.promptTokens += usage.promptTokens || 0;
+  totals.completionTokens += usage.completionTokens || 0;
+  totals.latencyMs += usage.latencyMs || 0;
+  totals.retries += usage.retries || 0;
+  if (usage.cached) totals.cacheHits++;
+  if (usage.costUsd === null || usage.costUsd === undefined) {
+    totals.unpriced++;
+  } else {
+    totals.costUsd += usage.costUsd;
+  }
+}
+
+/**
+ * Add one response's usage to the run totals (in place). Responses without
+ * usage (legacy runs, agent-level failures) are skipped.
+ * @param {import('@/models/firestore').RunUsage} runUsage
+ * @param {{ usage?: Object, modelTag?: string, segmentId?: string }} response
+ * @returns {import('@/models/firestore').RunUsage}
+ */
+export function addResponseUsage(runUsage, response) {
+  const usage = response?.usage;
+  if (!usage) return runUsage;
+
+  const modelKey = response.modelTag || usage.model || "unknown";
+  const segmentKey = response.segmentId || "unknown";
+  runUsage.byModel[modelKey] ??= createUsageTotals();
+  runUsage.bySegment[segmentKey] ??= createUsageTotals();
+
+  addToTotals(runUsage.total, usage);
+  addToTotals(runUsage.byModel[modelKey], usage);
+  addToTotals(runUsage.bySegment[segmentKey], usage);
+  return runUsage;
+}
+
+/**
+ * Usage totals for a list of responses
+ * @param {Object[]} responses
+ * @returns {import('@/models/firestore').RunUsage}
+ */
+export function summarizeUsage(responses) {
+  return responses.reduce(addResponseUsage, createRunUsage());
+}
+
+/**
+ * Combine the usage of several runs (e.g. to calibrate estimates on an
+ * experiment's earlier runs). Runs without usage are skipped.
+ * @param {(import('@/models/firestore').RunUsage | null | undefined)[]} usages
+ * @returns {import('@/models/firestore').RunUsage}
+ */
+export function mergeRunUsage(usages) {
+  const merged = createRunUsage();
+  const addTotals = (target, totals) => {
+    for (const key of Object.keys(target)) {
+      target[key] += totals[key] || 0;
+    }
+  };
+  for (const usage of usages) {
+    if (!usage) continue;
+    addTotals(merged.total, usage.total);
+    for (const group of ["byModel", "bySegment"]) {
+      for (const [key, totals] of Object.entries(usage[group] || {})) {
+        merged[group][key] ??= createUsageTotals();
+        addTotals(merged[group][key], totals);
+      }
+    }
+  }
+  return merged;
+}
@@ -3,6 +3,25 @@
  * Validate experiments, responses, and configurations
  */
 
+import { classifyKanoAnswers, getKanoFeatures } from "./kano";
+import {
+  checkPriceThresholds,
+  getPriceLadder,
+  PURCHASE_LIKELIHOOD_MAX,
+  PURCHASE_LIKELIHOOD_MIN,
+} from "./pricing";
+import {
+  getStudyType,
+  isChoiceStudy,
+  isPricingStudy,
+  StudyType,
+} from "./studyType";
+import {
+  ResponseFormat,
+  supportsPairwiseDesign,
+  TaskDesign,
+} from "./taskgen";
+
 /**
  * Validate an experiment is ready to run
  * @param {import('@/models/firestore').Experiment} experiment
@@ -18,19 +37,56 @@ export function validateExperimentReadyToRun(experiment, alternatives) {
     errors.push("Experiment must have a name");
   }
 
-  // Check feature schema
-  if (!experiment.featureSchema?.features?.length) {
-    errors.push("Experiment must have at least one feature defined");
-  }
+  const choice = isChoiceStudy(experiment);
 
-  // Check alternatives
-  if (!alternatives || alternatives.length < 2) {
-    errors.push("Experiment must have at least 2 alternatives");
-  }
+  if (isPricingStudy(experiment)) {
+    // Pricing studies ask about one product, without features or alternatives
+    if (!experiment.pricingPlan?.product?.name) {
+      errors.push("Pricing study must name its product");
+    }
+    if (
+      getStudyType(experiment) === StudyType.GABOR_GRANGER &&
+      getPriceLadder(experiment.pricingPlan).length < 2
+    ) {
+      errors.push("Gabor-Granger study requires at least 2 prices");
+    }
+  } else if (getStudyType(experiment) === StudyType.KANO) {
+    // Kano questionnaires ask about features, without alternatives
+    if (!getKanoFeatures(experiment.featureSchema?.features).length) {
+      errors.push(
+        "Kano questionnaire requires at least one binary or categorical feature"
+      );
+    }
+  } else {
+    // Check feature schema
+    if (!experiment.featureSchema?.features?.length) {
+      errors.push("Experiment must have at least one feature defined");
+    }
+
+    // Check alternatives
+    if (!alternatives || alternatives.length < 2) {
+      errors.push("Experiment must have at least 2 alternatives");
+    }
+
+    // Check for minimum alternatives (A/B format requires at least 2)
+    if (alternatives && alternatives.length < 2) {
+      errors.push("Experiment requires at least 2 alternatives");
+    }
+
+    // Best and worst must be different items
+    if (experiment.choiceFormat === "MAXDIFF" && alternatives?.length < 3) {
+      errors.push("MaxDiff requires at least 3 alternatives");
+    }
 
-  // Check for minimum alternatives (A/B format requires at least 2)
-  if (alternatives && alternatives.length < 2) {
-    errors.push("Experiment requires at least 2 alternatives");
+    // Two-item sets make best-worst, ranking and allocation a single pick
+    if (
+      experiment.taskPlan?.design === TaskDesign.PAIRWISE &&
+      !supportsPairwiseDesign(experiment.choiceFormat)
+    ) {
+      errors.push(
+        "Pairwise design shows two alternatives per task; MaxDiff, ranking and allocation need a balanced or random design"
+      );
+    }
   }
 
   // Check agent plan
@@ -53,17 +109,19 @@ export function validateExperimentReadyToRun(experiment, alternatives) {
   }
 
   // Check that alternatives have all features
-  const featureKeys = experiment.featureSchema?.features?.map((f) => f.key) || [];
-  alternatives?.forEach((alt) => {
-    const missingFeatures = featureKeys.filter(
-      (key) => alt.features?.[key] === undefined
-    );
-    if (missingFeatures.length > 0) {
-      warnings.push(
-        `Alternative "${alt.name}" is missing features: ${missingFeatures.join(", ")}`
+  if (choice) {
+    const featureKeys = experiment.featureSchema?.features?.map((f) => f.key) || [];
+    alternatives?.forEach((alt) => {
+      const missingFeatures = featureKeys.filter(
+        (key) => alt.features?.[key] === undefined
       );
-    }
-  });
+      if (missingFeatures.length > 0) {
+        warnings.push(
+          `Alternative "${alt.name}" is missing features: ${missingFeatures.join(", ")}`
+        );
+      }
+    });
+  }
 
   return {
     valid: errors.length === 0,
@@ -79,6 +137,9 @@ export function validateExperimentReadyToRun(experiment, alternatives) {
  */
 export function validateResponse(response) {
   const errors = [];
+  const shown = response.shownAlternatives?.length
+    ? new Set(response.shownAlternatives)
+    : null;
 
   if (!response.taskId) {
     errors.push("Response must have a taskId");
@@ -102,6 +163,88 @@ export function validateResponse(response) {
     errors.push("reasonCodes must be an array");
   }
 
+  if (response.worst) {
+    if (response.chosen === "NONE") {
+      errors.push("A best-worst response must name a best item");
+    } else if (response.worst === response.chosen) {
+      errors.push("Best and worst must be different items");
+    }
+  }
+
+  if (response.ranking) {
+    const { ranking } = response;
+    if (!Array.isArray(ranking) || ranking.length < 2) {
+      errors.push("ranking must be an array of at least 2 alternatives");
+    } else if (new Set(ranking).size !== ranking.length) {
+      errors.push("ranking must not repeat an alternative");
+    } else if (ranking[0] !== response.chosen) {
+      errors.push("chosen must be the first-ranked alternative");
+    } else if (
+      shown &&
+      (ranking.length !== shown.size || ranking.some((id) => !shown.has(id)))
+    ) {
+      errors.push("ranking must order exactly the shown alternatives");
+    }
+  }
+
+  if (response.allocation) {
+    const units = Object.values(response.allocation);
+    const total = units.reduce((sum, n) => sum + n, 0);
+    if (units.some((n) => !Number.isInteger(n) || n < 0)) {
+      errors.push("allocation must be whole, non-negative units");
+    } else if (
+      shown &&
+      Object.keys(response.allocation).some((id) => !shown.has(id))
+    ) {
+      errors.push("allocation must only assign units to shown alternatives");
+    } else if (total === 0) {
+      errors.push("allocation must assign at least one unit");
+    } else if (
+      (response.allocation[response.chosen] || 0) < Math.max(...units)
+    ) {
+      errors.push("chosen must be the alternative with the most units");
+    }
+  }
+
+  if (response.wouldBuy !== undefined && response.wouldBuy !== null) {
+    if (typeof response.wouldBuy !== "boolean") {
+      errors.push("wouldBuy must be true, false or null");
+    } else if (response.chosen === "NONE") {
+      errors.push("wouldBuy needs a chosen alternative");
+    }
+  }
+
+  if (response.priceThresholds) {
+    const problem = checkPriceThresholds(response.priceThresholds);
+    if (problem) {
+      errors.push(`priceThresholds: ${problem}`);
+    }
+  }
+
+  const { purchaseLikelihood } = response;
+  if (purchaseLikelihood !== undefined && purchaseLikelihood !== null) {
+    if (
+      !Number.isInteger(purchaseLikelihood) ||
+      purchaseLikelihood < PURCHASE_LIKELIHOOD_MIN ||
+      purchaseLikelihood > PURCHASE_LIKELIHOOD_MAX
+    ) {
+      errors.push(
+        `purchaseLikelihood must be a whole number from ${PURCHASE_LIKELIHOOD_MIN} to ${PURCHASE_LIKELIHOOD_MAX}`
+      );
+    } else if (typeof response.price !== "number") {
+      errors.push("purchaseLikelihood needs the asked price");
+    }
+  }
+
+  if (response.kanoAnswers) {
+    const { functional, dysfunctional } = response.kanoAnswers;
+    if (!classifyKanoAnswers(functional, dysfunctional)) {
+      errors.push("kanoAnswers must be two answers on the Kano scale");
+    } else if (!response.featureKey) {
+      errors.push("kanoAnswers needs the asked featureKey");
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors,
@@ -121,7 +264,23 @@ export function validateTask(task, alternativeIds) {
     errors.push("Task must have an agentId");
   }
 
-  if (!task.shownAlternatives || !Array.isArray(task.shownAlternatives)) {
+  // Pricing and Kano questions show no alternatives
+  const surveyQuestion =
+    task.responseFormat === ResponseFormat.PRICE_THRESHOLDS ||
+    task.responseFormat === ResponseFormat.PURCHASE_LIKELIHOOD ||
+    task.responseFormat === ResponseFormat.KANO_PAIR;
+
+  if (surveyQuestion) {
+    if (
+      task.responseFormat === ResponseFormat.PURCHASE_LIKELIHOOD &&
+      !(task.price > 0)
+    ) {
+      errors.push("Purchase likelihood task must have a price");
+    }
+    if (task.responseFormat === ResponseFormat.KANO_PAIR && !task.featureKey) {
+      errors.push("Kano task must have a featureKey");
+    }
+  } else if (!task.shownAlternatives || !Array.isArray(task.shownAlternatives)) {
     errors.push("Task must have shownAlternatives array");
   } else {
     const invalidAlts = task.shownAlternatives.filter(
@@ -2,10 +2,24 @@
  * ExperimentRunner — orchestrates a live experiment run in SimWorld.
  *
  * Phases:
- *   1. init()  — load options (buildings), generate agent queue
- *   2. start() — rolling-window execution: spawn → think → decide → move → pick → exit
+ *   1. init()  — load options (buildings), generate agent queue and choice tasks
+ *   2. start() — rolling-window execution: spawn → (think → decide) per task → move → pick → exit
  *
- * All results are kept in memory. The caller saves to Firebase when ready.
+ * Responses are kept in memory and also handed to `onResponse` as they
+ * arrive, so the caller can checkpoint them. A run can be paused (in-flight
+ * agents finish, no new ones start) and resumed, and `init()` can rebuild
+ * the queue from a saved run so only the unfinished agents are processed.
+ *
+ * Every response carries the token/latency/cost usage of its decision; the
+ * runner keeps run totals and, with `budgetUsd`, pauses itself once the
+ * spend reaches the cap.
+ *
+ * Each decision's LLM call is cached per agent and task position, so a run
+ * built from another run's saved tasks with `cacheMode: "replay"` gets back
+ * exactly the responses that run received.
+ *
+ * With a HeadlessRuntime no sprites are generated or pre-spawned and the
+ * animations resolve immediately, so only the decisions take time.
  */
 
 import {
@@ -13,13 +27,16 @@ import {
   generateAlternativeSprites,
   getAgentDecision,
 } from "@/app/experiments/[experimentId]/run/actions";
+import { DecisionStatus } from "@/lib/domain/quality";
+import { generateTasks } from "@/lib/domain/taskgen";
+import { addResponseUsage, createRunUsage } from "@/lib/domain/usage";
 
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
 const DEFAULT_ACTIVE_CONCURRENCY = 10;
-const DEFAULT_DECISION_CONCURRENCY = 6;
+export const DEFAULT_DECISION_CONCURRENCY = 6;
 const DEFAULT_OPTION_SPRITE_CONCURRENCY = 6;
 
 function clamp(value, min, max) {
@@ -176,6 +193,7 @@ export const RunnerStatus = Object.freeze({
   INITIALIZING: "initializing",
   READY: "ready",
   RUNNING: "running",
+  PAUSED: "paused",
   COMPLETE: "complete",
   ERROR: "error",
 });
@@ -193,7 +211,15 @@ export class ExperimentRunner {
    * @param {function} [opts.onProgress] — (progress) => void
    * @param {function} [opts.onAgentUpdate] — (agentEvent) => void
    * @param {function} [opts.onComplete] — (results) => void
+   * @param {function} [opts.onResponse] — (response) => void, called for each recorded response
    * @param {number} [opts.concurrency]  — rolling window size (default 10)
+   * @param {object} [opts.resumeFrom] — saved run state to continue from
+   * @param {number | null} [opts.budgetUsd] — pause the run once its LLM cost reaches this
+   * @param {function} [opts.onBudgetExceeded] — (usage) => void
+   * @param {string} [opts.cacheMode] — LLM response cache mode ("off" | "use" | "replay"; default from the server env)
+   * @param {object[]} opts.resumeFrom.tasks — saved tasks ({ id, agentId, shownAlternatives, includeNone, responseFormat, allocationUnits, dualResponse, price, featureKey, isHoldout, isRepeatOf })
+   * @param {string[]} opts.resumeFrom.answeredTaskIds — ids of tasks that already have a response
+   * @param {object} [opts.resumeFrom.usage] — usage totals spent so far (counts toward the budget)
    */
   constructor({
     runtime,
@@ -202,10 +228,15 @@ export class ExperimentRunner {
     onProgress,
     onAgentUpdate,
     onComplete,
+    onResponse,
+    onBudgetExceeded,
+    budgetUsd = null,
+    cacheMode,
     concurrency = DEFAULT_ACTIVE_CONCURRENCY,
     decisionConcurrency = DEFAULT_DECISION_CONCURRENCY,
     optionSpriteConcurrency = DEFAULT_OPTION_SPRITE_CONCURRENCY,
     initialSpawnWindow = concurrency,
+    resumeFrom = null,
   }) {
     this.runtime = runtime;
     this.experiment = experiment;
@@ -213,6 +244,12 @@ export class ExperimentRunner {
     this.onProgress = onProgress || (() => {});
     this.onAgentUpdate = onAgentUpdate || (() => {});
     this.onComplete = onComplete || (() => {});
+    this.onResponse = onResponse || (() => {});
+    this.onBudgetExceeded = onBudgetExceeded || (() => {});
+    this.budgetUsd = budgetUsd > 0 ? budgetUsd : null;
+    this.budgetExceeded = false;
+    this.cacheMode = cacheMode;
+    this.resumeFrom = resumeFrom || null;
     this.concurrency = Math.max(
       1,
       Number.parseInt(concurrency, 10) || DEFAULT_ACTIVE_CONCURRENCY,
@@ -246,12 +283,24 @@ export class ExperimentRunner {
     /** @type {Map<string, string>} agentDef.id → sprite.id (pre-spawned) */
     this.spriteLookup = new Map();
 
-    /** @type {object[]} collected responses */
+    /** @type {object[]} choice tasks for every agent */
+    this.tasks = [];
+
+    /** @type {Map<string, number>} task id → position in this.tasks (its saved sequence) */
+    this.taskSequence = new Map();
+
+    /** @type {Map<string, object[]>} agentDef.id → tasks in answer order */
+    this.tasksByAgent = new Map();
+
+    /** @type {object[]} collected responses (one per answered task) */
     this.responses = [];
 
     /** @type {object[]} all agents (for reference after run) */
     this.allAgents = [];
 
+    /** Token / latency / cost totals, overall and by modelTag and segment */
+    this.usage = createRunUsage();
+
     /** Track how many are done */
     this._completedCount = 0;
     this._totalCount = 0;
@@ -263,9 +312,17 @@ export class ExperimentRunner {
     this._optionsFailed = 0;
     this._initialSpawnTarget = 0;
     this._initialSpawned = 0;
+    this._tasksCompleted = 0;
 
     /** Abort flag */
     this._aborted = false;
+
+    /** Pause flag, and the launcher start() uses to refill the window on resume */
+    this._paused = false;
+    this._refill = null;
+
+    /** Agents stopped mid-way by a pause and queued again (see _stopBeforeTask) */
+    this._requeued = new Set();
   }
 
   // -----------------------------------------------------------------------
@@ -275,17 +332,22 @@ export class ExperimentRunner {
   async init() {
     this.status = RunnerStatus.INITIALIZING;
     this.responses = [];
+    this.usage = this.resumeFrom?.usage
+      ? structuredClone(this.resumeFrom.usage)
+      : createRunUsage();
+    this.budgetExceeded = this._isOverBudget();
     this.altToOptionId = new Map();
     this.spriteLookup = new Map();
     this._completedCount = 0;
     this._activeCount = 0;
     this._decidingCount = 0;
     this._spawnCounter = 0;
-    this._optionsTotal = this.alternatives.length;
+    this._optionsTotal = this.runtime.headless ? 0 : this.alternatives.length;
     this._optionsReady = 0;
     this._optionsFailed = 0;
     this._initialSpawnTarget = 0;
     this._initialSpawned = 0;
+    this._tasksCompleted = 0;
     this._emitProgress();
 
     // 1. Add each alternative as a building/option in SimWorld (spread evenly when < 8)
@@ -308,20 +370,57 @@ export class ExperimentRunner {
 
     // Shuffle so segments are interleaved
     this.allAgents = shuffle(expandedAgents);
-    this.agentQueue = [...this.allAgents];
-    this._totalCount = this.agentQueue.length;
+    this._totalCount = this.allAgents.length;
+
+    // Build each agent's choice tasks from the experiment's task plan.
+    // When resuming, saved tasks are reused and only agents without any
+    // saved task get fresh ones.
+    const savedTasks = this.resumeFrom?.tasks || [];
+    const agentsWithTasks = new Set(savedTasks.map((t) => t.agentId));
+    this.tasks = [
+      ...savedTasks,
+      ...this._generateTasks(
+        this.allAgents.filter((a) => !agentsWithTasks.has(a.id)),
+      ),
+    ];
+
+    this.taskSequence = new Map(this.tasks.map((t, i) => [t.id, i]));
+
+    // Queue only the tasks still missing a response
+    const answered = new Set(this.resumeFrom?.answeredTaskIds || []);
+    this.tasksByAgent = new Map();
+    for (const task of this.tasks) {
+      if (answered.has(task.id)) {
+        this._tasksCompleted++;
+        continue;
+      }
+      if (!this.tasksByAgent.has(task.agentId)) {
+        this.tasksByAgent.set(task.agentId, []);
+      }
+      this.tasksByAgent.get(task.agentId).push(task);
+    }
+    this.agentQueue = this.resumeFrom
+      ? this.allAgents.filter((a) => this.tasksByAgent.has(a.id))
+      : [...this.allAgents];
+    this._completedCount = this._totalCount - this.agentQueue.length;
     this._emitProgress();
 
+    if (this.runtime.headless) {
+      this.status = RunnerStatus.READY;
+      this._emitProgress();
+      return;
+    }
+
     // 3. Pre-spawn first batch around the center fountain.
     this._initialSpawnTarget = Math.min(
       this.initialSpawnWindow,
-      this.allAgents.length,
+      this.agentQueue.length,
     );
     const cx = 656; // SPAWN_POINT.x (center of 1280 world)
     const cy = 400; // SPAWN_POINT.y (center of 800 world)
 
     for (let i = 0; i < this._initialSpawnTarget; i++) {
-      await this._spawnAgent(this.allAgents[i], i, cx, cy, true);
+      await this._spawnAgent(this.agentQueue[i], i, cx, cy, true);
     }
 
     // 4. Generate product sprites with bounded parallelism.
@@ -459,6 +558,21 @@ export class ExperimentRunner {
     }
   }
 
+  /**
+   * Fresh tasks for agents that have none yet. Subclasses running other
+   * kinds of study override this.
+   * @param {object[]} agents
+   * @returns {object[]}
+   */
+  _generateTasks(agents) {
+    return generateTasks({
+      agents,
+      alternatives: this.alternatives,
+      taskPlan: this.experiment?.taskPlan,
+      choiceFormat: this.experiment?.choiceFormat,
+    });
+  }
+
   // -----------------------------------------------------------------------
   // Phase 2 — Run
   // -----------------------------------------------------------------------
@@ -468,7 +582,7 @@ export class ExperimentRunner {
       throw new Error(`Cannot start from status "${this.status}".`);
     }
 
-    if (this._totalCount === 0) {
+    if (this.agentQueue.length === 0) {
       // Nothing to run
       this.status = RunnerStatus.COMPLETE;
       this._emitProgress();
@@ -478,6 +592,7 @@ export class ExperimentRunner {
 
     this.status = RunnerStatus.RUNNING;
     this._aborted = false;
+    this._paused = false;
     this._decidingCount = 0;
     this._emitProgress();
 
@@ -486,6 +601,10 @@ export class ExperimentRunner {
       const inFlight = new Set();
 
       const maybeFinish = () => {
+        if (this._paused || this._aborted) {
+          if (inFlight.size === 0) this._emitProgress();
+          return;
+        }
         if (inFlight.size === 0 && this.agentQueue.length === 0) {
           this.status = RunnerStatus.COMPLETE;
           this._emitProgress();
@@ -495,7 +614,9 @@ export class ExperimentRunner {
       };
 
       const launchOne = () => {
-        if (this._aborted || this.agentQueue.length === 0) return;
+        if (this._aborted || this._paused || this.agentQueue.length === 0) {
+          return;
+        }
 
         const agentDef = this.agentQueue.shift();
         if (!agentDef) return;
@@ -504,28 +625,19 @@ export class ExperimentRunner {
         this._emitProgress();
         const startedAt = Date.now();
 
-        const p = this._processAgent(agentDef, startedAt)
+        const p = this._processAgent(agentDef)
           .catch((err) => {
             console.error(
               `[ExperimentRunner] Agent ${agentDef.name} failed:`,
               err,
             );
-            this.responses.push({
-              agentId: agentDef.id,
-              segmentId: agentDef.segmentId,
-              traits: agentDef.traits,
-              chosenAlternativeId: null,
-              chosenAlternativeName: null,
-              chosen: "NONE",
+            this._recordResponse(agentDef, null, startedAt, {
               reason: `Error: ${err.message}`,
-              confidence: 0,
-              reasonCodes: [],
               error: true,
-              timings: { startedAt, endedAt: Date.now() },
             });
           })
           .finally(() => {
-            this._completedCount++;
+            if (!this._requeued.delete(agentDef.id)) this._completedCount++;
             this._activeCount--;
             inFlight.delete(p);
             this._emitProgress();
@@ -538,22 +650,76 @@ export class ExperimentRunner {
         inFlight.add(p);
       };
 
-      // Seed the initial batch
-      const batchSize = Math.min(this.concurrency, this.agentQueue.length);
-      for (let i = 0; i < batchSize; i++) {
-        launchOne();
-      }
-
-      // Edge case: if batch was 0
-      maybeFinish();
+      // Seed the initial batch; resume() reuses this to refill the window
+      this._refill = () => {
+        const batchSize = Math.min(
+          this.concurrency - inFlight.size,
+          this.agentQueue.length,
+        );
+        for (let i = 0; i < batchSize; i++) {
+          launchOne();
+        }
+        maybeFinish();
+      };
+      this._refill();
     });
   }
 
+  /**
+   * Stop launching new agents. Agents already in flight finish the task they
+   * are deciding and then stop; they are queued again with their unanswered
+   * tasks, and the queue is kept for resume().
+   */
+  pause() {
+    if (this.status !== RunnerStatus.RUNNING) return;
+    this._paused = true;
+    this.status = RunnerStatus.PAUSED;
+    this._emitProgress();
+  }
+
+  /**
+   * Change the budget cap (null/0 removes it). Raising it above the spend
+   * so far clears the exceeded flag; the run still needs resume().
+   * @param {number | null} budgetUsd
+   */
+  setBudget(budgetUsd) {
+    this.budgetUsd = budgetUsd > 0 ? budgetUsd : null;
+    this.budgetExceeded = this._isOverBudget();
+    this._emitProgress();
+  }
+
+  /**
+   * Whether an agent should stop before its next task: the run was aborted,
+   * or paused so no more decisions are paid for. A paused agent goes back to
+   * the front of the queue with its remaining tasks.
+   * @param {object} agentDef
+   * @param {object[]} remainingTasks - the agent's tasks from the next one on
+   * @returns {boolean}
+   */
+  _stopBeforeTask(agentDef, remainingTasks) {
+    if (this._aborted) return true;
+    if (!this._paused) return false;
+    this.tasksByAgent.set(agentDef.id, remainingTasks);
+    this.agentQueue.unshift(agentDef);
+    this._requeued.add(agentDef.id);
+    return true;
+  }
+
+  /** Continue a paused run with the remaining queue. */
+  resume() {
+    if (this.status !== RunnerStatus.PAUSED) return;
+    this._paused = false;
+    this.status = RunnerStatus.RUNNING;
+    this._emitProgress();
+    this._refill?.();
+  }
+
   /**
    * Process a single agent through the full cycle:
-   * spawn (if needed) → think → LLM decision → say → moveTo → pick → exit
+   * spawn (if needed) → wander → [think → LLM decision → say] per task
+   * → moveTo → pick → exit
    */
-  async _processAgent(agentDef, startedAt = Date.now()) {
+  async _processAgent(agentDef) {
     // Spawn the agent if it wasn't pre-spawned during init
     let spriteId = this.spriteLookup.get(agentDef.id);
     if (!spriteId) {
@@ -587,174 +753,254 @@ export class ExperimentRunner {
       );
     }
 
-    // 2. Show thinking indicator
-    this.runtime.showThinking(spriteId);
-    this.onAgentUpdate({
-      type: "agent.thinking",
-      agentId: agentDef.id,
-      spriteId,
-      name: agentDef.name,
-    });
-
-    let decision;
-    try {
-      // 3. Call LLM for decision (max 6 in parallel by default)
-      decision = await this._runDecision(() =>
-        getAgentDecision({
-          agent: agentDef,
-          alternatives: this.alternatives.map((a) => ({
-            id: a.id,
-            name: a.name,
-            features: a.features || {},
-          })),
-          experiment: {
-            name: this.experiment.name,
-            description: this.experiment.description,
-            featureSchema: this.experiment.featureSchema,
-          },
-          modelTag: agentDef.modelTag,
-        }),
-      );
-    } finally {
-      // 4. Clear thinking regardless of decision outcome
-      this.runtime.clearThinking(spriteId);
+    // 2. Answer each choice task in turn
+    const tasks = this.tasksByAgent.get(agentDef.id) || [];
+    let lastChosenAlt = null;
+    for (const [index, task] of tasks.entries()) {
+      if (this._stopBeforeTask(agentDef, tasks.slice(index))) break;
+      const chosenAlt = await this._processTask(agentDef, spriteId, task);
+      if (chosenAlt) lastChosenAlt = chosenAlt;
     }
 
-    const normalizedDecision = this._normalizeDecision(decision);
+    // Stopped by a pause: leave the world and respawn on resume
+    if (this._requeued.has(agentDef.id)) {
+      await this.runtime.exit(spriteId);
+      this.spriteLookup.delete(agentDef.id);
+      return;
+    }
 
-    const chosenAlt = this.alternatives.find(
-      (a) => a.id === normalizedDecision.chosenAlternativeId,
-    );
-    const chosenOptionId = chosenAlt
-      ? this.altToOptionId.get(chosenAlt.id)
+    // 3. Move to the building picked in the last answered task
+    const chosenOptionId = lastChosenAlt
+      ? this.altToOptionId.get(lastChosenAlt.id)
       : null;
+    if (chosenOptionId) {
+      await this.runtime.moveTo(spriteId, chosenOptionId);
 
-    if (normalizedDecision.error) {
-      await this.runtime.say(
-        spriteId,
-        this._truncateText(normalizedDecision.reason || "Could not decide..."),
-      );
-      await this.runtime.exit(spriteId);
-      this.responses.push({
-        agentId: agentDef.id,
-        segmentId: agentDef.segmentId,
-        traits: agentDef.traits,
-        chosenAlternativeId: null,
-        chosenAlternativeName: null,
-        chosen: "NONE",
-        reason: normalizedDecision.reason || "No decision",
-        confidence: 0,
-        reasonCodes: [],
-        error: true,
-        timings: { startedAt, endedAt: Date.now() },
-      });
-      return;
+      // 4. Pick from chosen building
+      try {
+        await this.runtime.pick(spriteId, chosenOptionId);
+      } catch {
+        // pick can fail if range is slightly off — not critical
+      }
     }
 
-    if (normalizedDecision.chosenAlternativeId === "NONE") {
+    // 5. Exit the world
+    await this.runtime.exit(spriteId);
+  }
+
+  /**
+   * Run one choice task for an agent: think → LLM decision → say → record.
+   * @returns {Promise<object|null>} the chosen alternative, or null
+   */
+  async _processTask(agentDef, spriteId, task) {
+    const startedAt = Date.now();
+    const shownAlternatives = task.shownAlternatives
+      .map((id) => this.alternatives.find((a) => a.id === id))
+      .filter(Boolean);
+
+    try {
+      // Show thinking indicator
+      this.runtime.showThinking(spriteId);
       this.onAgentUpdate({
-        type: "agent.decided_none",
+        type: "agent.thinking",
         agentId: agentDef.id,
         spriteId,
         name: agentDef.name,
-        chosen: "None",
-        reason: normalizedDecision.reason,
-        confidence: normalizedDecision.confidence,
+        taskId: task.id,
       });
 
-      await this.runtime.say(
-        spriteId,
-        this._truncateText(normalizedDecision.reason),
+      let decision;
+      try {
+        // Call LLM for decision (max 6 in parallel by default)
+        decision = await this._runDecision(() =>
+          getAgentDecision({
+            agent: agentDef,
+            alternatives: shownAlternatives.map((a) => ({
+              id: a.id,
+              name: a.name,
+              features: a.features || {},
+            })),
+            experiment: {
+              name: this.experiment.name,
+              description: this.experiment.description,
+              featureSchema: this.experiment.featureSchema,
+            },
+            modelTag: agentDef.modelTag,
+            allowNone: task.includeNone,
+            cacheMode: this.cacheMode,
+            cacheVariant: `${agentDef.id}#${this.taskSequence.get(task.id)}`,
+            deliberate: Boolean(this.experiment?.taskPlan?.deliberation),
+            responseFormat: task.responseFormat,
+            allocationUnits: task.allocationUnits,
+            dualResponse: Boolean(task.dualResponse),
+          }),
+        );
+      } finally {
+        // Clear thinking regardless of decision outcome
+        this.runtime.clearThinking(spriteId);
+      }
+
+      const normalizedDecision = this._normalizeDecision(decision);
+      const chosenAlt = shownAlternatives.find(
+        (a) => a.id === normalizedDecision.chosenAlternativeId,
       );
-      await this.runtime.exit(spriteId);
 
-      this.responses.push({
+      if (normalizedDecision.error) {
+        await this.runtime.say(
+          spriteId,
+          this._truncateText(
+            normalizedDecision.reason || "Could not decide...",
+          ),
+        );
+        this._recordResponse(agentDef, task, startedAt, {
+          reason: normalizedDecision.reason || "No decision",
+          error: true,
+          decisionStatus: normalizedDecision.decisionStatus,
+          rawText: normalizedDecision.rawText,
+          evaluation: normalizedDecision.evaluation,
+          usage: normalizedDecision.usage,
+        });
+        return null;
+      }
+
+      if (normalizedDecision.chosenAlternativeId === "NONE") {
+        this.onAgentUpdate({
+          type: "agent.decided_none",
+          agentId: agentDef.id,
+          spriteId,
+          name: agentDef.name,
+          taskId: task.id,
+          chosen: "None",
+          reason: normalizedDecision.reason,
+          confidence: normalizedDecision.confidence,
+        });
+
+        await this.runtime.say(
+          spriteId,
+          this._truncateText(normalizedDecision.reason),
+        );
+        this._recordResponse(agentDef, task, startedAt, {
+          reason: normalizedDecision.reason,
+          confidence: normalizedDecision.confidence,
+          reasonCodes: normalizedDecision.reasonCodes,
+          decisionStatus: normalizedDecision.decisionStatus,
+          rawText: normalizedDecision.rawText,
+          evaluation: normalizedDecision.evaluation,
+          usage: normalizedDecision.usage,
+        });
+        return null;
+      }
+
+      this.onAgentUpdate({
+        type: "agent.decided",
         agentId: agentDef.id,
-        segmentId: agentDef.segmentId,
-        traits: agentDef.traits,
-        chosenAlternativeId: null,
-        chosenAlternativeName: null,
-        chosen: "NONE",
+        spriteId,
+        name: agentDef.name,
+        taskId: task.id,
+        chosen:
+          chosenAlt?.name || normalizedDecision.chosenAlternativeId || "None",
         reason: normalizedDecision.reason,
         confidence: normalizedDecision.confidence,
-        reasonCodes: normalizedDecision.reasonCodes,
-        error: false,
-        timings: { startedAt, endedAt: Date.now() },
+        warning: normalizedDecision.warning,
       });
-      return;
-    }
 
-    this.onAgentUpdate({
-      type: "agent.decided",
-      agentId: agentDef.id,
-      spriteId,
-      name: agentDef.name,
-      chosen:
-        chosenAlt?.name || normalizedDecision.chosenAlternativeId || "None",
-      reason: normalizedDecision.reason,
-      confidence: normalizedDecision.confidence,
-      warning: normalizedDecision.warning,
-    });
+      if (!chosenAlt || !this.altToOptionId.get(chosenAlt.id)) {
+        await this.runtime.say(
+          spriteId,
+          this._truncateText(
+            `Could not map choice "${normalizedDecision.chosenAlternativeId}".`,
+          ),
+        );
+        this._recordResponse(agentDef, task, startedAt, {
+          reason: `Invalid mapped choice: ${normalizedDecision.chosenAlternativeId}`,
+          error: true,
+          decisionStatus: DecisionStatus.INVALID_CHOICE,
+          rawText: normalizedDecision.rawText,
+          evaluation: normalizedDecision.evaluation,
+          usage: normalizedDecision.usage,
+        });
+        return null;
+      }
 
-    if (!chosenOptionId) {
+      // Say the reason, then record the response
       await this.runtime.say(
         spriteId,
-        this._truncateText(
-          `Could not map choice "${normalizedDecision.chosenAlternativeId}".`,
-        ),
+        this._truncateText(normalizedDecision.reason),
       );
-      await this.runtime.exit(spriteId);
-
-      this.responses.push({
-        agentId: agentDef.id,
-        segmentId: agentDef.segmentId,
-        traits: agentDef.traits,
-        chosenAlternativeId: null,
-        chosenAlternativeName: null,
-        chosen: "NONE",
-        reason: `Invalid mapped choice: ${normalizedDecision.chosenAlternativeId}`,
-        confidence: 0,
-        reasonCodes: [],
-        error: true,
-        timings: { startedAt, endedAt: Date.now() },
+      this._recordResponse(agentDef, task, startedAt, {
+        chosenAlternativeId: chosenAlt.id,
+        chosenAlternativeName: chosenAlt.name,
+        chosen: chosenAlt.id, // alias for aggregate compat
+        worst: normalizedDecision.worstAlternativeId,
+        ranking: normalizedDecision.ranking,
+        allocation: normalizedDecision.allocation,
+        wouldBuy: normalizedDecision.wouldBuy,
+        wouldBuyReason: normalizedDecision.wouldBuyReason,
+        reason: normalizedDecision.reason,
+        confidence: normalizedDecision.confidence,
+        reasonCodes: normalizedDecision.reasonCodes,
+        decisionStatus: normalizedDecision.decisionStatus,
+        rawText: normalizedDecision.rawText,
+        evaluation: normalizedDecision.evaluation,
+        usage: normalizedDecision.usage,
       });
-      return;
-    }
-
-    // 5. Say the reason
-    await this.runtime.say(
-      spriteId,
-      this._truncateText(normalizedDecision.reason),
-    );
-
-    // 6. Move to chosen building
-    await this.runtime.moveTo(spriteId, chosenOptionId);
-
-    // 7. Pick from chosen building
-    try {
-      await this.runtime.pick(spriteId, chosenOptionId);
-    } catch {
-      // pick can fail if range is slightly off — not critical
+      return chosenAlt;
+    } finally {
+      this._tasksCompleted++;
+      this._emitProgress();
     }
+  }
 
-    // 8. Exit the world
-    await this.runtime.exit(spriteId);
-
-    // 9. Record the response
-    const endedAt = Date.now();
-    this.responses.push({
+  /**
+   * Append a response for a task. Defaults describe a "NONE" answer.
+   */
+  _recordResponse(agentDef, task, startedAt, fields) {
+    const response = {
       agentId: agentDef.id,
       segmentId: agentDef.segmentId,
+      modelTag: agentDef.modelTag,
       traits: agentDef.traits,
-      chosenAlternativeId: chosenAlt.id,
-      chosenAlternativeName: chosenAlt.name,
-      chosen: chosenAlt.id, // alias for aggregate compat
-      reason: normalizedDecision.reason,
-      confidence: normalizedDecision.confidence,
-      reasonCodes: normalizedDecision.reasonCodes,
+      taskId: task?.id ?? null,
+      shownAlternatives: task?.shownAlternatives ?? [],
+      chosenAlternativeId: null,
+      chosenAlternativeName: null,
+      chosen: "NONE",
+      worst: null,
+      ranking: null,
+      allocation: null,
+      wouldBuy: null,
+      wouldBuyReason: null,
+      priceThresholds: null,
+      price: null,
+      purchaseLikelihood: null,
+      featureKey: null,
+      kanoAnswers: null,
+      reason: "",
+      confidence: 0,
+      reasonCodes: [],
       error: false,
-      timings: { startedAt, endedAt },
-    });
+      decisionStatus: DecisionStatus.OK,
+      rawText: null,
+      evaluation: null,
+      usage: null,
+      ...fields,
+      timings: { startedAt, endedAt: Date.now() },
+    };
+    this.responses.push(response);
+    addResponseUsage(this.usage, response);
+    this.onResponse(response);
+
+    if (this._isOverBudget() && this.status === RunnerStatus.RUNNING) {
+      this.budgetExceeded = true;
+      this.pause();
+      this.onBudgetExceeded(this.usage);
+    }
+  }
+
+  _isOverBudget() {
+    return (
+      this.budgetUsd !== null && this.usage.total.costUsd >= this.budgetUsd
+    );
   }
 
   // -----------------------------------------------------------------------
@@ -774,11 +1020,15 @@ export class ExperimentRunner {
   getResults() {
     return {
       responses: this.responses,
+      tasks: this.tasks,
       agents: this.allAgents,
       alternatives: this.alternatives,
       experiment: this.experiment,
       totalAgents: this._totalCount,
       completedAgents: this._completedCount,
+      totalTasks: this.tasks.length,
+      completedTasks: this._tasksCompleted,
+      usage: this.usage,
     };
   }
 
@@ -799,6 +1049,11 @@ export class ExperimentRunner {
       optionsFailed: this._optionsFailed,
       initialSpawnTarget: this._initialSpawnTarget,
       initialSpawned: this._initialSpawned,
+      tasksTotal: this.tasks.length,
+      tasksCompleted: this._tasksCompleted,
+      usage: this.usage,
+      budgetUsd: this.budgetUsd,
+      budgetExceeded: this.budgetExceeded,
     });
   }
 
@@ -827,11 +1082,23 @@ export class ExperimentRunner {
       : [];
     return {
       chosenAlternativeId: decision?.chosenAlternativeId || "NONE",
+      worstAlternativeId: decision?.worstAlternativeId || null,
+      ranking: Array.isArray(decision?.ranking) ? decision.ranking : null,
+      allocation: decision?.allocation || null,
+      wouldBuy:
+        typeof decision?.wouldBuy === "boolean" ? decision.wouldBuy : null,
+      wouldBuyReason: decision?.wouldBuyReason || null,
       reason,
       confidence,
       reasonCodes,
       error: decision?.error || null,
       warning: decision?.warning || null,
+      decisionStatus: decision?.decisionStatus || DecisionStatus.OK,
+      rawText: decision?.rawText ?? null,
+      evaluation: Array.isArray(decision?.evaluation)
+        ? decision.evaluation
+        : null,
+      usage: decision?.usage || null,
     };
   }
 
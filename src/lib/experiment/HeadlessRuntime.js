@@ -0,0 +1,72 @@
+/**
+ * HeadlessRuntime — a SimWorldRuntime stand-in with the world detached.
+ *
+ * Implements the runtime methods ExperimentRunner calls, but every
+ * animation (wander, say, moveTo, pick, exit) resolves immediately, so a
+ * run is bounded only by LLM latency and decision concurrency. Runs without
+ * a browser, e.g. from a route handler.
+ */
+
+/** Concurrent LLM decisions when no animation is holding agents back */
+export const HEADLESS_DECISION_CONCURRENCY = 32;
+
+export class HeadlessRuntime {
+  constructor() {
+    /** Lets ExperimentRunner skip sprite generation and pre-spawning */
+    this.headless = true;
+
+    /** @type {Map<string, { id: string, label: string }>} */
+    this.optionsMap = new Map();
+
+    /** @type {Map<string, { id: string, name: string, segment: string }>} */
+    this.spritesMap = new Map();
+  }
+
+  onAction() {
+    return () => {};
+  }
+
+  setOptionCount() {}
+
+  addOption(optionConfig) {
+    const option = { id: optionConfig.id, label: optionConfig.label };
+    this.optionsMap.set(option.id, option);
+    return option;
+  }
+
+  getOptions() {
+    return [...this.optionsMap.values()];
+  }
+
+  updateOptionVisual() {}
+
+  async addSprite(personality = {}) {
+    const sprite = {
+      id: personality.id,
+      name: personality.name,
+      segment: personality.segment,
+    };
+    this.spritesMap.set(sprite.id, sprite);
+    return sprite;
+  }
+
+  getSprites() {
+    return [...this.spritesMap.values()];
+  }
+
+  async wander() {}
+
+  async say() {}
+
+  async moveTo() {}
+
+  async pick() {}
+
+  showThinking() {}
+
+  clearThinking() {}
+
+  async exit(spriteId) {
+    this.spritesMap.delete(spriteId);
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * KanoStudyRunner — runs a Kano questionnaire.
+ *
+ * Like PricingStudyRunner it is meant for a HeadlessRuntime: each agent
+ * answers the functional and dysfunctional question of every binary and
+ * categorical feature in turn (see generateKanoTasks), one feature per
+ * conversation. Queueing, pause/resume, budgets, usage and checkpointing are
+ * inherited from ExperimentRunner unchanged.
+ *
+ * Responses keep the choice fields at their "NONE" defaults and carry the
+ * answers in `kanoAnswers` (with the asked `featureKey`).
+ */
+
+import { getKanoAnswer } from "@/app/experiments/[experimentId]/run/actions";
+import { generateKanoTasks } from "@/lib/domain/kano";
+import { DecisionStatus } from "@/lib/domain/quality";
+import { ExperimentRunner } from "./ExperimentRunner";
+
+export class KanoStudyRunner extends ExperimentRunner {
+  _generateTasks(agents) {
+    return generateKanoTasks({
+      agents,
+      features: this.experiment?.featureSchema?.features || [],
+    });
+  }
+
+  async _processAgent(agentDef) {
+    this.onAgentUpdate({
+      type: "agent.processing",
+      agentId: agentDef.id,
+      name: agentDef.name,
+    });
+
+    const tasks = this.tasksByAgent.get(agentDef.id) || [];
+    for (const [index, task] of tasks.entries()) {
+      if (this._stopBeforeTask(agentDef, tasks.slice(index))) break;
+      await this._processQuestion(agentDef, task);
+    }
+  }
+
+  /**
+   * Ask the Kano questions of one feature and record the answers.
+   */
+  async _processQuestion(agentDef, task) {
+    const startedAt = Date.now();
+    try {
+      const feature = this.experiment.featureSchema?.features?.find(
+        (f) => f.key === task.featureKey,
+      );
+      if (!feature) {
+        throw new Error(`Feature "${task.featureKey}" is not in the schema`);
+      }
+
+      const answer = await this._runDecision(() =>
+        getKanoAnswer({
+          agent: agentDef,
+          experiment: {
+            name: this.experiment.name,
+            description: this.experiment.description,
+          },
+          feature,
+          modelTag: agentDef.modelTag,
+          cacheMode: this.cacheMode,
+          cacheVariant: `${agentDef.id}#${this.taskSequence.get(task.id)}`,
+        }),
+      );
+
+      this._recordResponse(agentDef, task, startedAt, {
+        featureKey: task.featureKey,
+        kanoAnswers: answer?.kanoAnswers || null,
+        reason: (answer?.reason || "").trim(),
+        error: Boolean(answer?.error),
+        decisionStatus: answer?.decisionStatus || DecisionStatus.OK,
+        rawText: answer?.rawText ?? null,
+        usage: answer?.usage || null,
+      });
+
+      this.onAgentUpdate({
+        type: "agent.answered",
+        agentId: agentDef.id,
+        name: agentDef.name,
+        taskId: task.id,
+        reason: answer?.reason || "",
+        warning: answer?.warning || answer?.error || null,
+      });
+    } catch (err) {
+      console.error(
+        `[KanoStudyRunner] Question ${task.id} failed for ${agentDef.name}:`,
+        err,
+      );
+      this._recordResponse(agentDef, task, startedAt, {
+        featureKey: task.featureKey ?? null,
+        reason: `Error: ${err.message}`,
+        error: true,
+        decisionStatus: DecisionStatus.LLM_ERROR,
+      });
+    } finally {
+      this._tasksCompleted++;
+      this._emitProgress();
+    }
+  }
+}
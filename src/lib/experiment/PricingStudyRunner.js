@@ -0,0 +1,101 @@
+/**
+ * PricingStudyRunner — runs a single-product pricing study.
+ *
+ * Van Westendorp and Gabor-Granger studies have no alternatives to walk to,
+ * so this runner is meant for a HeadlessRuntime: each agent answers its
+ * pricing questions in turn (see generatePricingTasks) and nothing is
+ * animated. Queueing, pause/resume, budgets, usage and checkpointing are
+ * inherited from ExperimentRunner unchanged.
+ *
+ * Responses keep the choice fields at their "NONE" defaults and carry the
+ * answer in `priceThresholds` or `purchaseLikelihood` (with the asked
+ * `price`).
+ */
+
+import { getPricingAnswer } from "@/app/experiments/[experimentId]/run/actions";
+import { generatePricingTasks } from "@/lib/domain/pricing";
+import { DecisionStatus } from "@/lib/domain/quality";
+import { getStudyType } from "@/lib/domain/studyType";
+import { ExperimentRunner } from "./ExperimentRunner";
+
+export class PricingStudyRunner extends ExperimentRunner {
+  _generateTasks(agents) {
+    return generatePricingTasks({
+      agents,
+      studyType: getStudyType(this.experiment),
+      pricingPlan: this.experiment?.pricingPlan,
+    });
+  }
+
+  async _processAgent(agentDef) {
+    this.onAgentUpdate({
+      type: "agent.processing",
+      agentId: agentDef.id,
+      name: agentDef.name,
+    });
+
+    const tasks = this.tasksByAgent.get(agentDef.id) || [];
+    for (const [index, task] of tasks.entries()) {
+      if (this._stopBeforeTask(agentDef, tasks.slice(index))) break;
+      await this._processQuestion(agentDef, task);
+    }
+  }
+
+  /**
+   * Ask one pricing question and record the answer.
+   */
+  async _processQuestion(agentDef, task) {
+    const startedAt = Date.now();
+    try {
+      const answer = await this._runDecision(() =>
+        getPricingAnswer({
+          agent: agentDef,
+          experiment: {
+            name: this.experiment.name,
+            description: this.experiment.description,
+            pricingPlan: this.experiment.pricingPlan,
+          },
+          modelTag: agentDef.modelTag,
+          responseFormat: task.responseFormat,
+          price: task.price,
+          cacheMode: this.cacheMode,
+          cacheVariant: `${agentDef.id}#${this.taskSequence.get(task.id)}`,
+        }),
+      );
+
+      this._recordResponse(agentDef, task, startedAt, {
+        priceThresholds: answer?.priceThresholds || null,
+        price: task.price ?? null,
+        purchaseLikelihood: answer?.purchaseLikelihood ?? null,
+        reason: (answer?.reason || "").trim(),
+        error: Boolean(answer?.error),
+        decisionStatus: answer?.decisionStatus || DecisionStatus.OK,
+        rawText: answer?.rawText ?? null,
+        usage: answer?.usage || null,
+      });
+
+      this.onAgentUpdate({
+        type: "agent.answered",
+        agentId: agentDef.id,
+        name: agentDef.name,
+        taskId: task.id,
+        reason: answer?.reason || "",
+        warning: answer?.warning || answer?.error || null,
+      });
+    } catch (err) {
+      console.error(
+        `[PricingStudyRunner] Question ${task.id} failed for ${agentDef.name}:`,
+        err,
+      );
+      this._recordResponse(agentDef, task, startedAt, {
+        price: task.price ?? null,
+        reason: `Error: ${err.message}`,
+        error: true,
+        decisionStatus: DecisionStatus.LLM_ERROR,
+      });
+    } finally {
+      this._tasksCompleted++;
+      this._emitProgress();
+    }
+  }
+}
@@ -0,0 +1,363 @@
+/**
+ * RunCheckpoint — persists a run incrementally so it survives a closed tab.
+ *
+ * The run document and its tasks are written before the first decision, and
+ * each response is written as soon as the runner records it. A run that
+ * stops early keeps status "running"/"paused" and can be resumed: the saved
+ * tasks and answered task ids are turned back into ExperimentRunner's
+ * `resumeFrom` option.
+ *
+ * The run document also keeps the run's LLM usage totals (by modelTag and
+ * segment, including failed decisions) and its optional budget cap. A replay run records the run it replays.
+ *
+ * Used by the SimWorld run page and by the headless runner.
+ */
+
+import { computeResults } from "@/lib/domain/aggregate";
+import { computeKanoResults } from "@/lib/domain/kano";
+import { computePricingResults } from "@/lib/domain/pricing";
+import {
+  getStudyType,
+  isPricingStudy,
+  StudyType,
+} from "@/lib/domain/studyType";
+import { ResponseFormat } from "@/lib/domain/taskgen";
+import {
+  addResponseUsage,
+  createRunUsage,
+  summarizeUsage,
+} from "@/lib/domain/usage";
+import {
+  addResponse,
+  addTask,
+  createRun,
+  getResponses,
+  getRun,
+  getTasks,
+  saveResultsSummary,
+  updateRun,
+} from "@/lib/firebase/db";
+
+/**
+ * Snapshot of the experiment config a run was started with
+ * @param {Object} experiment
+ * @returns {import('@/models/firestore').RunConfigSnapshot}
+ */
+export function buildConfigSnapshot(experiment) {
+  return {
+    featureSchemaVersion: experiment.featureSchema?.version || 1,
+    agentPlan: experiment.agentPlan,
+    taskPlan: experiment.taskPlan || null,
+    choiceFormat: experiment.choiceFormat || null,
+    studyType: getStudyType(experiment),
+    pricingPlan: experiment.pricingPlan || null,
+  };
+}
+
+/**
+ * The experiment as it was configured for a run, so a resumed run rebuilds
+ * the same agent ids as the saved tasks
+ * @param {Object} experiment
+ * @param {import('@/models/firestore').RunConfigSnapshot} [snapshot]
+ */
+export function applyConfigSnapshot(experiment, snapshot = {}) {
+  return {
+    ...experiment,
+    agentPlan: snapshot.agentPlan || experiment.agentPlan,
+    taskPlan: snapshot.taskPlan ?? experiment.taskPlan,
+    choiceFormat: snapshot.choiceFormat ?? experiment.choiceFormat,
+    studyType: snapshot.studyType ?? experiment.studyType,
+    pricingPlan: snapshot.pricingPlan ?? experiment.pricingPlan,
+  };
+}
+
+/**
+ * Load what a partially finished run already has on disk
+ * @param {string} experimentId
+ * @param {string} runId
+ * @returns {Promise<{ run: Object, resumeFrom: { tasks: Object[], answeredTaskIds: string[], usage: Object }, savedResponses: number } | null>}
+ */
+export async function loadResumeState(experimentId, runId) {
+  const [run, savedTasks, savedResponses] = await Promise.all([
+    getRun(experimentId, runId),
+    getTasks(experimentId, runId),
+    getResponses(experimentId, runId),
+  ]);
+  if (!run) return null;
+
+  return {
+    run,
+    resumeFrom: {
+      tasks: [...savedTasks]
+        .sort((a, b) => (a.sequence ?? 0) - (b.sequence ?? 0))
+        .map((t) => ({
+          id: t.id,
+          agentId: t.agentId,
+          shownAlternatives: t.shownAlternatives || [],
+          includeNone: t.includeNone,
+          responseFormat: t.responseFormat || ResponseFormat.CHOICE,
+          allocationUnits: t.allocationUnits ?? null,
+          dualResponse: Boolean(t.dualResponse),
+          price: t.price ?? null,
+          featureKey: t.featureKey ?? null,
+          isHoldout: t.isHoldout,
+          isRepeatOf: t.isRepeatOf || null,
+        })),
+      answeredTaskIds: savedResponses.map((r) => r.taskId).filter(Boolean),
+      usage: run.usage || summarizeUsage(savedResponses),
+    },
+    savedResponses: savedResponses.length,
+  };
+}
+
+export class RunCheckpoint {
+  /**
+   * @param {object} opts
+   * @param {string} opts.experimentId
+   * @param {string | null} [opts.runId] — existing run when resuming
+   * @param {object[]} [opts.savedTasks] — tasks already on the run (resume)
+   * @param {number} [opts.savedResponses] — responses already on the run (resume)
+   * @param {object} [opts.usage] — usage totals already on the run (resume)
+   * @param {function} [opts.onError] — (failedCount, err) => void, called when a response write fails
+   */
+  constructor({
+    experimentId,
+    runId = null,
+    savedTasks = [],
+    savedResponses = 0,
+    usage = null,
+    onError,
+  }) {
+    this.experimentId = experimentId;
+    this.runId = runId;
+    this.onError = onError || (() => {});
+
+    /** @type {Map<string, string>} runner task id → Firestore ID */
+    this.taskDocIds = new Map(savedTasks.map((t) => [t.id, t.id]));
+
+    this.savedCount = savedResponses;
+    this.usage = usage ? structuredClone(usage) : createRunUsage();
+    this.failedCount = 0;
+    /** Tasks without a saved response when finalize() last ran */
+    this.missingCount = 0;
+    this._pending = new Set();
+  }
+
+  /**
+   * Create the run document (new runs) or mark it running again (resume),
+   * then save any tasks that aren't on the run yet.
+   * @param {object} experiment
+   * @param {object[]} tasks — the runner's full task list
+   * @param {{ budgetUsd?: number | null, replayOf?: string | null }} [opts]
+   * @returns {Promise<string>} run id
+   */
+  async begin(experiment, tasks, { budgetUsd = null, replayOf = null } = {}) {
+    if (this.runId) {
+      await updateRun(this.experimentId, this.runId, {
+        status: "running",
+        budgetUsd,
+      });
+    } else {
+      this.runId = await createRun(this.experimentId, {
+        status: "running",
+        progress: { totalTasks: tasks.length, completedTasks: 0 },
+        configSnapshot: buildConfigSnapshot(experiment),
+        usage: this.usage,
+        budgetUsd,
+        replayOf,
+        completedAt: null,
+      });
+    }
+    await this.persistTasks(tasks);
+    return this.runId;
+  }
+
+  /**
+   * Save tasks that don't have a Firestore ID yet. Repeats are saved after
+   * the originals so isRepeatOf can point at the original's Firestore ID.
+   * @param {object[]} tasks
+   */
+  async persistTasks(tasks) {
+    const sequence = new Map(tasks.map((t, i) => [t.id, i]));
+    const saveTasks = (batch) =>
+      Promise.all(
+        batch.map(async (t) => {
+          const taskDocId = await addTask(this.experimentId, this.runId, {
+            agentId: t.agentId,
+            shownAlternatives: t.shownAlternatives,
+            includeNone: t.includeNone,
+            responseFormat: t.responseFormat || ResponseFormat.CHOICE,
+            allocationUnits: t.allocationUnits ?? null,
+            dualResponse: Boolean(t.dualResponse),
+            price: t.price ?? null,
+            featureKey: t.featureKey ?? null,
+            isHoldout: t.isHoldout,
+            isRepeatOf: t.isRepeatOf
+              ? this.taskDocIds.get(t.isRepeatOf) || null
+              : null,
+            sequence: sequence.get(t.id),
+          });
+          this.taskDocIds.set(t.id, taskDocId);
+        }),
+      );
+    const unsaved = tasks.filter((t) => !this.taskDocIds.has(t.id));
+    await saveTasks(unsaved.filter((t) => !t.isRepeatOf));
+    await saveTasks(unsaved.filter((t) => t.isRepeatOf));
+  }
+
+  /**
+   * Write one runner response. Failed decisions are saved as "NONE" with
+   * their decision status, like a decision whose LLM call threw, so the run
+   * can complete and the estimates can leave them out as fallbacks. An
+   * agent that crashed answered no task; its tasks stay missing, and only
+   * its usage is kept. Never throws; failures go to onError.
+   * @param {object} r — response as recorded by ExperimentRunner
+   */
+  saveResponse(r) {
+    if (!this.runId) return;
+    const runId = this.runId;
+    addResponseUsage(this.usage, r);
+
+    if (r.error && !r.taskId) {
+      if (r.usage) {
+        this._track(
+          updateRun(this.experimentId, runId, { usage: this.usage }).catch(
+            (err) => {
+              console.error("[RunCheckpoint] Usage write failed:", err);
+            },
+          ),
+        );
+      }
+      return;
+    }
+
+    const write = addResponse(this.experimentId, runId, {
+      taskId: this.taskDocIds.get(r.taskId) || null,
+      agentId: r.agentId,
+      segmentId: r.segmentId ?? null,
+      modelTag: r.modelTag ?? null,
+      traits: r.traits ?? null,
+      shownAlternatives: r.shownAlternatives ?? [],
+      chosen: r.chosenAlternativeId || "NONE",
+      worst: r.worst ?? null,
+      ranking: r.ranking ?? null,
+      allocation: r.allocation ?? null,
+      wouldBuy: r.wouldBuy ?? null,
+      wouldBuyReason: r.wouldBuyReason ?? null,
+      priceThresholds: r.priceThresholds ?? null,
+      price: r.price ?? null,
+      purchaseLikelihood: r.purchaseLikelihood ?? null,
+      featureKey: r.featureKey ?? null,
+      kanoAnswers: r.kanoAnswers ?? null,
+      confidence: r.confidence,
+      reasonCodes: r.reasonCodes,
+      explanation: r.reason,
+      timings: r.timings,
+      decisionStatus: r.decisionStatus ?? null,
+      rawText: r.rawText ?? null,
+      evaluation: r.evaluation ?? null,
+      usage: r.usage ?? null,
+    })
+      .then(() => {
+        this.savedCount++;
+        return updateRun(this.experimentId, runId, {
+          "progress.completedTasks": this.savedCount,
+          usage: this.usage,
+        });
+      })
+      .catch((err) => {
+        console.error("[RunCheckpoint] Response write failed:", err);
+        this.failedCount++;
+        this.onError(this.failedCount, err);
+      });
+    this._track(write);
+  }
+
+  _track(write) {
+    const tracked = write.finally(() => {
+      this._pending.delete(tracked);
+    });
+    this._pending.add(tracked);
+  }
+
+  /** Wait for in-flight response writes */
+  async flush() {
+    await Promise.all([...this._pending]);
+  }
+
+  /**
+   * Set the run status, writing the latest usage totals with it (usage
+   * writes from concurrent responses may land out of order)
+   * @param {import('@/models/firestore').RunStatus} status
+   * @param {Object} [fields] - Other run fields to write with it
+   */
+  async setStatus(status, fields = {}) {
+    await updateRun(this.experimentId, this.runId, {
+      ...fields,
+      status,
+      usage: this.usage,
+    });
+  }
+
+  /**
+   * @param {number | null} budgetUsd
+   */
+  async setBudget(budgetUsd) {
+    await updateRun(this.experimentId, this.runId, { budgetUsd });
+  }
+
+  /**
+   * Compute the results summary from the saved tasks and responses (the
+   * pricing analysis for pricing studies) and mark the run complete. If some
+   * tasks have no saved response (the write failed, or the agent crashed
+   * before answering) the run is left paused instead, so resuming re-runs
+   * the missing tasks; `missingCount` says how many.
+   *
+   * @param {object} experiment
+   * @param {object[]} alternatives
+   * @returns {Promise<boolean>} whether the run was completed
+   */
+  async finalize(experiment, alternatives) {
+    await this.flush();
+
+    const [savedTasks, savedResponses] = await Promise.all([
+      getTasks(this.experimentId, this.runId),
+      getResponses(this.experimentId, this.runId),
+    ]);
+    const answered = new Set(savedResponses.map((r) => r.taskId));
+    this.missingCount = savedTasks.filter((t) => !answered.has(t.id)).length;
+    if (this.failedCount > 0 || this.missingCount > 0) {
+      await this.setStatus("paused");
+      return false;
+    }
+    const segments = experiment.agentPlan?.segments || [];
+    const studyType = getStudyType(experiment);
+    const computed = isPricingStudy(experiment)
+      ? computePricingResults({
+          studyType,
+          responses: savedResponses,
+          segments,
+        })
+      : studyType === StudyType.KANO
+        ? computeKanoResults({ responses: savedResponses, segments })
+        : computeResults({
+            responses: savedResponses,
+            alternatives,
+            features: experiment.featureSchema?.features || [],
+            segments,
+            tasks: savedTasks,
+            seed: this.runId,
+          });
+    await saveResultsSummary(this.experimentId, this.runId, computed);
+    await updateRun(this.experimentId, this.runId, {
+      status: "complete",
+      usage: this.usage,
+      progress: {
+        totalTasks: savedTasks.length,
+        completedTasks: savedResponses.length,
+      },
+      completedAt: new Date(),
+    });
+    return true;
+  }
+}
@@ -0,0 +1,611 @@
+/**
+ * Decision prompt — the messages an agent's LLM call is built from.
+ *
+ * Shared by the getAgentDecision server action and the pre-run estimator,
+ * so cost estimates measure the same prompt the run will send.
+ *
+ * In deliberation mode the agent first writes a private evaluation of every
+ * option (pros, cons and a 1–10 score per feature) and only then commits to
+ * a choice in a second turn.
+ *
+ * Best-worst (MaxDiff), ranking and allocation tasks replace the single
+ * pick with their own instructions and reply shape; see ResponseFormat in
+ * taskgen.
+ *
+ * Dual-response tasks follow a forced choice with a second turn asking
+ * whether the agent would actually buy what it chose.
+ */
+
+import { DEFAULT_ALLOCATION_UNITS, ResponseFormat } from "@/lib/domain/taskgen";
+
+// ---------------------------------------------------------------------------
+// Sections
+// ---------------------------------------------------------------------------
+
+export function buildExperimentContext(experiment) {
+  const lines = [];
+  lines.push("## Experiment Context");
+  lines.push(`**Name:** ${experiment.name || "Unnamed Experiment"}`);
+  if (experiment.description) {
+    lines.push(`**Description:** ${experiment.description}`);
+  }
+  return lines.join("\n");
+}
+
+function buildFeatureSchemaSection(features) {
+  if (!features || features.length === 0) return "";
+
+  const lines = ["## Feature Definitions"];
+  for (const f of features) {
+    let detail = `- **${f.label || f.key}** (${f.type})`;
+    if (f.type === "continuous" && f.unit) {
+      detail += ` — range: ${f.min ?? "?"} to ${f.max ?? "?"} ${f.unit}`;
+    } else if (f.type === "categorical" && f.categories?.length) {
+      detail += ` — options: ${f.categories.join(", ")}`;
+    } else if (f.type === "binary") {
+      detail += " — Yes / No";
+    }
+    lines.push(detail);
+  }
+  return lines.join("\n");
+}
+
+export function buildAlternativesSection(alternatives, features) {
+  const lines = ["## Available Options"];
+  lines.push(
+    "Below are ALL the options you can choose from. Each option has an ID, a name, and feature values.\n",
+  );
+
+  for (const alt of alternatives) {
+    lines.push(`### ${alt.name} (ID: ${alt.id})`);
+    if (features && features.length > 0) {
+      for (const f of features) {
+        const value = alt.features?.[f.key];
+        if (value !== undefined && value !== null) {
+          const label = f.label || f.key;
+          let display = String(value);
+          if (f.type === "continuous" && f.unit) {
+            display = `${value} ${f.unit}`;
+          } else if (f.type === "binary") {
+            display = value ? "Yes" : "No";
+          }
+          lines.push(`- ${label}: ${display}`);
+        }
+      }
+    }
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+export function buildPersonaSection(agent) {
+  const traits = agent.traits || {};
+  const lines = ["## Your Persona"];
+  lines.push("You are a synthetic consumer with the following profile:\n");
+
+  if (agent.label) {
+    lines.push(`- **Segment:** ${agent.label}`);
+  }
+  if (traits.personality) {
+    lines.push(`- **Personality type:** ${traits.personality}`);
+  }
+  if (traits.location) {
+    lines.push(`- **Location:** ${traits.location}`);
+  }
+  if (traits.priceSensitivity !== undefined) {
+    const ps = traits.priceSensitivity;
+    const desc =
+      ps >= 0.8
+        ? "very price-sensitive (budget is a top priority)"
+        : ps >= 0.6
+          ? "moderately price-sensitive"
+          : ps >= 0.4
+            ? "somewhat price-aware but willing to pay more for value"
+            : "not very price-sensitive (willing to pay premium)";
+    lines.push(`- **Price sensitivity:** ${ps} — ${desc}`);
+  }
+  if (traits.riskTolerance !== undefined) {
+    const rt = traits.riskTolerance;
+    const desc =
+      rt >= 0.7
+        ? "high risk tolerance (open to trying new or unconventional options)"
+        : rt >= 0.4
+          ? "moderate risk tolerance"
+          : "low risk tolerance (prefers safe, proven options)";
+    lines.push(`- **Risk tolerance:** ${rt} — ${desc}`);
+  }
+  if (traits.consistency !== undefined) {
+    const c = traits.consistency;
+    const desc =
+      c >= 0.8
+        ? "very consistent decision-maker (sticks to logical criteria)"
+        : c >= 0.5
+          ? "moderately consistent"
+          : "spontaneous and easily swayed by different factors";
+    lines.push(`- **Consistency:** ${c} — ${desc}`);
+  }
+
+  lines.push("");
+  lines.push(
+    "Stay in character. Let your personality, location, and trait values guide your decision naturally. Do not simply pick the cheapest or most expensive — weigh features according to who you are.",
+  );
+
+  return lines.join("\n");
+}
+
+function buildInstructionsSection(alternativeIds, allowNone = true) {
+  const ids = allowNone ? [...alternativeIds, "NONE"] : alternativeIds;
+  const idList = ids.map((id) => `"${id}"`).join(", ");
+  const choosePrompt = allowNone
+    ? "choose the ONE best option, or choose NONE if nothing is good enough"
+    : "choose the ONE best option. You must pick one of the options shown";
+  const idRule = allowNone
+    ? 'must be one of the provided IDs exactly, or "NONE".'
+    : "must be one of the provided IDs exactly.";
+
+  return `## Decision Instructions
+
+Evaluate each option based on your persona. Think about which features matter most to someone like you, then ${choosePrompt}.
+
+Respond with ONLY a valid JSON object (no markdown fences, no commentary outside the JSON):
+
+{
+  "chosenAlternativeId": "<one of: ${idList}>",
+  "reason": "<1–2 sentence explanation of WHY you chose this, in first person>",
+  "confidence": <number between 0.0 and 1.0>,
+  "reasonCodes": ["<feature_key_1>", "<feature_key_2>"]
+}
+
+- **chosenAlternativeId**: ${idRule}
+- **reason**: brief, in-character explanation.
+- **confidence**: how sure you are (0.0 = random guess, 1.0 = absolutely certain).
+- **reasonCodes**: the 1–3 feature keys that most influenced your decision.`;
+}
+
+function buildBestWorstInstructionsSection(alternativeIds) {
+  const idList = alternativeIds.map((id) => `"${id}"`).join(", ");
+
+  return `## Decision Instructions
+
+Evaluate each option based on your persona. Think about which features matter most to someone like you, then pick the BEST option (the one you prefer most) and the WORST option (the one you prefer least).
+
+Respond with ONLY a valid JSON object (no markdown fences, no commentary outside the JSON):
+
+{
+  "bestAlternativeId": "<one of: ${idList}>",
+  "worstAlternativeId": "<one of: ${idList}>",
+  "reason": "<1–2 sentence explanation of WHY, in first person>",
+  "confidence": <number between 0.0 and 1.0>,
+  "reasonCodes": ["<feature_key_1>", "<feature_key_2>"]
+}
+
+- **bestAlternativeId** and **worstAlternativeId**: must be two DIFFERENT provided IDs, exactly as written.
+- **reason**: brief, in-character explanation of both picks.
+- **confidence**: how sure you are (0.0 = random guess, 1.0 = absolutely certain).
+- **reasonCodes**: the 1–3 feature keys that most influenced your picks.`;
+}
+
+function buildRankingInstructionsSection(alternativeIds) {
+  const idList = alternativeIds.map((id) => `"${id}"`).join(", ");
+
+  return `## Decision Instructions
+
+Evaluate each option based on your persona. Think about which features matter most to someone like you, then RANK ALL ${alternativeIds.length} options from the one you prefer most to the one you prefer least.
+
+Respond with ONLY a valid JSON object (no markdown fences, no commentary outside the JSON):
+
+{
+  "ranking": ["<most preferred ID>", "...", "<least preferred ID>"],
+  "reason": "<1–2 sentence explanation of your order, in first person>",
+  "confidence": <number between 0.0 and 1.0>,
+  "reasonCodes": ["<feature_key_1>", "<feature_key_2>"]
+}
+
+- **ranking**: every one of ${idList} exactly once, most preferred first.
+- **reason**: brief, in-character explanation.
+- **confidence**: how sure you are (0.0 = random guess, 1.0 = absolutely certain).
+- **reasonCodes**: the 1–3 feature keys that most influenced your order.`;
+}
+
+function buildAllocationInstructionsSection(alternativeIds, units) {
+  const example = alternativeIds.map((id) => `"${id}": <units>`).join(", ");
+
+  return `## Decision Instructions
+
+Evaluate each option based on your persona. Imagine your next ${units} purchases in this category and split them across the options: give more purchases to options you would buy more often. You may give an option 0.
+
+Respond with ONLY a valid JSON object (no markdown fences, no commentary outside the JSON):
+
+{
+  "allocation": { ${example} },
+  "reason": "<1–2 sentence explanation of your split, in first person>",
+  "confidence": <number between 0.0 and 1.0>,
+  "reasonCodes": ["<feature_key_1>", "<feature_key_2>"]
+}
+
+- **allocation**: whole numbers for every option ID, adding up to exactly ${units}.
+- **reason**: brief, in-character explanation.
+- **confidence**: how sure you are (0.0 = random guess, 1.0 = absolutely certain).
+- **reasonCodes**: the 1–3 feature keys that most influenced your split.`;
+}
+
+const TASK_INTROS = {
+  [ResponseFormat.CHOICE]:
+    "Your job is to evaluate the available options and pick the one that best fits your profile.",
+  [ResponseFormat.BEST_WORST]:
+    "Your job is to evaluate the available options and say which one fits your profile best and which one fits it worst.",
+  [ResponseFormat.RANKING]:
+    "Your job is to evaluate the available options and rank them by how well they fit your profile.",
+  [ResponseFormat.ALLOCATION]:
+    "Your job is to evaluate the available options and split your future purchases across them.",
+};
+
+function buildFormatInstructions({
+  responseFormat,
+  alternativeIds,
+  allowNone,
+  allocationUnits,
+}) {
+  switch (responseFormat) {
+    case ResponseFormat.BEST_WORST:
+      return buildBestWorstInstructionsSection(alternativeIds);
+    case ResponseFormat.RANKING:
+      return buildRankingInstructionsSection(alternativeIds);
+    case ResponseFormat.ALLOCATION:
+      return buildAllocationInstructionsSection(
+        alternativeIds,
+        allocationUnits,
+      );
+    default:
+      return buildInstructionsSection(alternativeIds, allowNone);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Messages
+// ---------------------------------------------------------------------------
+
+/** Lowest and highest stated feature score in an evaluation */
+export const FEATURE_SCORE_MIN = 1;
+export const FEATURE_SCORE_MAX = 10;
+
+function buildEvaluationRequest(features) {
+  const scoreShape = features.length
+    ? `{ ${features.map((f) => `"${f.key}": <${FEATURE_SCORE_MIN}-${FEATURE_SCORE_MAX}>`).join(", ")} }`
+    : "{}";
+  return `Before choosing, privately evaluate EVERY option. Do not choose yet.
+
+For each option, list its main pros and cons for someone like you, and score each feature from ${FEATURE_SCORE_MIN} (very unappealing to you) to ${FEATURE_SCORE_MAX} (very appealing to you).
+
+Respond with ONLY a valid JSON object:
+
+{
+  "evaluations": [
+    {
+      "alternativeId": "<option ID>",
+      "pros": ["<short pro>"],
+      "cons": ["<short con>"],
+      "featureScores": ${scoreShape}
+    }
+  ]
+}`;
+}
+
+/**
+ * Chat messages for one choice task
+ *
+ * @param {object} params
+ * @param {object} params.agent — { label, traits }
+ * @param {object[]} params.alternatives — shown alternatives [{ id, name, features }]
+ * @param {object} params.experiment — { name, description, featureSchema }
+ * @param {boolean} [params.allowNone] — whether "NONE" is offered (default true)
+ * @param {boolean} [params.deliberate] — ask for the private evaluation first (see buildCommitMessages)
+ * @param {string} [params.responseFormat] — ResponseFormat of the task (default "choice")
+ * @param {number} [params.allocationUnits] — units to split in allocation tasks
+ * @returns {{ role: string, content: string }[]}
+ */
+export function buildDecisionMessages({
+  agent,
+  alternatives,
+  experiment,
+  allowNone = true,
+  deliberate = false,
+  responseFormat = ResponseFormat.CHOICE,
+  allocationUnits = DEFAULT_ALLOCATION_UNITS,
+}) {
+  const features = experiment?.featureSchema?.features || [];
+  const alternativeIds = alternatives.map((a) => a.id);
+  const systemPrompt = [
+    `You are a synthetic consumer persona participating in a choice experiment. ${TASK_INTROS[responseFormat] || TASK_INTROS[ResponseFormat.CHOICE]}`,
+    "",
+    buildExperimentContext(experiment),
+    "",
+    buildFeatureSchemaSection(features),
+    "",
+    buildAlternativesSection(alternatives, features),
+    "",
+    buildPersonaSection(agent),
+    "",
+    buildFormatInstructions({
+      responseFormat,
+      alternativeIds,
+      allowNone,
+      allocationUnits,
+    }),
+  ].join("\n");
+
+  return [
+    { role: "system", content: systemPrompt },
+    {
+      role: "user",
+      content: deliberate
+        ? buildEvaluationRequest(features)
+        : "Make your choice now.",
+    },
+  ];
+}
+
+/**
+ * Second deliberation turn: the evaluation messages, the agent's evaluation
+ * reply, and the request to commit to a choice
+ * @param {{ role: string, content: string }[]} evaluationMessages — from buildDecisionMessages({ deliberate: true })
+ * @param {string} evaluationText — the agent's evaluation reply
+ * @returns {{ role: string, content: string }[]}
+ */
+export function buildCommitMessages(evaluationMessages, evaluationText) {
+  return [
+    ...evaluationMessages,
+    { role: "assistant", content: evaluationText },
+    {
+      role: "user",
+      content:
+        "Now, based on your evaluation, make your choice. Reply with the decision JSON object described in the instructions.",
+    },
+  ];
+}
+
+/**
+ * Dual-response follow-up: the decision messages, the agent's decision
+ * reply, and the question whether it would actually buy what it chose.
+ * Picking the best of the shown options does not mean buying any of them,
+ * so the question says so.
+ * @param {{ role: string, content: string }[]} decisionMessages — the messages that produced the decision
+ * @param {string} decisionText — the agent's decision reply
+ * @param {object} alternative — the chosen alternative { id, name }
+ * @returns {{ role: string, content: string }[]}
+ */
+export function buildPurchaseCheckMessages(
+  decisionMessages,
+  decisionText,
+  alternative,
+) {
+  return [
+    ...decisionMessages,
+    { role: "assistant", content: decisionText },
+    {
+      role: "user",
+      content: `Suppose ${alternative.name} (ID: ${alternative.id}) were on sale today exactly as described, at the price shown. Would you actually buy it? Being the best of these options does not mean it is worth buying; answer as your persona would with their own money.
+
+Respond with ONLY a valid JSON object:
+
+{
+  "wouldBuy": <true or false>,
+  "reason": "<1 sentence explanation, in first person>"
+}`,
+    },
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// Structured output
+// ---------------------------------------------------------------------------
+
+/**
+ * JSON schema of a decision reply, limited to the shown alternative ids and
+ * the experiment's feature keys. Providers that support structured output
+ * (or a forced tool call) are held to it; the reply is still validated.
+ *
+ * @param {object} params
+ * @param {object[]} params.alternatives — shown alternatives [{ id }]
+ * @param {object} params.experiment — { featureSchema }
+ * @param {boolean} [params.allowNone] — whether "NONE" is offered (default true)
+ * @param {string} [params.responseFormat] — ResponseFormat of the task (default "choice")
+ * @param {number} [params.allocationUnits] — units to split in allocation tasks
+ * @returns {{ name: string, schema: object }}
+ */
+export function buildDecisionSchema({
+  alternatives,
+  experiment,
+  allowNone = true,
+  responseFormat = ResponseFormat.CHOICE,
+  allocationUnits = DEFAULT_ALLOCATION_UNITS,
+}) {
+  const ids = alternatives.map((a) => a.id);
+  const featureKeys = (experiment?.featureSchema?.features || []).map(
+    (f) => f.key,
+  );
+  const reasonCodes = {
+    type: "array",
+    items: featureKeys.length
+      ? { type: "string", enum: featureKeys }
+      : { type: "string" },
+    maxItems: 3,
+  };
+
+  const commonProperties = {
+    reason: { type: "string" },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+    reasonCodes,
+  };
+  const commonRequired = ["reason", "confidence", "reasonCodes"];
+
+  if (responseFormat === ResponseFormat.RANKING) {
+    return {
+      name: "agent_ranking",
+      schema: {
+        type: "object",
+        properties: {
+          ranking: {
+            type: "array",
+            items: { type: "string", enum: ids },
+            minItems: ids.length,
+            maxItems: ids.length,
+          },
+          ...commonProperties,
+        },
+        required: ["ranking", ...commonRequired],
+        additionalProperties: false,
+      },
+    };
+  }
+
+  if (responseFormat === ResponseFormat.ALLOCATION) {
+    return {
+      name: "agent_allocation",
+      schema: {
+        type: "object",
+        properties: {
+          allocation: {
+            type: "object",
+            properties: Object.fromEntries(
+              ids.map((id) => [
+                id,
+                { type: "integer", minimum: 0, maximum: allocationUnits },
+              ]),
+            ),
+            required: ids,
+            additionalProperties: false,
+          },
+          ...commonProperties,
+        },
+        required: ["allocation", ...commonRequired],
+        additionalProperties: false,
+      },
+    };
+  }
+
+  if (responseFormat === ResponseFormat.BEST_WORST) {
+    return {
+      name: "agent_best_worst",
+      schema: {
+        type: "object",
+        properties: {
+          bestAlternativeId: { type: "string", enum: ids },
+          worstAlternativeId: { type: "string", enum: ids },
+          ...commonProperties,
+        },
+        required: [
+          "bestAlternativeId",
+          "worstAlternativeId",
+          ...commonRequired,
+        ],
+        additionalProperties: false,
+      },
+    };
+  }
+
+  return {
+    name: "agent_decision",
+    schema: {
+      type: "object",
+      properties: {
+        chosenAlternativeId: {
+          type: "string",
+          enum: allowNone ? [...ids, "NONE"] : ids,
+        },
+        ...commonProperties,
+      },
+      required: ["chosenAlternativeId", ...commonRequired],
+      additionalProperties: false,
+    },
+  };
+}
+
+/**
+ * JSON schema of a deliberation evaluation: one entry per shown option with
+ * pros, cons and a score for every feature
+ *
+ * @param {object} params
+ * @param {object[]} params.alternatives — shown alternatives [{ id }]
+ * @param {object} params.experiment — { featureSchema }
+ * @returns {{ name: string, schema: object }}
+ */
+export function buildEvaluationSchema({ alternatives, experiment }) {
+  const featureKeys = (experiment?.featureSchema?.features || []).map(
+    (f) => f.key,
+  );
+  const stringList = { type: "array", items: { type: "string" } };
+  return {
+    name: "agent_evaluation",
+    schema: {
+      type: "object",
+      properties: {
+        evaluations: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              alternativeId: {
+                type: "string",
+                enum: alternatives.map((a) => a.id),
+              },
+              pros: stringList,
+              cons: stringList,
+              featureScores: {
+                type: "object",
+                properties: Object.fromEntries(
+                  featureKeys.map((key) => [
+                    key,
+                    {
+                      type: "number",
+                      minimum: FEATURE_SCORE_MIN,
+                      maximum: FEATURE_SCORE_MAX,
+                    },
+                  ]),
+                ),
+                required: featureKeys,
+                additionalProperties: false,
+              },
+            },
+            required: ["alternativeId", "pros", "cons", "featureScores"],
+            additionalProperties: false,
+          },
+        },
+      },
+      required: ["evaluations"],
+      additionalProperties: false,
+    },
+  };
+}
+
+/**
+ * JSON schema of a dual-response purchase check reply
+ * @returns {{ name: string, schema: object }}
+ */
+export function buildPurchaseCheckSchema() {
+  return {
+    name: "agent_purchase_check",
+    schema: {
+      type: "object",
+      properties: {
+        wouldBuy: { type: "boolean" },
+        reason: { type: "string" },
+      },
+      required: ["wouldBuy", "reason"],
+      additionalProperties: false,
+    },
+  };
+}
+
+/**
+ * Follow-up turn asking the model to fix an invalid reply
+ * @param {string} problem — what was wrong with the last reply
+ * @param {string[]} validIds — ids the reply may choose, "NONE" included when offered
+ * @returns {{ role: string, content: string }}
+ */
+export function buildRepairMessage(problem, validIds) {
+  return {
+    role: "user",
+    content: `Your last reply could not be used: ${problem}. Reply again with ONLY the JSON object, using the option IDs: ${validIds.map((id) => `"${id}"`).join(", ")}.`,
+  };
+}
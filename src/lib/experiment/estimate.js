@@ -0,0 +1,463 @@
+/**
+ * Pre-run estimate — tokens, cost, wall time and rate-limit risk of a run
+ * before it is started.
+ *
+ * Prompt size is measured on the real decision prompt (buildDecisionMessages)
+ * for each segment, averaged over choice sets drawn from the experiment's
+ * alternatives. Tokens are counted with a characters-per-token ratio, not a
+ * provider tokenizer, so the numbers are for sizing a run rather than
+ * billing. Completion length and latency come from earlier runs of the same
+ * model when their usage is passed in.
+ *
+ * Deliberation (taskPlan.deliberation) makes each decision two calls: the
+ * evaluation, then the choice, which re-sends the prompt and the evaluation.
+ * The dual-response none mode adds a purchase check after the choice, which
+ * re-sends the conversation and the decision reply.
+ *
+ * Pricing studies and Kano questionnaires are measured on their own prompts
+ * (buildPricingMessages, buildKanoMessages) instead, with one call per
+ * question.
+ */
+
+import { getKanoFeatures } from "@/lib/domain/kano";
+import { getQuestionsPerAgent, getReferencePrice } from "@/lib/domain/pricing";
+import {
+  getStudyType,
+  isPricingStudy,
+  StudyType,
+} from "@/lib/domain/studyType";
+import {
+  calculateTotalTasks,
+  getAllocationUnits,
+  getChoiceSetSize,
+  getNoneMode,
+  getResponseFormat,
+  getTaskDesign,
+  NoneMode,
+  ResponseFormat,
+  TaskDesign,
+} from "@/lib/domain/taskgen";
+import { CUSTOM_MODEL_PREFIX } from "@/lib/llm/models";
+import { estimateCost } from "@/lib/llm/pricing";
+import {
+  MODEL_TO_PROVIDER,
+  PROVIDER_RATE_LIMITS,
+  Provider,
+} from "@/lib/llm/providers";
+import {
+  buildCommitMessages,
+  buildDecisionMessages,
+  buildPersonaSection,
+  buildPurchaseCheckMessages,
+} from "./decisionPrompt";
+import { buildKanoMessages } from "./kanoPrompt";
+import { buildPricingMessages } from "./pricingPrompt";
+
+/** Rough English-text ratio shared by the major tokenizers */
+const CHARS_PER_TOKEN = 4;
+
+/** A decision reply: the JSON object with a 1–2 sentence reason */
+const DEFAULT_COMPLETION_TOKENS = 80;
+
+/** A deliberation evaluation: pros, cons and feature scores, per shown option */
+const DEFAULT_EVALUATION_TOKENS_PER_OPTION = 90;
+
+/** A dual-response purchase check reply: yes or no with a one-line reason */
+const DEFAULT_PURCHASE_CHECK_TOKENS = 30;
+
+/** A purchase likelihood reply: one number and a one-sentence reason */
+const DEFAULT_LIKELIHOOD_TOKENS = 40;
+
+/** A Kano reply: two scale answers and a one-sentence reason */
+const DEFAULT_KANO_TOKENS = 50;
+
+/** Per-decision latency assumed for models without earlier runs */
+const DEFAULT_DECISION_LATENCY_MS = 4000;
+
+/** Share of a provider's rate limit above which throttling is likely */
+const RATE_LIMIT_WARN_RATIO = 0.6;
+
+const STUB_MODEL_TAG = "stub";
+
+/**
+ * @typedef {Object} ModelEstimate
+ * @property {string} modelTag
+ * @property {string} provider - Provider key, "stub" or "unknown"
+ * @property {number} agents
+ * @property {number} decisions
+ * @property {number} promptTokens - Total over all decisions
+ * @property {number} completionTokens - Total over all decisions
+ * @property {number | null} costUsd - null when the model has no price
+ * @property {number} latencyMs - Per decision
+ * @property {boolean} calibrated - Completion length and latency come from earlier runs
+ */
+
+/**
+ * @typedef {Object} ProviderEstimate
+ * @property {string} provider
+ * @property {number} requestsPerMinute - LLM calls at the estimate's decision concurrency
+ * @property {number} tokensPerMinute
+ * @property {{ rpm: number | null, tpm: number | null }} limits
+ * @property {'low' | 'medium' | 'high' | 'unknown'} risk
+ */
+
+/**
+ * @typedef {Object} RunEstimate
+ * @property {number} agents
+ * @property {number} decisions
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} costUsd - Cost of priced models
+ * @property {number} unpricedDecisions - Decisions on models without a price
+ * @property {number} wallTimeMs - LLM time at decisionConcurrency
+ * @property {number} decisionConcurrency
+ * @property {ModelEstimate[]} byModel
+ * @property {ProviderEstimate[]} byProvider
+ */
+
+/**
+ * Agents per segment, including the round-robin top-up ExperimentRunner
+ * applies when agentPlan.totalAgents exceeds the segment counts
+ */
+function countSegmentAgents(segments, totalAgents) {
+  const counts = segments.map((seg) => seg.count || 1);
+  const desiredTotal = Number.parseInt(totalAgents, 10);
+  const baseTotal = counts.reduce((sum, n) => sum + n, 0);
+  if (!Number.isFinite(desiredTotal) || desiredTotal <= baseTotal) {
+    return counts;
+  }
+  for (let i = 0; i < desiredTotal - baseTotal; i++) {
+    counts[i % segments.length]++;
+  }
+  return counts;
+}
+
+function getModelProvider(modelTag) {
+  if (modelTag === STUB_MODEL_TAG) return STUB_MODEL_TAG;
+  if (modelTag.startsWith(CUSTOM_MODEL_PREFIX)) return Provider.CUSTOM;
+  return MODEL_TO_PROVIDER[modelTag] || "unknown";
+}
+
+function messagesLength(messages) {
+  return messages.reduce((sum, m) => sum + m.content.length, 0);
+}
+
+/**
+ * Average prompt length over every rotation of the alternatives into choice
+ * sets of `setSize`, so each alternative's text is weighted equally (as in
+ * a balanced design). Measured for a reference agent; other segments only
+ * differ by their persona section, which every extra call sends again.
+ */
+function averagePromptChars({
+  experiment,
+  alternatives,
+  setSize,
+  allowNone,
+  deliberate,
+  responseFormat,
+  allocationUnits,
+  dualResponse,
+}) {
+  const shown = alternatives.map((a) => ({
+    id: a.id,
+    name: a.name,
+    features: a.features || {},
+  }));
+  const agent = { label: "", traits: {} };
+  let total = 0;
+  for (let i = 0; i < shown.length; i++) {
+    const choiceSet = Array.from(
+      { length: setSize },
+      (_, j) => shown[(i + j) % shown.length],
+    );
+    const messages = buildDecisionMessages({
+      agent,
+      alternatives: choiceSet,
+      experiment,
+      allowNone,
+      deliberate,
+      responseFormat,
+      allocationUnits,
+    });
+    total += messagesLength(messages);
+    const decisionMessages = deliberate
+      ? buildCommitMessages(messages, "")
+      : messages;
+    if (deliberate) total += messagesLength(decisionMessages);
+    if (dualResponse) {
+      total += messagesLength(
+        buildPurchaseCheckMessages(decisionMessages, "", choiceSet[0]),
+      );
+    }
+  }
+  return {
+    chars: total / shown.length,
+    personaChars: buildPersonaSection(agent).length,
+    personaCopies: (deliberate ? 2 : 1) + (dualResponse ? 1 : 0),
+  };
+}
+
+function rateLimitRisk(requestsPerMinute, tokensPerMinute, limits) {
+  const ratios = [
+    limits.rpm ? requestsPerMinute / limits.rpm : null,
+    limits.tpm ? tokensPerMinute / limits.tpm : null,
+  ].filter((r) => r !== null);
+  if (!ratios.length) return "unknown";
+  const ratio = Math.max(...ratios);
+  if (ratio >= 1) return "high";
+  if (ratio >= RATE_LIMIT_WARN_RATIO) return "medium";
+  return "low";
+}
+
+/**
+ * Per-decision shape of a choice experiment run, or null without at least
+ * two alternatives
+ */
+function planChoiceRun(experiment, alternatives) {
+  if (alternatives.length < 2) return null;
+
+  const taskPlan = experiment.taskPlan || {};
+  const setSize =
+    getTaskDesign(experiment.choiceFormat, taskPlan) === TaskDesign.PAIRWISE
+      ? 2
+      : Math.min(
+          getChoiceSetSize(experiment.choiceFormat),
+          alternatives.length,
+        );
+  const deliberate = Boolean(taskPlan.deliberation);
+  const noneMode = getNoneMode(experiment.choiceFormat, taskPlan);
+  const dualResponse = noneMode === NoneMode.DUAL_RESPONSE;
+  const sample = averagePromptChars({
+    experiment,
+    alternatives,
+    setSize,
+    allowNone: noneMode === NoneMode.IN_SET,
+    deliberate,
+    responseFormat: getResponseFormat(experiment.choiceFormat),
+    allocationUnits: getAllocationUnits(taskPlan),
+    dualResponse,
+  });
+  // The evaluation is written once and read back by the choice call
+  const evaluationTokens = deliberate
+    ? DEFAULT_EVALUATION_TOKENS_PER_OPTION * setSize
+    : 0;
+  // The purchase check reads back the decision reply (and any evaluation)
+  // and writes its own
+  const checkPromptTokens = dualResponse
+    ? DEFAULT_COMPLETION_TOKENS + evaluationTokens
+    : 0;
+  const checkCompletionTokens = dualResponse
+    ? DEFAULT_PURCHASE_CHECK_TOKENS
+    : 0;
+
+  return {
+    sample,
+    countDecisions: (agents) =>
+      calculateTotalTasks(alternatives.length, agents, taskPlan),
+    extraPromptTokens: evaluationTokens + checkPromptTokens,
+    completionTokens:
+      DEFAULT_COMPLETION_TOKENS + evaluationTokens + checkCompletionTokens,
+    callsPerDecision: (deliberate ? 2 : 1) + (dualResponse ? 1 : 0),
+  };
+}
+
+/**
+ * Per-decision shape of a pricing study run, or null without a product or
+ * prices to ask about
+ */
+function planPricingRun(experiment) {
+  const studyType = getStudyType(experiment);
+  const pricingPlan = experiment.pricingPlan;
+  const questions = getQuestionsPerAgent(studyType, pricingPlan);
+  if (!pricingPlan?.product?.name || !questions) return null;
+
+  const thresholds = studyType === StudyType.VAN_WESTENDORP;
+  const agent = { label: "", traits: {} };
+  const messages = buildPricingMessages({
+    agent,
+    experiment,
+    responseFormat: thresholds
+      ? ResponseFormat.PRICE_THRESHOLDS
+      : ResponseFormat.PURCHASE_LIKELIHOOD,
+    price: getReferencePrice(pricingPlan),
+  });
+
+  return {
+    sample: {
+      chars: messagesLength(messages),
+      personaChars: buildPersonaSection(agent).length,
+      personaCopies: 1,
+    },
+    countDecisions: (agents) => agents * questions,
+    extraPromptTokens: 0,
+    completionTokens: thresholds
+      ? DEFAULT_COMPLETION_TOKENS
+      : DEFAULT_LIKELIHOOD_TOKENS,
+    callsPerDecision: 1,
+  };
+}
+
+/**
+ * Per-decision shape of a Kano questionnaire run, or null without features
+ * to ask about. The first Kano feature stands in for all of them.
+ */
+function planKanoRun(experiment) {
+  const features = getKanoFeatures(experiment.featureSchema?.features);
+  if (!features.length) return null;
+
+  const agent = { label: "", traits: {} };
+  const messages = buildKanoMessages({
+    agent,
+    experiment,
+    feature: features[0],
+  });
+
+  return {
+    sample: {
+      chars: messagesLength(messages),
+      personaChars: buildPersonaSection(agent).length,
+      personaCopies: 1,
+    },
+    countDecisions: (agents) => agents * features.length,
+    extraPromptTokens: 0,
+    completionTokens: DEFAULT_KANO_TOKENS,
+    callsPerDecision: 1,
+  };
+}
+
+/**
+ * Estimate what running an experiment will cost and how long it will take
+ *
+ * @param {Object} params
+ * @param {Object} params.experiment - { name, description, featureSchema, agentPlan, taskPlan, choiceFormat, studyType, pricingPlan }
+ * @param {Object[]} params.alternatives
+ * @param {number} params.decisionConcurrency - Concurrent LLM decisions
+ * @param {Object<string, import('@/models/firestore').UsageTotals>} [params.observedByModel] - Usage of earlier runs by modelTag
+ * @returns {RunEstimate | null} null when there is nothing to run yet
+ */
+export function estimateRun({
+  experiment,
+  alternatives,
+  decisionConcurrency,
+  observedByModel = {},
+}) {
+  const segments = experiment?.agentPlan?.segments || [];
+  if (!segments.length) return null;
+
+  const studyType = getStudyType(experiment);
+  const plan = isPricingStudy(experiment)
+    ? planPricingRun(experiment)
+    : studyType === StudyType.KANO
+      ? planKanoRun(experiment)
+      : planChoiceRun(experiment, alternatives);
+  if (!plan) return null;
+  const { sample, callsPerDecision } = plan;
+  const agentCounts = countSegmentAgents(
+    segments,
+    experiment.agentPlan.totalAgents,
+  );
+
+  /** @type {Map<string, ModelEstimate>} */
+  const byModel = new Map();
+  segments.forEach((seg, i) => {
+    const modelTag = seg.modelTag || STUB_MODEL_TAG;
+    const agents = agentCounts[i];
+    const decisions = plan.countDecisions(agents);
+    const promptChars =
+      sample.chars +
+      sample.personaCopies *
+        (buildPersonaSection({ label: seg.label, traits: seg.traits }).length -
+          sample.personaChars);
+
+    if (!byModel.has(modelTag)) {
+      byModel.set(modelTag, {
+        modelTag,
+        provider: getModelProvider(modelTag),
+        agents: 0,
+        decisions: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        costUsd: null,
+        latencyMs: 0,
+        calibrated: false,
+      });
+    }
+    const model = byModel.get(modelTag);
+    model.agents += agents;
+    model.decisions += decisions;
+    // The stub simulator answers in-process without an LLM call
+    if (modelTag !== STUB_MODEL_TAG) {
+      model.promptTokens +=
+        (Math.ceil(promptChars / CHARS_PER_TOKEN) + plan.extraPromptTokens) *
+        decisions;
+    }
+  });
+
+  for (const model of byModel.values()) {
+    if (model.modelTag === STUB_MODEL_TAG) {
+      model.costUsd = 0;
+      continue;
+    }
+    const observed = observedByModel[model.modelTag];
+    // Cache hits cost no tokens and return at once, so they would skew both
+    const liveDecisions = observed
+      ? observed.decisions - (observed.cacheHits || 0)
+      : 0;
+    model.calibrated = liveDecisions > 0;
+    const completionPerDecision = model.calibrated
+      ? observed.completionTokens / liveDecisions
+      : plan.completionTokens;
+    model.completionTokens = Math.round(
+      completionPerDecision * model.decisions,
+    );
+    model.latencyMs = model.calibrated
+      ? observed.latencyMs / liveDecisions
+      : DEFAULT_DECISION_LATENCY_MS * callsPerDecision;
+    model.costUsd = estimateCost(model.modelTag, model);
+  }
+
+  const models = [...byModel.values()];
+  const sum = (list, key) => list.reduce((total, m) => total + m[key], 0);
+  const busyMs = models.reduce((t, m) => t + m.decisions * m.latencyMs, 0);
+  const wallTimeMs = busyMs / Math.max(1, decisionConcurrency);
+  const wallMinutes = wallTimeMs / 60_000;
+
+  // Decisions from every segment share the concurrency window, so each
+  // provider sees its share of requests spread over the whole run
+  const byProvider = [];
+  for (const provider of new Set(models.map((m) => m.provider))) {
+    if (provider === STUB_MODEL_TAG || wallMinutes === 0) continue;
+    const providerModels = models.filter((m) => m.provider === provider);
+    const requestsPerMinute =
+      (sum(providerModels, "decisions") * callsPerDecision) / wallMinutes;
+    const tokensPerMinute =
+      (sum(providerModels, "promptTokens") +
+        sum(providerModels, "completionTokens")) /
+      wallMinutes;
+    const limits = PROVIDER_RATE_LIMITS[provider] || { rpm: null, tpm: null };
+    byProvider.push({
+      provider,
+      requestsPerMinute,
+      tokensPerMinute,
+      limits,
+      risk: rateLimitRisk(requestsPerMinute, tokensPerMinute, limits),
+    });
+  }
+
+  const priced = models.filter((m) => m.costUsd !== null);
+  return {
+    agents: sum(models, "agents"),
+    decisions: sum(models, "decisions"),
+    promptTokens: sum(models, "promptTokens"),
+    completionTokens: sum(models, "completionTokens"),
+    costUsd: sum(priced, "costUsd"),
+    unpricedDecisions: sum(
+      models.filter((m) => m.costUsd === null),
+      "decisions",
+    ),
+    wallTimeMs,
+    decisionConcurrency,
+    byModel: models,
+    byProvider,
+  };
+}
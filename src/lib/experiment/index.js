@@ -1 +1,18 @@
-export { ExperimentRunner, RunnerStatus } from "./ExperimentRunner";
+export {
+  DEFAULT_DECISION_CONCURRENCY,
+  ExperimentRunner,
+  RunnerStatus,
+} from "./ExperimentRunner";
+export { estimateRun } from "./estimate";
+export {
+  HEADLESS_DECISION_CONCURRENCY,
+  HeadlessRuntime,
+} from "./HeadlessRuntime";
+export { KanoStudyRunner } from "./KanoStudyRunner";
+export { PricingStudyRunner } from "./PricingStudyRunner";
+export {
+  applyConfigSnapshot,
+  buildConfigSnapshot,
+  loadResumeState,
+  RunCheckpoint,
+} from "./RunCheckpoint";
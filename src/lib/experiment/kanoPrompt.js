@@ -0,0 +1,134 @@
+/**
+ * Kano prompt — the messages of a Kano questionnaire question.
+ *
+ * Each question covers one feature: how the agent would feel if the product
+ * has it (functional) and if it does not (dysfunctional). Like the pricing
+ * prompt, the system prompt reuses the experiment context and persona
+ * sections of the decision prompt.
+ *
+ * Shared by the getKanoAnswer server action and the pre-run estimator.
+ */
+
+import { KANO_ANSWER_LABELS, KanoAnswer } from "@/lib/domain/kano";
+import { buildExperimentContext, buildPersonaSection } from "./decisionPrompt";
+
+// ---------------------------------------------------------------------------
+// Sections
+// ---------------------------------------------------------------------------
+
+/**
+ * The two situations asked about, e.g. "the product has Free delivery" and
+ * "the product does not have Free delivery"
+ * @param {import('@/models/firestore').Feature} feature
+ * @returns {{ functional: string, dysfunctional: string }}
+ */
+export function describeKanoSituations(feature) {
+  const label = feature?.label || feature?.key || "this feature";
+  if (feature?.type === "categorical") {
+    return {
+      functional: `you can choose the ${label} (${(feature.categories || []).join(", ")})`,
+      dysfunctional: `you cannot choose the ${label}`,
+    };
+  }
+  return {
+    functional: `the product has ${label}`,
+    dysfunctional: `the product does not have ${label}`,
+  };
+}
+
+function buildQuestionSection(feature) {
+  const situations = describeKanoSituations(feature);
+  const scale = Object.entries(KANO_ANSWER_LABELS)
+    .map(([value, label]) => `- "${value}": ${label}`)
+    .join("\n");
+
+  return `## Feature Questions
+
+Think about a product like the one this experiment studies, then answer two questions about **${feature?.label || feature?.key}**:
+
+1. **functional**: How would you feel if ${situations.functional}?
+2. **dysfunctional**: How would you feel if ${situations.dysfunctional}?
+
+Answer each with one of:
+
+${scale}
+
+Respond with ONLY a valid JSON object (no markdown fences, no commentary outside the JSON):
+
+{
+  "functional": "<answer>",
+  "dysfunctional": "<answer>",
+  "reason": "<1 sentence explanation, in first person>"
+}`;
+}
+
+// ---------------------------------------------------------------------------
+// Messages
+// ---------------------------------------------------------------------------
+
+/**
+ * Chat messages for one Kano question
+ *
+ * @param {object} params
+ * @param {object} params.agent — { label, traits }
+ * @param {object} params.experiment — { name, description }
+ * @param {import('@/models/firestore').Feature} params.feature — asked feature
+ * @returns {{ role: string, content: string }[]}
+ */
+export function buildKanoMessages({ agent, experiment, feature }) {
+  const systemPrompt = [
+    "You are a synthetic consumer persona taking part in a product feature survey. Your job is to say how you would feel with and without a feature.",
+    "",
+    buildExperimentContext(experiment || {}),
+    "",
+    buildPersonaSection(agent),
+    "",
+    buildQuestionSection(feature),
+  ].join("\n");
+
+  return [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: "Give your answer now." },
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// Structured output
+// ---------------------------------------------------------------------------
+
+/**
+ * JSON schema of a Kano answer. Providers that support structured output
+ * are held to it; the answer is still validated.
+ * @returns {{ name: string, schema: object }}
+ */
+export function buildKanoSchema() {
+  const answer = { type: "string", enum: Object.values(KanoAnswer) };
+  return {
+    name: "agent_kano_answers",
+    schema: {
+      type: "object",
+      properties: {
+        functional: answer,
+        dysfunctional: answer,
+        reason: { type: "string" },
+      },
+      required: ["functional", "dysfunctional", "reason"],
+      additionalProperties: false,
+    },
+  };
+}
+
+/**
+ * Follow-up turn asking the model to fix an invalid Kano answer
+ * @param {string} problem — what was wrong with the last reply
+ * @returns {{ role: string, content: string }}
+ */
+export function buildKanoRepairMessage(problem) {
+  const answers = Object.values(KanoAnswer)
+    .map((answer) => `"${answer}"`)
+    .join(", ");
+  return {
+    role: "user",
+    content: `Your last reply could not be used: ${problem}. Reply again with ONLY the JSON object described in the instructions, answering each question with one of: ${answers}.`,
+  };
+}
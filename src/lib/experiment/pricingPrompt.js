@@ -0,0 +1,193 @@
+/**
+ * Pricing prompt — the messages of a pricing study question.
+ *
+ * Pricing studies show one product and no alternatives. The system prompt
+ * reuses the experiment context and persona sections of the decision prompt,
+ * so personas read the same in both kinds of study; only the product
+ * section and the question differ.
+ *
+ * Shared by the getPricingAnswer server action and the pre-run estimator.
+ */
+
+import {
+  DEFAULT_CURRENCY,
+  PURCHASE_LIKELIHOOD_LABELS,
+  PURCHASE_LIKELIHOOD_MAX,
+  PURCHASE_LIKELIHOOD_MIN,
+} from "@/lib/domain/pricing";
+import { ResponseFormat } from "@/lib/domain/taskgen";
+import { buildExperimentContext, buildPersonaSection } from "./decisionPrompt";
+
+// ---------------------------------------------------------------------------
+// Sections
+// ---------------------------------------------------------------------------
+
+/**
+ * Price with its currency, e.g. "49.99 USD"
+ * @param {number} price
+ * @param {string} [currency]
+ */
+export function formatPrice(price, currency = DEFAULT_CURRENCY) {
+  return `${price} ${currency || DEFAULT_CURRENCY}`;
+}
+
+function buildProductSection(pricingPlan) {
+  const product = pricingPlan?.product || {};
+  const currency = pricingPlan?.currency || DEFAULT_CURRENCY;
+  const lines = ["## The Product"];
+  lines.push(`**Name:** ${product.name || "Unnamed product"}`);
+  if (product.description) {
+    lines.push(`**Description:** ${product.description}`);
+  }
+  if (pricingPlan?.referencePrice > 0) {
+    lines.push(
+      `**Typical market price:** ${formatPrice(pricingPlan.referencePrice, currency)}`,
+    );
+  }
+  lines.push(`All prices are in ${currency}.`);
+  return lines.join("\n");
+}
+
+function buildThresholdInstructionsSection(currency) {
+  return `## Pricing Questions
+
+Think about what this product is worth to someone like you, then answer four questions with a price in ${currency}:
+
+1. **tooCheap**: At what price would it be so cheap that you would doubt its quality and not consider buying it?
+2. **bargain**: At what price would it be a bargain — a great buy for the money?
+3. **expensive**: At what price would it start to seem expensive — not out of the question, but you would have to think about buying it?
+4. **tooExpensive**: At what price would it be so expensive that you would not consider buying it?
+
+Respond with ONLY a valid JSON object (no markdown fences, no commentary outside the JSON):
+
+{
+  "tooCheap": <price>,
+  "bargain": <price>,
+  "expensive": <price>,
+  "tooExpensive": <price>,
+  "reason": "<1–2 sentence explanation of how you value it, in first person>"
+}
+
+- Prices are plain numbers, without currency symbols.
+- They must not decrease: tooCheap ≤ bargain ≤ expensive ≤ tooExpensive.`;
+}
+
+function buildLikelihoodInstructionsSection(price, currency) {
+  const scale = Object.entries(PURCHASE_LIKELIHOOD_LABELS)
+    .map(([value, label]) => `- ${value}: ${label}`)
+    .join("\n");
+
+  return `## Pricing Question
+
+The product is on sale for **${formatPrice(price, currency)}**. How likely are you to buy it at this price?
+
+${scale}
+
+Respond with ONLY a valid JSON object (no markdown fences, no commentary outside the JSON):
+
+{
+  "likelihood": <whole number from ${PURCHASE_LIKELIHOOD_MIN} to ${PURCHASE_LIKELIHOOD_MAX}>,
+  "reason": "<1 sentence explanation, in first person>"
+}`;
+}
+
+// ---------------------------------------------------------------------------
+// Messages
+// ---------------------------------------------------------------------------
+
+/**
+ * Chat messages for one pricing study question
+ *
+ * @param {object} params
+ * @param {object} params.agent — { label, traits }
+ * @param {object} params.experiment — { name, description, pricingPlan }
+ * @param {string} params.responseFormat — ResponseFormat.PRICE_THRESHOLDS or PURCHASE_LIKELIHOOD
+ * @param {number} [params.price] — asked price (purchase likelihood questions)
+ * @returns {{ role: string, content: string }[]}
+ */
+export function buildPricingMessages({
+  agent,
+  experiment,
+  responseFormat,
+  price,
+}) {
+  const currency = experiment?.pricingPlan?.currency || DEFAULT_CURRENCY;
+  const systemPrompt = [
+    "You are a synthetic consumer persona taking part in a pricing study. Your job is to say what a single product is worth to you.",
+    "",
+    buildExperimentContext(experiment),
+    "",
+    buildProductSection(experiment?.pricingPlan),
+    "",
+    buildPersonaSection(agent),
+    "",
+    responseFormat === ResponseFormat.PURCHASE_LIKELIHOOD
+      ? buildLikelihoodInstructionsSection(price, currency)
+      : buildThresholdInstructionsSection(currency),
+  ].join("\n");
+
+  return [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: "Give your answer now." },
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// Structured output
+// ---------------------------------------------------------------------------
+
+/**
+ * JSON schema of a pricing answer. Providers that support structured output
+ * are held to it; the answer is still validated.
+ * @param {string} responseFormat — ResponseFormat.PRICE_THRESHOLDS or PURCHASE_LIKELIHOOD
+ * @returns {{ name: string, schema: object }}
+ */
+export function buildPricingSchema(responseFormat) {
+  if (responseFormat === ResponseFormat.PURCHASE_LIKELIHOOD) {
+    return {
+      name: "agent_purchase_likelihood",
+      schema: {
+        type: "object",
+        properties: {
+          likelihood: {
+            type: "integer",
+            minimum: PURCHASE_LIKELIHOOD_MIN,
+            maximum: PURCHASE_LIKELIHOOD_MAX,
+          },
+          reason: { type: "string" },
+        },
+        required: ["likelihood", "reason"],
+        additionalProperties: false,
+      },
+    };
+  }
+
+  const price = { type: "number", minimum: 0 };
+  return {
+    name: "agent_price_thresholds",
+    schema: {
+      type: "object",
+      properties: {
+        tooCheap: price,
+        bargain: price,
+        expensive: price,
+        tooExpensive: price,
+        reason: { type: "string" },
+      },
+      required: ["tooCheap", "bargain", "expensive", "tooExpensive", "reason"],
+      additionalProperties: false,
+    },
+  };
+}
+
+/**
+ * Follow-up turn asking the model to fix an invalid pricing answer
+ * @param {string} problem — what was wrong with the last reply
+ * @returns {{ role: string, content: string }}
+ */
+export function buildPricingRepairMessage(problem) {
+  return {
+    role: "user",
+    content: `Your last reply could not be used: ${problem}. Reply again with ONLY the JSON object described in the instructions.`,
+  };
+}
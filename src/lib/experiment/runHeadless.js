@@ -0,0 +1,237 @@
+/**
+ * Headless runs — the ExperimentRunner decision pipeline without SimWorld.
+ *
+ * Loads an experiment, runs every agent against a HeadlessRuntime at full
+ * decision concurrency, checkpoints responses through RunCheckpoint and
+ * computes the results summary at the end. Progress is reported through
+ * `onEvent`, which the run route streams to the client. Pricing studies and
+ * Kano questionnaires (which only run headlessly) go through
+ * PricingStudyRunner and KanoStudyRunner.
+ *
+ * With a budget cap the run stops once the cap is reached and in-flight
+ * decisions have finished; it is left paused so it can be resumed with a
+ * higher budget.
+ *
+ * A replay re-runs a complete run's saved tasks as a new run with the LLM
+ * cache in replay mode, so every decision gets back the response the
+ * original run received and the provider is never called. A decision with
+ * no cached response is saved as an LLM error, and the replay is marked
+ * failed.
+ */
+
+import { getKanoFeatures } from "@/lib/domain/kano";
+import { getPriceLadder } from "@/lib/domain/pricing";
+import {
+  getStudyType,
+  isPricingStudy,
+  StudyType,
+} from "@/lib/domain/studyType";
+import { getAlternatives, getExperiment } from "@/lib/firebase/db";
+import { CacheMode, getLlmCacheStore } from "@/lib/llm/cache";
+import { ExperimentRunner } from "./ExperimentRunner";
+import {
+  HEADLESS_DECISION_CONCURRENCY,
+  HeadlessRuntime,
+} from "./HeadlessRuntime";
+import { KanoStudyRunner } from "./KanoStudyRunner";
+import { PricingStudyRunner } from "./PricingStudyRunner";
+import {
+  applyConfigSnapshot,
+  loadResumeState,
+  RunCheckpoint,
+} from "./RunCheckpoint";
+
+/** Minimum gap between streamed progress events */
+const PROGRESS_INTERVAL_MS = 500;
+
+/**
+ * Run (or resume) an experiment headlessly
+ *
+ * @param {Object} params
+ * @param {string} params.experimentId
+ * @param {string | null} [params.resumeRunId] - Continue this run instead of starting a new one
+ * @param {string | null} [params.replayRunId] - Start a new run that replays this complete run from the response cache
+ * @param {number} [params.decisionConcurrency] - Concurrent LLM decisions
+ * @param {number | null} [params.budgetUsd] - Cost cap; defaults to the resumed run's cap
+ * @param {(event: { type: "run" | "progress" | "complete", [key: string]: any }) => void} [params.onEvent]
+ * @returns {Promise<{ runId: string, completed: boolean }>}
+ */
+export async function runExperimentHeadless({
+  experimentId,
+  resumeRunId = null,
+  replayRunId = null,
+  decisionConcurrency = HEADLESS_DECISION_CONCURRENCY,
+  budgetUsd,
+  onEvent = () => {},
+}) {
+  const [exp, alternatives] = await Promise.all([
+    getExperiment(experimentId),
+    getAlternatives(experimentId),
+  ]);
+  if (!exp) throw new Error("Experiment not found.");
+
+  let experiment = exp;
+  let resumeFrom = null;
+  let checkpointOpts = { experimentId };
+  let budget = budgetUsd ?? null;
+  let replayOf = null;
+  if (resumeRunId) {
+    const state = await loadResumeState(experimentId, resumeRunId);
+    if (!state) throw new Error("Run not found.");
+    if (state.run.status === "complete") {
+      throw new Error("This run is already complete.");
+    }
+    experiment = applyConfigSnapshot(exp, state.run.configSnapshot);
+    resumeFrom = state.resumeFrom;
+    checkpointOpts = {
+      experimentId,
+      runId: resumeRunId,
+      savedTasks: state.resumeFrom.tasks,
+      savedResponses: state.savedResponses,
+      usage: state.resumeFrom.usage,
+    };
+    budget = budgetUsd === undefined ? (state.run.budgetUsd ?? null) : budget;
+    replayOf = state.run.replayOf ?? null;
+  } else if (replayRunId) {
+    const state = await loadResumeState(experimentId, replayRunId);
+    if (!state) throw new Error("Run not found.");
+    if (state.run.status !== "complete") {
+      throw new Error("Only complete runs can be replayed.");
+    }
+    experiment = applyConfigSnapshot(exp, state.run.configSnapshot);
+    // Every saved task again, under a new run
+    resumeFrom = { tasks: state.resumeFrom.tasks, answeredTaskIds: [] };
+    replayOf = replayRunId;
+  }
+  if (replayOf && !getLlmCacheStore()) {
+    throw new Error(
+      "Replaying a run needs the LLM response cache. Set LLM_CACHE_STORE and run again.",
+    );
+  }
+
+  const studyType = getStudyType(experiment);
+  const pricing = isPricingStudy(experiment);
+  if (pricing) {
+    if (!experiment.pricingPlan?.product?.name?.trim()) {
+      throw new Error(
+        "This pricing study has no product. Describe the product before running.",
+      );
+    }
+    if (
+      studyType === StudyType.GABOR_GRANGER &&
+      getPriceLadder(experiment.pricingPlan).length < 2
+    ) {
+      throw new Error(
+        "This Gabor-Granger study needs at least two prices in its ladder.",
+      );
+    }
+  } else if (studyType === StudyType.KANO) {
+    if (!getKanoFeatures(experiment.featureSchema?.features).length) {
+      throw new Error(
+        "This Kano questionnaire has no binary or categorical features to ask about.",
+      );
+    }
+  } else if (!alternatives.length) {
+    throw new Error(
+      "This experiment has no alternatives. Add alternatives before running.",
+    );
+  }
+  if (!experiment.agentPlan?.segments?.length) {
+    throw new Error(
+      "This experiment has no agent segments configured. Edit the experiment first.",
+    );
+  }
+
+  const checkpoint = new RunCheckpoint(checkpointOpts);
+
+  let lastProgressAt = 0;
+  let latestProgress = null;
+  let cacheMisses = 0;
+  let stopForBudget;
+  const budgetStop = new Promise((resolve) => {
+    stopForBudget = resolve;
+  });
+  const Runner = pricing
+    ? PricingStudyRunner
+    : studyType === StudyType.KANO
+      ? KanoStudyRunner
+      : ExperimentRunner;
+  const runner = new Runner({
+    runtime: new HeadlessRuntime(),
+    experiment,
+    alternatives,
+    // Agents spend no time animating, so keep one in flight per decision slot
+    concurrency: decisionConcurrency,
+    decisionConcurrency,
+    budgetUsd: budget,
+    cacheMode: replayOf ? CacheMode.REPLAY : undefined,
+    onProgress: (progress) => {
+      latestProgress = progress;
+      // The runner pauses itself at the cap; stop once in-flight agents drain
+      if (progress.budgetExceeded && progress.active === 0) stopForBudget();
+      const now = Date.now();
+      if (now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+      lastProgressAt = now;
+      onEvent({ type: "progress", progress });
+    },
+    onResponse: (r) => {
+      if (replayOf && r.error) cacheMisses++;
+      checkpoint.saveResponse(r);
+    },
+    resumeFrom,
+  });
+
+  await runner.init();
+  if (runner.budgetExceeded) {
+    throw new Error(
+      `This run has already spent its $${runner.budgetUsd} budget. Raise the budget to resume it.`,
+    );
+  }
+  const runId = await checkpoint.begin(experiment, runner.tasks, {
+    budgetUsd: runner.budgetUsd,
+    replayOf,
+  });
+  onEvent({ type: "run", runId, totalTasks: runner.tasks.length });
+
+  await Promise.race([runner.start(), budgetStop]);
+  onEvent({ type: "progress", progress: latestProgress });
+
+  if (runner.budgetExceeded) {
+    await checkpoint.flush();
+    await checkpoint.setStatus("paused");
+    onEvent({
+      type: "complete",
+      runId,
+      completed: false,
+      budgetExceeded: true,
+      usage: checkpoint.usage,
+      failedCount: checkpoint.failedCount,
+    });
+    return { runId, completed: false };
+  }
+
+  if (cacheMisses > 0) {
+    await checkpoint.flush();
+    await checkpoint.setStatus("failed", { cacheMisses });
+    onEvent({
+      type: "complete",
+      runId,
+      completed: false,
+      cacheMisses,
+      usage: checkpoint.usage,
+      failedCount: checkpoint.failedCount,
+    });
+    return { runId, completed: false };
+  }
+
+  const completed = await checkpoint.finalize(experiment, alternatives);
+  onEvent({
+    type: "complete",
+    runId,
+    completed,
+    usage: checkpoint.usage,
+    failedCount: checkpoint.failedCount,
+    missingCount: checkpoint.missingCount,
+  });
+  return { runId, completed };
+}
@@ -328,6 +328,26 @@ export async function addResponse(experimentId, runId, data) {
   return docRef.id;
 }
 
+/**
+ * Update a response
+ * @param {string} experimentId
+ * @param {string} runId
+ * @param {string} responseId
+ * @param {Object} data
+ */
+export async function updateResponse(experimentId, runId, responseId, data) {
+  const docRef = doc(
+    db,
+    "experiments",
+    experimentId,
+    "runs",
+    runId,
+    "responses",
+    responseId
+  );
+  await updateDoc(docRef, data);
+}
+
 // ============================================================================
 // RESULTS SUMMARY (document in runs subcollection)
 // ============================================================================
@@ -374,3 +394,36 @@ export async function saveResultsSummary(experimentId, runId, data) {
     computedAt: serverTimestamp(),
   });
 }
+
+// ============================================================================
+// LLM CACHE
+// ============================================================================
+
+/** Firestore document ID for a cache key (model IDs may contain "/") */
+function llmCacheDocId(key) {
+  return key.replace(/\//g, "_");
+}
+
+/**
+ * Get a cached LLM response
+ * @param {string} key - Cache key from getLlmCacheKey
+ * @returns {Promise<Object | null>}
+ */
+export async function getLlmCacheEntry(key) {
+  const snapshot = await getDoc(doc(db, "llmCache", llmCacheDocId(key)));
+  if (!snapshot.exists()) return null;
+  return snapshot.data();
+}
+
+/**
+ * Store an LLM response in the cache
+ * @param {string} key - Cache key from getLlmCacheKey
+ * @param {Object} data
+ */
+export async function saveLlmCacheEntry(key, data) {
+  await setDoc(doc(db, "llmCache", llmCacheDocId(key)), {
+    ...data,
+    key,
+    createdAt: serverTimestamp(),
+  });
+}
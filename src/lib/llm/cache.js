@@ -0,0 +1,139 @@
+/**
+ * LLM response cache
+ * Stores chat responses keyed by model + a hash of the request, so an
+ * identical call is answered from the store instead of being paid for again.
+ *
+ * The hash covers the messages and every option that changes the output
+ * (jsonMode, jsonSchema, maxTokens, temperature, seed, and the caller's
+ * variant). A call
+ * that samples — no seed and a temperature other than 0 — is only cached
+ * when it passes a `variant`, so independent samplers with the same prompt
+ * (e.g. two agents of one segment) never collapse onto one cached answer.
+ *
+ * Stores are picked with LLM_CACHE_STORE:
+ *   - "file": JSON files under LLM_CACHE_DIR (default ".llm-cache")
+ *   - "firestore": the llmCache collection
+ *   - unset: caching off
+ *
+ * Server-only (node:crypto / node:fs).
+ */
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { getLlmCacheEntry, saveLlmCacheEntry } from "@/lib/firebase/db";
+
+export const CacheMode = Object.freeze({
+  /** Always call the provider */
+  OFF: "off",
+  /** Answer from the store when possible, store new responses */
+  USE: "use",
+  /** Answer only from the store; a miss is an error, the provider is never called */
+  REPLAY: "replay",
+});
+
+const DEFAULT_CACHE_DIR = ".llm-cache";
+
+/**
+ * Cache key for a chat request
+ * @param {string} model
+ * @param {Array<{role: string, content: string | Array}>} messages
+ * @param {Object} [options]
+ * @param {boolean} [options.jsonMode]
+ * @param {{ name: string, schema: object }} [options.jsonSchema]
+ * @param {number} [options.maxTokens]
+ * @param {number} [options.temperature]
+ * @param {number} [options.seed]
+ * @param {string} [options.variant] - Separates independent samples of the same prompt
+ * @returns {string} "<model>:<sha256>", safe as a file name once sanitized
+ */
+export function getLlmCacheKey(model, messages, options = {}) {
+  const {
+    jsonMode = false,
+    jsonSchema,
+    maxTokens = 0,
+    temperature,
+    seed,
+    variant,
+  } = options;
+  const hash = createHash("sha256")
+    .update(
+      JSON.stringify({
+        messages,
+        jsonMode,
+        jsonSchema: jsonSchema ?? null,
+        maxTokens,
+        temperature: temperature ?? null,
+        seed: seed ?? null,
+        variant: variant ?? null,
+      }),
+    )
+    .digest("hex");
+  return `${model}:${hash}`;
+}
+
+/**
+ * Whether a response may be cached: deterministic calls (seeded or
+ * temperature 0) always, sampled calls only with a variant
+ * @param {{ temperature?: number, seed?: number, variant?: string }} options
+ * @returns {boolean}
+ */
+export function isCacheable({ temperature, seed, variant } = {}) {
+  return seed !== undefined || temperature === 0 || Boolean(variant);
+}
+
+function createFileStore(dir) {
+  const fileFor = (key) => {
+    const name = key.replace(/[^a-zA-Z0-9._-]/g, "_");
+    const hash = key.slice(key.lastIndexOf(":") + 1);
+    return path.join(dir, hash.slice(0, 2), `${name}.json`);
+  };
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await readFile(fileFor(key), "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async set(key, entry) {
+      const file = fileFor(key);
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, JSON.stringify(entry));
+    },
+  };
+}
+
+const firestoreStore = {
+  get: getLlmCacheEntry,
+  set: saveLlmCacheEntry,
+};
+
+let fileStore = null;
+
+/**
+ * The configured cache store, or null when caching is off
+ * @returns {{ get: (key: string) => Promise<Object | null>, set: (key: string, entry: Object) => Promise<void> } | null}
+ */
+export function getLlmCacheStore() {
+  switch (process.env.LLM_CACHE_STORE) {
+    case "file":
+      fileStore ??= createFileStore(
+        process.env.LLM_CACHE_DIR || DEFAULT_CACHE_DIR,
+      );
+      return fileStore;
+    case "firestore":
+      return firestoreStore;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Cache mode used when a call does not ask for one
+ * @returns {string} CacheMode
+ */
+export function getDefaultCacheMode() {
+  return getLlmCacheStore() ? CacheMode.USE : CacheMode.OFF;
+}
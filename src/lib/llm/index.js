@@ -1,14 +1,18 @@
 /**
  * LLM helper - unified invocation across Gemini, OpenAI, Anthropic, OpenRouter
  */
-export { Models } from "./models";
+export { Models, CUSTOM_MODEL_PREFIX, getCustomModels } from "./models";
 export {
   Provider,
   MODEL_TO_PROVIDER,
+  PROVIDER_RATE_LIMITS,
   getProviderForModel,
   getApiKeyForProvider,
+  getCustomProviderBaseUrl,
 } from "./providers";
-export { invoke_llm } from "./invoke";
+export { invoke_llm, ErrorType } from "./invoke";
+export { CacheMode } from "./cache";
+export { MODEL_PRICING, estimateCost } from "./pricing";
 export {
   searchProductForSprite,
   fetchImageAsDataUrl,
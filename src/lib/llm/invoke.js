@@ -1,14 +1,24 @@
 /**
  * invoke_llm - Unified LLM invocation helper
  *
- * Routes requests to the appropriate provider (Gemini, OpenAI, Anthropic, OpenRouter)
+ * Routes requests to the appropriate provider (Gemini, OpenAI, Anthropic, OpenRouter,
+ * or a custom OpenAI-compatible endpoint)
  * based on the model. Supports text chat and image generation.
+ * Text responses can be served from the response cache (see cache.js).
  */
-import { Models } from "./models";
+import {
+  CacheMode,
+  getDefaultCacheMode,
+  getLlmCacheKey,
+  getLlmCacheStore,
+  isCacheable,
+} from "./cache";
+import { CUSTOM_MODEL_PREFIX, Models } from "./models";
 import {
   Provider,
   getProviderForModel,
   getApiKeyForProvider,
+  getCustomProviderBaseUrl,
 } from "./providers";
 
 const DEFAULT_MAX_RETRIES = 3;
@@ -17,11 +27,12 @@ const REQUEST_TIMEOUT_MS = 300_000;
 /**
  * Error types for retry logic
  */
-const ErrorType = Object.freeze({
+export const ErrorType = Object.freeze({
   RATE_LIMIT: "rate_limit",
   PROVIDER_ERROR: "provider_error",
   TOKEN_LIMIT: "token_limit",
   UNSUPPORTED_MODEL: "unsupported_model",
+  CACHE_MISS: "cache_miss",
   OTHER: "other",
 });
 
@@ -57,6 +68,73 @@ function isRetriable(errorType) {
   );
 }
 
+/**
+ * Token usage from a provider payload, normalized across the chat
+ * completions / messages / responses APIs and Gemini's usageMetadata.
+ * Gemini bills thinking tokens as output, so they count as completion.
+ * @returns {{ promptTokens: number, completionTokens: number }}
+ */
+function extractUsage(raw) {
+  const usage = raw?.usage;
+  if (usage) {
+    return {
+      promptTokens: usage.prompt_tokens ?? usage.input_tokens ?? 0,
+      completionTokens: usage.completion_tokens ?? usage.output_tokens ?? 0,
+    };
+  }
+  const meta = raw?.usageMetadata;
+  if (meta) {
+    return {
+      promptTokens: meta.promptTokenCount ?? 0,
+      completionTokens:
+        (meta.candidatesTokenCount ?? 0) + (meta.thoughtsTokenCount ?? 0),
+    };
+  }
+  return { promptTokens: 0, completionTokens: 0 };
+}
+
+/**
+ * response_format for the chat completions APIs (OpenAI, OpenRouter and
+ * OpenAI-compatible servers): a strict JSON schema when one is given,
+ * otherwise plain JSON mode
+ * @returns {object | null}
+ */
+function chatResponseFormat(jsonMode, jsonSchema) {
+  if (jsonSchema) {
+    return {
+      type: "json_schema",
+      json_schema: {
+        name: jsonSchema.name,
+        schema: jsonSchema.schema,
+        strict: true,
+      },
+    };
+  }
+  return jsonMode ? { type: "json_object" } : null;
+}
+
+/**
+ * Group consecutive messages of the same role, for providers that take the
+ * system prompt separately and expect user/assistant turns to alternate
+ * @returns {{ role: string, parts: Array }[]}
+ */
+function groupTurns(messages) {
+  const turns = [];
+  for (const msg of messages) {
+    if (msg.role === "system") continue;
+    const parts = Array.isArray(msg.content)
+      ? msg.content
+      : [{ type: "text", text: msg.content }];
+    const last = turns[turns.length - 1];
+    if (last && last.role === msg.role) {
+      last.parts.push(...parts);
+    } else {
+      turns.push({ role: msg.role, parts: [...parts] });
+    }
+  }
+  return turns;
+}
+
 /**
  * Extract base64 and mime from data URL
  */
@@ -79,7 +157,13 @@ function dataUrlToBase64(dataUrl) {
  * OpenRouter handler (chat completions, supports image output)
  */
 async function callOpenRouter(apiKey, modelId, messages, options) {
-  const { jsonMode = false, maxTokens = 0 } = options;
+  const {
+    jsonMode = false,
+    jsonSchema = null,
+    maxTokens = 0,
+    temperature,
+    seed,
+  } = options;
 
   // OpenRouter expects imageUrl (camelCase), we use image_url
   const normalizedMessages = messages.map((msg) => {
@@ -105,8 +189,11 @@ async function callOpenRouter(apiKey, modelId, messages, options) {
   if (isImageModel) {
     body.modalities = ["image", "text"];
   }
-  if (jsonMode) body.response_format = { type: "json_object" };
+  const responseFormat = chatResponseFormat(jsonMode, jsonSchema);
+  if (responseFormat) body.response_format = responseFormat;
   if (maxTokens > 0) body.max_tokens = maxTokens;
+  if (temperature !== undefined) body.temperature = temperature;
+  if (seed !== undefined) body.seed = seed;
 
   const res = await fetch("https://openrouter.ai/api/v1/chat/completions", {
     method: "POST",
@@ -158,20 +245,22 @@ async function callOpenRouter(apiKey, modelId, messages, options) {
  * Gemini handler (generateContent, supports image output)
  */
 async function callGemini(apiKey, modelId, messages, options) {
-  const { jsonMode = false, maxTokens = 0 } = options;
+  const {
+    jsonMode = false,
+    jsonSchema = null,
+    maxTokens = 0,
+    temperature,
+    seed,
+  } = options;
 
   // Extract system instruction from system messages
   const systemMessages = messages.filter((m) => m.role === "system");
   const systemInstruction = systemMessages.map((m) => m.content).join("\n\n");
 
-  // Convert OpenRouter-style messages to Gemini format (only user messages)
-  const parts = [];
-  for (const msg of messages) {
-    if (msg.role !== "user") continue;
-    const content = Array.isArray(msg.content)
-      ? msg.content
-      : [{ type: "text", text: msg.content }];
-    for (const part of content) {
+  // Convert OpenRouter-style messages to Gemini contents (assistant → model)
+  const contents = groupTurns(messages).map((turn) => {
+    const parts = [];
+    for (const part of turn.parts) {
       if (part.type === "text" && part.text) {
         parts.push({ text: part.text });
       }
@@ -180,7 +269,8 @@ async function callGemini(apiKey, modelId, messages, options) {
         parts.push({ inlineData: { mimeType: mime, data: base64 } });
       }
     }
-  }
+    return { role: turn.role === "assistant" ? "model" : "user", parts };
+  });
 
   // Only include responseModalities for image generation models
   const isImageModel = modelId.includes("image");
@@ -188,11 +278,18 @@ async function callGemini(apiKey, modelId, messages, options) {
   if (isImageModel) {
     generationConfig.responseModalities = ["Text", "Image"];
   }
-  if (jsonMode) generationConfig.responseMimeType = "application/json";
+  if (jsonSchema) {
+    generationConfig.responseMimeType = "application/json";
+    generationConfig.responseJsonSchema = jsonSchema.schema;
+  } else if (jsonMode) {
+    generationConfig.responseMimeType = "application/json";
+  }
   if (maxTokens > 0) generationConfig.maxOutputTokens = maxTokens;
+  if (temperature !== undefined) generationConfig.temperature = temperature;
+  if (seed !== undefined) generationConfig.seed = seed;
 
   const requestBody = {
-    contents: [{ role: "user", parts }],
+    contents,
     generationConfig,
   };
 
@@ -260,7 +357,13 @@ async function callGemini(apiKey, modelId, messages, options) {
  * OpenAI handler (responses API for image gen, chat completions for text)
  */
 async function callOpenAI(apiKey, modelId, messages, options) {
-  const { jsonMode = false, maxTokens = 0 } = options;
+  const {
+    jsonMode = false,
+    jsonSchema = null,
+    maxTokens = 0,
+    temperature,
+    seed,
+  } = options;
 
   // Check if we have image input (sprite generation)
   const hasImageInput = messages.some((m) => {
@@ -332,8 +435,11 @@ async function callOpenAI(apiKey, modelId, messages, options) {
     messages,
     stream: false,
   };
-  if (jsonMode) body.response_format = { type: "json_object" };
+  const responseFormat = chatResponseFormat(jsonMode, jsonSchema);
+  if (responseFormat) body.response_format = responseFormat;
   if (maxTokens > 0) body.max_tokens = maxTokens;
+  if (temperature !== undefined) body.temperature = temperature;
+  if (seed !== undefined) body.seed = seed;
 
   const res = await fetch("https://api.openai.com/v1/chat/completions", {
     method: "POST",
@@ -371,40 +477,49 @@ async function callOpenAI(apiKey, modelId, messages, options) {
 
 /**
  * Anthropic handler (messages API)
+ * A JSON schema is enforced as a forced tool call; the tool input is
+ * returned as the content.
  */
 async function callAnthropic(apiKey, modelId, messages, options) {
-  const { maxTokens = 0 } = options;
+  // The messages API has no seed parameter
+  const { jsonSchema = null, maxTokens = 0, temperature } = options;
 
   const systemMessages = messages.filter((m) => m.role === "system");
   const system = systemMessages.map((m) => m.content).join("\n\n");
 
-  const userMessages = messages.filter((m) => m.role === "user");
-  const anthropicContent = [];
-  for (const msg of userMessages) {
-    const c = msg.content;
-    if (Array.isArray(c)) {
-      for (const part of c) {
-        if (part.type === "text")
-          anthropicContent.push({ type: "text", text: part.text });
-        if (part.type === "image_url" && part.image_url?.url) {
-          const { mime, base64 } = dataUrlToBase64(part.image_url.url);
-          anthropicContent.push({
-            type: "image",
-            source: { type: "base64", media_type: mime, data: base64 },
-          });
-        }
+  const anthropicMessages = groupTurns(messages).map((turn) => {
+    const content = [];
+    for (const part of turn.parts) {
+      if (part.type === "text" && part.text)
+        content.push({ type: "text", text: part.text });
+      if (part.type === "image_url" && part.image_url?.url) {
+        const { mime, base64 } = dataUrlToBase64(part.image_url.url);
+        content.push({
+          type: "image",
+          source: { type: "base64", media_type: mime, data: base64 },
+        });
       }
-    } else if (typeof c === "string") {
-      anthropicContent.push({ type: "text", text: c });
     }
-  }
+    return { role: turn.role, content };
+  });
 
   const body = {
     model: modelId,
     max_tokens: maxTokens > 0 ? maxTokens : 4096,
     system: system || undefined,
-    messages: [{ role: "user", content: anthropicContent }],
+    messages: anthropicMessages,
   };
+  if (temperature !== undefined) body.temperature = temperature;
+  if (jsonSchema) {
+    body.tools = [
+      {
+        name: jsonSchema.name,
+        description: "Record your answer.",
+        input_schema: jsonSchema.schema,
+      },
+    ];
+    body.tool_choice = { type: "tool", name: jsonSchema.name };
+  }
 
   const res = await fetch("https://api.anthropic.com/v1/messages", {
     method: "POST",
@@ -439,6 +554,10 @@ async function callAnthropic(apiKey, modelId, messages, options) {
 
   let content = null;
   for (const block of data.content || []) {
+    if (block.type === "tool_use" && jsonSchema) {
+      content = JSON.stringify(block.input);
+      break;
+    }
     if (block.type === "text") {
       content = (content || "") + block.text;
     }
@@ -447,26 +566,185 @@ async function callAnthropic(apiKey, modelId, messages, options) {
   return { content, images: [], raw: data };
 }
 
+/**
+ * Custom OpenAI-compatible handler (chat completions at CUSTOM_LLM_BASE_URL)
+ * Works with local servers such as Ollama, vLLM or LM Studio; the key is optional.
+ */
+async function callCustom(apiKey, modelId, messages, options) {
+  const {
+    jsonMode = false,
+    jsonSchema = null,
+    maxTokens = 0,
+    temperature,
+    seed,
+  } = options;
+  const baseUrl = getCustomProviderBaseUrl();
+
+  const body = {
+    model: modelId.slice(CUSTOM_MODEL_PREFIX.length),
+    messages,
+    stream: false,
+  };
+  const responseFormat = chatResponseFormat(jsonMode, jsonSchema);
+  if (responseFormat) body.response_format = responseFormat;
+  if (maxTokens > 0) body.max_tokens = maxTokens;
+  if (temperature !== undefined) body.temperature = temperature;
+  if (seed !== undefined) body.seed = seed;
+
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const res = await fetch(`${baseUrl}/chat/completions`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  const text = await res.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(`Custom provider error: ${res.status} - ${text}`);
+  }
+
+  if (!res.ok) {
+    const errType = classifyError(
+      data,
+      res.status,
+      data?.error?.message || text,
+    );
+    throw Object.assign(new Error(data?.error?.message || text), {
+      errorType: errType,
+      statusCode: res.status,
+    });
+  }
+
+  const content = data.choices?.[0]?.message?.content ?? null;
+  return { content, images: [], raw: data };
+}
+
 /**
  * Invoke LLM with unified interface
  *
+ * Text responses go through the response cache when a store is configured
+ * (LLM_CACHE_STORE). A cache hit costs nothing and reports zero tokens with
+ * `usage.cached = true`.
+ *
  * @param {string} model - Model ID from Models enum
  * @param {Array<{role: string, content: string | Array}>} messages - Chat messages (OpenRouter format)
  * @param {Object} options
  * @param {string} [options.sessionId] - Optional session ID for logging
  * @param {string[]} [options.tags] - Optional tags for logging
  * @param {boolean} [options.jsonMode] - Request JSON response
+ * @param {{ name: string, schema: object }} [options.jsonSchema] - Hold the reply to this JSON schema
+ *   (structured output; a forced tool call on Anthropic). The reply content is the JSON text.
  * @param {number} [options.maxTokens] - Max tokens (0 = default)
+ * @param {number} [options.temperature] - Sampling temperature (default: provider's)
+ * @param {number} [options.seed] - Sampling seed, where the provider supports one
  * @param {number} [options.maxRetries] - Max retries (default 3)
  * @param {string} [options.provider] - Override provider (default: from model mapping)
- * @returns {Promise<{content: string|null, images: string[], raw: object}>}
+ * @param {string} [options.cache] - CacheMode (default: "use" when a store is configured, else "off")
+ * @param {string} [options.cacheVariant] - Keeps independent samples of one prompt apart in the cache (e.g. an agent ID)
+ * @returns {Promise<{content: string|null, images: string[], raw: object | null, usage: {promptTokens: number, completionTokens: number, latencyMs: number, retries: number, cached?: boolean}}>}
+ *   Errors thrown after the last retry carry the same `usage` (with zero tokens)
  */
 export async function invoke_llm(model, messages, options = {}) {
+  const {
+    cache = getDefaultCacheMode(),
+    cacheVariant,
+    ...callOptions
+  } = options;
+  const keyOptions = {
+    jsonMode: callOptions.jsonMode,
+    jsonSchema: callOptions.jsonSchema,
+    maxTokens: callOptions.maxTokens,
+    temperature: callOptions.temperature,
+    seed: callOptions.seed,
+    variant: cacheVariant,
+  };
+  // Sampled calls without a variant are never stored, so don't look them up
+  if (
+    cache === CacheMode.OFF ||
+    (cache === CacheMode.USE && !isCacheable(keyOptions))
+  ) {
+    return invokeProvider(model, messages, callOptions);
+  }
+
+  const startedAt = Date.now();
+  const store = getLlmCacheStore();
+  const key = getLlmCacheKey(model, messages, keyOptions);
+  const cachedUsage = () => ({
+    promptTokens: 0,
+    completionTokens: 0,
+    latencyMs: Date.now() - startedAt,
+    retries: 0,
+    cached: true,
+  });
+
+  let entry = null;
+  try {
+    entry = store ? await store.get(key) : null;
+  } catch (err) {
+    if (cache === CacheMode.REPLAY) throw err;
+    console.warn(`[invoke_llm] [${model}] Cache read failed: ${err.message}`);
+  }
+  if (entry) {
+    return {
+      content: entry.content,
+      images: [],
+      raw: null,
+      usage: cachedUsage(),
+    };
+  }
+  if (cache === CacheMode.REPLAY) {
+    throw Object.assign(
+      new Error(
+        store
+          ? `No cached response for ${model} (replay mode)`
+          : "Replay needs a response cache (set LLM_CACHE_STORE)",
+      ),
+      {
+        errorType: ErrorType.CACHE_MISS,
+        usage: { ...cachedUsage(), cached: false },
+      },
+    );
+  }
+
+  const result = await invokeProvider(model, messages, callOptions);
+  if (store && result.content !== null && !result.images.length) {
+    try {
+      await store.set(key, {
+        model,
+        content: result.content,
+        usage: {
+          promptTokens: result.usage.promptTokens,
+          completionTokens: result.usage.completionTokens,
+        },
+        createdAt: new Date().toISOString(),
+      });
+    } catch (err) {
+      console.warn(
+        `[invoke_llm] [${model}] Cache write failed: ${err.message}`,
+      );
+    }
+  }
+  return result;
+}
+
+/**
+ * Call the provider, retrying rate limits and provider errors
+ */
+async function invokeProvider(model, messages, options) {
   const {
     sessionId: _sessionId = "",
     tags: _tags = [],
     jsonMode = false,
+    jsonSchema = null,
     maxTokens = 0,
+    temperature,
+    seed,
     maxRetries = DEFAULT_MAX_RETRIES,
     provider: providerOverride,
   } = options;
@@ -474,7 +752,8 @@ export async function invoke_llm(model, messages, options = {}) {
   const provider = providerOverride ?? getProviderForModel(model);
   const apiKey = getApiKeyForProvider(provider);
 
-  const providerOpts = { jsonMode, maxTokens };
+  const providerOpts = { jsonMode, jsonSchema, maxTokens, temperature, seed };
+  const startedAt = Date.now();
 
   let lastError;
   for (let retries = 0; retries <= maxRetries; retries++) {
@@ -493,13 +772,30 @@ export async function invoke_llm(model, messages, options = {}) {
         case Provider.ANTHROPIC:
           result = await callAnthropic(apiKey, model, messages, providerOpts);
           break;
+        case Provider.CUSTOM:
+          result = await callCustom(apiKey, model, messages, providerOpts);
+          break;
         default:
           throw new Error(`Unknown provider: ${provider}`);
       }
 
-      return result;
+      return {
+        ...result,
+        usage: {
+          ...extractUsage(result.raw),
+          latencyMs: Date.now() - startedAt,
+          retries,
+        },
+      };
     } catch (err) {
-      lastError = err;
+      lastError = Object.assign(err, {
+        usage: {
+          promptTokens: 0,
+          completionTokens: 0,
+          latencyMs: Date.now() - startedAt,
+          retries,
+        },
+      });
       const errorType = err.errorType ?? ErrorType.OTHER;
 
       if (
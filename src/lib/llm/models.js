@@ -31,3 +31,28 @@ export const Models = Object.freeze({
   GPT_5_2_OPENAI: "gpt-5.2",
   GPT_4_1_MINI: "gpt-4.1-mini",
 });
+
+/**
+ * Prefix for models served by the custom OpenAI-compatible endpoint
+ * (a local Ollama / vLLM / LM Studio server or a recorded-response mock).
+ * e.g. "custom/llama3.1:8b" is sent to the endpoint as "llama3.1:8b".
+ */
+export const CUSTOM_MODEL_PREFIX = "custom/";
+
+/**
+ * Models offered by the custom endpoint, read from the comma-separated
+ * NEXT_PUBLIC_CUSTOM_LLM_MODELS env var. Only the names are public; the base
+ * URL and key stay server-side (see providers.js).
+ * @returns {string[]} Model tags with the custom prefix
+ */
+export function getCustomModels() {
+  return (process.env.NEXT_PUBLIC_CUSTOM_LLM_MODELS || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((name) =>
+      name.startsWith(CUSTOM_MODEL_PREFIX)
+        ? name
+        : `${CUSTOM_MODEL_PREFIX}${name}`,
+    );
+}
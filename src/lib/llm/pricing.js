@@ -0,0 +1,53 @@
+/**
+ * LLM price table
+ * USD per million tokens for each model ID, used to turn recorded token
+ * usage into cost. Models missing here (custom endpoints) are reported as
+ * unpriced rather than free.
+ *
+ * Last validated: Feb 2026
+ */
+import { Models } from "./models";
+
+/** @type {Record<string, { input: number, output: number }>} */
+export const MODEL_PRICING = Object.freeze({
+  // Gemini (direct Google API)
+  [Models.GEMINI_2_5_FLASH]: { input: 0.3, output: 2.5 },
+  [Models.GEMINI_2_5_FLASH_IMAGE]: { input: 0.3, output: 30 },
+  [Models.GEMINI_3_FLASH]: { input: 0.5, output: 3 },
+  [Models.GEMINI_3_PRO]: { input: 2, output: 12 },
+
+  // OpenRouter
+  [Models.GEMINI_2_5_FLASH_OPENROUTER]: { input: 0.3, output: 2.5 },
+  [Models.GEMINI_2_0_FLASH_OPENROUTER]: { input: 0.1, output: 0.4 },
+  [Models.GEMINI_2_5_FLASH_IMAGE_PREVIEW]: { input: 0.3, output: 30 },
+  [Models.CLAUDE_SONNET_4]: { input: 3, output: 15 },
+  [Models.CLAUDE_OPUS_4]: { input: 15, output: 75 },
+  [Models.CLAUDE_HAIKU_4_5]: { input: 1, output: 5 },
+  [Models.GPT_5]: { input: 1.25, output: 10 },
+  [Models.GPT_5_MINI]: { input: 0.25, output: 2 },
+
+  // Anthropic (direct API)
+  [Models.CLAUDE_SONNET_4_5_ANTHROPIC]: { input: 3, output: 15 },
+  [Models.CLAUDE_OPUS_4_6_ANTHROPIC]: { input: 5, output: 25 },
+  [Models.CLAUDE_HAIKU_4_5_ANTHROPIC]: { input: 1, output: 5 },
+
+  // OpenAI (direct API)
+  [Models.GPT_5_2_OPENAI]: { input: 1.75, output: 14 },
+  [Models.GPT_4_1_MINI]: { input: 0.4, output: 1.6 },
+});
+
+/**
+ * Cost of one call from its token usage
+ * @param {string} modelId - Model ID from Models enum
+ * @param {{ promptTokens?: number, completionTokens?: number }} usage
+ * @returns {number | null} USD, or null when the model has no price
+ */
+export function estimateCost(modelId, usage) {
+  const price = MODEL_PRICING[modelId];
+  if (!price) return null;
+  return (
+    ((usage?.promptTokens || 0) * price.input +
+      (usage?.completionTokens || 0) * price.output) /
+    1_000_000
+  );
+}
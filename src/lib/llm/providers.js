@@ -1,13 +1,14 @@
 /**
  * LLM Providers and model-to-provider mapping
  */
-import { Models } from "./models";
+import { CUSTOM_MODEL_PREFIX, Models } from "./models";
 
 export const Provider = Object.freeze({
   GEMINI: "gemini",
   OPENAI: "openai",
   ANTHROPIC: "anthropic",
   OPENROUTER: "openrouter",
+  CUSTOM: "custom",
 });
 
 /** @type {Record<string, string>} Model ID -> Provider */
@@ -43,14 +44,35 @@ const PROVIDER_ENV_KEYS = Object.freeze({
   [Provider.OPENAI]: "OPENAI_API_KEY",
   [Provider.ANTHROPIC]: "ANTHROPIC_API_KEY",
   [Provider.OPENROUTER]: "OPENROUTER_API_KEY",
+  [Provider.CUSTOM]: "CUSTOM_LLM_API_KEY",
 });
 
+/**
+ * Typical entry-tier rate limits per provider (requests and tokens per
+ * minute), used to flag runs likely to be throttled. Actual limits depend on
+ * the account tier and model; null means no known limit.
+ * @type {Record<string, { rpm: number | null, tpm: number | null }>}
+ */
+export const PROVIDER_RATE_LIMITS = Object.freeze({
+  [Provider.GEMINI]: { rpm: 1000, tpm: 1_000_000 },
+  [Provider.OPENAI]: { rpm: 500, tpm: 200_000 },
+  [Provider.ANTHROPIC]: { rpm: 50, tpm: 30_000 },
+  [Provider.OPENROUTER]: { rpm: null, tpm: null },
+  [Provider.CUSTOM]: { rpm: null, tpm: null },
+});
+
+/** Providers that work without an API key */
+const OPTIONAL_KEY_PROVIDERS = new Set([Provider.CUSTOM]);
+
 /**
  * Get the provider for a given model
  * @param {string} modelId - Model ID from Models enum
  * @returns {string} Provider key
  */
 export function getProviderForModel(modelId) {
+  if (modelId?.startsWith(CUSTOM_MODEL_PREFIX)) {
+    return Provider.CUSTOM;
+  }
   const provider = MODEL_TO_PROVIDER[modelId];
   if (!provider) {
     throw new Error(`Unknown model: ${modelId}. Add to MODEL_TO_PROVIDER.`);
@@ -70,7 +92,21 @@ export function getApiKeyForProvider(provider) {
   }
   const key = process.env[envKey];
   if (!key) {
+    if (OPTIONAL_KEY_PROVIDERS.has(provider)) return "";
     throw new Error(`${envKey} not configured`);
   }
   return key;
 }
+
+/**
+ * Get the base URL of the custom OpenAI-compatible endpoint
+ * (e.g. "http://localhost:11434/v1" for Ollama)
+ * @returns {string} Base URL without trailing slash
+ */
+export function getCustomProviderBaseUrl() {
+  const baseUrl = process.env.CUSTOM_LLM_BASE_URL;
+  if (!baseUrl) {
+    throw new Error("CUSTOM_LLM_BASE_URL not configured");
+  }
+  return baseUrl.replace(/\/+$/, "");
+}
@@ -95,6 +95,65 @@
  * @property {CustomLocation[]} customLocations - User-defined locations
  */
 
+// ============================================================================
+// TASK PLAN
+// ============================================================================
+
+/**
+ * @typedef {'AB' | 'ABC' | 'AB_NONE' | 'ABC_NONE' | 'MAXDIFF' | 'RANK' | 'ALLOCATION'} ChoiceFormat
+ * MAXDIFF shows four items per task and asks for the best and the worst;
+ * RANK asks for a full ranking of four; ALLOCATION splits purchases over three
+ */
+
+/**
+ * @typedef {'choice' | 'best_worst' | 'ranking' | 'allocation' | 'price_thresholds' | 'purchase_likelihood' | 'kano_pair'} ResponseFormat
+ * price_thresholds and purchase_likelihood are the questions of pricing
+ * studies; kano_pair the questions of Kano questionnaires
+ */
+
+/**
+ * @typedef {'pairwise' | 'random' | 'balanced'} TaskDesignType
+ */
+
+/**
+ * @typedef {'in_set' | 'dual_response'} NoneMode
+ * in_set offers "None" as an option; dual_response asks for a forced choice,
+ * then whether the agent would actually buy it
+ */
+
+/**
+ * @typedef {Object} TaskPlan
+ * @property {TaskDesignType} design - How choice sets are built
+ * @property {number} tasksPerAgent - Number of choice tasks per agent
+ * @property {boolean} randomizeOrder - Shuffle alternative positions in each task
+ * @property {number} includeHoldouts - Holdout tasks per agent
+ * @property {number} includeRepeats - Repeated tasks per agent
+ * @property {boolean} [deliberation] - Agents evaluate every option before choosing (an extra LLM call per task)
+ * @property {number} [allocationUnits] - Purchases split per task in the ALLOCATION format (default 10)
+ * @property {NoneMode} [noneMode] - How formats with "None" ask for it (default "in_set")
+ */
+
+/**
+ * @typedef {'choice' | 'van_westendorp' | 'gabor_granger' | 'kano'} StudyType
+ * choice compares alternatives; van_westendorp asks four price thresholds
+ * for one product; gabor_granger asks purchase intent at each price of a ladder;
+ * kano asks how agents feel with and without each binary/categorical feature
+ */
+
+/**
+ * @typedef {Object} PricingProduct
+ * @property {string} name - Product name shown to agents
+ * @property {string} description - What the product is and does
+ */
+
+/**
+ * @typedef {Object} PricingPlan
+ * @property {PricingProduct} product - The single product being priced
+ * @property {string} currency - Currency code of all prices (e.g. "USD")
+ * @property {number | null} referencePrice - Typical market price shown to agents (optional)
+ * @property {number[]} priceLadder - Prices asked in Gabor-Granger studies
+ */
+
 // ============================================================================
 // EXPERIMENT
 // ============================================================================
@@ -114,6 +173,10 @@
  * @property {NormalizationConfig} normalization - Normalization settings
  * @property {AgentPlan} agentPlan - Agent configuration (generated from agentConfig)
  * @property {AgentConfig} [agentConfig] - Simplified agent configuration
+ * @property {TaskPlan} [taskPlan] - Choice task design settings
+ * @property {ChoiceFormat} [choiceFormat] - Alternatives per task and None option
+ * @property {StudyType} [studyType] - Kind of study (missing = "choice")
+ * @property {PricingPlan} [pricingPlan] - Product and prices of pricing studies
  * @property {Date} createdAt - Creation timestamp
  * @property {Date} updatedAt - Last update timestamp
  */
@@ -180,6 +243,10 @@
  * @typedef {Object} RunConfigSnapshot
  * @property {number} featureSchemaVersion - Schema version at time of run
  * @property {AgentPlan} agentPlan - Agent plan snapshot
+ * @property {TaskPlan | null} [taskPlan] - Task plan snapshot
+ * @property {ChoiceFormat | null} [choiceFormat] - Choice format snapshot
+ * @property {StudyType} [studyType] - Study type snapshot (missing = "choice")
+ * @property {PricingPlan | null} [pricingPlan] - Pricing plan snapshot
  */
 
 /**
@@ -191,6 +258,57 @@
  * @property {Date | null} completedAt - When run completed
  * @property {RunConfigSnapshot} configSnapshot - Config at time of run
  * @property {RunProgress} progress - Current progress
+ * @property {SimulatorScenario[]} [simulatorScenarios] - Saved market simulator scenarios
+ * @property {RunUsage} [usage] - LLM usage totals so far
+ * @property {number | null} [budgetUsd] - Cost cap; the run pauses when reached
+ * @property {string | null} [replayOf] - Run whose cached responses this run replays
+ * @property {number} [cacheMisses] - Replay decisions with no cached response
+ */
+
+/**
+ * @typedef {Object} DecisionUsage
+ * @property {string} model - Model ID that was called
+ * @property {number} promptTokens - Input tokens
+ * @property {number} completionTokens - Output tokens
+ * @property {number} latencyMs - Wall time of the call, retries included
+ * @property {number} retries - Retries after the first attempt
+ * @property {number | null} costUsd - Cost, null if the model has no price
+ * @property {boolean} [cached] - Answered from the response cache (no tokens billed)
+ * @property {number} [repairs] - Follow-up turns needed to get a valid reply
+ */
+
+/**
+ * @typedef {Object} UsageTotals
+ * @property {number} decisions - Decisions counted
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} latencyMs - Summed decision latency
+ * @property {number} retries
+ * @property {number} costUsd - Cost of priced decisions
+ * @property {number} unpriced - Decisions with no price (not in costUsd)
+ * @property {number} [cacheHits] - Decisions answered from the response cache
+ */
+
+/**
+ * @typedef {Object} RunUsage
+ * @property {UsageTotals} total
+ * @property {Object<string, UsageTotals>} byModel - Keyed by modelTag
+ * @property {Object<string, UsageTotals>} bySegment - Keyed by segment ID
+ */
+
+/**
+ * @typedef {'share_of_preference' | 'first_choice' | 'randomized_first_choice'} SimulationRule
+ */
+
+/**
+ * @typedef {Object} SimulatorScenario
+ * @property {string} id - e.g. "scenario_<timestamp>"
+ * @property {string} name - User-given name (unique per run)
+ * @property {{ id: string, name: string, features: Object<string, any> }[]} concepts - Hypothetical products
+ * @property {string[]} competitorIds - Existing alternatives in the market
+ * @property {SimulationRule} rule
+ * @property {boolean} includeNone - Whether "None" competes (when the model has a NONE constant)
+ * @property {Date} savedAt
  */
 
 // ============================================================================
@@ -202,8 +320,15 @@
  * @property {string} id - Firestore document ID
  * @property {string} agentId - Which agent this task is for
  * @property {string[]} shownAlternatives - Alternative IDs in display order
+ * @property {boolean} includeNone - Whether "None" was offered
+ * @property {ResponseFormat} [responseFormat] - What the task asks for (missing = "choice")
+ * @property {number} [allocationUnits] - Units to split in allocation tasks
+ * @property {boolean} [dualResponse] - Forced choice followed by a would-you-buy question
+ * @property {number | null} [price] - Asked price (purchase likelihood tasks)
+ * @property {string | null} [featureKey] - Asked feature (Kano tasks)
  * @property {boolean} isHoldout - Whether this is a holdout task
  * @property {string | null} isRepeatOf - If repeat, which task ID it repeats
+ * @property {number} [sequence] - Position in the run's task list (answer order when resuming)
  * @property {Date} createdAt - Creation timestamp
  */
 
@@ -222,14 +347,44 @@
  * @property {string} id - Firestore document ID
  * @property {string} taskId - Which task this responds to
  * @property {string} agentId - Which agent responded
- * @property {string} chosen - Chosen alternative ID or "NONE"
+ * @property {string | null} segmentId - Segment of the agent (null if unknown)
+ * @property {string | null} modelTag - LLM model the agent used
+ * @property {AgentTraits | null} traits - Persona traits of the agent
+ * @property {string[]} shownAlternatives - Alternative IDs shown, in display order
+ * @property {string} chosen - Chosen alternative ID or "NONE"; the best item in best-worst tasks; always "NONE" in pricing studies and Kano questionnaires
+ * @property {string | null} [worst] - Worst item in best-worst (MaxDiff) tasks
+ * @property {string[] | null} [ranking] - Shown alternatives from most to least preferred (ranking tasks); chosen is the first
+ * @property {Object<string, number> | null} [allocation] - Units per shown alternative (allocation tasks); chosen has the most
+ * @property {boolean | null} [wouldBuy] - Dual-response tasks: whether the agent would actually buy the chosen alternative
+ * @property {string | null} [wouldBuyReason] - The agent's reason for its wouldBuy answer
+ * @property {Object<string, number> | null} [priceThresholds] - Van Westendorp answers: tooCheap, bargain, expensive, tooExpensive
+ * @property {number | null} [price] - Asked price (Gabor-Granger tasks)
+ * @property {number | null} [purchaseLikelihood] - Gabor-Granger answer, 1 (definitely not) to 5 (definitely would buy)
+ * @property {string | null} [featureKey] - Asked feature (Kano tasks)
+ * @property {{ functional: KanoAnswer, dysfunctional: KanoAnswer } | null} [kanoAnswers] - Kano answers with and without the feature
  * @property {number} [confidence] - Confidence score 0..1
  * @property {string[]} [reasonCodes] - Feature keys that influenced decision
  * @property {string} [explanation] - Short explanation text
  * @property {ResponseTimings} timings - Timing information
+ * @property {DecisionUsage | null} [usage] - LLM usage of the decision
+ * @property {DecisionStatus} [decisionStatus] - How the decision was obtained (missing = "ok")
+ * @property {string | null} [rawText] - The model's last reply, unparsed
+ * @property {AlternativeEvaluation[] | null} [evaluation] - Private evaluation written before choosing (deliberation runs)
  * @property {Date} createdAt - Creation timestamp
  */
 
+/**
+ * @typedef {Object} AlternativeEvaluation
+ * @property {string} alternativeId - Evaluated alternative
+ * @property {string[]} pros
+ * @property {string[]} cons
+ * @property {Object<string, number>} featureScores - Stated score per feature key, 1 (very unappealing) to 10 (very appealing)
+ */
+
+/**
+ * @typedef {'ok' | 'repaired' | 'parse_fallback' | 'invalid_choice' | 'llm_error'} DecisionStatus
+ */
+
 // ============================================================================
 // RESULTS SUMMARY
 // ============================================================================
@@ -263,6 +418,188 @@
  * @property {Object} featureImportance - Feature importance
  * @property {ImportanceMap} featureImportance.overall - Overall importance
  * @property {SegmentImportanceMap} featureImportance.bySegment - Importance by segment
+ * @property {PartWorthSummary} partWorths - Pooled MNL β weights with inference
+ * @property {ValidationSummary | null} validation - Holdout/repeat validation (null if none planned)
+ * @property {HierarchicalSummary | null} hierarchical - HB-MNL fit (null if not requested or too little data)
+ * @property {LatentClassSummary | null} latentClasses - Latent-class MNL fits (null if not requested or too little data)
+ * @property {boolean} [advancedModels] - Whether HB and latent classes were requested (absent on older summaries, which always fitted them)
+ * @property {DecisionQualitySummary} [decisionQuality] - Decision status counts (all responses)
+ */
+
+/**
+ * @typedef {Object} PricingResultsSummary
+ * Results of a pricing study (in place of the choice model results)
+ * @property {Date} computedAt - When results were computed
+ * @property {StudyType} studyType
+ * @property {VanWestendorpSummary | null} vanWestendorp - Van Westendorp studies
+ * @property {GaborGrangerSummary | null} gaborGranger - Gabor-Granger studies
+ * @property {{ totalResponses: number }} responseStats - All responses, fallbacks included
+ * @property {DecisionQualitySummary} decisionQuality - Fallbacks are always excluded (they carry no answer)
+ */
+
+/**
+ * @typedef {Object} VanWestendorpPoints
+ * @property {number | null} pmc - Point of marginal cheapness (too cheap × not a bargain)
+ * @property {number | null} opp - Optimal price point (too cheap × too expensive)
+ * @property {number | null} ipp - Indifference price point (bargain × expensive)
+ * @property {number | null} pme - Point of marginal expensiveness (not expensive × too expensive)
+ */
+
+/**
+ * @typedef {Object} VanWestendorpSummary
+ * @property {number} responses - Answers used
+ * @property {VanWestendorpPoints} points - Acceptable range is pmc..pme
+ * @property {Object<string, number>} medians - Median answer per threshold
+ * @property {{ price: number, tooCheap: number, bargain: number, notBargain: number, expensive: number, notExpensive: number, tooExpensive: number }[]} curves - Cumulative shares by price
+ * @property {number} inconsistent - Answers left out for decreasing thresholds
+ * @property {Object<string, VanWestendorpSummary>} [bySegment]
+ */
+
+/**
+ * @typedef {Object} GaborGrangerPoint
+ * @property {number} price
+ * @property {number} answers - Answers at this price
+ * @property {number} meanLikelihood - Mean purchase likelihood (1..5)
+ * @property {number} buyRate - Share answering "probably" or "definitely" would buy
+ * @property {number} revenueIndex - price × buyRate
+ * @property {number | null} elasticity - Arc elasticity from the previous ladder price
+ */
+
+/**
+ * @typedef {Object} GaborGrangerSummary
+ * @property {number} responses - Answers used
+ * @property {GaborGrangerPoint[]} points - Demand curve, by ascending price
+ * @property {number | null} revenueMaxPrice - Ladder price with the highest revenue index
+ * @property {Object<string, GaborGrangerSummary>} [bySegment]
+ */
+
+/**
+ * @typedef {'like' | 'expect' | 'neutral' | 'tolerate' | 'dislike'} KanoAnswer
+ */
+
+/**
+ * @typedef {'must_be' | 'performance' | 'attractive' | 'indifferent' | 'reverse' | 'questionable'} KanoCategory
+ */
+
+/**
+ * @typedef {Object} KanoResultsSummary
+ * Results of a Kano questionnaire (in place of the choice model results)
+ * @property {Date} computedAt - When results were computed
+ * @property {'kano'} studyType
+ * @property {KanoSummary | null} kano
+ * @property {{ totalResponses: number }} responseStats - All responses, fallbacks included
+ * @property {DecisionQualitySummary} decisionQuality - Fallbacks are always excluded (they carry no answer)
+ */
+
+/**
+ * @typedef {Object} KanoFeatureResult
+ * @property {number} answers - Answer pairs for the feature
+ * @property {Object<KanoCategory, number>} counts - Answer pairs per category
+ * @property {KanoCategory | null} category - Most frequent category, questionable answers aside
+ * @property {number | null} satisfaction - (A + O) / (A + O + M + I), 0..1
+ * @property {number | null} dissatisfaction - −(O + M) / (A + O + M + I), −1..0
+ */
+
+/**
+ * @typedef {Object} KanoSummary
+ * @property {number} responses - Answer pairs used
+ * @property {Object<string, KanoFeatureResult>} features - By feature key
+ * @property {Object<string, KanoSummary>} [bySegment]
+ */
+
+/**
+ * @typedef {Object} DecisionQualityCounts
+ * @property {number} responses
+ * @property {Object<DecisionStatus, number>} byStatus
+ * @property {number} fallbacks - parse_fallback + invalid_choice + llm_error
+ * @property {number} fallbackRate
+ * @property {number} repairRate
+ */
+
+/**
+ * @typedef {Object} DecisionQualitySummary
+ * @property {DecisionQualityCounts} total
+ * @property {Object<string, DecisionQualityCounts>} byModel - Keyed by modelTag
+ * @property {Object<string, DecisionQualityCounts>} bySegment - Keyed by segment ID
+ * @property {boolean} fallbacksExcluded - Whether the other results leave fallbacks out
+ */
+
+/**
+ * @typedef {Object} CoefficientInference
+ * @property {number} se - Standard error (inverse information matrix)
+ * @property {number} t - z statistic, β / se
+ * @property {number} p - Two-sided p-value
+ */
+
+/**
+ * @typedef {Object} MNLFit
+ * @property {number} logLik - Log-likelihood at the estimate
+ * @property {number} nullLogLik - Log-likelihood with all β = 0 (equal shares)
+ * @property {number} rho2 - McFadden ρ², 1 - logLik / nullLogLik
+ * @property {number} aic
+ * @property {number} bic
+ * @property {number} params - Identified parameters (effects-coded)
+ * @property {number} observations - Choices used in the fit
+ * @property {number} iterations - Newton-Raphson iterations
+ * @property {boolean} converged
+ */
+
+/**
+ * @typedef {Object} PartWorthSummary
+ * @property {Object<string, number>} overall - β per feature key, plus "NONE" (no-choice constant) when offered
+ * @property {Object<string, Object<string, number>>} bySegment - β per key, by segment
+ * @property {string[]} keys - Encoded feature keys
+ * @property {Object<string, CoefficientInference>} [inference] - Per-key SE/z/p (overall)
+ * @property {Object<string, Object<string, CoefficientInference>>} [inferenceBySegment]
+ * @property {MNLFit | null} [fit] - Overall goodness of fit
+ * @property {Object<string, MNLFit>} [fitBySegment]
+ */
+
+/**
+ * @typedef {Object} LatentClass
+ * @property {string} id - e.g. "class_1" (classes are ordered by size)
+ * @property {string} label
+ * @property {number} share - Estimated class share π
+ * @property {number} agents - Agents whose most likely class this is
+ * @property {Object<string, number>} partWorths - Class β per feature key
+ * @property {Object<string, Object<string, number>>} profile - Agent counts by segment / model / personality / location
+ */
+
+/**
+ * @typedef {Object} LatentClassSummary
+ * @property {"bic" | "aic"} criterion - Selection criterion
+ * @property {number} selected - Selected number of classes
+ * @property {{ numClasses: number, logLik: number, params: number, aic: number, bic: number, classes: LatentClass[], alignment: Object<string, number> }[]} fits
+ * @property {Object<string, number>} membership - Agent ID -> class index in the selected fit
+ */
+
+/**
+ * @typedef {Object} PosteriorSummary
+ * @property {number} mean - Posterior mean
+ * @property {number} lo - Lower credible bound
+ * @property {number} hi - Upper credible bound
+ * @property {number} [sd] - Heterogeneity SD across agents (population only)
+ */
+
+/**
+ * @typedef {Object} HierarchicalSummary
+ * @property {Object<string, PosteriorSummary>} population - Population mean β per feature key
+ * @property {Object<string, Object<string, PosteriorSummary>>} bySegment - Segment-average β posteriors
+ * @property {Object<string, Object<string, number>>} individual - Posterior-mean β per agent
+ * @property {Object<string, PosteriorSummary> | null} wtp - WTP credible intervals
+ * @property {{ respondents: number, draws: number, burnIn: number, shortened: boolean, acceptanceRate: number, credibleLevel: number }} diagnostics - shortened: burn-in or draws were cut below the defaults for a large run
+ */
+
+/**
+ * @typedef {Object} ValidationMetrics
+ * @property {number | null} holdoutAccuracy - Share of holdout choices predicted by the MNL
+ * @property {number | null} repeatConsistency - Share of repeat tasks answered like the original
+ * @property {number} holdoutCount - Holdout responses scored
+ * @property {number} repeatCount - Repeat responses scored
+ */
+
+/**
+ * @typedef {ValidationMetrics & { bySegment: Object<string, ValidationMetrics> }} ValidationSummary
  */
 
 // ============================================================================
@@ -301,6 +638,39 @@ export function createDefaultExperiment(ownerUid) {
       customPersonalities: [],
       customLocations: [],
     },
+    taskPlan: createDefaultTaskPlan(),
+    choiceFormat: "ABC_NONE",
+    studyType: "choice",
+    pricingPlan: createDefaultPricingPlan(),
+  };
+}
+
+/**
+ * Create a default task plan
+ * @returns {TaskPlan}
+ */
+export function createDefaultTaskPlan() {
+  return {
+    design: "balanced",
+    tasksPerAgent: 6,
+    randomizeOrder: true,
+    includeHoldouts: 0,
+    includeRepeats: 0,
+    deliberation: false,
+    noneMode: "in_set",
+  };
+}
+
+/**
+ * Create a default pricing plan
+ * @returns {PricingPlan}
+ */
+export function createDefaultPricingPlan() {
+  return {
+    product: { name: "", description: "" },
+    currency: "USD",
+    referencePrice: null,
+    priceLadder: [],
   };
 }
 